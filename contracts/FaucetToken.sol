@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "./IFaucetToken.sol";
+
+/**
+ * @title FaucetToken
+ * @dev ERC-20 token with configurable name, symbol, decimals and maximum supply, minting
+ * restricted to the faucet. Used for additional faucet tokens such as 6-decimal stablecoin mocks.
+ * Ownership is transferred in two steps (transferOwnership, then acceptOwnership).
+ */
+contract FaucetToken is ERC20, Ownable2Step, IFaucetToken {
+    // Maximum total supply of tokens, in the token's smallest unit
+    uint256 public immutable MAX_SUPPLY;
+
+    // Address authorized to mint tokens (the faucet contract)
+    address public minter;
+
+    // Number of decimals used by the token
+    uint8 private immutable _decimals;
+
+    /**
+     * @dev Event emitted when minter is changed
+     */
+    event MinterChanged(address indexed newMinter);
+
+    /**
+     * @dev Constructor initializes token metadata, supply cap and minter
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param decimals_ Number of decimals
+     * @param _maxSupply Maximum total supply in the token's smallest unit
+     * @param _minter Address of the faucet contract authorized to mint
+     */
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 decimals_,
+        uint256 _maxSupply,
+        address _minter
+    ) ERC20(_name, _symbol) Ownable(msg.sender) {
+        require(_minter != address(0), "Minter cannot be zero address");
+        require(_maxSupply > 0, "Max supply must be positive");
+        _decimals = decimals_;
+        MAX_SUPPLY = _maxSupply;
+        minter = _minter;
+    }
+
+    /**
+     * @dev Allows owner to change the minter address
+     * @param _newMinter Address of the new minter
+     */
+    function setMinter(address _newMinter) external onlyOwner {
+        require(_newMinter != address(0), "Minter cannot be zero address");
+        minter = _newMinter;
+        emit MinterChanged(_newMinter);
+    }
+
+    /**
+     * @dev Mints tokens - restricted to minter only
+     * @param to Address to receive minted tokens
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external {
+        require(msg.sender == minter, "Only minter can mint tokens");
+        require(to != address(0), "Cannot mint to zero address");
+        require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum supply");
+
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Returns the number of decimals used by the token
+     * @return Number of decimals set at deployment
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
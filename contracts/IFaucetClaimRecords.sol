@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFaucetClaimRecords
+ * @dev Claim history a faucet exposes, read by a newer faucet when it imports claim records.
+ * lastClaimAt and totalClaimed cover the primary token and are also served by faucets deployed
+ * before multi-token support; claimRecords covers every token of a multi-token faucet.
+ */
+interface IFaucetClaimRecords {
+    /**
+     * @dev Returns the faucet's primary token
+     */
+    function token() external view returns (address);
+
+    /**
+     * @dev Returns when an address last claimed the primary token
+     * @param user Address to check
+     */
+    function lastClaimAt(address user) external view returns (uint256);
+
+    /**
+     * @dev Returns how much of the primary token an address has claimed in total
+     * @param user Address to check
+     */
+    function totalClaimed(address user) external view returns (uint256);
+
+    /**
+     * @dev Returns the claim history of an address for one token
+     * @param token Address of the token
+     * @param user Address to check
+     */
+    function claimRecords(address token, address user) external view returns (uint256 lastClaimAt, uint256 totalClaimed);
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IFaucetToken
+ * @dev Interface the faucet needs from a token it distributes: a capped supply and
+ * minting restricted to the faucet. Implemented by Token and FaucetToken.
+ */
+interface IFaucetToken is IERC20 {
+    /**
+     * @dev Returns the maximum number of tokens that can ever be minted
+     */
+    function MAX_SUPPLY() external view returns (uint256);
+
+    /**
+     * @dev Mints new tokens - the faucet must be the token's minter
+     * @param to Address to receive minted tokens
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external;
+}
@@ -2,13 +2,15 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "./IFaucetToken.sol";
 
 /**
  * @title Token
- * @dev ERC-20 token with fixed maximum supply and minting restricted to faucet
+ * @dev ERC-20 token with fixed maximum supply and minting restricted to faucet.
+ * Ownership is transferred in two steps (transferOwnership, then acceptOwnership).
  */
-contract Token is ERC20, Ownable {
+contract Token is ERC20, Ownable2Step, IFaucetToken {
     // Maximum total supply of tokens (100,000 tokens with 18 decimals)
     uint256 public constant MAX_SUPPLY = 100_000 * 10 ** 18;
     
@@ -24,7 +26,7 @@ contract Token is ERC20, Ownable {
      * @dev Constructor initializes token with name, symbol, and sets minter
      * @param _minter Address of the faucet contract authorized to mint
      */
-    constructor(address _minter) ERC20("TestToken", "TEST") {
+    constructor(address _minter) ERC20("TestToken", "TEST") Ownable(msg.sender) {
         require(_minter != address(0), "Minter cannot be zero address");
         minter = _minter;
     }
@@ -1,115 +1,713 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "./Token.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./IFaucetToken.sol";
+import "./IFaucetClaimRecords.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title TokenFaucet
- * @dev Token faucet with rate limiting (24-hour cooldown) and lifetime claim limits
+ * @dev Token faucet with rate limiting (cooldown between claims) and lifetime claim limits.
+ * The faucet serves several tokens, each with its own claim amount, cooldown and lifetime limit.
+ * The token passed at deployment is the primary token: it cannot be removed, and the single-token
+ * functions (requestTokens, faucetAmount, canClaim, ...) and signed claims act on it.
+ * Claims can also be submitted by a relayer on behalf of a user who signed an EIP-712 request, or by
+ * a distributor (e.g. the faucet's API server) for any address; both are held to the user's limits.
+ * Access is role-based: the default admin grants roles and is transferred in two steps,
+ * pausers control the pause state and config managers register tokens and set claim parameters.
+ * Config managers can gate claims behind a Merkle allowlist and block addresses with a denylist.
+ * The faucet can hold native ETH and, when a drip is configured, send a small amount with a claim so
+ * new users can pay for gas; the drip has its own cooldown and a budget set by config managers.
+ * A faucet that replaces an earlier one can import its claim records, so redeploying keeps every
+ * user's cooldowns and lifetime totals; the default admin closes the import once the switch is done.
  */
-contract TokenFaucet is ReentrancyGuard {
-    // Token contract reference
-    Token public token;
-    
-    // Amount of tokens distributed per successful claim
-    uint256 public constant FAUCET_AMOUNT = 100 * 10 ** 18; // 100 tokens
-    
-    // Cooldown period between claims (24 hours in seconds)
-    uint256 public constant COOLDOWN_TIME = 24 hours;
-    
-    // Maximum total tokens an address can claim in lifetime
-    uint256 public constant MAX_CLAIM_AMOUNT = 1000 * 10 ** 18; // 1000 tokens
-    
-    // Admin address with pause control
-    address public admin;
-    
+contract TokenFaucet is ReentrancyGuard, EIP712, Nonces, AccessControlDefaultAdminRules {
+    // Role allowed to pause and unpause the faucet
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Role allowed to register tokens, change claim parameters and claim gating
+    bytes32 public constant CONFIG_MANAGER_ROLE = keccak256("CONFIG_MANAGER_ROLE");
+
+    // Role allowed to claim on behalf of any address without its signature
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+
+    // Delay before a scheduled default admin transfer can be accepted (adjustable by the admin)
+    uint48 public constant INITIAL_ADMIN_TRANSFER_DELAY = 0;
+
+    // Why an address can or cannot claim right now, as reported by claimStatus
+    enum ClaimStatus {
+        Eligible,
+        Paused,
+        Denylisted,
+        CooldownActive,
+        LifetimeLimitReached,
+        SupplyExhausted
+    }
+
+    // Claim parameters of a registered token
+    struct TokenConfig {
+        uint256 faucetAmount;
+        uint256 cooldownTime;
+        uint256 maxClaimAmount;
+        bool registered;
+    }
+
+    // Claim history of an address for one token
+    struct ClaimRecord {
+        uint256 lastClaimAt;
+        uint256 totalClaimed;
+    }
+
+    // EIP-712 type of a signed claim request
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(address user,uint256 nonce,uint256 deadline)");
+
+    // Primary token contract reference
+    IFaucetToken public token;
+
+    // Claim parameters per token
+    mapping(address => TokenConfig) public tokenConfigs;
+
+    // Claim history per token and address - kept when a token is removed
+    mapping(address => mapping(address => ClaimRecord)) public claimRecords;
+
+    // Registered tokens, primary token first
+    address[] private _tokens;
+
     // Pause state - when true, no claims are allowed
     bool public paused;
-    
-    // Mapping of address to last claim timestamp
-    mapping(address => uint256) public lastClaimAt;
-    
-    // Mapping of address to total tokens claimed in lifetime
-    mapping(address => uint256) public totalClaimed;
+
+    // Merkle root of allowed addresses - zero disables allowlist gating
+    bytes32 public allowlistRoot;
+
+    // Addresses blocked from claiming regardless of the allowlist
+    mapping(address => bool) public denylisted;
+
+    // ETH sent with a claim - zero disables the drip
+    uint256 public ethDripAmount;
+
+    // Minimum time between drips to the same address (in seconds)
+    uint256 public ethDripCooldown;
+
+    // ETH the drip may still pay out in total - lowered by every drip
+    uint256 public ethDripBudget;
+
+    // ETH paid out by the drip so far
+    uint256 public totalEthDripped;
+
+    // Mapping of address to last drip timestamp
+    mapping(address => uint256) public lastEthDripAt;
+
+    // Whether an address's claim record for a token was imported - per token and address
+    mapping(address => mapping(address => bool)) public claimRecordImported;
+
+    // When true, claim records can no longer be imported
+    bool public migrationFinished;
+
+    /**
+     * @dev Error raised when a claim is made while the faucet is paused
+     */
+    error FaucetIsPaused();
+
+    /**
+     * @dev Error raised when a denylisted address claims
+     */
+    error AddressDenylisted(address user);
+
+    /**
+     * @dev Error raised when the allowlist is enabled and the proof does not match the claimer
+     */
+    error NotAllowlisted(address user);
+
+    /**
+     * @dev Error raised when a claim is made before the cooldown has passed
+     */
+    error CooldownActive(uint256 nextClaimAt);
+
+    /**
+     * @dev Error raised when another claim would exceed the lifetime limit
+     */
+    error LifetimeLimitReached(uint256 totalClaimed, uint256 maxClaimAmount);
+
+    /**
+     * @dev Error raised when minting a claim would exceed the token's max supply
+     */
+    error SupplyExhausted(uint256 remainingSupply);
+
+    /**
+     * @dev Error raised when a signed claim request is submitted after its deadline
+     */
+    error SignatureExpired(uint256 deadline);
+
+    /**
+     * @dev Error raised when a signed claim request was not signed by the user
+     */
+    error InvalidSignature();
+
+    /**
+     * @dev Error raised when the token address is zero
+     */
+    error InvalidToken();
+
+    /**
+     * @dev Error raised when the per-claim amount is zero
+     */
+    error InvalidFaucetAmount();
+
+    /**
+     * @dev Error raised when the per-claim amount would exceed the lifetime limit
+     */
+    error InvalidClaimLimits(uint256 faucetAmount, uint256 maxClaimAmount);
+
+    /**
+     * @dev Error raised when a token is used that the faucet does not serve
+     */
+    error TokenNotRegistered(address token);
+
+    /**
+     * @dev Error raised when registering a token the faucet already serves
+     */
+    error TokenAlreadyRegistered(address token);
+
+    /**
+     * @dev Error raised when removing the primary token
+     */
+    error CannotRemovePrimaryToken();
+
+    /**
+     * @dev Error raised when withdrawing more ETH than the faucet holds
+     */
+    error InsufficientEthReserve(uint256 requested, uint256 available);
+
+    /**
+     * @dev Error raised when an ETH withdrawal is rejected by the recipient
+     */
+    error EthTransferFailed();
+
+    /**
+     * @dev Error raised when importing claim records after the migration was finished
+     */
+    error MigrationClosed();
+
+    /**
+     * @dev Error raised when importing claim records from this faucet itself
+     */
+    error InvalidMigrationSource();
 
     /**
      * @dev Event emitted when tokens are successfully claimed
      */
-    event TokensClaimed(address indexed user, uint256 amount, uint256 timestamp);
-    
+    event TokensClaimed(address indexed user, address indexed token, uint256 amount, uint256 timestamp);
+
     /**
      * @dev Event emitted when faucet pause state changes
      */
     event FaucetPaused(bool isPaused);
 
     /**
-     * @dev Constructor initializes faucet with token address and sets admin
-     * @param _token Address of the token contract
+     * @dev Event emitted when the primary token's per-claim amount changes, next to TokenConfigUpdated
+     */
+    event FaucetAmountUpdated(uint256 oldAmount, uint256 newAmount);
+
+    /**
+     * @dev Event emitted when the primary token's cooldown period changes, next to TokenConfigUpdated
+     */
+    event CooldownTimeUpdated(uint256 oldCooldown, uint256 newCooldown);
+
+    /**
+     * @dev Event emitted when the primary token's lifetime claim limit changes, next to TokenConfigUpdated
      */
-    constructor(address _token) {
-        require(_token != address(0), "Token address cannot be zero");
-        token = Token(_token);
-        admin = msg.sender;
+    event MaxClaimAmountUpdated(uint256 oldMaxClaim, uint256 newMaxClaim);
+
+    /**
+     * @dev Event emitted when a token is registered
+     */
+    event TokenAdded(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount);
+
+    /**
+     * @dev Event emitted when any claim parameter of a token changes
+     */
+    event TokenConfigUpdated(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount);
+
+    /**
+     * @dev Event emitted when a token is no longer served
+     */
+    event TokenRemoved(address indexed token);
+
+    /**
+     * @dev Event emitted when the faucet receives ETH
+     */
+    event EthReceived(address indexed from, uint256 amount);
+
+    /**
+     * @dev Event emitted when ETH is withdrawn from the faucet
+     */
+    event EthWithdrawn(address indexed to, uint256 amount);
+
+    /**
+     * @dev Event emitted when ETH is dripped to a claimer
+     */
+    event EthDripped(address indexed user, uint256 amount);
+
+    /**
+     * @dev Event emitted when the drip amount, cooldown or budget changes
+     */
+    event EthDripConfigUpdated(uint256 amount, uint256 cooldown, uint256 budget);
+
+    /**
+     * @dev Event emitted when the allowlist Merkle root changes
+     */
+    event AllowlistRootUpdated(bytes32 oldRoot, bytes32 newRoot);
+
+    /**
+     * @dev Event emitted when an address is added to or removed from the denylist
+     */
+    event DenylistUpdated(address indexed account, bool denied);
+
+    /**
+     * @dev Event emitted when an address's claim record is imported from an earlier faucet
+     */
+    event ClaimRecordImported(
+        address indexed source,
+        address indexed token,
+        address indexed user,
+        uint256 lastClaimAt,
+        uint256 totalClaimed
+    );
+
+    /**
+     * @dev Event emitted when claim record imports are closed for good
+     */
+    event MigrationFinished();
+
+    /**
+     * @dev Constructor registers the primary token with its claim parameters, and grants
+     * the deployer the default admin, pauser and config manager roles
+     * @param _token Address of the primary token contract
+     * @param _faucetAmount Amount of tokens distributed per claim
+     * @param _cooldownTime Cooldown period between claims in seconds
+     * @param _maxClaimAmount Maximum tokens an address can claim in lifetime
+     */
+    constructor(
+        address _token,
+        uint256 _faucetAmount,
+        uint256 _cooldownTime,
+        uint256 _maxClaimAmount
+    )
+        EIP712("TokenFaucet", "1")
+        AccessControlDefaultAdminRules(INITIAL_ADMIN_TRANSFER_DELAY, msg.sender)
+    {
+        token = IFaucetToken(_token);
+        _addToken(_token, _faucetAmount, _cooldownTime, _maxClaimAmount);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(CONFIG_MANAGER_ROLE, msg.sender);
         paused = false;
     }
 
     /**
-     * @dev Allows eligible users to claim tokens
+     * @dev Accepts ETH to fund the drip - anyone can top up the reserve
+     */
+    receive() external payable {
+        emit EthReceived(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Allows eligible users to claim the primary token
      * Reverts if:
      * - Faucet is paused
+     * - User is denylisted, or the allowlist is enabled (use requestTokensWithProof)
      * - User is in cooldown period
      * - User has reached lifetime limit
-     * - Faucet has insufficient balance
+     * - Minting would exceed the token's max supply
      */
     function requestTokens() external nonReentrant {
-        require(!paused, "Faucet is currently paused");
-        require(
-            block.timestamp >= lastClaimAt[msg.sender] + COOLDOWN_TIME,
-            "Must wait 24 hours between claims"
-        );
-        require(
-            totalClaimed[msg.sender] + FAUCET_AMOUNT <= MAX_CLAIM_AMOUNT,
-            "Lifetime claim limit reached"
-        );
+        _claim(address(token), msg.sender, new bytes32[](0));
+    }
+
+    /**
+     * @dev Claims the primary token while the allowlist is enabled
+     * Reverts if the proof does not show the caller is on the allowlist, and for the same
+     * reasons as requestTokens
+     * @param proof Merkle proof of the caller's allowlist entry
+     */
+    function requestTokensWithProof(bytes32[] calldata proof) external nonReentrant {
+        _claim(address(token), msg.sender, proof);
+    }
+
+    /**
+     * @dev Claims a registered token, with that token's amount, cooldown and lifetime limit
+     * Reverts if the token is not registered, and for the same reasons as requestTokens
+     * @param _token Address of the token to claim
+     */
+    function claimToken(address _token) external nonReentrant {
+        _claim(_token, msg.sender, new bytes32[](0));
+    }
+
+    /**
+     * @dev Claims a registered token while the allowlist is enabled
+     * Reverts for the same reasons as claimToken and requestTokensWithProof
+     * @param _token Address of the token to claim
+     * @param proof Merkle proof of the caller's allowlist entry
+     */
+    function claimTokenWithProof(address _token, bytes32[] calldata proof) external nonReentrant {
+        _claim(_token, msg.sender, proof);
+    }
+
+    /**
+     * @dev Claims the primary token for a user who signed an EIP-712 Claim request, so a relayer can pay the gas
+     * Reverts if the signature is expired or invalid, and for the same reasons as requestTokensWithProof
+     * @param user Address receiving the tokens (the signer)
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 signature of Claim(user, nonce, deadline)
+     * @param proof Merkle proof of the user's allowlist entry (empty when the allowlist is disabled)
+     */
+    function claimFor(
+        address user,
+        uint256 deadline,
+        bytes calldata signature,
+        bytes32[] calldata proof
+    ) external nonReentrant {
+        if (block.timestamp > deadline) revert SignatureExpired(deadline);
+
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, user, _useNonce(user), deadline));
+        if (!SignatureChecker.isValidSignatureNow(user, _hashTypedDataV4(structHash), signature)) {
+            revert InvalidSignature();
+        }
+
+        _claim(address(token), user, proof);
+    }
+
+    /**
+     * @dev Claims a registered token for any address - only callable by distributors
+     * The claim counts against the user's cooldown and lifetime limit, and reverts for the same
+     * reasons as claimTokenWithProof
+     * @param _token Address of the token to claim
+     * @param user Address receiving the tokens
+     * @param proof Merkle proof of the user's allowlist entry (empty when the allowlist is disabled)
+     */
+    function claimOnBehalf(
+        address _token,
+        address user,
+        bytes32[] calldata proof
+    ) external nonReentrant onlyRole(DISTRIBUTOR_ROLE) {
+        _claim(_token, user, proof);
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator used for signed claims
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Checks eligibility, records the claim and mints tokens to the user
+     * @param _token Address of the token to claim
+     * @param user Address receiving the tokens
+     * @param proof Merkle proof of the user's allowlist entry
+     */
+    function _claim(address _token, address user, bytes32[] memory proof) internal {
+        TokenConfig memory config = _getTokenConfig(_token);
+        ClaimRecord storage record = claimRecords[_token][user];
+
+        if (paused) revert FaucetIsPaused();
+        if (denylisted[user]) revert AddressDenylisted(user);
+        if (!_isAllowlisted(user, proof)) revert NotAllowlisted(user);
+        if (block.timestamp < record.lastClaimAt + config.cooldownTime) {
+            revert CooldownActive(record.lastClaimAt + config.cooldownTime);
+        }
+        if (record.totalClaimed + config.faucetAmount > config.maxClaimAmount) {
+            revert LifetimeLimitReached(record.totalClaimed, config.maxClaimAmount);
+        }
+        uint256 supplyLeft = tokenRemainingSupply(_token);
+        if (config.faucetAmount > supplyLeft) revert SupplyExhausted(supplyLeft);
+
+        uint256 amount = config.faucetAmount;
 
         // Update state before external call (checks-effects-interactions)
-        lastClaimAt[msg.sender] = block.timestamp;
-        totalClaimed[msg.sender] += FAUCET_AMOUNT;
+        record.lastClaimAt = block.timestamp;
+        record.totalClaimed += amount;
 
         // Mint tokens to user
-        token.mint(msg.sender, FAUCET_AMOUNT);
+        IFaucetToken(_token).mint(user, amount);
 
         // Emit event
-        emit TokensClaimed(msg.sender, FAUCET_AMOUNT, block.timestamp);
+        emit TokensClaimed(user, _token, amount, block.timestamp);
+
+        _dripEth(user);
+    }
+
+    /**
+     * @dev Sends the ETH drip to a claimer when they qualify; the claim succeeds either way
+     * @param user Address receiving the drip
+     */
+    function _dripEth(address user) internal {
+        if (!_qualifiesForEthDrip(user)) return;
+
+        uint256 amount = ethDripAmount;
+        uint256 previousDripAt = lastEthDripAt[user];
+        lastEthDripAt[user] = block.timestamp;
+        ethDripBudget -= amount;
+        totalEthDripped += amount;
+
+        // A recipient that rejects ETH gets its tokens without the drip
+        (bool sent, ) = payable(user).call{value: amount}("");
+        if (!sent) {
+            lastEthDripAt[user] = previousDripAt;
+            ethDripBudget += amount;
+            totalEthDripped -= amount;
+            return;
+        }
+        emit EthDripped(user, amount);
     }
 
     /**
-     * @dev Returns whether an address is currently eligible to claim
+     * @dev Returns whether the next claim of an address would include the ETH drip
+     * @param user Address to check
+     */
+    function _qualifiesForEthDrip(address user) internal view returns (bool) {
+        uint256 amount = ethDripAmount;
+        if (amount == 0) return false;
+        if (lastEthDripAt[user] != 0 && block.timestamp < lastEthDripAt[user] + ethDripCooldown) return false;
+        return amount <= ethDripBudget && amount <= address(this).balance;
+    }
+
+    /**
+     * @dev Returns the claim parameters of a registered token
+     * @param _token Address of the token
+     */
+    function _getTokenConfig(address _token) internal view returns (TokenConfig memory) {
+        TokenConfig memory config = tokenConfigs[_token];
+        if (!config.registered) revert TokenNotRegistered(_token);
+        return config;
+    }
+
+    /**
+     * @dev Returns whether an address is on the allowlist, or true when the allowlist is disabled
+     * @param user Address to check
+     * @param proof Merkle proof of the user's allowlist entry
+     */
+    function isAllowlisted(address user, bytes32[] calldata proof) external view returns (bool) {
+        return _isAllowlisted(user, proof);
+    }
+
+    /**
+     * @dev Verifies an allowlist proof; leaves are double-hashed addresses (OpenZeppelin StandardMerkleTree)
+     * @param user Address to check
+     * @param proof Merkle proof of the user's allowlist entry
+     */
+    function _isAllowlisted(address user, bytes32[] memory proof) internal view returns (bool) {
+        if (allowlistRoot == bytes32(0)) return true;
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(user))));
+        return MerkleProof.verify(proof, allowlistRoot, leaf);
+    }
+
+    /**
+     * @dev Returns the tokens the faucet serves, primary token first
+     */
+    function getTokens() external view returns (address[] memory) {
+        return _tokens;
+    }
+
+    /**
+     * @dev Returns the primary token's amount distributed per claim
+     */
+    function faucetAmount() external view returns (uint256) {
+        return tokenConfigs[address(token)].faucetAmount;
+    }
+
+    /**
+     * @dev Returns the primary token's cooldown period between claims in seconds
+     */
+    function cooldownTime() external view returns (uint256) {
+        return tokenConfigs[address(token)].cooldownTime;
+    }
+
+    /**
+     * @dev Returns the primary token's lifetime claim limit per address
+     */
+    function maxClaimAmount() external view returns (uint256) {
+        return tokenConfigs[address(token)].maxClaimAmount;
+    }
+
+    /**
+     * @dev Returns when an address last claimed the primary token
+     * @param user Address to check
+     */
+    function lastClaimAt(address user) external view returns (uint256) {
+        return claimRecords[address(token)][user].lastClaimAt;
+    }
+
+    /**
+     * @dev Returns how much of the primary token an address has claimed in total
+     * @param user Address to check
+     */
+    function totalClaimed(address user) external view returns (uint256) {
+        return claimRecords[address(token)][user].totalClaimed;
+    }
+
+    /**
+     * @dev Returns how many primary tokens can still be minted before the token's MAX_SUPPLY is reached
+     * @return Tokens left to distribute
+     */
+    function remainingSupply() external view returns (uint256) {
+        return tokenRemainingSupply(address(token));
+    }
+
+    /**
+     * @dev Returns how many tokens can still be minted before a token's MAX_SUPPLY is reached
+     * @param _token Address of the token
+     * @return Tokens left to distribute
+     */
+    function tokenRemainingSupply(address _token) public view returns (uint256) {
+        IFaucetToken faucetToken = IFaucetToken(_token);
+        return faucetToken.MAX_SUPPLY() - faucetToken.totalSupply();
+    }
+
+    /**
+     * @dev Returns global faucet status for the primary token in one call
+     * @return isPaused_ Whether claims are paused
+     * @return exhausted Whether the remaining supply is below one claim
+     * @return totalSupply Tokens minted so far
+     * @return maxSupply Token supply cap
+     * @return supplyLeft Tokens left to distribute
+     */
+    function faucetStatus()
+        external
+        view
+        returns (bool isPaused_, bool exhausted, uint256 totalSupply, uint256 maxSupply, uint256 supplyLeft)
+    {
+        totalSupply = token.totalSupply();
+        maxSupply = token.MAX_SUPPLY();
+        supplyLeft = maxSupply - totalSupply;
+        return (paused, supplyLeft < tokenConfigs[address(token)].faucetAmount, totalSupply, maxSupply, supplyLeft);
+    }
+
+    /**
+     * @dev Returns whether an address is currently eligible to claim the primary token
+     * Allowlist membership is not checked here since it needs a proof - see isAllowlisted
      * @param user Address to check
      * @return True if user can claim, false otherwise
      */
     function canClaim(address user) external view returns (bool) {
-        // Cannot claim if paused
-        if (paused) return false;
-        
-        // Cannot claim if in cooldown period
-        if (block.timestamp < lastClaimAt[user] + COOLDOWN_TIME) return false;
-        
-        // Cannot claim if lifetime limit reached
-        if (totalClaimed[user] >= MAX_CLAIM_AMOUNT) return false;
-        
-        return true;
+        return _claimStatus(address(token), user) == ClaimStatus.Eligible;
+    }
+
+    /**
+     * @dev Returns whether an address is currently eligible to claim a registered token
+     * Allowlist membership is not checked here since it needs a proof - see isAllowlisted
+     * @param _token Address of the token
+     * @param user Address to check
+     * @return True if user can claim, false otherwise
+     */
+    function canClaimToken(address _token, address user) external view returns (bool) {
+        return _claimStatus(_token, user) == ClaimStatus.Eligible;
+    }
+
+    /**
+     * @dev Returns why an address can or cannot claim the primary token - see tokenClaimStatus
+     * @param user Address to check
+     */
+    function claimStatus(address user)
+        external
+        view
+        returns (ClaimStatus status, uint256 nextClaimAt, uint256 allowance, uint256 supplyLeft)
+    {
+        return tokenClaimStatus(address(token), user);
+    }
+
+    /**
+     * @dev Returns why an address can or cannot claim a registered token, with the figures needed to explain it
+     * Allowlist membership is not checked here since it needs a proof - see isAllowlisted
+     * @param _token Address of the token
+     * @param user Address to check
+     * @return status First condition blocking a claim, or Eligible
+     * @return nextClaimAt Timestamp at which the cooldown ends (in the past when it already has)
+     * @return allowance Remaining lifetime allowance
+     * @return supplyLeft Tokens left before the token's max supply is reached
+     */
+    function tokenClaimStatus(address _token, address user)
+        public
+        view
+        returns (ClaimStatus status, uint256 nextClaimAt, uint256 allowance, uint256 supplyLeft)
+    {
+        return (
+            _claimStatus(_token, user),
+            claimRecords[_token][user].lastClaimAt + tokenConfigs[_token].cooldownTime,
+            tokenRemainingAllowance(_token, user),
+            tokenRemainingSupply(_token)
+        );
+    }
+
+    /**
+     * @dev Returns the first condition blocking a claim, in the order _claim checks them
+     * @param _token Address of the token
+     * @param user Address to check
+     */
+    function _claimStatus(address _token, address user) internal view returns (ClaimStatus) {
+        TokenConfig memory config = _getTokenConfig(_token);
+        ClaimRecord memory record = claimRecords[_token][user];
+
+        if (paused) return ClaimStatus.Paused;
+        if (denylisted[user]) return ClaimStatus.Denylisted;
+        if (block.timestamp < record.lastClaimAt + config.cooldownTime) return ClaimStatus.CooldownActive;
+        if (record.totalClaimed + config.faucetAmount > config.maxClaimAmount) {
+            return ClaimStatus.LifetimeLimitReached;
+        }
+        if (config.faucetAmount > tokenRemainingSupply(_token)) return ClaimStatus.SupplyExhausted;
+        return ClaimStatus.Eligible;
     }
 
     /**
-     * @dev Returns remaining lifetime claim allowance for an address
+     * @dev Returns remaining lifetime claim allowance of the primary token for an address
      * @param user Address to check
      * @return Remaining tokens user can claim
      */
     function remainingAllowance(address user) external view returns (uint256) {
-        uint256 remaining = MAX_CLAIM_AMOUNT - totalClaimed[user];
-        return remaining > 0 ? remaining : 0;
+        return tokenRemainingAllowance(address(token), user);
+    }
+
+    /**
+     * @dev Returns remaining lifetime claim allowance of a registered token for an address
+     * @param _token Address of the token
+     * @param user Address to check
+     * @return Remaining tokens user can claim
+     */
+    function tokenRemainingAllowance(address _token, address user) public view returns (uint256) {
+        uint256 maxClaim = _getTokenConfig(_token).maxClaimAmount;
+        uint256 claimed = claimRecords[_token][user].totalClaimed;
+        // Limit may have been lowered below what the user already claimed
+        if (claimed >= maxClaim) return 0;
+        return maxClaim - claimed;
+    }
+
+    /**
+     * @dev Returns the ETH drip state for an address in one call
+     * @param user Address to check
+     * @return qualifies Whether the address's next claim would include the drip
+     * @return amount ETH sent per drip (zero when the drip is disabled)
+     * @return nextDripAt Timestamp at which the drip cooldown ends (in the past when it already has)
+     * @return budget ETH the drip may still pay out
+     * @return reserve ETH held by the faucet
+     */
+    function ethDripStatus(address user)
+        external
+        view
+        returns (bool qualifies, uint256 amount, uint256 nextDripAt, uint256 budget, uint256 reserve)
+    {
+        uint256 lastDrip = lastEthDripAt[user];
+        return (
+            _qualifiesForEthDrip(user),
+            ethDripAmount,
+            lastDrip == 0 ? 0 : lastDrip + ethDripCooldown,
+            ethDripBudget,
+            address(this).balance
+        );
     }
 
     /**
@@ -121,12 +719,247 @@ contract TokenFaucet is ReentrancyGuard {
     }
 
     /**
-     * @dev Sets pause state - only callable by admin
+     * @dev Sets pause state for every token - only callable by pausers
      * @param _paused New pause state
      */
-    function setPaused(bool _paused) external {
-        require(msg.sender == admin, "Only admin can pause faucet");
+    function setPaused(bool _paused) external onlyRole(PAUSER_ROLE) {
         paused = _paused;
         emit FaucetPaused(_paused);
     }
+
+    /**
+     * @dev Sets the primary token's amount distributed per claim - only callable by config managers
+     * @param _faucetAmount New per-claim amount
+     */
+    function setFaucetAmount(uint256 _faucetAmount) external onlyRole(CONFIG_MANAGER_ROLE) {
+        TokenConfig memory config = tokenConfigs[address(token)];
+        _setTokenConfig(address(token), _faucetAmount, config.cooldownTime, config.maxClaimAmount);
+    }
+
+    /**
+     * @dev Sets the primary token's cooldown period between claims - only callable by config managers
+     * @param _cooldownTime New cooldown period in seconds
+     */
+    function setCooldownTime(uint256 _cooldownTime) external onlyRole(CONFIG_MANAGER_ROLE) {
+        TokenConfig memory config = tokenConfigs[address(token)];
+        _setTokenConfig(address(token), config.faucetAmount, _cooldownTime, config.maxClaimAmount);
+    }
+
+    /**
+     * @dev Sets the primary token's lifetime claim limit per address - only callable by config managers
+     * @param _maxClaimAmount New lifetime limit
+     */
+    function setMaxClaimAmount(uint256 _maxClaimAmount) external onlyRole(CONFIG_MANAGER_ROLE) {
+        TokenConfig memory config = tokenConfigs[address(token)];
+        _setTokenConfig(address(token), config.faucetAmount, config.cooldownTime, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Registers a token to serve - only callable by config managers
+     * The faucet must be the token's minter before claims succeed
+     * @param _token Address of the token
+     * @param _faucetAmount Amount of tokens distributed per claim
+     * @param _cooldownTime Cooldown period between claims in seconds
+     * @param _maxClaimAmount Maximum tokens an address can claim in lifetime
+     */
+    function addToken(
+        address _token,
+        uint256 _faucetAmount,
+        uint256 _cooldownTime,
+        uint256 _maxClaimAmount
+    ) external onlyRole(CONFIG_MANAGER_ROLE) {
+        _addToken(_token, _faucetAmount, _cooldownTime, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Sets every claim parameter of a registered token - only callable by config managers
+     * @param _token Address of the token
+     * @param _faucetAmount New per-claim amount
+     * @param _cooldownTime New cooldown period in seconds
+     * @param _maxClaimAmount New lifetime limit
+     */
+    function setTokenConfig(
+        address _token,
+        uint256 _faucetAmount,
+        uint256 _cooldownTime,
+        uint256 _maxClaimAmount
+    ) external onlyRole(CONFIG_MANAGER_ROLE) {
+        _getTokenConfig(_token);
+        _setTokenConfig(_token, _faucetAmount, _cooldownTime, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Stops serving a token - only callable by config managers
+     * Claim records are kept, so re-adding the token resumes cooldowns and lifetime totals
+     * @param _token Address of the token
+     */
+    function removeToken(address _token) external onlyRole(CONFIG_MANAGER_ROLE) {
+        if (_token == address(token)) revert CannotRemovePrimaryToken();
+        _getTokenConfig(_token);
+
+        delete tokenConfigs[_token];
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            if (_tokens[i] == _token) {
+                _tokens[i] = _tokens[_tokens.length - 1];
+                _tokens.pop();
+                break;
+            }
+        }
+        emit TokenRemoved(_token);
+    }
+
+    /**
+     * @dev Validates and registers a token
+     */
+    function _addToken(
+        address _token,
+        uint256 _faucetAmount,
+        uint256 _cooldownTime,
+        uint256 _maxClaimAmount
+    ) internal {
+        if (_token == address(0)) revert InvalidToken();
+        if (tokenConfigs[_token].registered) revert TokenAlreadyRegistered(_token);
+        _validateClaimLimits(_faucetAmount, _maxClaimAmount);
+
+        tokenConfigs[_token] = TokenConfig(_faucetAmount, _cooldownTime, _maxClaimAmount, true);
+        _tokens.push(_token);
+        emit TokenAdded(_token, _faucetAmount, _cooldownTime, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Validates and stores new claim parameters for a registered token
+     * Every parameter change goes through here, so it is the only place config events are emitted:
+     * TokenConfigUpdated for any token, and for the primary token the legacy per-parameter events
+     * of the parameters that changed
+     */
+    function _setTokenConfig(
+        address _token,
+        uint256 _faucetAmount,
+        uint256 _cooldownTime,
+        uint256 _maxClaimAmount
+    ) internal {
+        _validateClaimLimits(_faucetAmount, _maxClaimAmount);
+        TokenConfig memory previous = tokenConfigs[_token];
+        tokenConfigs[_token] = TokenConfig(_faucetAmount, _cooldownTime, _maxClaimAmount, true);
+
+        if (_token == address(token)) {
+            if (previous.faucetAmount != _faucetAmount) {
+                emit FaucetAmountUpdated(previous.faucetAmount, _faucetAmount);
+            }
+            if (previous.cooldownTime != _cooldownTime) {
+                emit CooldownTimeUpdated(previous.cooldownTime, _cooldownTime);
+            }
+            if (previous.maxClaimAmount != _maxClaimAmount) {
+                emit MaxClaimAmountUpdated(previous.maxClaimAmount, _maxClaimAmount);
+            }
+        }
+        emit TokenConfigUpdated(_token, _faucetAmount, _cooldownTime, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Reverts unless the per-claim amount is positive and within the lifetime limit
+     */
+    function _validateClaimLimits(uint256 _faucetAmount, uint256 _maxClaimAmount) internal pure {
+        if (_faucetAmount == 0) revert InvalidFaucetAmount();
+        if (_maxClaimAmount < _faucetAmount) revert InvalidClaimLimits(_faucetAmount, _maxClaimAmount);
+    }
+
+    /**
+     * @dev Sets the ETH drip - only callable by config managers
+     * @param _amount ETH sent with a claim, or zero to disable the drip
+     * @param _cooldown Minimum time between drips to the same address in seconds
+     * @param _budget ETH the drip may pay out from now on
+     */
+    function setEthDrip(uint256 _amount, uint256 _cooldown, uint256 _budget) external onlyRole(CONFIG_MANAGER_ROLE) {
+        ethDripAmount = _amount;
+        ethDripCooldown = _cooldown;
+        ethDripBudget = _budget;
+        emit EthDripConfigUpdated(_amount, _cooldown, _budget);
+    }
+
+    /**
+     * @dev Withdraws ETH from the faucet - only callable by the default admin
+     * @param to Address receiving the ETH
+     * @param amount ETH to withdraw
+     */
+    function withdrawEth(address payable to, uint256 amount) external nonReentrant onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (amount > address(this).balance) revert InsufficientEthReserve(amount, address(this).balance);
+        (bool sent, ) = to.call{value: amount}("");
+        if (!sent) revert EthTransferFailed();
+        emit EthWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Sets the allowlist Merkle root - only callable by config managers
+     * @param _allowlistRoot New root, or zero to disable allowlist gating
+     */
+    function setAllowlistRoot(bytes32 _allowlistRoot) external onlyRole(CONFIG_MANAGER_ROLE) {
+        emit AllowlistRootUpdated(allowlistRoot, _allowlistRoot);
+        allowlistRoot = _allowlistRoot;
+    }
+
+    /**
+     * @dev Adds or removes addresses from the denylist - only callable by config managers
+     * @param accounts Addresses to update
+     * @param denied True to block the addresses, false to unblock them
+     */
+    function setDenylisted(address[] calldata accounts, bool denied) external onlyRole(CONFIG_MANAGER_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            denylisted[accounts[i]] = denied;
+            emit DenylistUpdated(accounts[i], denied);
+        }
+    }
+
+    /**
+     * @dev Imports claim records of a token from an earlier faucet - only callable by the default admin
+     * until finishMigration. The imported total is added to the address's record here and the later
+     * of the two claim times is kept, so claims made on this faucet before the import still count.
+     * Each address is imported once per token; already imported addresses are skipped, so an
+     * interrupted import can be re-run with the same list. The primary token of the source faucet is
+     * read with lastClaimAt/totalClaimed, other tokens with claimRecords.
+     * ETH drip cooldowns and signed-claim nonces are not imported.
+     * @param source Address of the earlier faucet
+     * @param _token Address of a token registered with this faucet
+     * @param users Addresses whose records are imported
+     */
+    function importClaimRecords(
+        address source,
+        address _token,
+        address[] calldata users
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (migrationFinished) revert MigrationClosed();
+        if (source == address(this)) revert InvalidMigrationSource();
+        _getTokenConfig(_token);
+
+        IFaucetClaimRecords previous = IFaucetClaimRecords(source);
+        bool isSourcePrimary = previous.token() == _token;
+        for (uint256 i = 0; i < users.length; i++) {
+            address user = users[i];
+            if (claimRecordImported[_token][user]) continue;
+
+            uint256 previousLastClaimAt;
+            uint256 previousTotalClaimed;
+            if (isSourcePrimary) {
+                previousLastClaimAt = previous.lastClaimAt(user);
+                previousTotalClaimed = previous.totalClaimed(user);
+            } else {
+                (previousLastClaimAt, previousTotalClaimed) = previous.claimRecords(_token, user);
+            }
+
+            ClaimRecord storage record = claimRecords[_token][user];
+            if (previousLastClaimAt > record.lastClaimAt) record.lastClaimAt = previousLastClaimAt;
+            record.totalClaimed += previousTotalClaimed;
+            claimRecordImported[_token][user] = true;
+            emit ClaimRecordImported(source, _token, user, previousLastClaimAt, previousTotalClaimed);
+        }
+    }
+
+    /**
+     * @dev Closes claim record imports for good - only callable by the default admin
+     */
+    function finishMigration() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (migrationFinished) revert MigrationClosed();
+        migrationFinished = true;
+        emit MigrationFinished();
+    }
 }
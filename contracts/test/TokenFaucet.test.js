@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
 
 describe("TokenFaucet", function () {
   let token;
@@ -16,19 +18,19 @@ describe("TokenFaucet", function () {
   beforeEach(async function () {
     [owner, addr1, addr2] = await ethers.getSigners();
 
-    // Deploy faucet first
-    const FaucetFactory = await ethers.getContractFactory("TokenFaucet");
-    faucet = await FaucetFactory.deploy(ethers.ZeroAddress);
-    const faucetAddress = await faucet.getAddress();
-
-    // Deploy token with faucet as minter
+    // Deploy token with owner as initial minter
     const TokenFactory = await ethers.getContractFactory("Token");
-    token = await TokenFactory.deploy(faucetAddress);
+    token = await TokenFactory.deploy(owner.address);
 
-    // Update faucet's token reference
-    await faucet.token.call(token);
-    // Need to redeploy faucet with actual token address
-    faucet = await FaucetFactory.deploy(await token.getAddress());
+    // Deploy faucet and hand minting rights over to it
+    const FaucetFactory = await ethers.getContractFactory("TokenFaucet");
+    faucet = await FaucetFactory.deploy(
+      await token.getAddress(),
+      FAUCET_AMOUNT,
+      COOLDOWN_TIME,
+      MAX_CLAIM_AMOUNT
+    );
+    await token.setMinter(await faucet.getAddress());
   });
 
   describe("Deployment", function () {
@@ -46,25 +48,43 @@ describe("TokenFaucet", function () {
     });
 
     it("Should set deployer as admin", async function () {
-      expect(await faucet.admin()).to.equal(owner.address);
+      expect(await faucet.defaultAdmin()).to.equal(owner.address);
     });
 
     it("Should initialize faucet as not paused", async function () {
       expect(await faucet.isPaused()).to.equal(false);
     });
 
-    it("Should have correct constants", async function () {
-      expect(await faucet.FAUCET_AMOUNT()).to.equal(FAUCET_AMOUNT);
-      expect(await faucet.MAX_CLAIM_AMOUNT()).to.equal(MAX_CLAIM_AMOUNT);
-      expect(await faucet.COOLDOWN_TIME()).to.equal(COOLDOWN_TIME);
+    it("Should have correct parameters", async function () {
+      expect(await faucet.faucetAmount()).to.equal(FAUCET_AMOUNT);
+      expect(await faucet.maxClaimAmount()).to.equal(MAX_CLAIM_AMOUNT);
+      expect(await faucet.cooldownTime()).to.equal(COOLDOWN_TIME);
+    });
+
+    it("Should reject invalid constructor parameters", async function () {
+      const FaucetFactory = await ethers.getContractFactory("TokenFaucet");
+      const tokenAddress = await token.getAddress();
+
+      await expect(
+        FaucetFactory.deploy(tokenAddress, 0, COOLDOWN_TIME, MAX_CLAIM_AMOUNT)
+      ).to.be.revertedWithCustomError(FaucetFactory, "InvalidFaucetAmount");
+      await expect(
+        FaucetFactory.deploy(tokenAddress, FAUCET_AMOUNT, COOLDOWN_TIME, FAUCET_AMOUNT - 1n)
+      )
+        .to.be.revertedWithCustomError(FaucetFactory, "InvalidClaimLimits")
+        .withArgs(FAUCET_AMOUNT, FAUCET_AMOUNT - 1n);
+      await expect(
+        FaucetFactory.deploy(ethers.ZeroAddress, FAUCET_AMOUNT, COOLDOWN_TIME, MAX_CLAIM_AMOUNT)
+      ).to.be.revertedWithCustomError(FaucetFactory, "InvalidToken");
     });
   });
 
   describe("Successful Claims", function () {
     it("Should allow first claim", async function () {
+      const tokenAddress = await token.getAddress();
       await expect(faucet.connect(addr1).requestTokens())
         .to.emit(faucet, "TokensClaimed")
-        .withArgs(addr1.address, FAUCET_AMOUNT, await time.latest().then(b => b));
+        .withArgs(addr1.address, tokenAddress, FAUCET_AMOUNT, await time.latest().then(b => b));
 
       expect(await token.balanceOf(addr1.address)).to.equal(FAUCET_AMOUNT);
     });
@@ -97,7 +117,7 @@ describe("TokenFaucet", function () {
 
       await expect(
         faucet.connect(addr1).requestTokens()
-      ).to.be.revertedWith("Must wait 24 hours between claims");
+      ).to.be.revertedWithCustomError(faucet, "CooldownActive");
     });
 
     it("Should allow claim after cooldown expires", async function () {
@@ -120,7 +140,7 @@ describe("TokenFaucet", function () {
 
       await expect(
         faucet.connect(addr1).requestTokens()
-      ).to.be.revertedWith("Must wait 24 hours between claims");
+      ).to.be.revertedWithCustomError(faucet, "CooldownActive");
     });
 
     it("Should return correct canClaim status during cooldown", async function () {
@@ -137,7 +157,7 @@ describe("TokenFaucet", function () {
   describe("Lifetime Limit Enforcement", function () {
     it("Should prevent claim after reaching lifetime limit", async function () {
       // Calculate number of claims needed to reach limit
-      const claimsNeeded = MAX_CLAIM_AMOUNT / FAUCET_AMOUNT;
+      const claimsNeeded = Number(MAX_CLAIM_AMOUNT / FAUCET_AMOUNT);
 
       for (let i = 0; i < claimsNeeded; i++) {
         await faucet.connect(addr1).requestTokens();
@@ -150,7 +170,7 @@ describe("TokenFaucet", function () {
       await time.increase(COOLDOWN_TIME);
       await expect(
         faucet.connect(addr1).requestTokens()
-      ).to.be.revertedWith("Lifetime claim limit reached");
+      ).to.be.revertedWithCustomError(faucet, "LifetimeLimitReached");
     });
 
     it("Should return correct remainingAllowance", async function () {
@@ -165,7 +185,7 @@ describe("TokenFaucet", function () {
     });
 
     it("Should return 0 remaining allowance when limit reached", async function () {
-      const claimsNeeded = MAX_CLAIM_AMOUNT / FAUCET_AMOUNT;
+      const claimsNeeded = Number(MAX_CLAIM_AMOUNT / FAUCET_AMOUNT);
 
       for (let i = 0; i < claimsNeeded; i++) {
         await faucet.connect(addr1).requestTokens();
@@ -178,13 +198,83 @@ describe("TokenFaucet", function () {
     });
   });
 
+  describe("Claim Status", function () {
+    // Mirrors TokenFaucet.ClaimStatus
+    const Status = {
+      Eligible: 0n,
+      Paused: 1n,
+      Denylisted: 2n,
+      CooldownActive: 3n,
+      LifetimeLimitReached: 4n,
+      SupplyExhausted: 5n,
+    };
+
+    it("Should report an eligible address with full allowance", async function () {
+      const status = await faucet.claimStatus(addr1.address);
+      expect(status.status).to.equal(Status.Eligible);
+      expect(status.allowance).to.equal(MAX_CLAIM_AMOUNT);
+      expect(status.supplyLeft).to.equal(ethers.parseEther("100000"));
+    });
+
+    it("Should report an active cooldown with the next eligible timestamp", async function () {
+      await faucet.connect(addr1).requestTokens();
+      const claimedAt = await time.latest();
+
+      const status = await faucet.claimStatus(addr1.address);
+      expect(status.status).to.equal(Status.CooldownActive);
+      expect(status.nextClaimAt).to.equal(claimedAt + COOLDOWN_TIME);
+      expect(status.allowance).to.equal(MAX_CLAIM_AMOUNT - FAUCET_AMOUNT);
+
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "CooldownActive")
+        .withArgs(claimedAt + COOLDOWN_TIME);
+    });
+
+    it("Should report a reached lifetime limit", async function () {
+      await faucet.setMaxClaimAmount(FAUCET_AMOUNT);
+      await faucet.connect(addr1).requestTokens();
+      await time.increase(COOLDOWN_TIME);
+
+      const status = await faucet.claimStatus(addr1.address);
+      expect(status.status).to.equal(Status.LifetimeLimitReached);
+      expect(status.allowance).to.equal(0);
+
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "LifetimeLimitReached")
+        .withArgs(FAUCET_AMOUNT, FAUCET_AMOUNT);
+    });
+
+    it("Should report pause before any per-address reason", async function () {
+      await faucet.connect(addr1).requestTokens();
+      await faucet.setPaused(true);
+      expect((await faucet.claimStatus(addr1.address)).status).to.equal(Status.Paused);
+    });
+
+    it("Should report a denylisted address", async function () {
+      await faucet.setDenylisted([addr1.address], true);
+      expect((await faucet.claimStatus(addr1.address)).status).to.equal(Status.Denylisted);
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "AddressDenylisted")
+        .withArgs(addr1.address);
+    });
+
+    it("Should report an exhausted supply", async function () {
+      const maxSupply = ethers.parseEther("100000");
+      await faucet.setMaxClaimAmount(maxSupply);
+      await faucet.setFaucetAmount(maxSupply);
+      await faucet.connect(addr1).requestTokens();
+
+      expect((await faucet.claimStatus(addr2.address)).status).to.equal(Status.SupplyExhausted);
+    });
+  });
+
   describe("Pause Mechanism", function () {
     it("Should prevent claims when paused", async function () {
       await faucet.setPaused(true);
 
       await expect(
         faucet.connect(addr1).requestTokens()
-      ).to.be.revertedWith("Faucet is currently paused");
+      ).to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
     });
 
     it("Should allow claims when unpaused", async function () {
@@ -210,7 +300,9 @@ describe("TokenFaucet", function () {
     it("Should prevent non-admin from pausing", async function () {
       await expect(
         faucet.connect(addr1).setPaused(true)
-      ).to.be.revertedWith("Only admin can pause faucet");
+      )
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, await faucet.PAUSER_ROLE());
     });
 
     it("canClaim returns false when paused", async function () {
@@ -219,10 +311,445 @@ describe("TokenFaucet", function () {
     });
   });
 
+  describe("Faucet Configuration", function () {
+    it("Should let admin update faucet amount and emit event", async function () {
+      const newAmount = ethers.parseEther("50");
+      await expect(faucet.setFaucetAmount(newAmount))
+        .to.emit(faucet, "FaucetAmountUpdated")
+        .withArgs(FAUCET_AMOUNT, newAmount);
+
+      await faucet.connect(addr1).requestTokens();
+      expect(await token.balanceOf(addr1.address)).to.equal(newAmount);
+    });
+
+    it("Should let admin update cooldown and emit event", async function () {
+      const newCooldown = 60 * 60;
+      await expect(faucet.setCooldownTime(newCooldown))
+        .to.emit(faucet, "CooldownTimeUpdated")
+        .withArgs(COOLDOWN_TIME, newCooldown);
+
+      await faucet.connect(addr1).requestTokens();
+      await time.increase(newCooldown);
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.emit(faucet, "TokensClaimed");
+    });
+
+    it("Should let admin update lifetime limit and emit event", async function () {
+      await expect(faucet.setMaxClaimAmount(FAUCET_AMOUNT))
+        .to.emit(faucet, "MaxClaimAmountUpdated")
+        .withArgs(MAX_CLAIM_AMOUNT, FAUCET_AMOUNT);
+
+      await faucet.connect(addr1).requestTokens();
+      await time.increase(COOLDOWN_TIME);
+      expect(await faucet.canClaim(addr1.address)).to.equal(false);
+      await expect(
+        faucet.connect(addr1).requestTokens()
+      ).to.be.revertedWithCustomError(faucet, "LifetimeLimitReached");
+    });
+
+    it("Should emit each config event once per parameter change", async function () {
+      const newAmount = ethers.parseEther("50");
+      const receipt = await (await faucet.setFaucetAmount(newAmount)).wait();
+      const names = receipt.logs.map((log) => faucet.interface.parseLog(log).name);
+
+      expect(names).to.deep.equal(["FaucetAmountUpdated", "TokenConfigUpdated"]);
+    });
+
+    it("Should emit the primary token's events for changed parameters set with setTokenConfig", async function () {
+      const newCooldown = 60 * 60;
+      const tokenAddress = await token.getAddress();
+      await expect(faucet.setTokenConfig(tokenAddress, FAUCET_AMOUNT, newCooldown, MAX_CLAIM_AMOUNT))
+        .to.emit(faucet, "CooldownTimeUpdated")
+        .withArgs(COOLDOWN_TIME, newCooldown)
+        .and.to.emit(faucet, "TokenConfigUpdated")
+        .and.not.to.emit(faucet, "FaucetAmountUpdated");
+    });
+
+    it("Should return 0 remaining allowance when limit is lowered below claimed", async function () {
+      await faucet.connect(addr1).requestTokens();
+      await time.increase(COOLDOWN_TIME);
+      await faucet.connect(addr1).requestTokens();
+
+      await faucet.setMaxClaimAmount(FAUCET_AMOUNT);
+      expect(await faucet.remainingAllowance(addr1.address)).to.equal(0);
+    });
+
+    it("Should reject inconsistent parameters", async function () {
+      await expect(faucet.setFaucetAmount(0)).to.be.revertedWithCustomError(
+        faucet,
+        "InvalidFaucetAmount"
+      );
+      await expect(faucet.setFaucetAmount(MAX_CLAIM_AMOUNT + 1n))
+        .to.be.revertedWithCustomError(faucet, "InvalidClaimLimits")
+        .withArgs(MAX_CLAIM_AMOUNT + 1n, MAX_CLAIM_AMOUNT);
+      await expect(faucet.setMaxClaimAmount(FAUCET_AMOUNT - 1n))
+        .to.be.revertedWithCustomError(faucet, "InvalidClaimLimits")
+        .withArgs(FAUCET_AMOUNT, FAUCET_AMOUNT - 1n);
+    });
+
+    it("Should prevent accounts without config role from changing parameters", async function () {
+      await expect(
+        faucet.connect(addr1).setFaucetAmount(FAUCET_AMOUNT)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+      await expect(
+        faucet.connect(addr1).setCooldownTime(0)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+      await expect(
+        faucet.connect(addr1).setMaxClaimAmount(MAX_CLAIM_AMOUNT)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Gasless Claims", function () {
+    let relayer;
+
+    // Sign an EIP-712 Claim request for the faucet
+    async function signClaim(signer, user, nonce, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "TokenFaucet",
+        version: "1",
+        chainId,
+        verifyingContract: await faucet.getAddress(),
+      };
+      const types = {
+        Claim: [
+          { name: "user", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return signer.signTypedData(domain, types, { user, nonce, deadline });
+    }
+
+    beforeEach(async function () {
+      [, , , relayer] = await ethers.getSigners();
+    });
+
+    it("Should mint to the signer when a relayer submits the claim", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signClaim(addr1, addr1.address, 0, deadline);
+
+      await expect(faucet.connect(relayer).claimFor(addr1.address, deadline, signature, []))
+        .to.emit(faucet, "TokensClaimed");
+
+      expect(await token.balanceOf(addr1.address)).to.equal(FAUCET_AMOUNT);
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+      expect(await faucet.totalClaimed(addr1.address)).to.equal(FAUCET_AMOUNT);
+      expect(await faucet.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const deadline = (await time.latest()) + COOLDOWN_TIME * 2;
+      const signature = await signClaim(addr1, addr1.address, 0, deadline);
+
+      await faucet.connect(relayer).claimFor(addr1.address, deadline, signature, []);
+      await time.increase(COOLDOWN_TIME);
+
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, [])
+      ).to.be.revertedWithCustomError(faucet, "InvalidSignature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const deadline = (await time.latest()) + 60;
+      const signature = await signClaim(addr1, addr1.address, 0, deadline);
+      await time.increase(120);
+
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, [])
+      ).to.be.revertedWithCustomError(faucet, "SignatureExpired");
+    });
+
+    it("Should reject a signature from another account", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signClaim(addr2, addr1.address, 0, deadline);
+
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, [])
+      ).to.be.revertedWithCustomError(faucet, "InvalidSignature");
+    });
+
+    it("Should share cooldown with direct claims", async function () {
+      await faucet.connect(addr1).requestTokens();
+
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signClaim(addr1, addr1.address, 0, deadline);
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, [])
+      ).to.be.revertedWithCustomError(faucet, "CooldownActive");
+    });
+
+    it("Should not relay claims while paused", async function () {
+      await faucet.setPaused(true);
+
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signClaim(addr1, addr1.address, 0, deadline);
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, [])
+      ).to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
+    });
+  });
+
+  describe("Distributor Claims", function () {
+    let DISTRIBUTOR_ROLE;
+    let tokenAddress;
+
+    beforeEach(async function () {
+      DISTRIBUTOR_ROLE = await faucet.DISTRIBUTOR_ROLE();
+      tokenAddress = await token.getAddress();
+      await faucet.grantRole(DISTRIBUTOR_ROLE, addr2.address);
+    });
+
+    it("Should let a distributor claim for another address", async function () {
+      await expect(faucet.connect(addr2).claimOnBehalf(tokenAddress, addr1.address, []))
+        .to.emit(faucet, "TokensClaimed")
+        .withArgs(addr1.address, tokenAddress, FAUCET_AMOUNT, await time.latest().then(b => b + 1));
+
+      expect(await token.balanceOf(addr1.address)).to.equal(FAUCET_AMOUNT);
+      expect(await token.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should count distributor claims against the user's limits", async function () {
+      await faucet.connect(addr2).claimOnBehalf(tokenAddress, addr1.address, []);
+
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "CooldownActive");
+      await expect(faucet.connect(addr2).claimOnBehalf(tokenAddress, addr1.address, []))
+        .to.be.revertedWithCustomError(faucet, "CooldownActive");
+    });
+
+    it("Should apply the allowlist to the user, not the distributor", async function () {
+      const tree = StandardMerkleTree.of([[addr1.address]], ["address"]);
+      await faucet.setAllowlistRoot(tree.root);
+
+      await expect(faucet.connect(addr2).claimOnBehalf(tokenAddress, owner.address, []))
+        .to.be.revertedWithCustomError(faucet, "NotAllowlisted")
+        .withArgs(owner.address);
+      await faucet.connect(addr2).claimOnBehalf(tokenAddress, addr1.address, tree.getProof([addr1.address]));
+      expect(await token.balanceOf(addr1.address)).to.equal(FAUCET_AMOUNT);
+    });
+
+    it("Should only allow distributors to claim on behalf of others", async function () {
+      await expect(faucet.connect(addr1).claimOnBehalf(tokenAddress, addr1.address, []))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, DISTRIBUTOR_ROLE);
+    });
+  });
+
+  describe("Allowlist and Denylist", function () {
+    let tree;
+
+    // Proof for an address in the test allowlist
+    function proofFor(address) {
+      for (const [i, [leafAddress]] of tree.entries()) {
+        if (leafAddress === address) return tree.getProof(i);
+      }
+      throw new Error(`${address} is not in the allowlist`);
+    }
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      tree = StandardMerkleTree.of(
+        [[addr1.address], [signers[4].address], [signers[5].address]],
+        ["address"]
+      );
+      await faucet.setAllowlistRoot(tree.root);
+    });
+
+    it("Should allow claims with a valid proof", async function () {
+      await expect(faucet.connect(addr1).requestTokensWithProof(proofFor(addr1.address)))
+        .to.emit(faucet, "TokensClaimed");
+      expect(await token.balanceOf(addr1.address)).to.equal(FAUCET_AMOUNT);
+    });
+
+    it("Should reject claims without a proof while gated", async function () {
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "NotAllowlisted");
+    });
+
+    it("Should reject another address's proof", async function () {
+      await expect(
+        faucet.connect(addr2).requestTokensWithProof(proofFor(addr1.address))
+      ).to.be.revertedWithCustomError(faucet, "NotAllowlisted");
+    });
+
+    it("Should report allowlist membership", async function () {
+      expect(await faucet.isAllowlisted(addr1.address, proofFor(addr1.address))).to.equal(true);
+      expect(await faucet.isAllowlisted(addr2.address, [])).to.equal(false);
+    });
+
+    it("Should accept any address once the root is cleared", async function () {
+      await expect(faucet.setAllowlistRoot(ethers.ZeroHash))
+        .to.emit(faucet, "AllowlistRootUpdated")
+        .withArgs(tree.root, ethers.ZeroHash);
+
+      expect(await faucet.isAllowlisted(addr2.address, [])).to.equal(true);
+      await expect(faucet.connect(addr2).requestTokens()).to.not.be.reverted;
+    });
+
+    it("Should block denylisted addresses even with a valid proof", async function () {
+      await expect(faucet.setDenylisted([addr1.address], true))
+        .to.emit(faucet, "DenylistUpdated")
+        .withArgs(addr1.address, true);
+
+      expect(await faucet.canClaim(addr1.address)).to.equal(false);
+      await expect(
+        faucet.connect(addr1).requestTokensWithProof(proofFor(addr1.address))
+      ).to.be.revertedWithCustomError(faucet, "AddressDenylisted");
+    });
+
+    it("Should allow claims again after removal from the denylist", async function () {
+      await faucet.setDenylisted([addr1.address], true);
+      await faucet.setDenylisted([addr1.address], false);
+
+      expect(await faucet.denylisted(addr1.address)).to.equal(false);
+      await expect(faucet.connect(addr1).requestTokensWithProof(proofFor(addr1.address)))
+        .to.not.be.reverted;
+    });
+
+    it("Should require a proof for relayed claims while gated", async function () {
+      const [, , , relayer] = await ethers.getSigners();
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = (await time.latest()) + 3600;
+      const signature = await addr1.signTypedData(
+        { name: "TokenFaucet", version: "1", chainId, verifyingContract: await faucet.getAddress() },
+        {
+          Claim: [
+            { name: "user", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        { user: addr1.address, nonce: 0, deadline }
+      );
+
+      await expect(
+        faucet.connect(relayer).claimFor(addr1.address, deadline, signature, proofFor(addr1.address))
+      ).to.emit(faucet, "TokensClaimed");
+    });
+
+    it("Should only let config managers change gating", async function () {
+      await expect(
+        faucet.connect(addr1).setAllowlistRoot(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+      await expect(
+        faucet.connect(addr1).setDenylisted([addr2.address], true)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Roles", function () {
+    let PAUSER_ROLE;
+    let CONFIG_MANAGER_ROLE;
+    let DEFAULT_ADMIN_ROLE;
+
+    beforeEach(async function () {
+      PAUSER_ROLE = await faucet.PAUSER_ROLE();
+      CONFIG_MANAGER_ROLE = await faucet.CONFIG_MANAGER_ROLE();
+      DEFAULT_ADMIN_ROLE = await faucet.DEFAULT_ADMIN_ROLE();
+    });
+
+    it("Should grant all roles to the deployer", async function () {
+      expect(await faucet.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await faucet.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+      expect(await faucet.hasRole(CONFIG_MANAGER_ROLE, owner.address)).to.equal(true);
+    });
+
+    it("Should emit RoleGranted and RoleRevoked", async function () {
+      await expect(faucet.grantRole(PAUSER_ROLE, addr1.address))
+        .to.emit(faucet, "RoleGranted")
+        .withArgs(PAUSER_ROLE, addr1.address, owner.address);
+
+      await expect(faucet.revokeRole(PAUSER_ROLE, addr1.address))
+        .to.emit(faucet, "RoleRevoked")
+        .withArgs(PAUSER_ROLE, addr1.address, owner.address);
+    });
+
+    it("Should let a pauser pause but not configure", async function () {
+      await faucet.grantRole(PAUSER_ROLE, addr1.address);
+
+      await expect(faucet.connect(addr1).setPaused(true))
+        .to.emit(faucet, "FaucetPaused")
+        .withArgs(true);
+      await expect(faucet.connect(addr1).setCooldownTime(0))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, CONFIG_MANAGER_ROLE);
+    });
+
+    it("Should let a config manager configure but not pause", async function () {
+      await faucet.grantRole(CONFIG_MANAGER_ROLE, addr1.address);
+
+      await expect(faucet.connect(addr1).setCooldownTime(60))
+        .to.emit(faucet, "CooldownTimeUpdated")
+        .withArgs(COOLDOWN_TIME, 60);
+      await expect(faucet.connect(addr1).setPaused(true))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, PAUSER_ROLE);
+    });
+
+    it("Should stop a revoked pauser from pausing", async function () {
+      await faucet.grantRole(PAUSER_ROLE, addr1.address);
+      await faucet.revokeRole(PAUSER_ROLE, addr1.address);
+
+      await expect(
+        faucet.connect(addr1).setPaused(true)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should prevent non-admins from granting roles", async function () {
+      await faucet.grantRole(PAUSER_ROLE, addr1.address);
+
+      await expect(faucet.connect(addr1).grantRole(PAUSER_ROLE, addr2.address))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should not allow granting the default admin role directly", async function () {
+      await expect(
+        faucet.grantRole(DEFAULT_ADMIN_ROLE, addr1.address)
+      ).to.be.revertedWithCustomError(faucet, "AccessControlEnforcedDefaultAdminRules");
+    });
+
+    it("Should transfer the default admin role in two steps", async function () {
+      await faucet.beginDefaultAdminTransfer(addr1.address);
+
+      // Nothing changes until the new admin accepts
+      expect(await faucet.defaultAdmin()).to.equal(owner.address);
+      const [pendingAdmin] = await faucet.pendingDefaultAdmin();
+      expect(pendingAdmin).to.equal(addr1.address);
+
+      await expect(faucet.connect(addr1).acceptDefaultAdminTransfer())
+        .to.emit(faucet, "RoleGranted")
+        .withArgs(DEFAULT_ADMIN_ROLE, addr1.address, addr1.address);
+
+      expect(await faucet.defaultAdmin()).to.equal(addr1.address);
+      expect(await faucet.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+      await expect(faucet.grantRole(PAUSER_ROLE, addr2.address))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let the pending admin accept the transfer", async function () {
+      await faucet.beginDefaultAdminTransfer(addr1.address);
+
+      await expect(faucet.connect(addr2).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(faucet, "AccessControlInvalidDefaultAdmin")
+        .withArgs(addr2.address);
+    });
+  });
+
   describe("Access Control", function () {
     it("Should only allow admin to pause", async function () {
       await expect(faucet.setPaused(true)).to.not.be.reverted;
-      expect(await faucet.admin()).to.equal(owner.address);
+      expect(await faucet.defaultAdmin()).to.equal(owner.address);
+    });
+
+    it("Should transfer token ownership in two steps", async function () {
+      await token.transferOwnership(addr1.address);
+      expect(await token.owner()).to.equal(owner.address);
+
+      await token.connect(addr1).acceptOwnership();
+      expect(await token.owner()).to.equal(addr1.address);
     });
 
     it("Should only allow token minter to mint", async function () {
@@ -279,10 +806,574 @@ describe("TokenFaucet", function () {
     });
   });
 
+  describe("Supply Exhaustion", function () {
+    const LARGE_AMOUNT = ethers.parseEther("40000");
+    const MAX_SUPPLY = ethers.parseEther("100000");
+    let addr3;
+
+    beforeEach(async function () {
+      [, , , addr3] = await ethers.getSigners();
+      // Large claims so a few users drain the 100,000 token supply
+      await faucet.setMaxClaimAmount(MAX_SUPPLY);
+      await faucet.setFaucetAmount(LARGE_AMOUNT);
+      await faucet.connect(addr1).requestTokens();
+      await faucet.connect(addr2).requestTokens();
+    });
+
+    it("Should report remaining supply", async function () {
+      expect(await faucet.remainingSupply()).to.equal(MAX_SUPPLY - LARGE_AMOUNT * 2n);
+    });
+
+    it("Should not allow claims once remaining supply is below one claim", async function () {
+      expect(await faucet.canClaim(addr3.address)).to.equal(false);
+      await expect(faucet.connect(addr3).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "SupplyExhausted")
+        .withArgs(MAX_SUPPLY - LARGE_AMOUNT * 2n);
+    });
+
+    it("Should report the faucet as exhausted", async function () {
+      const status = await faucet.faucetStatus();
+      expect(status.exhausted).to.equal(true);
+      expect(status.totalSupply).to.equal(LARGE_AMOUNT * 2n);
+      expect(status.maxSupply).to.equal(MAX_SUPPLY);
+      expect(status.supplyLeft).to.equal(MAX_SUPPLY - LARGE_AMOUNT * 2n);
+    });
+
+    it("Should allow a claim that mints exactly the remaining supply", async function () {
+      const remaining = MAX_SUPPLY - LARGE_AMOUNT * 2n;
+      await faucet.setFaucetAmount(remaining);
+
+      expect(await faucet.canClaim(addr3.address)).to.equal(true);
+      expect((await faucet.faucetStatus()).exhausted).to.equal(false);
+
+      await faucet.connect(addr3).requestTokens();
+      expect(await token.totalSupply()).to.equal(MAX_SUPPLY);
+      expect(await faucet.remainingSupply()).to.equal(0);
+      expect((await faucet.faucetStatus()).exhausted).to.equal(true);
+    });
+
+    it("Should report an active faucet with supply left", async function () {
+      await faucet.setFaucetAmount(FAUCET_AMOUNT);
+      const status = await faucet.faucetStatus();
+      expect(status.isPaused_).to.equal(false);
+      expect(status.exhausted).to.equal(false);
+      expect(await faucet.canClaim(addr3.address)).to.equal(true);
+    });
+  });
+
+  describe("Multiple Tokens", function () {
+    const USDC_AMOUNT = 50n * 10n ** 6n;
+    const USDC_MAX_CLAIM = 200n * 10n ** 6n;
+    const USDC_MAX_SUPPLY = 1_000_000n * 10n ** 6n;
+    const USDC_COOLDOWN = 60 * 60; // 1 hour
+    let usdc;
+    let usdcAddress;
+
+    beforeEach(async function () {
+      // 6-decimal stablecoin mock served next to the primary token
+      const FaucetTokenFactory = await ethers.getContractFactory("FaucetToken");
+      usdc = await FaucetTokenFactory.deploy(
+        "Test USD Coin",
+        "tUSDC",
+        6,
+        USDC_MAX_SUPPLY,
+        owner.address
+      );
+      usdcAddress = await usdc.getAddress();
+      await usdc.setMinter(await faucet.getAddress());
+      await faucet.addToken(usdcAddress, USDC_AMOUNT, USDC_COOLDOWN, USDC_MAX_CLAIM);
+    });
+
+    it("Should register the primary token at deployment", async function () {
+      const config = await faucet.tokenConfigs(await token.getAddress());
+      expect(config.registered).to.equal(true);
+      expect(config.faucetAmount).to.equal(FAUCET_AMOUNT);
+      expect(config.cooldownTime).to.equal(COOLDOWN_TIME);
+      expect(config.maxClaimAmount).to.equal(MAX_CLAIM_AMOUNT);
+    });
+
+    it("Should list registered tokens with the primary token first", async function () {
+      expect(await faucet.getTokens()).to.deep.equal([await token.getAddress(), usdcAddress]);
+    });
+
+    it("Should deploy the extra token with its own decimals and supply cap", async function () {
+      expect(await usdc.decimals()).to.equal(6);
+      expect(await usdc.symbol()).to.equal("tUSDC");
+      expect(await usdc.MAX_SUPPLY()).to.equal(USDC_MAX_SUPPLY);
+    });
+
+    it("Should emit TokenAdded when registering a token", async function () {
+      const FaucetTokenFactory = await ethers.getContractFactory("FaucetToken");
+      const other = await FaucetTokenFactory.deploy("Other", "OTH", 8, 10n ** 16n, owner.address);
+
+      await expect(faucet.addToken(await other.getAddress(), 10n ** 8n, 0, 10n ** 9n))
+        .to.emit(faucet, "TokenAdded")
+        .withArgs(await other.getAddress(), 10n ** 8n, 0, 10n ** 9n);
+    });
+
+    it("Should claim an extra token with its own amount", async function () {
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.emit(faucet, "TokensClaimed")
+        .withArgs(addr1.address, usdcAddress, USDC_AMOUNT, await time.latest().then(b => b + 1));
+
+      expect(await usdc.balanceOf(addr1.address)).to.equal(USDC_AMOUNT);
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should keep cooldowns separate per token", async function () {
+      await faucet.connect(addr1).requestTokens();
+      await faucet.connect(addr1).claimToken(usdcAddress);
+
+      const claimedAt = await time.latest();
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "CooldownActive")
+        .withArgs(claimedAt + USDC_COOLDOWN);
+
+      // The extra token's shorter cooldown ends while the primary token's is still running
+      await time.increase(USDC_COOLDOWN);
+      await faucet.connect(addr1).claimToken(usdcAddress);
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.be.revertedWithCustomError(faucet, "CooldownActive");
+    });
+
+    it("Should enforce the lifetime limit per token", async function () {
+      for (let i = 0; i < 4; i++) {
+        await faucet.connect(addr1).claimToken(usdcAddress);
+        await time.increase(USDC_COOLDOWN);
+      }
+
+      expect((await faucet.claimRecords(usdcAddress, addr1.address)).totalClaimed).to.equal(USDC_MAX_CLAIM);
+      expect(await faucet.tokenRemainingAllowance(usdcAddress, addr1.address)).to.equal(0);
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "LifetimeLimitReached")
+        .withArgs(USDC_MAX_CLAIM, USDC_MAX_CLAIM);
+
+      // The primary token's allowance is untouched
+      expect(await faucet.remainingAllowance(addr1.address)).to.equal(MAX_CLAIM_AMOUNT);
+      expect(await faucet.canClaim(addr1.address)).to.equal(true);
+    });
+
+    it("Should report claim status per token", async function () {
+      await faucet.connect(addr1).claimToken(usdcAddress);
+
+      const status = await faucet.tokenClaimStatus(usdcAddress, addr1.address);
+      expect(status.status).to.equal(3n); // CooldownActive
+      expect(status.nextClaimAt).to.equal((await time.latest()) + USDC_COOLDOWN);
+      expect(status.allowance).to.equal(USDC_MAX_CLAIM - USDC_AMOUNT);
+      expect(status.supplyLeft).to.equal(USDC_MAX_SUPPLY - USDC_AMOUNT);
+
+      expect(await faucet.canClaimToken(usdcAddress, addr1.address)).to.equal(false);
+      expect((await faucet.claimStatus(addr1.address)).status).to.equal(0n);
+    });
+
+    it("Should apply pause and denylist to every token", async function () {
+      await faucet.setPaused(true);
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
+      await faucet.setPaused(false);
+
+      await faucet.setDenylisted([addr1.address], true);
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "AddressDenylisted")
+        .withArgs(addr1.address);
+    });
+
+    it("Should claim an extra token with an allowlist proof", async function () {
+      const tree = StandardMerkleTree.of([[addr1.address], [addr2.address]], ["address"]);
+      await faucet.setAllowlistRoot(tree.root);
+
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "NotAllowlisted");
+      await faucet.connect(addr1).claimTokenWithProof(usdcAddress, tree.getProof([addr1.address]));
+      expect(await usdc.balanceOf(addr1.address)).to.equal(USDC_AMOUNT);
+    });
+
+    it("Should update an extra token's parameters", async function () {
+      await expect(faucet.setTokenConfig(usdcAddress, USDC_AMOUNT * 2n, 0, USDC_MAX_CLAIM))
+        .to.emit(faucet, "TokenConfigUpdated")
+        .withArgs(usdcAddress, USDC_AMOUNT * 2n, 0, USDC_MAX_CLAIM);
+
+      await faucet.connect(addr1).claimToken(usdcAddress);
+      await faucet.connect(addr1).claimToken(usdcAddress);
+      expect(await usdc.balanceOf(addr1.address)).to.equal(USDC_AMOUNT * 4n);
+    });
+
+    it("Should reject invalid token parameters", async function () {
+      await expect(faucet.setTokenConfig(usdcAddress, 0, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "InvalidFaucetAmount");
+      await expect(faucet.setTokenConfig(usdcAddress, USDC_MAX_CLAIM + 1n, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "InvalidClaimLimits")
+        .withArgs(USDC_MAX_CLAIM + 1n, USDC_MAX_CLAIM);
+      await expect(faucet.addToken(ethers.ZeroAddress, USDC_AMOUNT, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "InvalidToken");
+      await expect(faucet.addToken(usdcAddress, USDC_AMOUNT, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "TokenAlreadyRegistered")
+        .withArgs(usdcAddress);
+    });
+
+    it("Should reject claims and config for unregistered tokens", async function () {
+      await expect(faucet.connect(addr1).claimToken(addr2.address))
+        .to.be.revertedWithCustomError(faucet, "TokenNotRegistered")
+        .withArgs(addr2.address);
+      await expect(faucet.setTokenConfig(addr2.address, USDC_AMOUNT, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "TokenNotRegistered");
+    });
+
+    it("Should remove an extra token and keep its claim records", async function () {
+      await faucet.connect(addr1).claimToken(usdcAddress);
+
+      await expect(faucet.removeToken(usdcAddress))
+        .to.emit(faucet, "TokenRemoved")
+        .withArgs(usdcAddress);
+      expect(await faucet.getTokens()).to.deep.equal([await token.getAddress()]);
+      await expect(faucet.connect(addr2).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "TokenNotRegistered");
+
+      // Re-adding resumes the existing cooldown
+      await faucet.addToken(usdcAddress, USDC_AMOUNT, USDC_COOLDOWN, USDC_MAX_CLAIM);
+      await expect(faucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "CooldownActive");
+    });
+
+    it("Should not remove the primary token", async function () {
+      await expect(faucet.removeToken(await token.getAddress()))
+        .to.be.revertedWithCustomError(faucet, "CannotRemovePrimaryToken");
+    });
+
+    it("Should restrict token management to config managers", async function () {
+      const CONFIG_MANAGER_ROLE = await faucet.CONFIG_MANAGER_ROLE();
+      await expect(faucet.connect(addr1).addToken(addr2.address, USDC_AMOUNT, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, CONFIG_MANAGER_ROLE);
+      await expect(faucet.connect(addr1).setTokenConfig(usdcAddress, USDC_AMOUNT, 0, USDC_MAX_CLAIM))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+      await expect(faucet.connect(addr1).removeToken(usdcAddress))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("ETH Drip", function () {
+    const DRIP_AMOUNT = ethers.parseEther("0.01");
+    const DRIP_COOLDOWN = 7 * 24 * 60 * 60; // 1 week
+    const DRIP_BUDGET = ethers.parseEther("0.025");
+    const RESERVE = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await owner.sendTransaction({ to: await faucet.getAddress(), value: RESERVE });
+      await faucet.setEthDrip(DRIP_AMOUNT, DRIP_COOLDOWN, DRIP_BUDGET);
+    });
+
+    it("Should accept ETH from anyone", async function () {
+      await expect(addr1.sendTransaction({ to: await faucet.getAddress(), value: 1000n }))
+        .to.emit(faucet, "EthReceived")
+        .withArgs(addr1.address, 1000n);
+      expect(await ethers.provider.getBalance(await faucet.getAddress())).to.equal(RESERVE + 1000n);
+    });
+
+    it("Should send the drip with a claim", async function () {
+      const tx = faucet.connect(addr1).requestTokens();
+      await expect(tx).to.emit(faucet, "EthDripped").withArgs(addr1.address, DRIP_AMOUNT);
+      await expect(tx).to.changeEtherBalances([faucet, addr1], [-DRIP_AMOUNT, DRIP_AMOUNT]);
+
+      expect(await faucet.ethDripBudget()).to.equal(DRIP_BUDGET - DRIP_AMOUNT);
+      expect(await faucet.totalEthDripped()).to.equal(DRIP_AMOUNT);
+      expect(await faucet.lastEthDripAt(addr1.address)).to.equal(await time.latest());
+    });
+
+    it("Should send the drip with a relayed claim to the user", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const domain = {
+        name: "TokenFaucet",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await faucet.getAddress(),
+      };
+      const types = {
+        Claim: [
+          { name: "user", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await addr1.signTypedData(domain, types, {
+        user: addr1.address,
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(faucet.connect(addr2).claimFor(addr1.address, deadline, signature, []))
+        .to.changeEtherBalance(addr1, DRIP_AMOUNT);
+    });
+
+    it("Should apply the drip cooldown separately from the claim cooldown", async function () {
+      await faucet.connect(addr1).requestTokens();
+
+      // The token cooldown (1 day) has passed, the drip cooldown (1 week) has not
+      await time.increase(COOLDOWN_TIME);
+      const status = await faucet.ethDripStatus(addr1.address);
+      expect(status.qualifies).to.equal(false);
+      expect(status.nextDripAt).to.equal((await faucet.lastEthDripAt(addr1.address)) + BigInt(DRIP_COOLDOWN));
+
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.emit(faucet, "TokensClaimed")
+        .and.not.to.emit(faucet, "EthDripped");
+
+      await time.increase(DRIP_COOLDOWN);
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.emit(faucet, "EthDripped");
+    });
+
+    it("Should stop dripping when the budget runs out", async function () {
+      await faucet.connect(addr1).requestTokens();
+      await faucet.connect(addr2).requestTokens();
+
+      // 0.005 ETH of budget left is less than one drip
+      const [, , , addr3] = await ethers.getSigners();
+      expect((await faucet.ethDripStatus(addr3.address)).qualifies).to.equal(false);
+      await expect(faucet.connect(addr3).requestTokens())
+        .to.emit(faucet, "TokensClaimed")
+        .and.not.to.emit(faucet, "EthDripped");
+      expect(await faucet.ethDripBudget()).to.equal(DRIP_BUDGET - DRIP_AMOUNT * 2n);
+    });
+
+    it("Should stop dripping when the reserve runs out", async function () {
+      await faucet.withdrawEth(owner.address, RESERVE - DRIP_AMOUNT + 1n);
+
+      const status = await faucet.ethDripStatus(addr1.address);
+      expect(status.qualifies).to.equal(false);
+      expect(status.reserve).to.equal(DRIP_AMOUNT - 1n);
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.emit(faucet, "TokensClaimed")
+        .and.not.to.emit(faucet, "EthDripped");
+    });
+
+    it("Should not drip when the drip is disabled", async function () {
+      await expect(faucet.setEthDrip(0, DRIP_COOLDOWN, DRIP_BUDGET))
+        .to.emit(faucet, "EthDripConfigUpdated")
+        .withArgs(0, DRIP_COOLDOWN, DRIP_BUDGET);
+
+      await expect(faucet.connect(addr1).requestTokens())
+        .to.not.emit(faucet, "EthDripped");
+    });
+
+    it("Should report the drip status", async function () {
+      const status = await faucet.ethDripStatus(addr1.address);
+      expect(status.qualifies).to.equal(true);
+      expect(status.amount).to.equal(DRIP_AMOUNT);
+      expect(status.nextDripAt).to.equal(0);
+      expect(status.budget).to.equal(DRIP_BUDGET);
+      expect(status.reserve).to.equal(RESERVE);
+    });
+
+    it("Should let the admin withdraw ETH", async function () {
+      const tx = faucet.withdrawEth(addr2.address, RESERVE);
+      await expect(tx).to.emit(faucet, "EthWithdrawn").withArgs(addr2.address, RESERVE);
+      await expect(tx).to.changeEtherBalances([faucet, addr2], [-RESERVE, RESERVE]);
+    });
+
+    it("Should reject withdrawals above the reserve or to a contract that refuses ETH", async function () {
+      await expect(faucet.withdrawEth(owner.address, RESERVE + 1n))
+        .to.be.revertedWithCustomError(faucet, "InsufficientEthReserve")
+        .withArgs(RESERVE + 1n, RESERVE);
+
+      // The token contract has no receive function
+      await expect(faucet.withdrawEth(await token.getAddress(), 1n))
+        .to.be.revertedWithCustomError(faucet, "EthTransferFailed");
+    });
+
+    it("Should restrict withdrawals and drip settings to their roles", async function () {
+      await expect(faucet.connect(addr1).withdrawEth(addr1.address, 1n))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, await faucet.DEFAULT_ADMIN_ROLE());
+      await expect(faucet.connect(addr1).setEthDrip(DRIP_AMOUNT, 0, DRIP_BUDGET))
+        .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, await faucet.CONFIG_MANAGER_ROLE());
+    });
+  });
+
+  describe("Migration", function () {
+    const USDC_AMOUNT = 50n * 10n ** 6n;
+    const USDC_MAX_CLAIM = 200n * 10n ** 6n;
+    const USDC_COOLDOWN = 60 * 60; // 1 hour
+    let usdc;
+    let tokenAddress;
+    let usdcAddress;
+    let oldFaucetAddress;
+    let newFaucet;
+
+    beforeEach(async function () {
+      tokenAddress = await token.getAddress();
+      oldFaucetAddress = await faucet.getAddress();
+      const FaucetTokenFactory = await ethers.getContractFactory("FaucetToken");
+      usdc = await FaucetTokenFactory.deploy("Test USD Coin", "tUSDC", 6, 10n ** 12n, owner.address);
+      usdcAddress = await usdc.getAddress();
+      await usdc.setMinter(oldFaucetAddress);
+      await faucet.addToken(usdcAddress, USDC_AMOUNT, USDC_COOLDOWN, USDC_MAX_CLAIM);
+
+      // History on the old faucet: addr1 claims both tokens twice, addr2 once
+      await faucet.connect(addr1).requestTokens();
+      await faucet.connect(addr1).claimToken(usdcAddress);
+      await time.increase(COOLDOWN_TIME);
+      await faucet.connect(addr1).requestTokens();
+      await faucet.connect(addr1).claimToken(usdcAddress);
+      await faucet.connect(addr2).requestTokens();
+
+      // Replacement faucet, switched over the way scripts/migrate-faucet.js does it
+      const FaucetFactory = await ethers.getContractFactory("TokenFaucet");
+      newFaucet = await FaucetFactory.deploy(tokenAddress, FAUCET_AMOUNT, COOLDOWN_TIME, MAX_CLAIM_AMOUNT);
+      await newFaucet.addToken(usdcAddress, USDC_AMOUNT, USDC_COOLDOWN, USDC_MAX_CLAIM);
+    });
+
+    async function switchFaucet() {
+      await faucet.setPaused(true);
+      const users = [addr1.address, addr2.address];
+      await newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, users);
+      await newFaucet.importClaimRecords(oldFaucetAddress, usdcAddress, users);
+      await token.setMinter(await newFaucet.getAddress());
+      await usdc.setMinter(await newFaucet.getAddress());
+      await newFaucet.finishMigration();
+    }
+
+    it("Should copy cooldowns and lifetime totals of every token", async function () {
+      await switchFaucet();
+
+      for (const user of [addr1.address, addr2.address]) {
+        expect(await newFaucet.lastClaimAt(user)).to.equal(await faucet.lastClaimAt(user));
+        expect(await newFaucet.totalClaimed(user)).to.equal(await faucet.totalClaimed(user));
+        const oldRecord = await faucet.claimRecords(usdcAddress, user);
+        const newRecord = await newFaucet.claimRecords(usdcAddress, user);
+        expect(newRecord.lastClaimAt).to.equal(oldRecord.lastClaimAt);
+        expect(newRecord.totalClaimed).to.equal(oldRecord.totalClaimed);
+      }
+      expect(await newFaucet.totalClaimed(addr1.address)).to.equal(FAUCET_AMOUNT * 2n);
+      expect((await newFaucet.claimRecords(usdcAddress, addr1.address)).totalClaimed).to.equal(USDC_AMOUNT * 2n);
+    });
+
+    it("Should keep token balances and supply through the switch", async function () {
+      const balances = await Promise.all([
+        token.balanceOf(addr1.address),
+        token.balanceOf(addr2.address),
+        usdc.balanceOf(addr1.address),
+      ]);
+      const supply = await token.totalSupply();
+
+      await switchFaucet();
+
+      expect(await token.balanceOf(addr1.address)).to.equal(balances[0]);
+      expect(await token.balanceOf(addr2.address)).to.equal(balances[1]);
+      expect(await usdc.balanceOf(addr1.address)).to.equal(balances[2]);
+      expect(await newFaucet.remainingSupply()).to.equal((await token.MAX_SUPPLY()) - supply);
+    });
+
+    it("Should enforce imported cooldowns on the new faucet", async function () {
+      await switchFaucet();
+      const nextClaimAt = (await faucet.lastClaimAt(addr2.address)) + BigInt(COOLDOWN_TIME);
+
+      await expect(newFaucet.connect(addr2).requestTokens())
+        .to.be.revertedWithCustomError(newFaucet, "CooldownActive")
+        .withArgs(nextClaimAt);
+
+      await time.increaseTo(nextClaimAt);
+      await newFaucet.connect(addr2).requestTokens();
+      expect(await token.balanceOf(addr2.address)).to.equal(FAUCET_AMOUNT * 2n);
+      expect(await newFaucet.totalClaimed(addr2.address)).to.equal(FAUCET_AMOUNT * 2n);
+    });
+
+    it("Should enforce imported lifetime totals on the new faucet", async function () {
+      await switchFaucet();
+      await time.increase(USDC_COOLDOWN);
+
+      // addr1 claimed 100 of 200 tUSDC before the switch: two more claims reach the limit
+      for (let i = 0; i < 2; i++) {
+        await newFaucet.connect(addr1).claimToken(usdcAddress);
+        await time.increase(USDC_COOLDOWN);
+      }
+      await expect(newFaucet.connect(addr1).claimToken(usdcAddress))
+        .to.be.revertedWithCustomError(newFaucet, "LifetimeLimitReached")
+        .withArgs(USDC_MAX_CLAIM, USDC_MAX_CLAIM);
+      expect(await newFaucet.tokenRemainingAllowance(usdcAddress, addr1.address)).to.equal(0);
+    });
+
+    it("Should stop the old faucet from minting after the switch", async function () {
+      await switchFaucet();
+      await faucet.setPaused(false);
+      await time.increase(COOLDOWN_TIME);
+
+      await expect(faucet.connect(addr2).requestTokens()).to.be.revertedWith("Only minter can mint tokens");
+    });
+
+    it("Should emit ClaimRecordImported for each address", async function () {
+      const record = await faucet.claimRecords(tokenAddress, addr1.address);
+
+      await expect(newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, [addr1.address]))
+        .to.emit(newFaucet, "ClaimRecordImported")
+        .withArgs(oldFaucetAddress, tokenAddress, addr1.address, record.lastClaimAt, record.totalClaimed);
+      expect(await newFaucet.claimRecordImported(tokenAddress, addr1.address)).to.equal(true);
+    });
+
+    it("Should skip addresses that were already imported", async function () {
+      await newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, [addr1.address]);
+
+      await expect(newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, [addr1.address, addr2.address]))
+        .to.emit(newFaucet, "ClaimRecordImported")
+        .withArgs(oldFaucetAddress, tokenAddress, addr2.address, anyValue, FAUCET_AMOUNT);
+      expect(await newFaucet.totalClaimed(addr1.address)).to.equal(FAUCET_AMOUNT * 2n);
+    });
+
+    it("Should add imported totals to claims made on the new faucet", async function () {
+      const [, , , addr3] = await ethers.getSigners();
+      await token.setMinter(await newFaucet.getAddress());
+      await newFaucet.connect(addr3).requestTokens();
+      await newFaucet.connect(addr2).requestTokens();
+      const newClaimAt = await newFaucet.lastClaimAt(addr2.address);
+
+      await newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, [addr2.address, addr3.address]);
+
+      expect(await newFaucet.totalClaimed(addr2.address)).to.equal(FAUCET_AMOUNT * 2n);
+      expect(await newFaucet.lastClaimAt(addr2.address)).to.equal(newClaimAt);
+      expect(await newFaucet.totalClaimed(addr3.address)).to.equal(FAUCET_AMOUNT);
+    });
+
+    it("Should reject imports after the migration is finished", async function () {
+      await expect(newFaucet.finishMigration()).to.emit(newFaucet, "MigrationFinished");
+      expect(await newFaucet.migrationFinished()).to.equal(true);
+
+      await expect(
+        newFaucet.importClaimRecords(oldFaucetAddress, tokenAddress, [addr1.address])
+      ).to.be.revertedWithCustomError(newFaucet, "MigrationClosed");
+      await expect(newFaucet.finishMigration()).to.be.revertedWithCustomError(newFaucet, "MigrationClosed");
+    });
+
+    it("Should reject imports of unregistered tokens and from the faucet itself", async function () {
+      await expect(
+        newFaucet.importClaimRecords(oldFaucetAddress, addr1.address, [addr1.address])
+      )
+        .to.be.revertedWithCustomError(newFaucet, "TokenNotRegistered")
+        .withArgs(addr1.address);
+      await expect(
+        newFaucet.importClaimRecords(await newFaucet.getAddress(), tokenAddress, [addr1.address])
+      ).to.be.revertedWithCustomError(newFaucet, "InvalidMigrationSource");
+    });
+
+    it("Should only allow the default admin to import and finish", async function () {
+      const adminRole = await newFaucet.DEFAULT_ADMIN_ROLE();
+
+      await expect(
+        newFaucet.connect(addr1).importClaimRecords(oldFaucetAddress, tokenAddress, [addr1.address])
+      )
+        .to.be.revertedWithCustomError(newFaucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, adminRole);
+      await expect(newFaucet.connect(addr1).finishMigration())
+        .to.be.revertedWithCustomError(newFaucet, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, adminRole);
+    });
+  });
+
   describe("Edge Cases", function () {
     it("Should handle zero address checks", async function () {
+      const TokenFactory = await ethers.getContractFactory("Token");
       await expect(
-        Token.deploy(ethers.ZeroAddress)
+        TokenFactory.deploy(ethers.ZeroAddress)
       ).to.be.revertedWith("Minter cannot be zero address");
     });
 
@@ -0,0 +1,51 @@
+import express from 'express';
+import { readFile, stat } from 'fs/promises';
+import { getAddress, isAddress } from 'ethers';
+
+// Loader for the allowlist file built by scripts/build-allowlist.js; the parsed file is
+// reloaded when it changes on disk
+export function createAllowlistLoader(filePath) {
+  let cached = null;
+  let cachedMtime = 0;
+
+  return async () => {
+    const { mtimeMs } = await stat(filePath);
+    if (!cached || mtimeMs !== cachedMtime) {
+      cached = JSON.parse(await readFile(filePath, 'utf8'));
+      cachedMtime = mtimeMs;
+    }
+    return cached;
+  };
+}
+
+// Express router serving allowlist Merkle proofs built by scripts/build-allowlist.js
+export function createAllowlistRouter({ filePath }) {
+  const router = express.Router();
+  const loadAllowlist = createAllowlistLoader(filePath);
+
+  // Proof for one address: { root, proof }
+  router.get('/:address', async (req, res) => {
+    if (!isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    let allowlist;
+    try {
+      allowlist = await loadAllowlist();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Allowlist not configured' });
+      }
+      console.error('Failed to load allowlist:', error.message);
+      return res.status(500).json({ error: 'Failed to load allowlist' });
+    }
+
+    const proof = allowlist.proofs[getAddress(req.params.address)];
+    if (!proof) {
+      return res.status(404).json({ root: allowlist.root, error: 'Address not on allowlist' });
+    }
+    return res.status(200).json({ root: allowlist.root, proof });
+  });
+
+  return router;
+}
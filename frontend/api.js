@@ -0,0 +1,376 @@
+import express from 'express';
+import {
+  Contract,
+  JsonRpcProvider,
+  NonceManager,
+  Wallet,
+  ZeroHash,
+  getAddress,
+  isAddress,
+} from 'ethers';
+import { getErrorMessage, getRevert } from './relayer.js';
+import { sendLimited } from './rateLimitStore.js';
+
+const API_FAUCET_ABI = [
+  'function token() external view returns (address)',
+  'function getTokens() external view returns (address[])',
+  'function tokenConfigs(address token) external view returns (uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, bool registered)',
+  'function claimRecords(address token, address user) external view returns (uint256 lastClaimAt, uint256 totalClaimed)',
+  'function tokenClaimStatus(address token, address user) external view returns (uint8 status, uint256 nextClaimAt, uint256 allowance, uint256 supplyLeft)',
+  'function tokenRemainingSupply(address token) external view returns (uint256)',
+  'function faucetStatus() external view returns (bool isPaused_, bool exhausted, uint256 totalSupply, uint256 maxSupply, uint256 supplyLeft)',
+  'function allowlistRoot() external view returns (bytes32)',
+  'function isAllowlisted(address user, bytes32[] proof) external view returns (bool)',
+  'function denylisted(address account) external view returns (bool)',
+  'function ethDripAmount() external view returns (uint256)',
+  'function ethDripCooldown() external view returns (uint256)',
+  'function ethDripBudget() external view returns (uint256)',
+  'function totalEthDripped() external view returns (uint256)',
+  'function ethDripStatus(address user) external view returns (bool qualifies, uint256 amount, uint256 nextDripAt, uint256 budget, uint256 reserve)',
+  'function claimOnBehalf(address token, address user, bytes32[] proof) external',
+  'event TokensClaimed(address indexed user, address indexed token, uint256 amount, uint256 timestamp)',
+  'error FaucetIsPaused()',
+  'error AddressDenylisted(address user)',
+  'error NotAllowlisted(address user)',
+  'error CooldownActive(uint256 nextClaimAt)',
+  'error LifetimeLimitReached(uint256 totalClaimed, uint256 maxClaimAmount)',
+  'error SupplyExhausted(uint256 remainingSupply)',
+  'error TokenNotRegistered(address token)',
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+];
+
+const API_TOKEN_ABI = [
+  'function name() external view returns (string)',
+  'function symbol() external view returns (string)',
+  'function decimals() external view returns (uint8)',
+];
+
+// Claim status codes, in TokenFaucet.ClaimStatus order (same strings as the frontend's CLAIM_STATUS)
+const CLAIM_STATUS_CODES = [
+  'eligible',
+  'paused',
+  'denylisted',
+  'cooldown-active',
+  'lifetime-limit-reached',
+  'supply-exhausted',
+];
+
+// Maximum block range per eth_getLogs request; public RPCs reject larger ranges
+const LOG_CHUNK_SIZE = 5000;
+// Recent claims kept in memory for GET /claims
+const MAX_RECENT_CLAIMS = 500;
+const DEFAULT_CLAIMS_LIMIT = 20;
+const MAX_CLAIMS_LIMIT = 100;
+
+// Cache of RPC reads: values live for ttlMs, and concurrent requests for the same key
+// share one in-flight call instead of each hitting the RPC
+function createCache(ttlMs) {
+  const entries = new Map();
+
+  const get = (key, load) => {
+    const entry = entries.get(key);
+    if (entry && (entry.pending || entry.expiresAt > Date.now())) return entry.value;
+
+    const value = load().then(
+      (result) => {
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        return result;
+      },
+      (error) => {
+        entries.delete(key);
+        throw error;
+      }
+    );
+    entries.set(key, { value, pending: true });
+    return value;
+  };
+
+  // Drop every key starting with a prefix, so the next read goes to the RPC
+  get.invalidate = (prefix) => {
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) entries.delete(key);
+    }
+  };
+
+  return get;
+}
+
+// Express router serving faucet status, per-address eligibility and recent claims as JSON,
+// plus an optional claim endpoint that mints from a DISTRIBUTOR_ROLE key for addresses
+// submitted through a form, rate limited per IP and per address by a claim limiter
+// (rateLimitStore.js)
+export function createApiRouter({
+  rpcUrl,
+  faucetAddress,
+  privateKey,
+  deployBlock = 0,
+  cacheTtlMs = 15000,
+  loadAllowlist,
+  limiter,
+}) {
+  const router = express.Router();
+  router.use(express.json());
+
+  const enabled = !!(rpcUrl && faucetAddress);
+  const claimsEnabled = enabled && !!(privateKey && limiter);
+
+  router.use((req, res, next) => {
+    if (!enabled) return res.status(503).json({ error: 'API not configured' });
+    return next();
+  });
+  if (!enabled) return router;
+
+  const provider = new JsonRpcProvider(rpcUrl);
+  const faucet = new Contract(faucetAddress, API_FAUCET_ABI, provider);
+  let distributor = null;
+  if (claimsEnabled) {
+    // NonceManager keeps concurrent claims from reusing a nonce
+    distributor = new Contract(
+      faucetAddress,
+      API_FAUCET_ABI,
+      new NonceManager(new Wallet(privateKey, provider))
+    );
+  }
+
+  const cached = createCache(cacheTtlMs);
+  // Token metadata never changes, so it is cached for the life of the process
+  const tokenMetadata = new Map();
+
+  const getTokenMetadata = (tokenAddress) => {
+    if (!tokenMetadata.has(tokenAddress)) {
+      const token = new Contract(tokenAddress, API_TOKEN_ABI, provider);
+      const metadata = Promise.all([token.name(), token.symbol(), token.decimals()]).then(
+        ([name, symbol, decimals]) => ({ name, symbol, decimals: Number(decimals) })
+      );
+      metadata.catch(() => tokenMetadata.delete(tokenAddress));
+      tokenMetadata.set(tokenAddress, metadata);
+    }
+    return tokenMetadata.get(tokenAddress);
+  };
+
+  const getPrimaryToken = () => cached('token', () => faucet.token());
+
+  // Proof for an address from the allowlist file, or [] when it has none
+  const getProof = async (address) => {
+    if (!loadAllowlist) return [];
+    try {
+      const allowlist = await loadAllowlist();
+      return allowlist.proofs[address] || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load allowlist:', error.message);
+      return [];
+    }
+  };
+
+  const loadStatus = async () => {
+    const [status, primary, tokenAddresses, dripAmount, dripCooldown, dripBudget, dripped, reserve] =
+      await Promise.all([
+        faucet.faucetStatus(),
+        getPrimaryToken(),
+        faucet.getTokens(),
+        faucet.ethDripAmount(),
+        faucet.ethDripCooldown(),
+        faucet.ethDripBudget(),
+        faucet.totalEthDripped(),
+        provider.getBalance(faucetAddress),
+      ]);
+
+    const tokens = await Promise.all(
+      tokenAddresses.map(async (address) => {
+        const [metadata, config, remainingSupply] = await Promise.all([
+          getTokenMetadata(address),
+          faucet.tokenConfigs(address),
+          faucet.tokenRemainingSupply(address),
+        ]);
+        return {
+          address,
+          ...metadata,
+          isPrimary: address === primary,
+          faucetAmount: config.faucetAmount.toString(),
+          cooldownTime: Number(config.cooldownTime),
+          maxClaimAmount: config.maxClaimAmount.toString(),
+          remainingSupply: remainingSupply.toString(),
+        };
+      })
+    );
+
+    return {
+      faucet: faucetAddress,
+      paused: status.isPaused_,
+      exhausted: status.exhausted,
+      totalSupply: status.totalSupply.toString(),
+      maxSupply: status.maxSupply.toString(),
+      remainingSupply: status.supplyLeft.toString(),
+      tokens,
+      ethDrip: {
+        enabled: dripAmount > 0n,
+        amount: dripAmount.toString(),
+        cooldownTime: Number(dripCooldown),
+        budget: dripBudget.toString(),
+        totalDripped: dripped.toString(),
+        reserve: reserve.toString(),
+      },
+      claimApi: { enabled: claimsEnabled },
+    };
+  };
+
+  // Whether the allowlist is enabled, and whether the address's proof verifies against the
+  // current root (a proof built for an earlier root no longer does)
+  const loadAllowlistStatus = async (address) => {
+    const root = await cached('allowlistRoot', () => faucet.allowlistRoot());
+    if (root === ZeroHash) return { required: false, listed: false };
+    const proof = await getProof(address);
+    const listed = proof.length > 0 && (await faucet.isAllowlisted(address, proof));
+    return { required: true, listed };
+  };
+
+  const loadEligibility = async (tokenAddress, address) => {
+    const [claimStatus, record, drip, denied, allowlist] = await Promise.all([
+      faucet.tokenClaimStatus(tokenAddress, address),
+      faucet.claimRecords(tokenAddress, address),
+      faucet.ethDripStatus(address),
+      faucet.denylisted(address),
+      loadAllowlistStatus(address),
+    ]);
+
+    return {
+      address,
+      token: tokenAddress,
+      status: CLAIM_STATUS_CODES[Number(claimStatus.status)],
+      eligible: Number(claimStatus.status) === 0 && (!allowlist.required || allowlist.listed),
+      nextClaimAt: Number(claimStatus.nextClaimAt),
+      remainingAllowance: claimStatus.allowance.toString(),
+      remainingSupply: claimStatus.supplyLeft.toString(),
+      lastClaimAt: Number(record.lastClaimAt),
+      totalClaimed: record.totalClaimed.toString(),
+      denylisted: denied,
+      allowlist,
+      ethDrip: {
+        qualifies: drip.qualifies,
+        amount: drip.amount.toString(),
+        nextDripAt: Number(drip.nextDripAt),
+      },
+    };
+  };
+
+  // TokensClaimed events scanned so far; each sync only queries blocks past the last one
+  const claimLog = { lastBlock: Number(deployBlock) - 1, claims: [] };
+
+  const syncClaims = async () => {
+    const head = await provider.getBlockNumber();
+    const filter = faucet.filters.TokensClaimed();
+    for (let start = claimLog.lastBlock + 1; start <= head; start += LOG_CHUNK_SIZE) {
+      const end = Math.min(start + LOG_CHUNK_SIZE - 1, head);
+      const events = await faucet.queryFilter(filter, start, end);
+      for (const event of events) {
+        claimLog.claims.push({
+          user: event.args.user,
+          token: event.args.token,
+          amount: event.args.amount.toString(),
+          timestamp: Number(event.args.timestamp),
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+        });
+      }
+      claimLog.claims = claimLog.claims.slice(-MAX_RECENT_CLAIMS);
+      claimLog.lastBlock = end;
+    }
+    return claimLog.claims;
+  };
+
+  // Faucet status: pause state, supply, every token with its terms, ETH drip and claim API availability
+  router.get('/status', async (req, res) => {
+    try {
+      return res.status(200).json(await cached('status', loadStatus));
+    } catch (error) {
+      console.error('Failed to load faucet status:', getErrorMessage(error));
+      return res.status(502).json({ error: 'Failed to load faucet status' });
+    }
+  });
+
+  // Whether an address can claim a token (?token=, defaults to the primary token) and why not
+  router.get('/eligibility/:address', async (req, res) => {
+    if (!isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    if (req.query.token !== undefined && !isAddress(req.query.token)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+
+    try {
+      const address = getAddress(req.params.address);
+      const tokenAddress = req.query.token ? getAddress(req.query.token) : await getPrimaryToken();
+      const eligibility = await cached(`eligibility:${address}:${tokenAddress}`, () =>
+        loadEligibility(tokenAddress, address)
+      );
+      return res.status(200).json(eligibility);
+    } catch (error) {
+      if (error.revert?.name === 'TokenNotRegistered') {
+        return res.status(404).json({ error: 'Token is not served by the faucet' });
+      }
+      console.error('Failed to load eligibility:', getErrorMessage(error));
+      return res.status(502).json({ error: 'Failed to load eligibility' });
+    }
+  });
+
+  // Recent claims, newest first: ?limit= (max 100) and optional ?address= filter
+  router.get('/claims', async (req, res) => {
+    if (req.query.address !== undefined && !isAddress(req.query.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || DEFAULT_CLAIMS_LIMIT, MAX_CLAIMS_LIMIT);
+
+    try {
+      let claims = await cached('claims', syncClaims);
+      if (req.query.address) {
+        const address = getAddress(req.query.address);
+        claims = claims.filter((claim) => claim.user === address);
+      }
+      return res.status(200).json({ claims: claims.slice(-limit).reverse() });
+    } catch (error) {
+      console.error('Failed to load claims:', getErrorMessage(error));
+      return res.status(502).json({ error: 'Failed to load claims' });
+    }
+  });
+
+  // Claim for an address submitted through a form: { address, token? }
+  router.post('/claim', async (req, res) => {
+    if (!claimsEnabled) {
+      return res.status(503).json({ error: 'Claim API not configured' });
+    }
+
+    const { address: rawAddress, token: rawToken } = req.body || {};
+    if (!isAddress(rawAddress)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    if (rawToken !== undefined && !isAddress(rawToken)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    const address = getAddress(rawAddress);
+
+    const reservation = await limiter.reserve(req.ip, address);
+    if (!reservation.allowed) return sendLimited(res, reservation);
+
+    let sending = false;
+    try {
+      const tokenAddress = rawToken ? getAddress(rawToken) : await getPrimaryToken();
+      const proof = await getProof(address);
+      // Simulate first so reverts are reported without spending gas
+      await distributor.claimOnBehalf.staticCall(tokenAddress, address, proof);
+      sending = true;
+      const tx = await distributor.claimOnBehalf(tokenAddress, address, proof);
+      cached.invalidate(`eligibility:${address}:`);
+      console.log(`🚰 API claim for ${address}: ${tx.hash}`);
+      return res.status(200).json({ txHash: tx.hash });
+    } catch (error) {
+      // Only claims that were sent count against the address
+      if (!sending) reservation.refund();
+      console.error('API claim failed:', getErrorMessage(error));
+      return res.status(400).json({ error: getErrorMessage(error), revert: getRevert(error) });
+    } finally {
+      reservation.release();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,21 @@
+// Settings shared by the E2E setup and tests. The node runs on the port of Hardhat's "localhost"
+// network, which scripts/deploy.js deploys to
+const appPort = 3100;
+
+export const E2E_CONFIG = {
+  chainId: 1337,
+  rpcUrl: 'http://127.0.0.1:8545',
+  appPort,
+  appUrl: `http://127.0.0.1:${appPort}`,
+  // Faucet parameters passed to deploy.js: a short cooldown and a limit reached in three claims
+  faucetAmount: '100',
+  cooldownTime: 3600,
+  maxClaimAmount: '300',
+};
+
+// Unlocked Hardhat node accounts: #0 deploys and administers the faucet, the others claim
+export const ACCOUNTS = {
+  admin: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  alice: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  bob: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+};
@@ -0,0 +1,196 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, inject, it } from 'vitest';
+import puppeteer from 'puppeteer';
+import { Contract, JsonRpcProvider, parseUnits } from 'ethers';
+import { ACCOUNTS, E2E_CONFIG } from './config.js';
+import { installMockWallet } from './mockWallet.js';
+
+// Drives the built app in headless Chrome against the stack started by ./globalSetup.js. Each
+// test runs on a node snapshot, so claims and pauses do not leak into the next test.
+
+const { token: TOKEN_ADDRESS, faucet: FAUCET_ADDRESS } = inject('contracts');
+const FAUCET_AMOUNT = parseUnits(E2E_CONFIG.faucetAmount, 18);
+
+const node = new JsonRpcProvider(E2E_CONFIG.rpcUrl, E2E_CONFIG.chainId, { staticNetwork: true });
+const token = new Contract(
+  TOKEN_ADDRESS,
+  ['function balanceOf(address) view returns (uint256)'],
+  node
+);
+
+let browser;
+let page;
+let snapshot;
+
+// Open the app with a wallet holding the given account
+async function openApp(address) {
+  page = await browser.newPage();
+  await installMockWallet(page, address);
+  await page.goto(E2E_CONFIG.appUrl);
+  await page.waitForFunction(() => window.__EVAL__);
+  return page;
+}
+
+// Click the button whose text contains the label
+async function clickButton(label) {
+  await page.locator(`button::-p-text(${label})`).click();
+}
+
+// Wait until the page shows the text
+async function waitForText(text) {
+  await page.waitForFunction((expected) => document.body.innerText.includes(expected), {}, text);
+}
+
+// Call a window.__EVAL__ method, resolving to { result } or { error: { message, code } }
+function callEval(method, ...args) {
+  return page.evaluate(
+    (name, params) =>
+      window.__EVAL__[name](...params).then(
+        (result) => ({ result }),
+        (error) => ({ error: { message: error.message, code: error.code } })
+      ),
+    method,
+    args
+  );
+}
+
+// Move the node's clock forward and mine a block, which the app picks up as a new block
+async function increaseTime(seconds) {
+  await node.send('evm_increaseTime', [seconds]);
+  await node.send('evm_mine', []);
+}
+
+// Connect through the UI and wait for the account to load
+async function connect() {
+  await clickButton('Connect Wallet');
+  await waitForText('Connected Address');
+}
+
+beforeAll(async () => {
+  browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+});
+
+afterAll(async () => {
+  await browser?.close();
+});
+
+beforeEach(async () => {
+  snapshot = await node.send('evm_snapshot', []);
+});
+
+afterEach(async () => {
+  await page?.close();
+  page = null;
+  await node.send('evm_revert', [snapshot]);
+});
+
+describe('Faucet E2E', () => {
+  describe('Connecting', () => {
+    it('Should connect the injected wallet from the UI', async () => {
+      await openApp(ACCOUNTS.alice);
+
+      await connect();
+
+      await waitForText(`${ACCOUNTS.alice.slice(0, 6)}...${ACCOUNTS.alice.slice(-4)}`);
+      await waitForText('Ready to Claim');
+    });
+
+    it('Should connect through the evaluation interface', async () => {
+      await openApp(ACCOUNTS.alice);
+
+      const { result } = await callEval('connectWallet');
+
+      expect(result).toBe(ACCOUNTS.alice);
+    });
+  });
+
+  describe('Claiming', () => {
+    it('Should claim tokens from the UI and show the receipt', async () => {
+      await openApp(ACCOUNTS.alice);
+      await connect();
+      await waitForText('Ready to Claim');
+
+      await clickButton('✨ Claim');
+
+      await waitForText('Tokens claimed!');
+      expect(await token.balanceOf(ACCOUNTS.alice)).toBe(FAUCET_AMOUNT);
+      const { result: balance } = await callEval('getBalance', ACCOUNTS.alice);
+      expect(balance).toBe(FAUCET_AMOUNT.toString());
+    });
+
+    it('Should claim through the evaluation interface', async () => {
+      await openApp(ACCOUNTS.bob);
+      await callEval('connectWallet');
+
+      const { result: txHash } = await callEval('requestTokens');
+
+      expect(txHash).toMatch(/^0x[0-9a-f]{64}$/);
+      const receipt = await node.getTransactionReceipt(txHash);
+      expect(receipt.status).toBe(1);
+      expect(await token.balanceOf(ACCOUNTS.bob)).toBe(FAUCET_AMOUNT);
+    });
+  });
+
+  describe('Cooldown', () => {
+    it('Should reject a second claim until the cooldown has passed', async () => {
+      await openApp(ACCOUNTS.alice);
+      await connect();
+      await callEval('requestTokens');
+
+      const { error } = await callEval('requestTokens');
+      expect(error.code).toBe('COOLDOWN_ACTIVE');
+      await waitForText('Claim Available Later');
+
+      await increaseTime(E2E_CONFIG.cooldownTime + 1);
+
+      await waitForText('Ready to Claim');
+      const { result: txHash } = await callEval('requestTokens');
+      expect(txHash).toMatch(/^0x/);
+      expect(await token.balanceOf(ACCOUNTS.alice)).toBe(FAUCET_AMOUNT * 2n);
+    });
+  });
+
+  describe('Lifetime limit', () => {
+    it('Should stop claims once the lifetime limit is reached', async () => {
+      await openApp(ACCOUNTS.alice);
+      await connect();
+      const claims = Number(E2E_CONFIG.maxClaimAmount) / Number(E2E_CONFIG.faucetAmount);
+
+      for (let i = 0; i < claims; i++) {
+        const { error } = await callEval('requestTokens');
+        expect(error).toBeUndefined();
+        await increaseTime(E2E_CONFIG.cooldownTime + 1);
+      }
+
+      const { error } = await callEval('requestTokens');
+      expect(error.code).toBe('LIFETIME_LIMIT_REACHED');
+      const { result: allowance } = await callEval('getRemainingAllowance', ACCOUNTS.alice);
+      expect(allowance).toBe('0');
+      expect(await token.balanceOf(ACCOUNTS.alice)).toBe(parseUnits(E2E_CONFIG.maxClaimAmount, 18));
+    });
+  });
+
+  describe('Pause', () => {
+    it('Should block claims while the faucet is paused', async () => {
+      const faucet = new Contract(
+        FAUCET_ADDRESS,
+        ['function setPaused(bool _paused)'],
+        await node.getSigner(ACCOUNTS.admin)
+      );
+      await openApp(ACCOUNTS.alice);
+      await connect();
+      await waitForText('Ready to Claim');
+
+      await (await faucet.setPaused(true)).wait();
+
+      await waitForText('Faucet Paused');
+      const { error } = await callEval('requestTokens');
+      expect(error.code).toBe('FAUCET_PAUSED');
+
+      await (await faucet.setPaused(false)).wait();
+
+      await waitForText('Ready to Claim');
+      const { error: unpausedError } = await callEval('requestTokens');
+      expect(unpausedError).toBeUndefined();
+    });
+  });
+});
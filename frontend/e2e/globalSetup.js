@@ -0,0 +1,142 @@
+import { spawn } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { E2E_CONFIG } from './config.js';
+
+// Starts the stack the E2E suite runs against: a Hardhat node, the contracts deployed to it by
+// scripts/deploy.js, and a production build of the app served by server.js. The contract
+// addresses are handed to the tests through provide()/inject(). Everything the stack writes
+// (manifest, env file, build, server state) goes to a temp directory removed in teardown, so the
+// developer's deployments/localhost.json, frontend/.env.local and frontend/dist are left alone.
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const FRONTEND = fileURLToPath(new URL('..', import.meta.url));
+const HARDHAT = `${ROOT}node_modules/hardhat/internal/cli/cli.js`;
+const VITE = `${FRONTEND}node_modules/vite/bin/vite.js`;
+
+const processes = [];
+
+// Run a command to completion, failing with its output when it exits non-zero
+function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [command, ...args], { ...options, stdio: 'pipe' });
+    let output = '';
+    child.stdout.on('data', (chunk) => (output += chunk));
+    child.stderr.on('data', (chunk) => (output += chunk));
+    child.on('error', reject);
+    child.on('exit', (code) =>
+      code === 0 ? resolve(output) : reject(new Error(`${args.join(' ')} failed:\n${output}`))
+    );
+  });
+}
+
+// Start a long-running process, stopped again in teardown
+function start(command, args, options) {
+  const child = spawn(process.execPath, [command, ...args], { ...options, stdio: 'pipe' });
+  let output = '';
+  child.stdout.on('data', (chunk) => (output += chunk));
+  child.stderr.on('data', (chunk) => (output += chunk));
+  child.getOutput = () => output;
+  processes.push(child);
+  return child;
+}
+
+// Poll until the check passes, or fail after the timeout
+async function waitFor(check, description, timeout = 60_000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      if (await check()) return;
+    } catch {
+      // Not up yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+async function isRpcUp() {
+  const response = await fetch(E2E_CONFIG.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+  });
+  return response.ok;
+}
+
+// Stop everything started so far and remove the temp directory
+function stopAll(workDir) {
+  processes.forEach((child) => child.kill());
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+export default async function setup({ provide }) {
+  // deploy.js targets the "localhost" network, so the node must own its port
+  if (await isRpcUp().catch(() => false)) {
+    throw new Error(`${E2E_CONFIG.rpcUrl} is already in use; stop the running node first`);
+  }
+
+  const workDir = mkdtempSync(join(tmpdir(), 'faucet-e2e-'));
+  const teardown = () => stopAll(workDir);
+  try {
+    const node = start(HARDHAT, ['node'], { cwd: ROOT });
+    await waitFor(isRpcUp, 'the Hardhat node').catch((error) => {
+      throw new Error(`${error.message}\n${node.getOutput()}`);
+    });
+
+    await run(HARDHAT, ['run', 'scripts/deploy.js', '--network', 'localhost'], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        FRESH_DEPLOY: 'true',
+        DEPLOYMENTS_DIR: workDir,
+        FRONTEND_ENV_PATH: join(workDir, '.env.local'),
+        FAUCET_AMOUNT: E2E_CONFIG.faucetAmount,
+        COOLDOWN_TIME: String(E2E_CONFIG.cooldownTime),
+        MAX_CLAIM_AMOUNT: E2E_CONFIG.maxClaimAmount,
+      },
+    });
+    const { steps } = JSON.parse(readFileSync(join(workDir, 'localhost.json'), 'utf8'));
+    const contracts = { token: steps.token.address, faucet: steps.faucet.address };
+
+    // Per-chain names, so they win over the same variables in the developer's .env.local, which
+    // vite build still reads
+    const { chainId } = E2E_CONFIG;
+    const appEnv = {
+      ...process.env,
+      VITE_DEFAULT_CHAIN_ID: String(chainId),
+      [`VITE_RPC_URL_${chainId}`]: E2E_CONFIG.rpcUrl,
+      [`VITE_TOKEN_ADDRESS_${chainId}`]: contracts.token,
+      [`VITE_FAUCET_ADDRESS_${chainId}`]: contracts.faucet,
+      [`VITE_DEPLOY_BLOCK_${chainId}`]: String(steps.faucet.blockNumber || 0),
+    };
+    const distDir = join(workDir, 'dist');
+    await run(VITE, ['build', '--outDir', distDir, '--emptyOutDir'], { cwd: FRONTEND, env: appEnv });
+
+    const server = start('server.js', [], {
+      cwd: FRONTEND,
+      env: {
+        ...appEnv,
+        NODE_ENV: 'production',
+        PORT: String(E2E_CONFIG.appPort),
+        DIST_DIR: distDir,
+        ALLOWLIST_PATH: join(workDir, 'allowlist.json'),
+        RATE_LIMIT_STORE_PATH: join(workDir, 'rate-limits.json'),
+      },
+    });
+    await waitFor(async () => (await fetch(`${E2E_CONFIG.appUrl}/health`)).ok, 'server.js').catch(
+      (error) => {
+        throw new Error(`${error.message}\n${server.getOutput()}`);
+      }
+    );
+
+    provide('contracts', contracts);
+  } catch (error) {
+    teardown();
+    throw error;
+  }
+
+  return teardown;
+}
@@ -0,0 +1,67 @@
+import { E2E_CONFIG } from './config.js';
+
+// Mock EIP-1193 wallet injected into the page before the app loads. It answers account and
+// chain requests itself and forwards everything else to the Hardhat node, whose accounts are
+// unlocked, so eth_sendTransaction is signed by the node without prompts.
+
+// Forward a JSON-RPC request to the node. Errors are returned, not thrown, so their code and
+// revert data survive the trip back into the page
+async function forwardToNode(method, params) {
+  const response = await fetch(E2E_CONFIG.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  const { result, error } = await response.json();
+  return error ? { error } : { result };
+}
+
+// Runs in the page: installs window.ethereum and announces it through EIP-6963
+function injectProvider({ address, chainId }) {
+  const listeners = {};
+  const provider = {
+    request: async ({ method, params = [] }) => {
+      switch (method) {
+        case 'eth_requestAccounts':
+        case 'eth_accounts':
+          return [address];
+        case 'eth_chainId':
+          return chainId;
+        case 'wallet_switchEthereumChain':
+          if (params[0].chainId === chainId) return null;
+          throw Object.assign(new Error('Unrecognized chain ID'), { code: 4902 });
+        case 'wallet_watchAsset':
+          return true;
+        default: {
+          const { result, error } = await window.__e2eForward(method, params);
+          if (error) throw Object.assign(new Error(error.message), error);
+          return result;
+        }
+      }
+    },
+    on: (event, listener) => {
+      (listeners[event] ||= []).push(listener);
+    },
+    removeListener: (event, listener) => {
+      listeners[event] = (listeners[event] || []).filter((candidate) => candidate !== listener);
+    },
+  };
+
+  window.ethereum = provider;
+  const info = { uuid: 'e2e-wallet', name: 'E2E Wallet', icon: '', rdns: 'test.e2e.wallet' };
+  const announce = () =>
+    window.dispatchEvent(
+      new CustomEvent('eip6963:announceProvider', { detail: Object.freeze({ info, provider }) })
+    );
+  window.addEventListener('eip6963:requestProvider', announce);
+  announce();
+}
+
+// Give a page a wallet holding the given (unlocked) account
+export async function installMockWallet(page, address) {
+  await page.exposeFunction('__e2eForward', forwardToNode);
+  await page.evaluateOnNewDocument(injectProvider, {
+    address,
+    chainId: `0x${E2E_CONFIG.chainId.toString(16)}`,
+  });
+}
@@ -0,0 +1,140 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Sliding-window rate limit store kept in a JSON file, so limits survive server restarts.
+// Each key maps to the timestamps (ms) of its recent hits; writes are serialized and go
+// through a temp file plus rename so a crash never leaves a half-written store.
+export function createFileStore(filePath) {
+  let hits = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    loading ||= readFile(filePath, 'utf8')
+      .then((content) => JSON.parse(content))
+      .catch((error) => {
+        if (error.code !== 'ENOENT') {
+          console.error('Failed to read rate limit store, starting empty:', error.message);
+        }
+        return {};
+      })
+      .then((loaded) => {
+        hits = loaded;
+      });
+    return loading;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.stringify(hits);
+    writing = writing
+      .then(async () => {
+        await mkdir(dirname(filePath), { recursive: true });
+        await writeFile(`${filePath}.tmp`, snapshot);
+        await rename(`${filePath}.tmp`, filePath);
+      })
+      .catch((error) => console.error('Failed to write rate limit store:', error.message));
+    return writing;
+  };
+
+  // Drop timestamps older than the window for a key
+  const prune = (key, windowMs, now) => {
+    const recent = (hits[key] || []).filter((time) => time > now - windowMs);
+    if (recent.length) {
+      hits[key] = recent;
+    } else {
+      delete hits[key];
+    }
+    return recent;
+  };
+
+  return {
+    // Read the file; tryHit and refund need it loaded
+    load,
+
+    // Check the limit for a key and, when allowed, record a hit in the same synchronous step, so
+    // concurrent requests cannot all pass the check before any hit is recorded. hitAt identifies
+    // the hit for refund()
+    tryHit(key, limit, windowMs) {
+      if (!hits) throw new Error('Rate limit store not loaded');
+      const now = Date.now();
+      const recent = prune(key, windowMs, now);
+      if (recent.length >= limit) {
+        return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+      }
+      hits[key] = [...recent, now];
+      persist();
+      return { allowed: true, remaining: limit - recent.length - 1, retryAfterMs: 0, hitAt: now };
+    },
+
+    // Drop every hit older than maxAgeMs, so keys with no recent hits leave the file
+    sweep(maxAgeMs) {
+      const now = Date.now();
+      for (const key of Object.keys(hits || {})) {
+        prune(key, maxAgeMs, now);
+      }
+    },
+
+    // Take back a hit recorded by tryHit
+    refund(key, hitAt) {
+      const index = (hits?.[key] || []).lastIndexOf(hitAt);
+      if (index === -1) return;
+      hits[key].splice(index, 1);
+      if (!hits[key].length) delete hits[key];
+      persist();
+    },
+
+    // Resolves once every write so far has reached the file
+    flush: () => writing,
+  };
+}
+
+// Per-IP and per-address claim limits on a store, shared by every endpoint that claims for a
+// user. reserve() counts a claim against both keys before any RPC work and locks the address
+// until the claim has been sent or failed, so parallel requests cannot slip past the limits.
+export function createClaimLimiter(store, { ipLimit, ipWindowMs, addressLimit, addressWindowMs }) {
+  const pending = new Set();
+
+  const blocked = (error, limit) => ({
+    allowed: false,
+    status: 429,
+    error,
+    retryAfter: Math.ceil(limit.retryAfterMs / 1000),
+  });
+
+  return {
+    // Resolves to { allowed: true, refund, release } or { allowed: false, status, error, retryAfter? }
+    async reserve(ip, address) {
+      await store.load();
+      store.sweep(Math.max(ipWindowMs, addressWindowMs));
+      if (pending.has(address)) {
+        return { allowed: false, status: 409, error: 'A claim for this address is already in progress' };
+      }
+
+      // Every attempt counts against the IP, unless the address limit turns it away
+      const ipKey = `ip:${ip}`;
+      const addressKey = `address:${address}`;
+      const ipHit = store.tryHit(ipKey, ipLimit, ipWindowMs);
+      if (!ipHit.allowed) return blocked('Too many claims from this IP', ipHit);
+      const addressHit = store.tryHit(addressKey, addressLimit, addressWindowMs);
+      if (!addressHit.allowed) {
+        store.refund(ipKey, ipHit.hitAt);
+        return blocked('Too many claims for this address', addressHit);
+      }
+
+      pending.add(address);
+      return {
+        allowed: true,
+        // Give the address its claim back when nothing was sent, e.g. the simulation reverted
+        refund: () => store.refund(addressKey, addressHit.hitAt),
+        // Unlock the address once the claim has been sent or failed
+        release: () => pending.delete(address),
+      };
+    },
+  };
+}
+
+// Answer a claim the limiter turned away, with Retry-After when the limit says when to retry
+export function sendLimited(res, { status, error, retryAfter }) {
+  if (retryAfter !== undefined) res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ error, retryAfter });
+}
@@ -0,0 +1,119 @@
+import express from 'express';
+import {
+  Contract,
+  JsonRpcProvider,
+  NonceManager,
+  Wallet,
+  getAddress,
+  isAddress,
+  isHexString,
+} from 'ethers';
+import { sendLimited } from './rateLimitStore.js';
+
+const RELAYER_ABI = [
+  'function claimFor(address user, uint256 deadline, bytes signature, bytes32[] proof) external',
+  'error FaucetIsPaused()',
+  'error AddressDenylisted(address user)',
+  'error NotAllowlisted(address user)',
+  'error CooldownActive(uint256 nextClaimAt)',
+  'error LifetimeLimitReached(uint256 totalClaimed, uint256 maxClaimAmount)',
+  'error SupplyExhausted(uint256 remainingSupply)',
+  'error SignatureExpired(uint256 deadline)',
+  'error InvalidSignature()',
+];
+
+// Extract a revert reason from an ethers error
+export function getErrorMessage(error) {
+  if (error.revert) return error.revert.name;
+  return error.reason || error.shortMessage || error.message;
+}
+
+// Decoded custom error as JSON ({ name, args }), so the frontend can rebuild the typed error
+export function getRevert(error) {
+  if (!error.revert) return undefined;
+  return {
+    name: error.revert.name,
+    args: error.revert.args.map((arg) => arg.toString()),
+  };
+}
+
+// Seconds a client is asked to wait when every relay slot is taken
+const BUSY_RETRY_AFTER = 5;
+
+// Express router that submits signed claim requests from a funded key, so users need no gas.
+// Relays go through the same per-IP and per-address claim limiter as /api/claim, and at most
+// maxPending are sent at once, so fresh keys cannot drain the relayer's ETH
+export function createRelayerRouter({ rpcUrl, privateKey, faucetAddress, limiter, maxPending = 5 }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  const enabled = !!(rpcUrl && privateKey && faucetAddress && limiter);
+  // Relays between reservation and send, capped at maxPending
+  let pending = 0;
+  let faucet = null;
+  let relayerAddress = null;
+  if (enabled) {
+    const provider = new JsonRpcProvider(rpcUrl);
+    const wallet = new Wallet(privateKey, provider);
+    relayerAddress = wallet.address;
+    // NonceManager keeps concurrent relays from reusing a nonce
+    faucet = new Contract(faucetAddress, RELAYER_ABI, new NonceManager(wallet));
+  }
+
+  // Relayer availability, used by the frontend to offer gasless claims
+  router.get('/status', (req, res) => {
+    res.status(200).json({ enabled, relayer: relayerAddress, faucet: enabled ? faucetAddress : null });
+  });
+
+  // Submit a signed claim: { user, deadline, signature, proof? }
+  router.post('/claim', async (req, res) => {
+    if (!enabled) {
+      return res.status(503).json({ error: 'Relayer not configured' });
+    }
+
+    const { user, deadline, signature, proof = [] } = req.body || {};
+    if (!isAddress(user)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+    if (!/^\d+$/.test(String(deadline))) {
+      return res.status(400).json({ error: 'Invalid deadline' });
+    }
+    if (!isHexString(signature)) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+    if (!Array.isArray(proof) || !proof.every((node) => isHexString(node, 32))) {
+      return res.status(400).json({ error: 'Invalid allowlist proof' });
+    }
+
+    if (pending >= maxPending) {
+      return sendLimited(res, { status: 429, error: 'Relayer is busy', retryAfter: BUSY_RETRY_AFTER });
+    }
+    // Counted before the reservation is awaited, so parallel requests cannot all pass the cap
+    pending += 1;
+    try {
+      const reservation = await limiter.reserve(req.ip, getAddress(user));
+      if (!reservation.allowed) return sendLimited(res, reservation);
+
+      let sending = false;
+      try {
+        // Simulate first so reverts are reported without spending gas
+        await faucet.claimFor.staticCall(user, deadline, signature, proof);
+        sending = true;
+        const tx = await faucet.claimFor(user, deadline, signature, proof);
+        console.log(`⛽ Relayed claim for ${user}: ${tx.hash}`);
+        return res.status(200).json({ txHash: tx.hash });
+      } catch (error) {
+        // Only relays that were sent count against the user
+        if (!sending) reservation.refund();
+        console.error('Relayed claim failed:', getErrorMessage(error));
+        return res.status(400).json({ error: getErrorMessage(error), revert: getRevert(error) });
+      } finally {
+        reservation.release();
+      }
+    } finally {
+      pending -= 1;
+    }
+  });
+
+  return router;
+}
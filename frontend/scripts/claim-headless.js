@@ -0,0 +1,49 @@
+import { connect, claim, getState, startFaucetStore, subscribe } from '../src/store/faucetStore';
+import { getWallets } from '../src/utils/wallet';
+
+// Runs the app's claim flow without a browser: the store connects the local private-key wallet
+// and claims the primary token, exactly as the UI does.
+//
+// Usage: VITE_LOCAL_WALLET_PRIVATE_KEY=0x... npm run claim:headless
+//
+// The network and contracts come from the usual VITE_* variables; after
+// `npx hardhat run scripts/deploy.js --network localhost` they are already in frontend/.env.local.
+
+// Resolve once the store is bound to its network
+function waitForNetwork() {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!getState().network.ready) return;
+      unsubscribe();
+      resolve(getState().network);
+    };
+    const unsubscribe = subscribe(check);
+    check();
+  });
+}
+
+async function main() {
+  if (!getWallets().some((wallet) => wallet.id === 'local')) {
+    throw new Error('Set VITE_LOCAL_WALLET_PRIVATE_KEY to claim without a browser');
+  }
+
+  const stop = startFaucetStore();
+  try {
+    const { chainId } = await waitForNetwork();
+    const address = await connect('local');
+    console.log(`Connected ${address} on chain ${chainId}`);
+
+    const txHash = await claim();
+    console.log(`Claimed in ${txHash}`);
+  } finally {
+    stop();
+  }
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
@@ -1,14 +1,75 @@
 import express from 'express';
 import { createServer as createViteServer } from 'vite';
+import { createRelayerRouter } from './relayer.js';
+import { createAllowlistLoader, createAllowlistRouter } from './allowlist.js';
+import { createApiRouter } from './api.js';
+import { createClaimLimiter, createFileStore } from './rateLimitStore.js';
 
 const app = express();
 const port = process.env.PORT ? Number(process.env.PORT) : 3001;
+// Production build to serve (vite build's outDir)
+const distDir = process.env.DIST_DIR || new URL('./dist', import.meta.url).pathname;
+const allowlistPath =
+  process.env.ALLOWLIST_PATH || new URL('./allowlist/allowlist.json', import.meta.url).pathname;
+
+// Behind a reverse proxy, trust its X-Forwarded-For so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Per-IP and per-address claim limits, shared by every endpoint that claims for a user
+const claimLimiter = createClaimLimiter(
+  createFileStore(
+    process.env.RATE_LIMIT_STORE_PATH || new URL('./data/rate-limits.json', import.meta.url).pathname
+  ),
+  {
+    ipLimit: Number(process.env.CLAIM_IP_LIMIT || 5),
+    ipWindowMs: Number(process.env.CLAIM_IP_WINDOW_MS || 60 * 60 * 1000),
+    addressLimit: Number(process.env.CLAIM_ADDRESS_LIMIT || 1),
+    addressWindowMs: Number(process.env.CLAIM_ADDRESS_WINDOW_MS || 24 * 60 * 60 * 1000),
+  }
+);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Gasless claim relayer
+app.use(
+  '/api/relay',
+  createRelayerRouter({
+    rpcUrl: process.env.RELAYER_RPC_URL || process.env.VITE_RPC_URL,
+    privateKey: process.env.RELAYER_PRIVATE_KEY,
+    faucetAddress: process.env.RELAYER_FAUCET_ADDRESS || process.env.VITE_FAUCET_ADDRESS,
+    limiter: claimLimiter,
+    maxPending: Number(process.env.RELAYER_MAX_PENDING || 5),
+  })
+);
+
+// Allowlist proofs for gated claims
+app.use(
+  '/api/allowlist',
+  createAllowlistRouter({
+    filePath: allowlistPath,
+  })
+);
+
+// Faucet status, eligibility and recent claims, plus the rate-limited server claim endpoint
+app.use(
+  '/api',
+  createApiRouter({
+    rpcUrl: process.env.API_RPC_URL || process.env.VITE_RPC_URL,
+    faucetAddress: process.env.API_FAUCET_ADDRESS || process.env.VITE_FAUCET_ADDRESS,
+    privateKey: process.env.CLAIM_API_PRIVATE_KEY,
+    deployBlock: Number(process.env.VITE_DEPLOY_BLOCK || 0),
+    cacheTtlMs: Number(process.env.API_CACHE_TTL_MS || 15000),
+    loadAllowlist: createAllowlistLoader(allowlistPath),
+    limiter: claimLimiter,
+  })
+);
+
 // Create Vite server in middleware mode
 let vite;
 if (process.env.NODE_ENV !== 'production') {
@@ -21,11 +82,11 @@ if (process.env.NODE_ENV !== 'production') {
   // In production, serve static files
   const compression = (await import('compression')).default;
   app.use(compression());
-  app.use(express.static('dist'));
+  app.use(express.static(distDir));
   
   // SPA fallback
   app.get('*', (req, res) => {
-    res.sendFile(new URL('./dist/index.html', import.meta.url).pathname);
+    res.sendFile(`${distDir}/index.html`);
   });
 }
 
@@ -47,7 +108,7 @@ app.use('*', (req, res) => {
       </html>
     `).then(html => res.end(html));
   }
-  res.sendFile(new URL('./dist/index.html', import.meta.url).pathname);
+  res.sendFile(`${distDir}/index.html`);
 });
 
 app.listen(port, '0.0.0.0', () => {
@@ -1,213 +1,194 @@
 import { useState, useEffect, useCallback } from 'react';
+import { getWallets, hasWallet } from './utils/wallet';
+import { getRelayerStatus, getClaimApiStatus } from './utils/contracts';
 import {
-  connectWallet,
-  disconnectWallet,
-  isWalletConnected,
-  getConnectedAddress,
-  hasWallet,
-  isConnectedToSepolia,
-  switchToSepolia,
-} from './utils/wallet';
+  ClaimApiUnavailableError,
+  CooldownActiveError,
+  DenylistedError,
+  FaucetPausedError,
+  LifetimeLimitError,
+  NotAllowlistedError,
+  RateLimitedError,
+  RelayerUnavailableError,
+  SignatureExpiredError,
+  SupplyExhaustedError,
+  TransactionDroppedError,
+  TransactionReplacedError,
+  UserRejectedError,
+} from './utils/errors';
 import {
-  initProvider,
-  getBalance,
-  requestTokens,
-  canClaim,
-  getRemainingAllowance,
-  getFaucetPaused,
-  getLastClaimTime,
-  getFaucetConstants,
-  getContractAddresses,
-  listenToFaucetClaims,
-} from './utils/contracts';
-import { setupEvalInterface } from './utils/eval';
+  formatBalance,
+  formatClaimAmount,
+  formatDuration,
+  formatEthAmount,
+  formatTimeRemaining,
+} from './utils/formatters';
+import { startFaucetStore } from './store/faucetStore';
+import { useAccount, useClaim, useFaucetStatus, useNetwork } from './store/hooks';
+import AdminPanel from './components/AdminPanel';
+import FaucetOverview from './components/FaucetOverview';
+import AddressLookup from './components/AddressLookup';
+import NetworkSwitcher from './components/NetworkSwitcher';
+import ClaimHistory from './components/ClaimHistory';
+import RecentClaims from './components/RecentClaims';
+import TokenList from './components/TokenList';
+import ServerClaimForm from './components/ServerClaimForm';
+import ClaimReceipt from './components/ClaimReceipt';
+import AddTokenButton from './components/AddTokenButton';
+import TransactionTracker from './components/TransactionTracker';
+import WalletPicker from './components/WalletPicker';
 import './App.css';
 
 function App() {
-  const [connected, setConnected] = useState(false);
-  const [address, setAddress] = useState(null);
-  const [balance, setBalance] = useState('0');
-  const [canClaimNow, setCanClaimNow] = useState(false);
-  const [remainingAllowance, setRemainingAllowance] = useState('0');
-  const [faucetPaused, setFaucetPaused] = useState(false);
-  const [loading, setLoading] = useState(false);
+  const {
+    chainId,
+    walletChainId,
+    ready: providerReady,
+    error: networkError,
+    config: network,
+    unsupported: unsupportedNetwork,
+    selectNetwork,
+  } = useNetwork();
+  const {
+    constants: faucetConstants,
+    tokens: faucetTokens,
+    status: supplyStatus,
+    ethDrip,
+    primaryToken,
+    paused: faucetPaused,
+    exhausted: faucetExhausted,
+    claimsVersion,
+    refresh: refreshFaucet,
+  } = useFaucetStatus();
+  const {
+    address,
+    connected,
+    balance,
+    canClaimNow,
+    remainingAllowance,
+    nextClaimAt,
+    gating,
+    ethDripStatus,
+    loading: refreshing,
+    error: accountError,
+    connect,
+    disconnect,
+    refresh: refreshAccount,
+  } = useAccount();
+  const { pending: loading, txHash: lastClaimTx, claim, recordClaim, dismissReceipt } = useClaim();
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [lastClaimTime, setLastClaimTime] = useState(null);
   const [timeUntilNextClaim, setTimeUntilNextClaim] = useState(null);
-  const [faucetConstants, setFaucetConstants] = useState(null);
-  const [networkError, setNetworkError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
+  const [relayerEnabled, setRelayerEnabled] = useState(false);
+  const [claimApiEnabled, setClaimApiEnabled] = useState(false);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
 
-  // Initialize provider on mount
-  useEffect(() => {
-    const init = async () => {
-      try {
-        if (hasWallet()) {
-          await initProvider();
-          // Setup evaluation interface
-          await setupEvalInterface();
-        }
-      } catch (err) {
-        console.error('Failed to initialize provider:', err);
-      }
-    };
-    init();
-  }, []);
+  const tokenSymbol = primaryToken?.symbol || '';
 
-  // Fetch faucet constants
-  useEffect(() => {
-    const fetchConstants = async () => {
-      try {
-        const constants = await getFaucetConstants();
-        setFaucetConstants(constants);
-      } catch (err) {
-        console.error('Failed to fetch faucet constants:', err);
-      }
-    };
-    fetchConstants();
-  }, []);
-
-  // Update displayed data
-  const updateData = useCallback(async () => {
-    if (!connected || !address) return;
+  // Bind to the wallet's network (or the default one) and follow new blocks and wallet events
+  useEffect(() => startFaucetStore(), []);
 
-    setRefreshing(true);
+  // Handle wallet connection, to the wallet picked in the wallet picker
+  const handleConnect = async (walletId) => {
+    setShowWalletPicker(false);
+    setError('');
     try {
-      const [bal, canClaimVal, allowance, paused, lastClaim] = await Promise.all([
-        getBalance(address),
-        canClaim(address),
-        getRemainingAllowance(address),
-        getFaucetPaused(),
-        getLastClaimTime(address),
-      ]);
-
-      setBalance(bal);
-      setCanClaimNow(canClaimVal);
-      setRemainingAllowance(allowance);
-      setFaucetPaused(paused);
-      setLastClaimTime(lastClaim);
-      setError('');
+      await connect(walletId);
     } catch (err) {
-      console.error('Error updating data:', err);
       setError(err.message);
-    } finally {
-      setRefreshing(false);
     }
-  }, [connected, address]);
-
-  // Handle wallet connection
-  const handleConnect = async () => {
-    try {
-      setError('');
-      setNetworkError('');
-
-      if (!hasWallet()) {
-        setError('MetaMask or Web3 wallet not detected. Please install it.');
-        return;
-      }
-
-      // Check if connected to Sepolia
-      const isSepolia = await isConnectedToSepolia();
-      if (!isSepolia) {
-        try {
-          await switchToSepolia();
-        } catch (switchError) {
-          setNetworkError(
-            'Please manually switch to Sepolia network in your wallet.'
-          );
-        }
-      }
+  };
 
-      const addr = await connectWallet();
-      setAddress(addr);
-      setConnected(true);
-      
-      // Update data after connection
-      setTimeout(() => updateData(), 500);
-    } catch (err) {
-      setError(err.message);
-      setConnected(false);
-      setAddress(null);
+  // With several wallets installed the user picks one; a single wallet connects directly
+  const handleConnectClick = () => {
+    if (getWallets().length > 1) {
+      setShowWalletPicker(true);
+    } else {
+      handleConnect();
     }
   };
 
+  const closeWalletPicker = useCallback(() => setShowWalletPicker(false), []);
+
   // Handle wallet disconnection
   const handleDisconnect = () => {
-    disconnectWallet();
-    setConnected(false);
-    setAddress(null);
-    setBalance('0');
-    setCanClaimNow(false);
-    setRemainingAllowance('0');
+    disconnect();
     setError('');
     setSuccess('');
   };
 
+  // User-facing message for a failed claim of a token, chosen by error type
+  const describeClaimError = (err, token = primaryToken) => {
+    if (err instanceof CooldownActiveError) {
+      return `⏳ Please wait ${formatTimeRemaining(err.nextClaimAt)} before claiming again`;
+    } else if (err instanceof LifetimeLimitError) {
+      const limit = token ? `${formatClaimAmount(err.maxClaimAmount, token.decimals)} ${token.symbol}` : '';
+      return `⛔ You have reached your lifetime claim limit ${limit}`.trim();
+    } else if (err instanceof DenylistedError) {
+      return '⛔ This address has been blocked from claiming';
+    } else if (err instanceof NotAllowlistedError) {
+      return '🚫 This address is not on the faucet allowlist';
+    } else if (err instanceof SupplyExhaustedError) {
+      return '🪫 The faucet has run out of tokens - its maximum supply has been reached';
+    } else if (err instanceof FaucetPausedError) {
+      return '🔒 Faucet is currently paused';
+    } else if (err instanceof UserRejectedError) {
+      return '❌ Transaction rejected by user';
+    } else if (err instanceof TransactionReplacedError) {
+      return err.reason === 'cancelled'
+        ? '❌ The claim was cancelled in your wallet'
+        : '🔁 The claim was replaced by another transaction from your wallet';
+    } else if (err instanceof TransactionDroppedError) {
+      return '🕳️ The claim was dropped by the network before it was mined. Please try again';
+    } else if (err instanceof SignatureExpiredError) {
+      return '⌛ Your signed claim expired before it was relayed. Please try again';
+    } else if (err instanceof RelayerUnavailableError) {
+      return '⛽ Gasless claims are not available right now';
+    } else if (err instanceof ClaimApiUnavailableError) {
+      return '🚰 Server claims are not available right now';
+    } else if (err instanceof RateLimitedError) {
+      return `⏳ ${err.message}. Try again in ${formatDuration(err.retryAfter)}`;
+    }
+    return err.message;
+  };
+
   // Handle token request
-  const handleRequestTokens = async () => {
+  const handleRequestTokens = async ({ gasless = false } = {}) => {
     if (!address || !canClaimNow) return;
 
-    setLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const txHash = await requestTokens();
+      const txHash = await claim({ gasless });
       setSuccess(`✅ Tokens claimed! Transaction: ${txHash.slice(0, 10)}...`);
-      
-      // Wait a moment then update data
-      setTimeout(() => {
-        updateData();
-      }, 2000);
     } catch (err) {
-      // Parse error message
-      let errorMsg = err.message;
-      
-      if (errorMsg.includes('Must wait 24 hours')) {
-        errorMsg = '⏳ Please wait 24 hours before claiming again';
-      } else if (errorMsg.includes('Lifetime claim limit')) {
-        errorMsg = '⛔ You have reached your lifetime claim limit';
-      } else if (errorMsg.includes('paused')) {
-        errorMsg = '🔒 Faucet is currently paused';
-      } else if (errorMsg.includes('User denied')) {
-        errorMsg = '❌ Transaction rejected by user';
-      }
-
-      setError(errorMsg);
-    } finally {
-      setLoading(false);
+      setError(describeClaimError(err));
     }
   };
 
-  // Listen to faucet claims
+  // Offer gasless claims and server claims when the server has them configured
   useEffect(() => {
-    const unsubscribe = listenToFaucetClaims(() => {
-      updateData();
-    });
-
-    return unsubscribe;
-  }, [updateData]);
+    getRelayerStatus().then((status) => setRelayerEnabled(!!status.enabled));
+    getClaimApiStatus().then((status) => setClaimApiEnabled(status.enabled));
+  }, []);
 
   // Update claim timer
   useEffect(() => {
-    if (!lastClaimTime || lastClaimTime === '0' || !connected) {
+    if (!nextClaimAt || !connected) {
       setTimeUntilNextClaim(null);
       return;
     }
 
     const updateTimer = setInterval(() => {
-      const lastClaim = BigInt(lastClaimTime);
-      const cooldownTime = faucetConstants
-        ? BigInt(faucetConstants.cooldownTime)
-        : BigInt(86400);
-      
-      const nextClaimTime = Number(lastClaim) + Number(cooldownTime);
       const now = Math.floor(Date.now() / 1000);
-      const timeRemaining = nextClaimTime - now;
+      const timeRemaining = nextClaimAt - now;
 
       if (timeRemaining <= 0) {
         setTimeUntilNextClaim(null);
+        // Cooldown is over - reload the claim status once
+        clearInterval(updateTimer);
+        refreshAccount();
       } else {
         const hours = Math.floor(timeRemaining / 3600);
         const minutes = Math.floor((timeRemaining % 3600) / 60);
@@ -217,29 +198,45 @@ function App() {
     }, 1000);
 
     return () => clearInterval(updateTimer);
-  }, [lastClaimTime, faucetConstants, connected]);
-
-  // Format balance for display
-  const formatBalance = (balanceWei) => {
-    if (!balanceWei || balanceWei === '0') return '0.00';
-    const balanceBig = BigInt(balanceWei);
-    const divisor = BigInt(10 ** 16); // 2 decimal places
-    const whole = balanceBig / (BigInt(10) ** BigInt(18));
-    const decimal = (balanceBig % (BigInt(10) ** BigInt(18))) / divisor;
-    return `${whole}.${String(decimal).padStart(2, '0')}`;
+  }, [nextClaimAt, connected, refreshAccount]);
+
+  // Claims of the other faucet tokens, made from the token list
+  const handleTokenClaimed = (txHash, token) => {
+    setSuccess(`✅ ${token.symbol} claimed! Transaction: ${txHash.slice(0, 10)}...`);
+    recordClaim(txHash);
   };
 
+  // Whether the connected address's next claim includes the ETH drip, and if not, why
+  const describeEthDrip = () => {
+    if (ethDripStatus.qualifies) {
+      return { value: `⛽ +${formatEthAmount(ethDripStatus.amount)} ETH`, detail: 'Sent with your next claim' };
+    }
+    if (ethDripStatus.nextDripAt > Math.floor(Date.now() / 1000)) {
+      return { value: `⏳ ${formatTimeRemaining(ethDripStatus.nextDripAt)}`, detail: 'Until your next drip' };
+    }
+    return { value: '— Unavailable', detail: 'The drip budget or ETH reserve is used up' };
+  };
+
+  // Primary token amounts use the token's own decimals, read from the contract
+  const formatPrimaryBalance = (amount) =>
+    primaryToken ? formatBalance(amount, primaryToken.decimals) : '—';
+  const formatPrimaryAmount = (amount) =>
+    primaryToken ? formatClaimAmount(amount, primaryToken.decimals) : '';
+
   return (
     <div className="container">
       <div className="card">
         <div className="header">
           <h1>🪙 Token Faucet</h1>
-          <p className="subtitle">Claim free TEST tokens on Sepolia</p>
+          <p className="subtitle">
+            Claim free {tokenSymbol ? `${tokenSymbol} ` : ''}tokens on {network?.name || 'testnet'}
+          </p>
         </div>
 
         {!hasWallet() && (
           <div className="alert alert-warning">
-            ⚠️ Please install MetaMask or another Web3 wallet to use this app
+            ⚠️ No Web3 wallet detected - showing read-only faucet data. Install MetaMask or
+            another Web3 wallet to claim tokens.
           </div>
         )}
 
@@ -247,18 +244,45 @@ function App() {
           <div className="alert alert-warning">{networkError}</div>
         )}
 
-        {error && !loading && (
-          <div className="alert alert-error">{error}</div>
+        {(error || accountError) && !loading && (
+          <div className="alert alert-error">{error || accountError}</div>
         )}
 
         {success && (
           <div className="alert alert-success">{success}</div>
         )}
 
+        {lastClaimTx && providerReady && (
+          <ClaimReceipt
+            txHash={lastClaimTx}
+            chainId={chainId}
+            tokens={faucetTokens}
+            onClose={dismissReceipt}
+          />
+        )}
+
+        {connected && <TransactionTracker address={address} chainId={chainId} />}
+
+        <NetworkSwitcher
+          chainId={chainId}
+          walletChainId={connected ? walletChainId : null}
+          onSelect={selectNetwork}
+        />
+
+        {providerReady && (
+          <FaucetOverview
+            token={primaryToken}
+            faucetPaused={faucetPaused}
+            faucetConstants={faucetConstants}
+            supplyStatus={supplyStatus}
+            ethDrip={ethDrip}
+          />
+        )}
+
         <div className="connection-section">
           {!connected ? (
             <button
-              onClick={handleConnect}
+              onClick={handleConnectClick}
               disabled={loading || !hasWallet()}
               className="btn btn-primary"
             >
@@ -270,6 +294,7 @@ function App() {
                 <span className="label">Connected Address:</span>
                 <span className="value">{address?.slice(0, 6)}...{address?.slice(-4)}</span>
               </div>
+              <AddTokenButton key={primaryToken?.address} token={primaryToken} />
               <button
                 onClick={handleDisconnect}
                 className="btn btn-secondary"
@@ -280,18 +305,20 @@ function App() {
           )}
         </div>
 
-        {connected && address && (
+        {connected && address && !unsupportedNetwork && (
           <>
             <div className="stats-grid">
               <div className="stat-box">
                 <span className="stat-label">Token Balance</span>
-                <span className="stat-value">{formatBalance(balance)} TEST</span>
+                <span className="stat-value">
+                  {formatPrimaryBalance(balance)} {tokenSymbol}
+                </span>
               </div>
 
               <div className="stat-box">
                 <span className="stat-label">Remaining Allowance</span>
                 <span className="stat-value">
-                  {formatBalance(remainingAllowance)} TEST
+                  {formatPrimaryBalance(remainingAllowance)} {tokenSymbol}
                 </span>
               </div>
 
@@ -302,13 +329,42 @@ function App() {
                 </div>
               )}
 
-              {timeUntilNextClaim && !canClaimNow && (
+              {gating?.denylisted && (
+                <div className="stat-box alert-error">
+                  <span className="stat-label">Status</span>
+                  <span className="stat-value">⛔ Blocked</span>
+                </div>
+              )}
+
+              {gating && !gating.denylisted && !gating.allowlisted && (
+                <div className="stat-box alert-warning">
+                  <span className="stat-label">Status</span>
+                  <span className="stat-value">🚫 Not on Allowlist</span>
+                </div>
+              )}
+
+              {faucetExhausted && (
+                <div className="stat-box alert-error">
+                  <span className="stat-label">Status</span>
+                  <span className="stat-value">🪫 Faucet Exhausted</span>
+                </div>
+              )}
+
+              {timeUntilNextClaim && !canClaimNow && !faucetExhausted && (
                 <div className="stat-box">
                   <span className="stat-label">Next Claim In</span>
                   <span className="stat-value">{timeUntilNextClaim}</span>
                 </div>
               )}
 
+              {ethDrip?.enabled && ethDripStatus && (
+                <div className="stat-box">
+                  <span className="stat-label">Gas Drip</span>
+                  <span className="stat-value">{describeEthDrip().value}</span>
+                  <span className="stat-detail">{describeEthDrip().detail}</span>
+                </div>
+              )}
+
               {canClaimNow && (
                 <div className="stat-box alert-success">
                   <span className="stat-label">Status</span>
@@ -318,33 +374,102 @@ function App() {
             </div>
 
             <button
-              onClick={handleRequestTokens}
+              onClick={() => handleRequestTokens()}
               disabled={!canClaimNow || loading || faucetPaused}
               className="btn btn-primary btn-large"
             >
               {loading ? (
                 <>⏳ Processing...</>
               ) : canClaimNow && !faucetPaused ? (
-                <>✨ Claim 100 Tokens</>
+                <>
+                  ✨ Claim{' '}
+                  {faucetConstants ? formatPrimaryAmount(faucetConstants.faucetAmount) : ''}{' '}
+                  {tokenSymbol || 'Tokens'}
+                </>
               ) : faucetPaused ? (
                 <>🔒 Faucet Paused</>
+              ) : faucetExhausted ? (
+                <>🪫 Faucet Exhausted</>
+              ) : gating?.denylisted || (gating && !gating.allowlisted) ? (
+                <>🚫 Not Eligible</>
               ) : (
                 <>⏳ Claim Available Later</>
               )}
             </button>
 
+            {relayerEnabled && (
+              <button
+                onClick={() => handleRequestTokens({ gasless: true })}
+                disabled={!canClaimNow || loading || faucetPaused}
+                className="btn btn-secondary btn-large btn-gasless"
+              >
+                ⛽ Claim without gas
+              </button>
+            )}
+
+            {faucetConstants && primaryToken && (
+              <p className="faucet-terms">
+                {formatPrimaryAmount(faucetConstants.faucetAmount)} {tokenSymbol} per claim, once
+                every {formatDuration(faucetConstants.cooldownTime)}, up to{' '}
+                {formatPrimaryAmount(faucetConstants.maxClaimAmount)} {tokenSymbol} per address
+                {gating?.allowlistEnabled && ' (allowlisted addresses only)'}
+              </p>
+            )}
+
+            {faucetTokens.length > 1 && (
+              <TokenList
+                address={address}
+                tokens={faucetTokens}
+                allowlisted={!!gating?.allowlisted}
+                refreshKey={claimsVersion}
+                onClaimed={handleTokenClaimed}
+                describeError={describeClaimError}
+              />
+            )}
+
             {refreshing && (
               <div className="refreshing">
                 🔄 Updating data...
               </div>
             )}
+
+            <ClaimHistory
+              address={address}
+              chainId={chainId}
+              tokens={faucetTokens}
+              refreshKey={claimsVersion}
+            />
+
+            <AdminPanel
+              address={address}
+              token={primaryToken}
+              faucetPaused={faucetPaused}
+              faucetConstants={faucetConstants}
+              ethDrip={ethDrip}
+              onPauseChanged={() => Promise.all([refreshFaucet(), refreshAccount()])}
+              onConfigChanged={refreshFaucet}
+              onEthChanged={refreshFaucet}
+            />
           </>
         )}
 
+        {providerReady && <RecentClaims chainId={chainId} tokens={faucetTokens} refreshKey={claimsVersion} />}
+
+        {providerReady && <AddressLookup token={primaryToken} faucetConstants={faucetConstants} />}
+
+        {providerReady && claimApiEnabled && (
+          <ServerClaimForm
+            describeError={describeClaimError}
+            onClaimed={recordClaim}
+          />
+        )}
+
+        {showWalletPicker && <WalletPicker onSelect={handleConnect} onClose={closeWalletPicker} />}
+
         <div className="footer">
           <p>Built with React + Ethers.js</p>
           <p style={{ fontSize: '0.85em', marginTop: '0.5em' }}>
-            Network: Sepolia Testnet
+            Network: {network?.name || `Chain ${chainId}`}
           </p>
         </div>
       </div>
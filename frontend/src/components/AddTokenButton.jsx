@@ -0,0 +1,34 @@
+import { useState } from 'react';
+import { hasWallet, watchAsset } from '../utils/wallet';
+
+// Ask the wallet to track a faucet token, so claimed balances show up in the wallet
+function AddTokenButton({ token }) {
+  const [loading, setLoading] = useState(false);
+  const [added, setAdded] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!token || !hasWallet()) return null;
+
+  const handleAdd = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setAdded(await watchAsset(token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <button onClick={handleAdd} disabled={loading || added} className="btn btn-secondary">
+        {loading ? '⏳ Waiting for wallet...' : added ? `✅ ${token.symbol} added` : `🦊 Add ${token.symbol} to wallet`}
+      </button>
+      {error && <div className="alert alert-error">{error}</div>}
+    </>
+  );
+}
+
+export default AddTokenButton;
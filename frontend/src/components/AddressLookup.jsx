@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { CLAIM_STATUS, getAddressStatus } from '../utils/contracts';
+import { formatTimeRemaining, formatTokenAmount, isValidAddress } from '../utils/formatters';
+
+const STATUS_LABELS = {
+  [CLAIM_STATUS.ELIGIBLE]: '✅ Can claim',
+  [CLAIM_STATUS.PAUSED]: '🔒 Faucet paused',
+  [CLAIM_STATUS.DENYLISTED]: '⛔ Blocked',
+  [CLAIM_STATUS.COOLDOWN_ACTIVE]: '⏳ In cooldown',
+  [CLAIM_STATUS.LIFETIME_LIMIT_REACHED]: '⛔ Limit reached',
+  [CLAIM_STATUS.SUPPLY_EXHAUSTED]: '🪫 Faucet exhausted',
+};
+
+// Look up eligibility, balance and cooldown of any address for the primary token
+function AddressLookup({ token, faucetConstants }) {
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleLookup = async (event) => {
+    event.preventDefault();
+    const address = query.trim();
+
+    setError('');
+    setStatus(null);
+    if (!isValidAddress(address)) {
+      setError('Please enter a valid address (0x followed by 40 hex characters)');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await getAddressStatus(address);
+      setStatus({ address, ...result });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Amount with the token's symbol, two decimals at most
+  const formatAmount = (amount) => (token ? formatTokenAmount(amount, token, { maxDecimals: 2 }) : '—');
+
+  // Cooldown ends one cooldown period after the last claim
+  const cooldownEnd =
+    status && faucetConstants && status.lastClaimAt !== '0'
+      ? Number(status.lastClaimAt) + Number(faucetConstants.cooldownTime)
+      : null;
+
+  return (
+    <div className="address-lookup">
+      <span className="stat-label">Check an Address</span>
+      <form onSubmit={handleLookup}>
+        <input
+          type="text"
+          placeholder="0x..."
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <button type="submit" disabled={loading} className="btn btn-secondary">
+          {loading ? '⏳' : 'Check'}
+        </button>
+      </form>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {status && (
+        <div className="stats-grid">
+          <div className={`stat-box ${status.canClaim ? 'alert-success' : 'alert-warning'}`}>
+            <span className="stat-label">Eligibility</span>
+            <span className="stat-value">{STATUS_LABELS[status.status]}</span>
+          </div>
+
+          <div className="stat-box">
+            <span className="stat-label">Balance</span>
+            <span className="stat-value">{formatAmount(status.balance)}</span>
+          </div>
+
+          <div className="stat-box">
+            <span className="stat-label">Remaining Allowance</span>
+            <span className="stat-value">{formatAmount(status.remainingAllowance)}</span>
+          </div>
+
+          <div className="stat-box">
+            <span className="stat-label">Cooldown</span>
+            <span className="stat-value">
+              {cooldownEnd ? formatTimeRemaining(cooldownEnd) : 'Never claimed'}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddressLookup;
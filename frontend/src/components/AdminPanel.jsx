@@ -0,0 +1,533 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ZeroHash, formatEther, formatUnits, isHexString, parseEther, parseUnits } from 'ethers';
+import {
+  getRoles,
+  setPaused,
+  getPauseHistory,
+  getFaucetStats,
+  setFaucetAmount,
+  setCooldownTime,
+  setMaxClaimAmount,
+  getAllowlistRoot,
+  setAllowlistRoot,
+  setDenylisted,
+  setEthDrip,
+  fundFaucet,
+  withdrawEth,
+} from '../utils/contracts';
+import { getClaimStats } from '../utils/claimHistory';
+import {
+  formatAddress,
+  formatEthAmount,
+  formatTokenAmount,
+  calculatePercentage,
+  isValidAddress,
+} from '../utils/formatters';
+import RoleManager from './RoleManager';
+import { toAdminErrorMessage } from './adminErrors';
+
+const NO_ROLES = { isAdmin: false, isPauser: false, isConfigManager: false };
+
+// Admin console - only rendered when the connected address holds a faucet role.
+// Primary token amounts are entered and shown in whole tokens, using the token's decimals.
+function AdminPanel({
+  address,
+  token,
+  faucetPaused,
+  faucetConstants,
+  ethDrip,
+  onPauseChanged,
+  onConfigChanged,
+  onEthChanged,
+}) {
+  const [roles, setRoles] = useState(NO_ROLES);
+  const [stats, setStats] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [configForm, setConfigForm] = useState({
+    faucetAmount: '',
+    cooldownTime: '',
+    maxClaimAmount: '',
+  });
+  const [allowlistRoot, setAllowlistRootInput] = useState('');
+  const [denylistAddress, setDenylistAddress] = useState('');
+  const [dripForm, setDripForm] = useState({ amount: '', cooldownTime: '', budget: '' });
+  const [reserveAmount, setReserveAmount] = useState('');
+
+  // Prefill the parameter form with the values on chain
+  useEffect(() => {
+    if (!faucetConstants || !token) return;
+    setConfigForm({
+      faucetAmount: formatUnits(faucetConstants.faucetAmount, token.decimals),
+      cooldownTime: faucetConstants.cooldownTime,
+      maxClaimAmount: formatUnits(faucetConstants.maxClaimAmount, token.decimals),
+    });
+  }, [faucetConstants, token]);
+
+  // Prefill the drip form with the values on chain
+  useEffect(() => {
+    if (!ethDrip) return;
+    setDripForm({
+      amount: formatEther(ethDrip.amount),
+      cooldownTime: ethDrip.cooldownTime,
+      budget: formatEther(ethDrip.budget),
+    });
+  }, [ethDrip]);
+
+  // Look up the faucet roles held by the connected address
+  const checkRoles = useCallback(async () => {
+    if (!address) {
+      setRoles(NO_ROLES);
+      return;
+    }
+    try {
+      setRoles(await getRoles(address));
+    } catch (err) {
+      console.error('Failed to check roles:', err);
+      setRoles(NO_ROLES);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    checkRoles();
+  }, [checkRoles]);
+
+  const hasAnyRole = roles.isAdmin || roles.isPauser || roles.isConfigManager;
+
+  // Load faucet stats and pause history
+  const loadAdminData = useCallback(async () => {
+    try {
+      const [supplyStats, claimStats, pauseHistory] = await Promise.all([
+        getFaucetStats(),
+        getClaimStats(),
+        getPauseHistory(),
+      ]);
+      setStats({ ...supplyStats, ...claimStats });
+      setHistory(pauseHistory);
+    } catch (err) {
+      console.error('Failed to load admin data:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (hasAnyRole) loadAdminData();
+  }, [hasAnyRole, faucetPaused, loadAdminData]);
+
+  // Prefill the allowlist root for config managers
+  useEffect(() => {
+    if (!roles.isConfigManager) return;
+    getAllowlistRoot()
+      .then((root) => setAllowlistRootInput(root === ZeroHash ? '' : root))
+      .catch((err) => console.error('Failed to load allowlist root:', err));
+  }, [roles.isConfigManager]);
+
+  // Toggle pause state after confirmation
+  const handleTogglePause = async () => {
+    const nextPaused = !faucetPaused;
+    const confirmed = window.confirm(
+      nextPaused
+        ? 'Pause the faucet? No one will be able to claim until it is unpaused.'
+        : 'Unpause the faucet? Claims will be accepted again.'
+    );
+    if (!confirmed) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      await setPaused(nextPaused);
+      await onPauseChanged?.();
+      await loadAdminData();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'change the pause state'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Submit changed faucet parameters
+  const handleUpdateConfig = async (event) => {
+    event.preventDefault();
+    if (!faucetConstants || !token) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      const amount = parseUnits(configForm.faucetAmount, token.decimals);
+      const cooldown = BigInt(configForm.cooldownTime);
+      const maxClaim = parseUnits(configForm.maxClaimAmount, token.decimals);
+      const currentMaxClaim = BigInt(faucetConstants.maxClaimAmount);
+
+      const updateAmount = async () => {
+        if (amount !== BigInt(faucetConstants.faucetAmount)) await setFaucetAmount(amount);
+      };
+      const updateMaxClaim = async () => {
+        if (maxClaim !== currentMaxClaim) await setMaxClaimAmount(maxClaim);
+      };
+
+      // Raise the limit before the amount (and lower it after) so each step stays valid
+      if (maxClaim > currentMaxClaim) {
+        await updateMaxClaim();
+        await updateAmount();
+      } else {
+        await updateAmount();
+        await updateMaxClaim();
+      }
+      if (cooldown !== BigInt(faucetConstants.cooldownTime)) await setCooldownTime(cooldown);
+
+      await onConfigChanged?.();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'change faucet parameters'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Publish a new allowlist root; an empty root disables gating
+  const handleUpdateAllowlist = async (event) => {
+    event.preventDefault();
+    const root = allowlistRoot.trim() || ZeroHash;
+    if (!isHexString(root, 32)) {
+      setError('Allowlist root must be a 32-byte hex value');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      await setAllowlistRoot(root);
+      await onConfigChanged?.();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'change claim gating'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Block or unblock an address
+  const handleDenylist = (denied) => async () => {
+    if (!isValidAddress(denylistAddress)) {
+      setError('Enter a valid address to update the denylist');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      await setDenylisted([denylistAddress], denied);
+      setDenylistAddress('');
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'change claim gating'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Submit new drip settings; an amount of 0 disables the drip
+  const handleUpdateDrip = async (event) => {
+    event.preventDefault();
+
+    setLoading(true);
+    setError('');
+    try {
+      await setEthDrip(
+        parseEther(dripForm.amount),
+        BigInt(dripForm.cooldownTime),
+        parseEther(dripForm.budget)
+      );
+      await onEthChanged?.();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'change the ETH drip'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Move ETH into the reserve from the connected wallet, or out of it to the connected wallet
+  const handleReserve = (deposit) => async () => {
+    let amount;
+    try {
+      amount = parseEther(reserveAmount);
+    } catch {
+      setError('Enter an ETH amount');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      if (deposit) {
+        await fundFaucet(amount);
+      } else {
+        await withdrawEth(address, amount);
+      }
+      setReserveAmount('');
+      await onEthChanged?.();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, deposit ? 'fund the faucet' : 'withdraw ETH'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDripInput = (field) => (event) => {
+    setDripForm((form) => ({ ...form, [field]: event.target.value }));
+  };
+
+  const handleConfigInput = (field) => (event) => {
+    setConfigForm((form) => ({ ...form, [field]: event.target.value }));
+  };
+
+  const mintedPercentage = stats ? calculatePercentage(stats.totalMinted, stats.maxSupply) : 0;
+
+  // The role manager also handles accepting a pending admin transfer, so it renders for everyone
+  const roleManager = (
+    <RoleManager
+      address={address}
+      isAdmin={roles.isAdmin}
+      onRolesChanged={checkRoles}
+    />
+  );
+
+  if (!hasAnyRole) return roleManager;
+
+  return (
+    <div className="admin-panel">
+      <h2>🛠️ Admin Console</h2>
+      <p className="stat-detail">
+        Your roles:{' '}
+        {[
+          roles.isAdmin && 'Default Admin',
+          roles.isPauser && 'Pauser',
+          roles.isConfigManager && 'Config Manager',
+        ]
+          .filter(Boolean)
+          .join(', ')}
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {stats && token && (
+        <div className="stats-grid">
+          <div className="stat-box">
+            <span className="stat-label">Total Minted</span>
+            <span className="stat-value">
+              {formatTokenAmount(stats.totalMinted, token, { maxDecimals: 2 })} /{' '}
+              {formatTokenAmount(stats.maxSupply, token, { maxDecimals: 0 })}
+            </span>
+            <div className="progress-bar">
+              <div className="progress-fill" style={{ width: `${mintedPercentage}%` }} />
+            </div>
+          </div>
+
+          <div className="stat-box">
+            <span className="stat-label">Unique Claimers</span>
+            <span className="stat-value">{stats.uniqueClaimers}</span>
+            <span className="stat-detail">{stats.totalClaims} claims total</span>
+          </div>
+        </div>
+      )}
+
+      {roles.isPauser && (
+        <button
+          onClick={handleTogglePause}
+          disabled={loading}
+          className={`btn btn-large ${faucetPaused ? 'btn-primary' : 'btn-secondary'}`}
+        >
+          {loading ? '⏳ Processing...' : faucetPaused ? '▶️ Unpause Faucet' : '⏸️ Pause Faucet'}
+        </button>
+      )}
+
+      {roles.isConfigManager && (
+        <form className="config-form" onSubmit={handleUpdateConfig}>
+          <span className="stat-label">Faucet Parameters</span>
+          <label>
+            {token?.symbol || 'Tokens'} per claim
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={configForm.faucetAmount}
+              onChange={handleConfigInput('faucetAmount')}
+              required
+            />
+          </label>
+          <label>
+            Cooldown (seconds)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={configForm.cooldownTime}
+              onChange={handleConfigInput('cooldownTime')}
+              required
+            />
+          </label>
+          <label>
+            Lifetime limit ({token?.symbol || 'tokens'})
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={configForm.maxClaimAmount}
+              onChange={handleConfigInput('maxClaimAmount')}
+              required
+            />
+          </label>
+          <button type="submit" disabled={loading || !faucetConstants || !token} className="btn btn-primary">
+            {loading ? '⏳ Processing...' : 'Update Parameters'}
+          </button>
+        </form>
+      )}
+
+      {roles.isConfigManager && (
+        <form className="config-form" onSubmit={handleUpdateAllowlist}>
+          <span className="stat-label">Claim Gating</span>
+          <label>
+            Allowlist root
+            <input
+              type="text"
+              placeholder="Empty = no allowlist"
+              value={allowlistRoot}
+              onChange={(event) => setAllowlistRootInput(event.target.value)}
+            />
+          </label>
+          <button type="submit" disabled={loading} className="btn btn-primary">
+            {loading ? '⏳ Processing...' : 'Update Allowlist Root'}
+          </button>
+          <label>
+            Denylist address
+            <input
+              type="text"
+              placeholder="0x..."
+              value={denylistAddress}
+              onChange={(event) => setDenylistAddress(event.target.value)}
+            />
+          </label>
+          <div className="button-row">
+            <button
+              type="button"
+              onClick={handleDenylist(true)}
+              disabled={loading}
+              className="btn btn-secondary"
+            >
+              Block Address
+            </button>
+            <button
+              type="button"
+              onClick={handleDenylist(false)}
+              disabled={loading}
+              className="btn btn-secondary"
+            >
+              Unblock Address
+            </button>
+          </div>
+        </form>
+      )}
+
+      {roles.isConfigManager && (
+        <form className="config-form" onSubmit={handleUpdateDrip}>
+          <span className="stat-label">ETH Gas Drip</span>
+          <label>
+            ETH per claim
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={dripForm.amount}
+              onChange={handleDripInput('amount')}
+              required
+            />
+          </label>
+          <label>
+            Drip cooldown (seconds)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={dripForm.cooldownTime}
+              onChange={handleDripInput('cooldownTime')}
+              required
+            />
+          </label>
+          <label>
+            Budget (ETH)
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={dripForm.budget}
+              onChange={handleDripInput('budget')}
+              required
+            />
+          </label>
+          <button type="submit" disabled={loading || !ethDrip} className="btn btn-primary">
+            {loading ? '⏳ Processing...' : 'Update Drip'}
+          </button>
+        </form>
+      )}
+
+      {roles.isAdmin && (
+        <div className="config-form">
+          <span className="stat-label">ETH Reserve</span>
+          <p className="stat-detail">
+            {ethDrip
+              ? `${formatEthAmount(ethDrip.reserve)} ETH held, ` +
+                `${formatEthAmount(ethDrip.totalDripped)} ETH dripped so far`
+              : '—'}
+          </p>
+          <label>
+            Amount (ETH)
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={reserveAmount}
+              onChange={(event) => setReserveAmount(event.target.value)}
+            />
+          </label>
+          <div className="button-row">
+            <button
+              type="button"
+              onClick={handleReserve(true)}
+              disabled={loading}
+              className="btn btn-secondary"
+            >
+              Fund Faucet
+            </button>
+            <button
+              type="button"
+              onClick={handleReserve(false)}
+              disabled={loading}
+              className="btn btn-secondary"
+            >
+              Withdraw to My Wallet
+            </button>
+          </div>
+        </div>
+      )}
+
+      {roleManager}
+
+      <div className="pause-history">
+        <span className="stat-label">Pause History</span>
+        {history.length === 0 ? (
+          <p className="empty-state">No pause events yet</p>
+        ) : (
+          <ul>
+            {history.map((entry) => (
+              <li key={`${entry.blockNumber}-${entry.logIndex}`}>
+                <span>{entry.isPaused ? '🔒 Paused' : '🔓 Unpaused'}</span>
+                <span>{new Date(Number(entry.timestamp) * 1000).toLocaleString()}</span>
+                <span className="tx-hash">{formatAddress(entry.transactionHash)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminPanel;
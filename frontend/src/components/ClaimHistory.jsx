@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { getClaimHistory } from '../utils/claimHistory';
+import ClaimTable from './ClaimTable';
+
+const PAGE_SIZE = 5;
+
+// Paginated claim history of the connected address
+function ClaimHistory({ address, chainId, tokens, refreshKey }) {
+  const [page, setPage] = useState(1);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  // Start from the first page when the account or network changes
+  useEffect(() => {
+    setPage(1);
+  }, [address, chainId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        const result = await getClaimHistory(address, { page, pageSize: PAGE_SIZE });
+        if (!cancelled) {
+          setHistory(result);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    loadHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [address, chainId, page, refreshKey]);
+
+  return (
+    <div className="claim-history">
+      <span className="stat-label">Your Claim History</span>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {!history ? (
+        <p className="empty-state">Loading claims...</p>
+      ) : (
+        <>
+          <ClaimTable claims={history.claims} chainId={chainId} tokens={tokens} />
+          {history.pageCount > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn btn-secondary"
+              >
+                ← Newer
+              </button>
+              <span>
+                Page {history.page} of {history.pageCount}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= history.pageCount}
+                className="btn btn-secondary"
+              >
+                Older →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ClaimHistory;
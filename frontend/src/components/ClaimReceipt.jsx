@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { getExplorerTxUrl } from '../config/networks';
+import { getClaimReceipt } from '../utils/contracts';
+import { formatAddress, formatAmount, formatEthAmount, formatTokenAmount } from '../utils/formatters';
+import AddTokenButton from './AddTokenButton';
+
+// Receipt of the last claim: block, gas, the decoded TokensClaimed events and an explorer link
+function ClaimReceipt({ txHash, chainId, tokens = [], onClose }) {
+  const [receipt, setReceipt] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setReceipt(null);
+    setError('');
+
+    getClaimReceipt(txHash)
+      .then((result) => !cancelled && setReceipt(result))
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [txHash]);
+
+  const tokensByAddress = Object.fromEntries(
+    tokens.map((token) => [token.address.toLowerCase(), token])
+  );
+  const explorerUrl = getExplorerTxUrl(chainId, txHash);
+
+  return (
+    <div className="claim-receipt">
+      <div className="claim-receipt-header">
+        <span className="stat-label">Claim Receipt</span>
+        <button onClick={onClose} className="btn btn-secondary" aria-label="Close receipt">
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {!receipt && !error && <p className="empty-state">Loading receipt...</p>}
+
+      {receipt && (
+        <>
+          <div className="stats-grid">
+            <div className="stat-box">
+              <span className="stat-label">Block</span>
+              <span className="stat-value">#{receipt.blockNumber}</span>
+            </div>
+
+            <div className="stat-box">
+              <span className="stat-label">Gas Used</span>
+              <span className="stat-value">{formatAmount(receipt.gasUsed, 0)}</span>
+              <span className="stat-detail">{formatEthAmount(receipt.fee)} ETH fee</span>
+            </div>
+
+            {receipt.claims.map((claim, index) => {
+              const token = tokensByAddress[claim.token];
+              return (
+                <div key={index} className="stat-box alert-success">
+                  <span className="stat-label">TokensClaimed</span>
+                  <span className="stat-value">
+                    {token ? formatTokenAmount(claim.amount, token) : claim.amount}
+                  </span>
+                  <span className="stat-detail">
+                    To {formatAddress(claim.user)} at{' '}
+                    {new Date(claim.timestamp * 1000).toLocaleString()}
+                  </span>
+                </div>
+              );
+            })}
+
+            {receipt.ethDripped && (
+              <div className="stat-box">
+                <span className="stat-label">Gas Drip</span>
+                <span className="stat-value">⛽ +{formatEthAmount(receipt.ethDripped)} ETH</span>
+              </div>
+            )}
+          </div>
+
+          <p className="tx-hash">
+            {explorerUrl ? (
+              <a href={explorerUrl} target="_blank" rel="noopener noreferrer">
+                View {formatAddress(receipt.transactionHash)} on the block explorer ↗
+              </a>
+            ) : (
+              receipt.transactionHash
+            )}
+          </p>
+
+          <div className="button-row">
+            {receipt.claims
+              .map((claim) => tokensByAddress[claim.token])
+              .filter((token, index, list) => token && list.indexOf(token) === index)
+              .map((token) => (
+                <AddTokenButton key={token.address} token={token} />
+              ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ClaimReceipt;
@@ -0,0 +1,50 @@
+import { getExplorerTxUrl } from '../config/networks';
+import { formatAddress, formatBalance } from '../utils/formatters';
+
+// Table of TokensClaimed records with explorer links; amounts use the claimed token's decimals
+function ClaimTable({ claims, chainId, tokens = [], showUser = false }) {
+  if (claims.length === 0) {
+    return <p className="empty-state">No claims yet</p>;
+  }
+
+  const tokensByAddress = Object.fromEntries(
+    tokens.map((token) => [token.address.toLowerCase(), token])
+  );
+
+  return (
+    <table className="claim-table">
+      <thead>
+        <tr>
+          {showUser && <th>Address</th>}
+          <th>Amount</th>
+          <th>Time</th>
+          <th>Transaction</th>
+        </tr>
+      </thead>
+      <tbody>
+        {claims.map((claim) => {
+          const explorerUrl = getExplorerTxUrl(chainId, claim.transactionHash);
+          const token = tokensByAddress[claim.token];
+          return (
+            <tr key={claim.id}>
+              {showUser && <td className="tx-hash">{formatAddress(claim.user)}</td>}
+              <td>{token ? `${formatBalance(claim.amount, token.decimals)} ${token.symbol}` : '—'}</td>
+              <td>{new Date(Number(claim.timestamp) * 1000).toLocaleString()}</td>
+              <td className="tx-hash">
+                {explorerUrl ? (
+                  <a href={explorerUrl} target="_blank" rel="noopener noreferrer">
+                    {formatAddress(claim.transactionHash)} ↗
+                  </a>
+                ) : (
+                  formatAddress(claim.transactionHash)
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default ClaimTable;
@@ -0,0 +1,96 @@
+import {
+  calculatePercentage,
+  formatDuration,
+  formatEthAmount,
+  formatTokenAmount,
+} from '../utils/formatters';
+
+// Global faucet status - readable without a connected wallet; amounts use the primary token's metadata
+function FaucetOverview({ token, faucetPaused, faucetConstants, supplyStatus, ethDrip }) {
+  const exhausted = !!supplyStatus?.exhausted;
+  const mintedPercentage = supplyStatus
+    ? calculatePercentage(supplyStatus.totalSupply, supplyStatus.maxSupply)
+    : 0;
+
+  // Amount with the token's symbol, or a dash until the token metadata is loaded
+  const formatAmount = (amount, options) => (token ? formatTokenAmount(amount, token, options) : '—');
+
+  let statusClass = 'alert-success';
+  let statusLabel = '✅ Active';
+  if (faucetPaused) {
+    statusClass = 'alert-warning';
+    statusLabel = '🔒 PAUSED';
+  } else if (exhausted) {
+    statusClass = 'alert-error';
+    statusLabel = '🪫 EXHAUSTED';
+  }
+
+  return (
+    <div className="faucet-overview">
+      {exhausted && (
+        <div className="alert alert-error">
+          🪫 The faucet has distributed its entire supply - no more tokens can be claimed.
+        </div>
+      )}
+
+      <div className="stats-grid">
+        <div className={`stat-box ${statusClass}`}>
+          <span className="stat-label">Faucet Status</span>
+          <span className="stat-value">{statusLabel}</span>
+        </div>
+
+        <div className="stat-box">
+          <span className="stat-label">Remaining Supply</span>
+          <span className="stat-value">
+            {supplyStatus ? formatAmount(supplyStatus.remainingSupply, { maxDecimals: 2 }) : '—'}
+          </span>
+          {supplyStatus && (
+            <>
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${mintedPercentage}%` }} />
+              </div>
+              <span className="stat-detail">
+                {mintedPercentage}% of {formatAmount(supplyStatus.maxSupply, { maxDecimals: 0 })} distributed
+              </span>
+            </>
+          )}
+        </div>
+
+        {faucetConstants && (
+          <>
+            <div className="stat-box">
+              <span className="stat-label">Per Claim</span>
+              <span className="stat-value">{formatAmount(faucetConstants.faucetAmount)}</span>
+            </div>
+
+            <div className="stat-box">
+              <span className="stat-label">Cooldown</span>
+              <span className="stat-value">{formatDuration(faucetConstants.cooldownTime)}</span>
+            </div>
+
+            <div className="stat-box">
+              <span className="stat-label">Lifetime Limit</span>
+              <span className="stat-value">{formatAmount(faucetConstants.maxClaimAmount)}</span>
+            </div>
+          </>
+        )}
+
+        {ethDrip && (
+          <div className="stat-box">
+            <span className="stat-label">ETH Reserve</span>
+            <span className="stat-value">{formatEthAmount(ethDrip.reserve)} ETH</span>
+            <span className="stat-detail">
+              {ethDrip.enabled
+                ? `${formatEthAmount(ethDrip.amount)} ETH gas drip per claim, once every ${formatDuration(
+                    ethDrip.cooldownTime
+                  )} (${formatEthAmount(ethDrip.budget)} ETH budget left)`
+                : 'Gas drip disabled'}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FaucetOverview;
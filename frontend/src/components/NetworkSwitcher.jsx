@@ -0,0 +1,34 @@
+import { getNetwork, getSupportedNetworks } from '../config/networks';
+
+// Network selector, plus a warning when the wallet is on a chain without the faucet
+function NetworkSwitcher({ chainId, walletChainId, onSelect }) {
+  const networks = getSupportedNetworks();
+  const unsupported = walletChainId !== null && !networks.some((n) => n.chainId === walletChainId);
+
+  return (
+    <div className="network-switcher">
+      {unsupported && (
+        <div className="alert alert-warning">
+          🌐 Your wallet is connected to an unsupported network (
+          {getNetwork(walletChainId)?.name || `chain ID ${walletChainId}`}). Switch to one of the
+          networks below to claim tokens.
+        </div>
+      )}
+
+      {networks.length > 0 && (
+        <label>
+          <span className="stat-label">Network</span>
+          <select value={chainId} onChange={(event) => onSelect(Number(event.target.value))}>
+            {networks.map((network) => (
+              <option key={network.chainId} value={network.chainId}>
+                {network.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default NetworkSwitcher;
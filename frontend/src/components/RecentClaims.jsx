@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { getRecentClaims } from '../utils/claimHistory';
+import ClaimTable from './ClaimTable';
+
+const FEED_SIZE = 10;
+
+// Global feed of the latest claims from any address
+function RecentClaims({ chainId, tokens, refreshKey }) {
+  const [claims, setClaims] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadClaims = async () => {
+      try {
+        const recent = await getRecentClaims(FEED_SIZE);
+        if (!cancelled) {
+          setClaims(recent);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    loadClaims();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId, refreshKey]);
+
+  return (
+    <div className="claim-history">
+      <span className="stat-label">Recent Claims</span>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {!claims ? (
+        <p className="empty-state">Loading claims...</p>
+      ) : (
+        <ClaimTable claims={claims} chainId={chainId} tokens={tokens} showUser />
+      )}
+    </div>
+  );
+}
+
+export default RecentClaims;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getAdmin,
+  getRoleHolders,
+  grantRole,
+  revokeRole,
+  beginAdminTransfer,
+  cancelAdminTransfer,
+  acceptAdminTransfer,
+} from '../utils/contracts';
+import { formatAddress, isValidAddress } from '../utils/formatters';
+import { toAdminErrorMessage } from './adminErrors';
+
+const ROLE_LABELS = {
+  PAUSER_ROLE: 'Pausers',
+  CONFIG_MANAGER_ROLE: 'Config Managers',
+  DISTRIBUTOR_ROLE: 'Distributors',
+};
+
+// Role holders and two-step admin transfer - shown to the default admin, and to a
+// pending admin so they can accept the transfer
+function RoleManager({ address, isAdmin, onRolesChanged }) {
+  const [adminInfo, setAdminInfo] = useState(null);
+  const [holders, setHolders] = useState(null);
+  const [grantForm, setGrantForm] = useState({ role: 'PAUSER_ROLE', account: '' });
+  const [newAdmin, setNewAdmin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the current/pending admin, plus role holders when the connected address is admin
+  const loadRoleData = useCallback(async () => {
+    try {
+      const info = await getAdmin();
+      setAdminInfo(info);
+      if (isAdmin) setHolders(await getRoleHolders());
+    } catch (err) {
+      console.error('Failed to load role data:', err);
+      setError(err.message);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    if (address) loadRoleData();
+  }, [address, loadRoleData]);
+
+  // Run a role transaction, then refresh role data
+  const runRoleAction = async (action) => {
+    setLoading(true);
+    setError('');
+    try {
+      await action();
+      await loadRoleData();
+      await onRolesChanged?.();
+    } catch (err) {
+      setError(toAdminErrorMessage(err, 'manage roles'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGrant = (event) => {
+    event.preventDefault();
+    if (!isValidAddress(grantForm.account)) {
+      setError('Enter a valid address to grant the role to');
+      return;
+    }
+    runRoleAction(async () => {
+      await grantRole(grantForm.role, grantForm.account);
+      setGrantForm((form) => ({ ...form, account: '' }));
+    });
+  };
+
+  const handleRevoke = (role, account) => {
+    const confirmed = window.confirm(`Revoke ${ROLE_LABELS[role]} role from ${account}?`);
+    if (confirmed) runRoleAction(() => revokeRole(role, account));
+  };
+
+  const handleBeginTransfer = (event) => {
+    event.preventDefault();
+    if (!isValidAddress(newAdmin)) {
+      setError('Enter a valid address for the new admin');
+      return;
+    }
+    const confirmed = window.confirm(
+      `Offer the default admin role to ${newAdmin}? You keep it until they accept.`
+    );
+    if (!confirmed) return;
+    runRoleAction(async () => {
+      await beginAdminTransfer(newAdmin);
+      setNewAdmin('');
+    });
+  };
+
+  const isPendingAdmin =
+    !!address && adminInfo?.pendingAdmin?.toLowerCase() === address.toLowerCase();
+
+  if (!isAdmin && !isPendingAdmin) return null;
+
+  // A pending admin without other roles only sees the accept prompt
+  if (!isAdmin) {
+    return (
+      <div className="admin-panel role-manager">
+        <h2>👑 Pending Admin Transfer</h2>
+        {error && <div className="alert alert-error">{error}</div>}
+        <p>
+          {formatAddress(adminInfo.admin)} has offered you the faucet default admin role.
+        </p>
+        <button
+          onClick={() => runRoleAction(acceptAdminTransfer)}
+          disabled={loading}
+          className="btn btn-primary"
+        >
+          {loading ? '⏳ Processing...' : 'Accept Admin Role'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="role-manager">
+      <span className="stat-label">Roles</span>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {holders &&
+        Object.entries(ROLE_LABELS).map(([role, label]) => (
+          <div key={role} className="role-holders">
+            <span className="stat-detail">{label}</span>
+            {holders[role].length === 0 ? (
+              <p className="empty-state">No holders</p>
+            ) : (
+              <ul>
+                {holders[role].map((account) => (
+                  <li key={account}>
+                    <span className="tx-hash">{formatAddress(account)}</span>
+                    <button
+                      onClick={() => handleRevoke(role, account)}
+                      disabled={loading}
+                      className="btn btn-secondary"
+                    >
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+
+      <form className="config-form" onSubmit={handleGrant}>
+        <label>
+          Role
+          <select
+            value={grantForm.role}
+            onChange={(event) => setGrantForm((form) => ({ ...form, role: event.target.value }))}
+          >
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <option key={role} value={role}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Account
+          <input
+            type="text"
+            placeholder="0x..."
+            value={grantForm.account}
+            onChange={(event) => setGrantForm((form) => ({ ...form, account: event.target.value }))}
+            required
+          />
+        </label>
+        <button type="submit" disabled={loading} className="btn btn-primary">
+          {loading ? '⏳ Processing...' : 'Grant Role'}
+        </button>
+      </form>
+
+      <form className="config-form" onSubmit={handleBeginTransfer}>
+        <span className="stat-label">Default Admin</span>
+        {adminInfo?.pendingAdmin ? (
+          <>
+            <p className="stat-detail">
+              Transfer to {formatAddress(adminInfo.pendingAdmin)} is waiting for acceptance
+            </p>
+            <button
+              type="button"
+              onClick={() => runRoleAction(cancelAdminTransfer)}
+              disabled={loading}
+              className="btn btn-secondary"
+            >
+              Cancel Transfer
+            </button>
+          </>
+        ) : (
+          <>
+            <label>
+              New admin
+              <input
+                type="text"
+                placeholder="0x..."
+                value={newAdmin}
+                onChange={(event) => setNewAdmin(event.target.value)}
+                required
+              />
+            </label>
+            <button type="submit" disabled={loading} className="btn btn-primary">
+              {loading ? '⏳ Processing...' : 'Start Admin Transfer'}
+            </button>
+          </>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default RoleManager;
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { requestTokensForAddress } from '../utils/contracts';
+import { isValidAddress } from '../utils/formatters';
+
+// Request tokens for any address without a wallet; the server claims on its behalf
+function ServerClaimForm({ onClaimed, describeError }) {
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const address = query.trim();
+
+    setError('');
+    setSuccess('');
+    if (!isValidAddress(address)) {
+      setError('Please enter a valid address (0x followed by 40 hex characters)');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const txHash = await requestTokensForAddress(address);
+      setSuccess(`✅ Tokens sent! Transaction: ${txHash.slice(0, 10)}...`);
+      setQuery('');
+      onClaimed?.(txHash);
+    } catch (err) {
+      setError(describeError ? describeError(err) : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="address-lookup">
+      <span className="stat-label">Send Tokens to an Address</span>
+      <form onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="0x..."
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <button type="submit" disabled={loading} className="btn btn-secondary">
+          {loading ? '⏳' : 'Request'}
+        </button>
+      </form>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+    </div>
+  );
+}
+
+export default ServerClaimForm;
@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CLAIM_STATUS, claimToken, getTokenBalance, getTokenClaimStatus } from '../utils/contracts';
+import {
+  formatBalance,
+  formatClaimAmount,
+  formatDuration,
+  formatTimeRemaining,
+} from '../utils/formatters';
+
+const STATUS_LABELS = {
+  [CLAIM_STATUS.PAUSED]: '🔒 Paused',
+  [CLAIM_STATUS.DENYLISTED]: '⛔ Blocked',
+  [CLAIM_STATUS.LIFETIME_LIMIT_REACHED]: '⛔ Limit Reached',
+  [CLAIM_STATUS.SUPPLY_EXHAUSTED]: '🪫 Exhausted',
+};
+
+// Every token the faucet serves, with the connected address's balance and a claim button per token
+function TokenList({ address, tokens, allowlisted, refreshKey, onClaimed, describeError }) {
+  const [entries, setEntries] = useState({});
+  const [claiming, setClaiming] = useState(null);
+  const [error, setError] = useState('');
+
+  // Load balance and claim status of every token
+  const loadEntries = useCallback(async () => {
+    try {
+      const loaded = await Promise.all(
+        tokens.map(async (token) => {
+          const [balance, claimStatus] = await Promise.all([
+            getTokenBalance(token.address, address),
+            getTokenClaimStatus(token.address, address),
+          ]);
+          return [token.address, { balance, ...claimStatus }];
+        })
+      );
+      setEntries(Object.fromEntries(loaded));
+      setError('');
+    } catch (err) {
+      console.error('Failed to load token balances:', err);
+      setError(err.message);
+    }
+  }, [address, tokens]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries, refreshKey]);
+
+  const handleClaim = async (token) => {
+    setClaiming(token.address);
+    setError('');
+    try {
+      const txHash = await claimToken(token.address);
+      await loadEntries();
+      onClaimed?.(txHash, token);
+    } catch (err) {
+      setError(describeError ? describeError(err, token) : err.message);
+    } finally {
+      setClaiming(null);
+    }
+  };
+
+  // Label for a token's claim button, from its claim status
+  const claimLabel = (token, entry) => {
+    if (claiming === token.address) return '⏳ Processing...';
+    if (!entry) return '...';
+    if (entry.status === CLAIM_STATUS.COOLDOWN_ACTIVE) {
+      return `⏳ ${formatTimeRemaining(entry.nextClaimAt)}`;
+    }
+    if (entry.status !== CLAIM_STATUS.ELIGIBLE) return STATUS_LABELS[entry.status];
+    if (!allowlisted) return '🚫 Not Eligible';
+    return `✨ Claim ${formatClaimAmount(token.faucetAmount, token.decimals)}`;
+  };
+
+  return (
+    <div className="token-list">
+      <span className="stat-label">Faucet Tokens</span>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <table className="claim-table">
+        <thead>
+          <tr>
+            <th>Token</th>
+            <th>Balance</th>
+            <th>Terms</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {tokens.map((token) => {
+            const entry = entries[token.address];
+            const eligible = entry?.status === CLAIM_STATUS.ELIGIBLE && allowlisted;
+            return (
+              <tr key={token.address}>
+                <td>
+                  <strong>{token.symbol}</strong>
+                  <span className="stat-detail"> {token.name}</span>
+                </td>
+                <td>{entry ? formatBalance(entry.balance, token.decimals) : '—'}</td>
+                <td className="stat-detail">
+                  {formatClaimAmount(token.faucetAmount, token.decimals)} every{' '}
+                  {formatDuration(token.cooldownTime)}, up to{' '}
+                  {formatClaimAmount(token.maxClaimAmount, token.decimals)}
+                </td>
+                <td>
+                  <button
+                    onClick={() => handleClaim(token)}
+                    disabled={!eligible || claiming !== null}
+                    className="btn btn-primary"
+                  >
+                    {claimLabel(token, entry)}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TokenList;
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { getExplorerTxUrl } from '../config/networks';
+import {
+  TX_STATUS,
+  clearFinishedTransactions,
+  getTrackedTransactions,
+  listenToTransactions,
+} from '../utils/transactions';
+import { formatAddress } from '../utils/formatters';
+
+const MAX_SHOWN = 5;
+
+const STATUS_LABELS = {
+  [TX_STATUS.SUBMITTED]: 'Submitted',
+  [TX_STATUS.PENDING]: 'Pending',
+  [TX_STATUS.CONFIRMED]: 'Confirmed',
+  [TX_STATUS.FAILED]: 'Failed',
+  [TX_STATUS.REPLACED]: 'Replaced',
+};
+
+const STATUS_ICONS = {
+  [TX_STATUS.SUBMITTED]: '📤',
+  [TX_STATUS.PENDING]: '⏳',
+  [TX_STATUS.CONFIRMED]: '✅',
+  [TX_STATUS.FAILED]: '❌',
+  [TX_STATUS.REPLACED]: '🔁',
+};
+
+// Why a transaction failed or was replaced, from its tracked reason
+const REASON_LABELS = {
+  reverted: 'reverted',
+  dropped: 'dropped by the network',
+  repriced: 'sped up',
+  cancelled: 'cancelled in the wallet',
+  replaced: 'replaced by another transaction',
+};
+
+// Link to a transaction on the block explorer, or the shortened hash without one
+function TxLink({ chainId, hash }) {
+  const url = getExplorerTxUrl(chainId, hash);
+  return url ? (
+    <a href={url} target="_blank" rel="noopener noreferrer">
+      {formatAddress(hash)} ↗
+    </a>
+  ) : (
+    formatAddress(hash)
+  );
+}
+
+// Wallet transactions of the connected address and the states each one went through
+function TransactionTracker({ address, chainId }) {
+  const [transactions, setTransactions] = useState([]);
+
+  useEffect(() => {
+    const update = () =>
+      setTransactions(
+        getTrackedTransactions(chainId).filter(
+          (entry) => entry.from?.toLowerCase() === address?.toLowerCase()
+        )
+      );
+    update();
+    return listenToTransactions(update);
+  }, [address, chainId]);
+
+  if (!transactions.length) return null;
+
+  const hasFinished = transactions.some((entry) =>
+    [TX_STATUS.CONFIRMED, TX_STATUS.FAILED, TX_STATUS.REPLACED].includes(entry.status)
+  );
+
+  return (
+    <div className="tx-tracker">
+      <div className="claim-receipt-header">
+        <span className="stat-label">Your Transactions</span>
+        {hasFinished && (
+          <button onClick={() => clearFinishedTransactions(chainId)} className="btn btn-secondary">
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      <ul>
+        {transactions.slice(0, MAX_SHOWN).map((entry) => (
+          <li key={entry.hash}>
+            <div className="tx-tracker-row">
+              <span>
+                {entry.description.charAt(0).toUpperCase() + entry.description.slice(1)}
+              </span>
+              <span className={`tx-status tx-status-${entry.status}`}>
+                {STATUS_ICONS[entry.status]} {STATUS_LABELS[entry.status]}
+                {entry.reason && ` (${REASON_LABELS[entry.reason] || entry.reason})`}
+              </span>
+            </div>
+
+            <div className="tx-tracker-row stat-detail">
+              <span className="tx-hash">
+                <TxLink chainId={chainId} hash={entry.hash} />
+                {entry.replacedBy && (
+                  <>
+                    {' → '}
+                    <TxLink chainId={chainId} hash={entry.replacedBy} />
+                  </>
+                )}
+              </span>
+              <span>
+                {entry.history.map((step) => STATUS_LABELS[step.status]).join(' → ')}
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TransactionTracker;
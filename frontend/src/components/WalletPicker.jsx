@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { getSelectedWallet, getWallets } from '../utils/wallet';
+
+// Modal listing the available wallet connectors (browser wallets discovered through EIP-6963,
+// WalletConnect, a local test wallet), so the user picks which one connects
+function WalletPicker({ onSelect, onClose }) {
+  const [wallets, setWallets] = useState(getWallets);
+  const lastUsed = getSelectedWallet()?.id;
+
+  // Wallets can announce themselves after the picker opens; Escape closes it
+  useEffect(() => {
+    const handleDiscovered = () => setWallets(getWallets());
+    const handleKeyDown = (event) => event.key === 'Escape' && onClose();
+    window.addEventListener('walletsDiscovered', handleDiscovered);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('walletsDiscovered', handleDiscovered);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="wallet-picker-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="claim-receipt-header">
+          <span id="wallet-picker-title" className="stat-label">
+            Choose a Wallet
+          </span>
+          <button onClick={onClose} className="btn btn-secondary" aria-label="Close wallet picker">
+            ✕
+          </button>
+        </div>
+
+        {wallets.length === 0 ? (
+          <p className="empty-state">
+            No wallets detected. Install MetaMask or another Web3 wallet.
+          </p>
+        ) : (
+          <ul className="wallet-list">
+            {wallets.map((wallet) => (
+              <li key={wallet.id}>
+                <button
+                  onClick={() => onSelect(wallet.id)}
+                  className="btn btn-secondary wallet-option"
+                >
+                  {/* EIP-6963 icons are data URIs; anything else could load a remote resource */}
+                  {wallet.icon?.startsWith('data:image/') ? (
+                    <img src={wallet.icon} alt="" width="28" height="28" />
+                  ) : (
+                    <span className="wallet-icon-placeholder">
+                      {wallet.type === 'walletconnect' ? '📱' : '👛'}
+                    </span>
+                  )}
+                  <span>{wallet.name}</span>
+                  {wallet.type === 'walletconnect' && (
+                    <span className="stat-detail">Scan a QR code with a mobile wallet</span>
+                  )}
+                  {wallet.id === lastUsed && <span className="stat-detail">Last used</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WalletPicker;
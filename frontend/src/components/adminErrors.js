@@ -0,0 +1,11 @@
+import { UnauthorizedError, UserRejectedError } from '../utils/errors';
+
+// Map access-control reverts and wallet rejections to user-facing messages
+export function toAdminErrorMessage(error, action) {
+  if (error instanceof UnauthorizedError) {
+    return `⛔ Your account does not have the role required to ${action}`;
+  } else if (error instanceof UserRejectedError) {
+    return '❌ Transaction rejected by user';
+  }
+  return error.message;
+}
@@ -0,0 +1,108 @@
+// Network registry keyed by chainId.
+// Contract addresses and RPC URLs come from the environment, per chain:
+//   VITE_RPC_URL_<chainId>, VITE_TOKEN_ADDRESS_<chainId>, VITE_FAUCET_ADDRESS_<chainId>,
+//   VITE_DEPLOY_BLOCK_<chainId> (first block scanned for faucet events)
+// The unsuffixed VITE_RPC_URL / VITE_TOKEN_ADDRESS / VITE_FAUCET_ADDRESS / VITE_DEPLOY_BLOCK
+// apply to the default network (VITE_DEFAULT_CHAIN_ID, Sepolia unless set).
+const env = import.meta.env;
+
+const DEFAULT_CHAIN_ID = Number(env.VITE_DEFAULT_CHAIN_ID || 11155111);
+
+// Placeholder used by the example env files
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const BASE_NETWORKS = [
+  {
+    chainId: 1337,
+    key: 'localhost',
+    name: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: '',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  },
+  {
+    chainId: 11155111,
+    key: 'sepolia',
+    name: 'Sepolia Testnet',
+    rpcUrl: 'https://rpc.sepolia.org',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: { name: 'Sepolia ETH', symbol: 'SEP', decimals: 18 },
+  },
+  {
+    chainId: 17000,
+    key: 'holesky',
+    name: 'Holesky Testnet',
+    rpcUrl: 'https://ethereum-holesky-rpc.publicnode.com',
+    explorerUrl: 'https://holesky.etherscan.io',
+    nativeCurrency: { name: 'Holesky ETH', symbol: 'ETH', decimals: 18 },
+  },
+  {
+    chainId: 84532,
+    key: 'baseSepolia',
+    name: 'Base Sepolia',
+    rpcUrl: 'https://sepolia.base.org',
+    explorerUrl: 'https://sepolia.basescan.org',
+    nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
+  },
+];
+
+// Read a per-chain variable, falling back to the unsuffixed one for the default network
+function readEnv(name, chainId) {
+  const value = env[`${name}_${chainId}`] || (chainId === DEFAULT_CHAIN_ID ? env[name] : '');
+  return value && value !== ZERO_ADDRESS ? value : '';
+}
+
+export const NETWORKS = Object.fromEntries(
+  BASE_NETWORKS.map((network) => [
+    network.chainId,
+    {
+      ...network,
+      rpcUrl: readEnv('VITE_RPC_URL', network.chainId) || network.rpcUrl,
+      deployBlock: Number(readEnv('VITE_DEPLOY_BLOCK', network.chainId) || 0),
+      contracts: {
+        token: readEnv('VITE_TOKEN_ADDRESS', network.chainId),
+        faucet: readEnv('VITE_FAUCET_ADDRESS', network.chainId),
+      },
+    },
+  ])
+);
+
+// Normalize a chain ID given as hex string, decimal string or number
+export function parseChainId(chainId) {
+  if (typeof chainId === 'string' && chainId.startsWith('0x')) {
+    return parseInt(chainId, 16);
+  }
+  return Number(chainId);
+}
+
+// Format a chain ID as the hex string wallets expect
+export function toHexChainId(chainId) {
+  return `0x${parseChainId(chainId).toString(16)}`;
+}
+
+// Get network config for a chain ID, or null if unknown
+export function getNetwork(chainId) {
+  return NETWORKS[parseChainId(chainId)] || null;
+}
+
+// Check whether the faucet is deployed on a chain
+export function isSupportedChain(chainId) {
+  const network = getNetwork(chainId);
+  return !!network && !!network.contracts.token && !!network.contracts.faucet;
+}
+
+// Build a block explorer link for a transaction, or '' when the network has no explorer
+export function getExplorerTxUrl(chainId, txHash) {
+  const network = getNetwork(chainId);
+  return network?.explorerUrl ? `${network.explorerUrl}/tx/${txHash}` : '';
+}
+
+// Networks that have faucet contracts configured
+export function getSupportedNetworks() {
+  return Object.values(NETWORKS).filter((network) => isSupportedChain(network.chainId));
+}
+
+// Chain used before a wallet tells us otherwise
+export function getDefaultChainId() {
+  return DEFAULT_CHAIN_ID;
+}
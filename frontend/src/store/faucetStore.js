@@ -0,0 +1,371 @@
+import {
+  initProvider,
+  getBalance,
+  getClaimStatus,
+  getFaucetConstants,
+  getFaucetTokens,
+  getFaucetStatus,
+  getEthDrip,
+  getEthDripStatus,
+  getAllowlistStatus,
+  requestTokens,
+  requestTokensGasless,
+  listenToBlocks,
+  listenToFaucetClaims,
+  listenToFaucetConfigChanges,
+} from '../utils/contracts';
+import {
+  connectWallet,
+  disconnectWallet,
+  getCurrentChainId,
+  getEthereumProvider,
+  hasWallet,
+  reconnectWallet,
+  switchNetwork,
+} from '../utils/wallet';
+import { setupEvalInterface } from '../utils/eval';
+import { resumePendingTransactions } from '../utils/transactions';
+import { getDefaultChainId, getNetwork, isSupportedChain } from '../config/networks';
+
+// Application state shared by the hooks in ./hooks.js. Faucet and account data are reloaded on
+// every new block, on faucet events (claims, config and pause changes) and on wallet events
+// (accountChanged, chainChanged, walletDisconnected from utils/wallet.js). Each slice is replaced
+// on change, never mutated, so components only re-render for the slices they read.
+
+const EMPTY_FAUCET = { constants: null, tokens: [], status: null, ethDrip: null };
+
+const EMPTY_ACCOUNT = {
+  address: null,
+  balance: '0',
+  claimStatus: null,
+  gating: null,
+  ethDripStatus: null,
+  loading: false,
+  error: '',
+};
+
+let state = {
+  network: { chainId: getDefaultChainId(), walletChainId: null, ready: false, error: '' },
+  faucet: EMPTY_FAUCET,
+  account: EMPTY_ACCOUNT,
+  claim: { pending: false, txHash: null },
+  claimsVersion: 0,
+};
+
+const listeners = new Set();
+
+// Loads by key: a load requested while the same one runs is folded into a single re-run
+const loads = new Map();
+
+// Bumped on every network change, so results from the previous network are dropped
+let generation = 0;
+let unsubscribers = [];
+let stopWalletListeners = null;
+
+// Get the current state
+export function getState() {
+  return state;
+}
+
+// Call back on every state change. Returns an unsubscribe function
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function update(slice, changes) {
+  state = { ...state, [slice]: { ...state[slice], ...changes } };
+  listeners.forEach((listener) => listener());
+}
+
+function bumpClaimsVersion() {
+  state = { ...state, claimsVersion: state.claimsVersion + 1 };
+  listeners.forEach((listener) => listener());
+}
+
+// Run a load at most once at a time per key. Callers asking while it runs share one re-run
+// after it, which sees every change made before they asked
+function loadOnce(key, load) {
+  const running = loads.get(key);
+  if (running) {
+    running.again = true;
+    return running.promise;
+  }
+
+  const entry = { again: false };
+  entry.promise = (async () => {
+    try {
+      do {
+        entry.again = false;
+        await load();
+      } while (entry.again);
+    } finally {
+      loads.delete(key);
+    }
+  })();
+  loads.set(key, entry);
+  return entry.promise;
+}
+
+// Reload faucet parameters and tokens, which only change through admin transactions
+export function refreshConfig() {
+  if (!state.network.ready) return Promise.resolve();
+  const current = generation;
+
+  return loadOnce(`config:${current}`, async () => {
+    try {
+      const [constants, tokens] = await Promise.all([getFaucetConstants(), getFaucetTokens()]);
+      if (current === generation) update('faucet', { constants, tokens });
+    } catch (err) {
+      console.error('Failed to fetch faucet parameters:', err);
+    }
+  });
+}
+
+// Reload the pause state, supply and ETH reserve shown to every visitor
+export function refreshFaucet() {
+  if (!state.network.ready) return Promise.resolve();
+  const current = generation;
+
+  return loadOnce(`faucet:${current}`, async () => {
+    try {
+      const [status, ethDrip] = await Promise.all([getFaucetStatus(), getEthDrip()]);
+      if (current === generation) update('faucet', { status, ethDrip });
+    } catch (err) {
+      console.error('Error updating faucet status:', err);
+    }
+  });
+}
+
+// Reload the connected account's balance and claim status. Allowlist and denylist status is
+// only reloaded with { gating: true }, since it needs a proof from the allowlist service and
+// only changes through admin transactions
+export function refreshAccount({ gating = false } = {}) {
+  const { address } = state.account;
+  if (!address || !state.network.ready) return Promise.resolve();
+  const current = generation;
+  const isCurrent = () => current === generation && state.account.address === address;
+
+  const pending = [
+    loadOnce(`account:${current}:${address}`, async () => {
+      try {
+        const [balance, claimStatus, ethDripStatus] = await Promise.all([
+          getBalance(address),
+          getClaimStatus(address),
+          getEthDripStatus(address),
+        ]);
+        if (isCurrent()) update('account', { balance, claimStatus, ethDripStatus, error: '' });
+      } catch (err) {
+        console.error('Error updating data:', err);
+        if (isCurrent()) update('account', { error: err.message });
+      }
+    }),
+  ];
+
+  if (gating || !state.account.gating) {
+    pending.push(
+      loadOnce(`gating:${current}:${address}`, async () => {
+        try {
+          const status = await getAllowlistStatus(address);
+          if (isCurrent()) update('account', { gating: status });
+        } catch (err) {
+          console.error('Error updating allowlist status:', err);
+          if (isCurrent()) update('account', { error: err.message });
+        }
+      })
+    );
+  }
+
+  return Promise.all(pending).then(() => {
+    if (isCurrent()) update('account', { loading: false });
+  });
+}
+
+// Reload the faucet status and the account, e.g. after a claim changed both
+function refreshLiveData({ gating = false } = {}) {
+  return Promise.all([refreshFaucet(), refreshAccount({ gating })]);
+}
+
+// Bind the app to a network: providers, contract listeners and a fresh load of its data
+async function initNetwork(chainId) {
+  const current = ++generation;
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  unsubscribers = [];
+
+  update('network', { chainId, ready: false });
+  update('faucet', EMPTY_FAUCET);
+  update('claim', { txHash: null });
+  if (state.account.address) update('account', { ...EMPTY_ACCOUNT, address: state.account.address, loading: true });
+
+  try {
+    const readProvider = await initProvider(chainId);
+    // Setup evaluation interface
+    await setupEvalInterface();
+    // Pick up transactions that were still pending when the page was closed
+    resumePendingTransactions(readProvider, chainId);
+  } catch (err) {
+    console.error('Failed to initialize provider:', err);
+    return;
+  }
+  if (current !== generation) return;
+
+  update('network', { ready: true });
+  unsubscribers = [
+    listenToBlocks(() => refreshLiveData()),
+    listenToFaucetClaims(() => {
+      bumpClaimsVersion();
+      refreshLiveData();
+    }),
+    listenToFaucetConfigChanges(() => {
+      refreshConfig();
+      refreshLiveData({ gating: true });
+    }),
+  ];
+  await Promise.all([refreshConfig(), refreshLiveData({ gating: true })]);
+}
+
+// Follow the wallet's network when the faucet is deployed there
+function handleWalletChain(chainId) {
+  update('network', { walletChainId: chainId });
+  if (isSupportedChain(chainId) && chainId !== state.network.chainId) {
+    return initNetwork(chainId);
+  }
+  return Promise.resolve();
+}
+
+// Start the store: reconnect the wallet chosen on a previous visit, read its network, bind to it
+// (or the default network) and follow wallet events. Returns a function that stops it
+export function startFaucetStore() {
+  let active = true;
+  const handleAccountChanged = (event) => {
+    if (!state.account.address) return;
+    update('account', { ...EMPTY_ACCOUNT, address: event.detail.address, loading: true });
+    update('claim', { txHash: null });
+    refreshAccount({ gating: true });
+  };
+  const handleChainChanged = (event) => handleWalletChain(event.detail.chainId);
+  const handleDisconnected = () => disconnect();
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('accountChanged', handleAccountChanged);
+    window.addEventListener('chainChanged', handleChainChanged);
+    window.addEventListener('walletDisconnected', handleDisconnected);
+    stopWalletListeners = () => {
+      window.removeEventListener('accountChanged', handleAccountChanged);
+      window.removeEventListener('chainChanged', handleChainChanged);
+      window.removeEventListener('walletDisconnected', handleDisconnected);
+    };
+  }
+
+  const start = async () => {
+    const address = await reconnectWallet();
+    if (!active) return;
+    if (address) update('account', { ...EMPTY_ACCOUNT, address, loading: true });
+
+    // A WalletConnect wallet has no provider to ask before it is connected
+    if (getEthereumProvider()) {
+      try {
+        const walletChainId = await getCurrentChainId();
+        if (!active) return;
+        update('network', { walletChainId });
+        if (isSupportedChain(walletChainId)) {
+          return initNetwork(walletChainId);
+        }
+      } catch (err) {
+        console.error('Failed to read wallet network:', err);
+      }
+    }
+    if (active) await initNetwork(state.network.chainId);
+  };
+  start();
+
+  return () => {
+    active = false;
+    stopFaucetStore();
+  };
+}
+
+// Stop following blocks, contract events and wallet events
+export function stopFaucetStore() {
+  generation++;
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  unsubscribers = [];
+  stopWalletListeners?.();
+  stopWalletListeners = null;
+}
+
+// Connect a wallet by its id from getWallets() (the default wallet without one), then switch it
+// to the selected network. Connecting comes first: a WalletConnect wallet has no provider to
+// switch before its session exists
+export async function connect(walletId) {
+  if (!hasWallet()) {
+    throw new Error('MetaMask or Web3 wallet not detected. Please install it.');
+  }
+  update('network', { error: '' });
+
+  const address = await connectWallet(walletId);
+  update('account', { ...EMPTY_ACCOUNT, address, loading: true });
+  const previousGeneration = generation;
+
+  // Check if the wallet is on the selected network
+  const { chainId } = state.network;
+  if ((await getCurrentChainId()) !== chainId) {
+    try {
+      await switchNetwork(chainId);
+    } catch {
+      update('network', {
+        error: `Please manually switch to ${getNetwork(chainId)?.name || 'a supported'} network in your wallet.`,
+      });
+    }
+  }
+
+  await handleWalletChain(await getCurrentChainId());
+  // Switching networks already loaded the account
+  if (generation === previousGeneration) await refreshAccount({ gating: true });
+  return address;
+}
+
+// Forget the connected account
+export function disconnect() {
+  disconnectWallet();
+  update('account', EMPTY_ACCOUNT);
+  update('claim', { txHash: null });
+}
+
+// Select the network: switches the wallet when connected (its chainChanged event then rebinds
+// the app), otherwise only the network read from
+export async function selectNetwork(chainId) {
+  update('network', { error: '' });
+  if (!state.account.address) {
+    return initNetwork(chainId);
+  }
+  try {
+    await switchNetwork(chainId);
+  } catch (err) {
+    update('network', { error: err.message });
+  }
+}
+
+// Claim the primary token from the wallet, or through the relayer without gas
+export async function claim({ gasless = false } = {}) {
+  update('claim', { pending: true, txHash: null });
+  try {
+    const txHash = gasless ? await requestTokensGasless() : await requestTokens();
+    recordClaim(txHash);
+    return txHash;
+  } finally {
+    update('claim', { pending: false });
+  }
+}
+
+// Show the receipt of a mined claim and reload what it changed
+export function recordClaim(txHash) {
+  update('claim', { txHash });
+  bumpClaimsVersion();
+  refreshLiveData();
+}
+
+// Close the receipt of the last claim
+export function dismissReceipt() {
+  update('claim', { txHash: null });
+}
@@ -0,0 +1,80 @@
+import { useSyncExternalStore } from 'react';
+import { CLAIM_STATUS } from '../utils/contracts';
+import { getNetwork, isSupportedChain } from '../config/networks';
+import {
+  claim,
+  connect,
+  disconnect,
+  dismissReceipt,
+  getState,
+  recordClaim,
+  refreshAccount,
+  refreshConfig,
+  refreshFaucet,
+  selectNetwork,
+  subscribe,
+} from './faucetStore';
+
+// Read one slice of the store and re-render when it changes
+function useStoreSlice(name) {
+  const getSlice = () => getState()[name];
+  return useSyncExternalStore(subscribe, getSlice, getSlice);
+}
+
+// Selected network, the wallet's network and whether contracts are ready to read
+export function useNetwork() {
+  const network = useStoreSlice('network');
+
+  return {
+    ...network,
+    config: getNetwork(network.chainId),
+    unsupported: network.walletChainId !== null && !isSupportedChain(network.walletChainId),
+    selectNetwork,
+  };
+}
+
+// Faucet parameters, tokens, supply and ETH reserve shown to every visitor
+export function useFaucetStatus() {
+  const faucet = useStoreSlice('faucet');
+  const claimsVersion = useStoreSlice('claimsVersion');
+
+  return {
+    ...faucet,
+    primaryToken: faucet.tokens.find((token) => token.isPrimary) || null,
+    paused: !!faucet.status?.paused,
+    exhausted: !!faucet.status?.exhausted,
+    // Bumped on every claim, so claim lists know to reload
+    claimsVersion,
+    refresh: () => Promise.all([refreshConfig(), refreshFaucet()]),
+  };
+}
+
+// Connected account with its balance, claim status and allowlist status
+export function useAccount() {
+  const account = useStoreSlice('account');
+  const { claimStatus, gating } = account;
+
+  return {
+    ...account,
+    connected: !!account.address,
+    // The claim status cannot check allowlist membership on its own (it needs a proof)
+    canClaimNow: claimStatus?.status === CLAIM_STATUS.ELIGIBLE && !!gating?.allowlisted,
+    remainingAllowance: claimStatus?.remainingAllowance || '0',
+    nextClaimAt: claimStatus?.status === CLAIM_STATUS.COOLDOWN_ACTIVE ? claimStatus.nextClaimAt : null,
+    connect,
+    disconnect,
+    refresh: refreshAccount,
+  };
+}
+
+// Claim of the primary token in progress and the hash of the last mined claim
+export function useClaim() {
+  const claimState = useStoreSlice('claim');
+
+  return {
+    ...claimState,
+    claim,
+    recordClaim,
+    dismissReceipt,
+  };
+}
@@ -0,0 +1,113 @@
+// Contract ABIs and the claim status codes, shared by the frontend and Node scripts
+// (scripts/faucet-cli.js). Keep this module free of browser and Vite APIs.
+
+export const TOKEN_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function name() external view returns (string)',
+  'function symbol() external view returns (string)',
+  'function decimals() external view returns (uint8)',
+  'function totalSupply() external view returns (uint256)',
+  'function MAX_SUPPLY() external view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+export const FAUCET_ABI = [
+  'function requestTokens() external',
+  'function requestTokensWithProof(bytes32[] proof) external',
+  'function claimToken(address token) external',
+  'function claimTokenWithProof(address token, bytes32[] proof) external',
+  'function claimFor(address user, uint256 deadline, bytes signature, bytes32[] proof) external',
+  'function nonces(address owner) external view returns (uint256)',
+  'function canClaim(address user) external view returns (bool)',
+  'function claimStatus(address user) external view returns (uint8 status, uint256 nextClaimAt, uint256 allowance, uint256 supplyLeft)',
+  'function remainingAllowance(address user) external view returns (uint256)',
+  'function isPaused() external view returns (bool)',
+  'function lastClaimAt(address user) external view returns (uint256)',
+  'function totalClaimed(address user) external view returns (uint256)',
+  'function setPaused(bool _paused) external',
+  'function DEFAULT_ADMIN_ROLE() external view returns (bytes32)',
+  'function PAUSER_ROLE() external view returns (bytes32)',
+  'function CONFIG_MANAGER_ROLE() external view returns (bytes32)',
+  'function DISTRIBUTOR_ROLE() external view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) external view returns (bool)',
+  'function grantRole(bytes32 role, address account) external',
+  'function revokeRole(bytes32 role, address account) external',
+  'function defaultAdmin() external view returns (address)',
+  'function pendingDefaultAdmin() external view returns (address newAdmin, uint48 schedule)',
+  'function beginDefaultAdminTransfer(address newAdmin) external',
+  'function cancelDefaultAdminTransfer() external',
+  'function acceptDefaultAdminTransfer() external',
+  'function token() external view returns (address)',
+  'function getTokens() external view returns (address[])',
+  'function tokenConfigs(address token) external view returns (uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, bool registered)',
+  'function claimRecords(address token, address user) external view returns (uint256 lastClaimAt, uint256 totalClaimed)',
+  'function tokenClaimStatus(address token, address user) external view returns (uint8 status, uint256 nextClaimAt, uint256 allowance, uint256 supplyLeft)',
+  'function faucetAmount() external view returns (uint256)',
+  'function cooldownTime() external view returns (uint256)',
+  'function maxClaimAmount() external view returns (uint256)',
+  'function setFaucetAmount(uint256 _faucetAmount) external',
+  'function setCooldownTime(uint256 _cooldownTime) external',
+  'function setMaxClaimAmount(uint256 _maxClaimAmount) external',
+  'function allowlistRoot() external view returns (bytes32)',
+  'function denylisted(address account) external view returns (bool)',
+  'function remainingSupply() external view returns (uint256)',
+  'function faucetStatus() external view returns (bool isPaused_, bool exhausted, uint256 totalSupply, uint256 maxSupply, uint256 supplyLeft)',
+  'function isAllowlisted(address user, bytes32[] proof) external view returns (bool)',
+  'function setAllowlistRoot(bytes32 _allowlistRoot) external',
+  'function setDenylisted(address[] accounts, bool denied) external',
+  'function ethDripAmount() external view returns (uint256)',
+  'function ethDripCooldown() external view returns (uint256)',
+  'function ethDripBudget() external view returns (uint256)',
+  'function totalEthDripped() external view returns (uint256)',
+  'function lastEthDripAt(address user) external view returns (uint256)',
+  'function ethDripStatus(address user) external view returns (bool qualifies, uint256 amount, uint256 nextDripAt, uint256 budget, uint256 reserve)',
+  'function setEthDrip(uint256 _amount, uint256 _cooldown, uint256 _budget) external',
+  'function withdrawEth(address to, uint256 amount) external',
+  'event TokensClaimed(address indexed user, address indexed token, uint256 amount, uint256 timestamp)',
+  'event FaucetPaused(bool isPaused)',
+  'event FaucetAmountUpdated(uint256 oldAmount, uint256 newAmount)',
+  'event CooldownTimeUpdated(uint256 oldCooldown, uint256 newCooldown)',
+  'event MaxClaimAmountUpdated(uint256 oldMaxClaim, uint256 newMaxClaim)',
+  'event TokenAdded(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)',
+  'event TokenConfigUpdated(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)',
+  'event TokenRemoved(address indexed token)',
+  'event AllowlistRootUpdated(bytes32 oldRoot, bytes32 newRoot)',
+  'event DenylistUpdated(address indexed account, bool denied)',
+  'event EthReceived(address indexed from, uint256 amount)',
+  'event EthWithdrawn(address indexed to, uint256 amount)',
+  'event EthDripped(address indexed user, uint256 amount)',
+  'event EthDripConfigUpdated(uint256 amount, uint256 cooldown, uint256 budget)',
+  'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+  'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+  'error FaucetIsPaused()',
+  'error AddressDenylisted(address user)',
+  'error NotAllowlisted(address user)',
+  'error CooldownActive(uint256 nextClaimAt)',
+  'error LifetimeLimitReached(uint256 totalClaimed, uint256 maxClaimAmount)',
+  'error SupplyExhausted(uint256 remainingSupply)',
+  'error SignatureExpired(uint256 deadline)',
+  'error InvalidSignature()',
+  'error InvalidToken()',
+  'error InvalidFaucetAmount()',
+  'error InvalidClaimLimits(uint256 faucetAmount, uint256 maxClaimAmount)',
+  'error TokenNotRegistered(address token)',
+  'error TokenAlreadyRegistered(address token)',
+  'error CannotRemovePrimaryToken()',
+  'error InsufficientEthReserve(uint256 requested, uint256 available)',
+  'error EthTransferFailed()',
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+  'error AccessControlEnforcedDefaultAdminRules()',
+  'error AccessControlInvalidDefaultAdmin(address defaultAdmin)',
+];
+
+// Claim status codes, in TokenFaucet.ClaimStatus order
+export const CLAIM_STATUS = {
+  ELIGIBLE: 'eligible',
+  PAUSED: 'paused',
+  DENYLISTED: 'denylisted',
+  COOLDOWN_ACTIVE: 'cooldown-active',
+  LIFETIME_LIMIT_REACHED: 'lifetime-limit-reached',
+  SUPPLY_EXHAUSTED: 'supply-exhausted',
+};
@@ -0,0 +1,217 @@
+import {
+  getActiveNetwork,
+  getFaucetContract,
+  getProvider,
+  queryEventsInChunks,
+} from './contracts';
+
+// TokensClaimed logs are scanned once and cached in IndexedDB. Each faucet keeps the
+// last scanned block, so later syncs only query blocks after it, plus the last
+// REORG_DEPTH blocks again, whose cached claims are replaced in case they were reorged out.
+const DB_NAME = 'token-faucet';
+const DB_VERSION = 2;
+const CLAIMS_STORE = 'claims';
+const SYNC_STORE = 'sync';
+const REORG_DEPTH = 12;
+
+let dbPromise = null;
+const syncPromises = new Map();
+
+// In-memory fallback when IndexedDB is unavailable (private browsing, tests)
+const memoryClaims = new Map();
+const memorySync = new Map();
+
+// Open the cache database, or resolve to null when IndexedDB is unavailable
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const claims = db.createObjectStore(CLAIMS_STORE, { keyPath: 'id' });
+          claims.createIndex('faucet', 'faucetKey');
+          db.createObjectStore(SYNC_STORE, { keyPath: 'faucetKey' });
+        }
+        if (event.oldVersion < 2) {
+          request.transaction
+            .objectStore(CLAIMS_STORE)
+            .createIndex('block', ['faucetKey', 'blockNumber']);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open claim cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Wrap an IndexedDB request in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Cache key for the faucet on the active network
+function getFaucetKey() {
+  const network = getActiveNetwork();
+  return `${network.chainId}:${network.contracts.faucet.toLowerCase()}`;
+}
+
+// Read the last scanned block for a faucet
+async function readLastSyncedBlock(faucetKey) {
+  const db = await openDatabase();
+  if (!db) return memorySync.get(faucetKey) ?? null;
+
+  const store = db.transaction(SYNC_STORE).objectStore(SYNC_STORE);
+  const entry = await promisifyRequest(store.get(faucetKey));
+  return entry ? entry.lastBlock : null;
+}
+
+// Store a chunk of claims together with the block it was scanned up to. Cached claims
+// from the chunk's first block on are dropped first, as the chunk replaces them.
+async function writeClaims(faucetKey, claims, firstBlock, lastBlock) {
+  const db = await openDatabase();
+  if (!db) {
+    const stored = (memoryClaims.get(faucetKey) || []).filter(
+      (claim) => claim.blockNumber < firstBlock
+    );
+    memoryClaims.set(faucetKey, stored.concat(claims));
+    memorySync.set(faucetKey, lastBlock);
+    return;
+  }
+
+  const tx = db.transaction([CLAIMS_STORE, SYNC_STORE], 'readwrite');
+  const claimsStore = tx.objectStore(CLAIMS_STORE);
+  const replaced = IDBKeyRange.bound([faucetKey, firstBlock], [faucetKey, Infinity]);
+  // Put the new claims only once the old ones are deleted, as they may share ids
+  claimsStore.index('block').getAllKeys(replaced).onsuccess = (event) => {
+    event.target.result.forEach((id) => claimsStore.delete(id));
+    claims.forEach((claim) => claimsStore.put(claim));
+  };
+  tx.objectStore(SYNC_STORE).put({ faucetKey, lastBlock });
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Read every cached claim for a faucet, newest first
+async function readClaims(faucetKey) {
+  const db = await openDatabase();
+  let claims;
+  if (!db) {
+    claims = [...(memoryClaims.get(faucetKey) || [])];
+  } else {
+    const index = db.transaction(CLAIMS_STORE).objectStore(CLAIMS_STORE).index('faucet');
+    claims = await promisifyRequest(index.getAll(faucetKey));
+  }
+  return claims.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
+
+// Convert a TokensClaimed log into a cache record
+function toClaimRecord(faucetKey, event) {
+  return {
+    id: `${faucetKey}:${event.transactionHash}:${event.index}`,
+    faucetKey,
+    user: event.args.user.toLowerCase(),
+    token: event.args.token.toLowerCase(),
+    amount: event.args.amount.toString(),
+    timestamp: event.args.timestamp.toString(),
+    blockNumber: event.blockNumber,
+    logIndex: event.index,
+    transactionHash: event.transactionHash,
+  };
+}
+
+// Scan TokensClaimed logs from the last cached blocks up to the chain head
+export async function syncClaims() {
+  const faucetKey = getFaucetKey();
+
+  // Share an in-flight sync between callers
+  if (syncPromises.has(faucetKey)) {
+    return syncPromises.get(faucetKey);
+  }
+
+  const sync = (async () => {
+    try {
+      const contract = getFaucetContract();
+      const { deployBlock } = getActiveNetwork();
+      const lastSynced = await readLastSyncedBlock(faucetKey);
+      const fromBlock =
+        lastSynced === null ? deployBlock : Math.max(deployBlock, lastSynced + 1 - REORG_DEPTH);
+      const latestBlock = await getProvider().getBlockNumber();
+      if (fromBlock > latestBlock) return;
+
+      let chunkStart = fromBlock;
+      await queryEventsInChunks(
+        contract,
+        contract.filters.TokensClaimed(),
+        fromBlock,
+        latestBlock,
+        async (events, lastBlock) => {
+          await writeClaims(
+            faucetKey,
+            events.map((event) => toClaimRecord(faucetKey, event)),
+            chunkStart,
+            lastBlock
+          );
+          chunkStart = lastBlock + 1;
+        }
+      );
+    } catch (error) {
+      console.error('Error syncing claim history:', error);
+      throw new Error(`Failed to sync claim history: ${error.message}`);
+    } finally {
+      syncPromises.delete(faucetKey);
+    }
+  })();
+
+  syncPromises.set(faucetKey, sync);
+  return sync;
+}
+
+// Get a page of claims for one address, newest first
+export async function getClaimHistory(address, { page = 1, pageSize = 10 } = {}) {
+  await syncClaims();
+  const user = address.toLowerCase();
+  const claims = (await readClaims(getFaucetKey())).filter((claim) => claim.user === user);
+  const pageCount = Math.max(1, Math.ceil(claims.length / pageSize));
+  const start = (page - 1) * pageSize;
+
+  return {
+    claims: claims.slice(start, start + pageSize),
+    total: claims.length,
+    page,
+    pageCount,
+  };
+}
+
+// Get the most recent claims across all addresses
+export async function getRecentClaims(limit = 10) {
+  await syncClaims();
+  const claims = await readClaims(getFaucetKey());
+  return claims.slice(0, limit);
+}
+
+// Get claim counts across all addresses
+export async function getClaimStats() {
+  await syncClaims();
+  const claims = await readClaims(getFaucetKey());
+  return {
+    totalClaims: claims.length,
+    uniqueClaimers: new Set(claims.map((claim) => claim.user)).size,
+  };
+}
@@ -0,0 +1,236 @@
+import { JsonRpcProvider, Wallet, getBytes } from 'ethers';
+import {
+  getDefaultChainId,
+  getNetwork,
+  getSupportedNetworks,
+  parseChainId,
+  toHexChainId,
+} from '../config/networks';
+
+// Wallet connectors registered with utils/wallet.js. A connector is one way of reaching a wallet;
+// behind it the app only ever talks to an EIP-1193 provider, so the UI, the store and the
+// evaluation interface work the same through every connector. Each connector has:
+//   id, name, icon  shown in the wallet picker
+//   type            'injected' (browser extension), 'walletconnect' or 'local'
+//   provider        the EIP-1193 provider, or null until getProvider() has created it
+//   getProvider()   resolves to the provider, creating it on first use
+//   connect()       resolves to the wallet's accounts, prompting the user when needed
+//   getAccounts()   resolves to the accounts the site is already authorized for, without a prompt
+//   disconnect()    ends the wallet's session, for wallets that keep one
+
+// Browser extension wallet, announced through EIP-6963 or injected as window.ethereum
+export function createInjectedConnector({ id, name, icon = '', provider }) {
+  return {
+    id,
+    name,
+    icon,
+    type: 'injected',
+    provider,
+    getProvider: async () => provider,
+    connect: () => provider.request({ method: 'eth_requestAccounts' }),
+    getAccounts: () => provider.request({ method: 'eth_accounts' }),
+    // Extensions keep the site authorized until the user revokes it in the wallet
+    disconnect: async () => {},
+  };
+}
+
+// WalletConnect v2: wallets on another device connect by scanning a QR code, so mobile users
+// can claim without an injected wallet. The SDK is only downloaded when the connector is used
+export function createWalletConnectConnector({ projectId, networks = getSupportedNetworks() }) {
+  let provider = null;
+  let initializing = null;
+
+  const chainIds =
+    networks.length > 0 ? networks.map((network) => network.chainId) : [getDefaultChainId()];
+
+  const getProvider = () => {
+    if (!initializing) {
+      initializing = import('@walletconnect/ethereum-provider')
+        .then(({ EthereumProvider }) =>
+          EthereumProvider.init({
+            projectId,
+            optionalChains: chainIds,
+            rpcMap: Object.fromEntries(
+              chainIds.map((chainId) => [chainId, getNetwork(chainId).rpcUrl])
+            ),
+            showQrModal: true,
+            metadata: {
+              name: 'Token Faucet',
+              description: 'Claim test tokens',
+              url: window.location.origin,
+              icons: [],
+            },
+          })
+        )
+        .then((instance) => {
+          provider = instance;
+          return instance;
+        });
+      // Let the next attempt retry, e.g. after a network error while loading the SDK
+      initializing.catch(() => {
+        initializing = null;
+      });
+    }
+    return initializing;
+  };
+
+  return {
+    id: 'walletconnect',
+    name: 'WalletConnect',
+    icon: '',
+    type: 'walletconnect',
+    get provider() {
+      return provider;
+    },
+    getProvider,
+    // Shows the pairing QR code unless a session from a previous visit is still alive
+    connect: async () => (await getProvider()).enable(),
+    getAccounts: async () => {
+      const instance = await getProvider();
+      return instance.session ? instance.accounts : [];
+    },
+    disconnect: async () => {
+      if (provider?.session) await provider.disconnect();
+    },
+  };
+}
+
+// Error shaped like the ones wallets return (EIP-1193 code, JSON-RPC data)
+function providerError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+// Rethrow an ethers error as the JSON-RPC error behind it, as a wallet would relay it
+function toProviderError(error) {
+  const rpcError = error.info?.error || error.error;
+  if (rpcError?.message) {
+    return providerError(rpcError.code, rpcError.message, rpcError.data);
+  }
+  return providerError(error.code ?? -32603, error.shortMessage || error.message, error.data);
+}
+
+// Convert eth_sendTransaction parameters (hex quantities, "gas") into an ethers request
+function toTransactionRequest({
+  from,
+  to,
+  data,
+  value,
+  gas,
+  gasPrice,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  nonce,
+  type,
+}) {
+  return {
+    from,
+    to,
+    data,
+    value,
+    gasLimit: gas,
+    gasPrice,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    nonce: nonce != null ? Number(nonce) : undefined,
+    type: type != null ? Number(type) : undefined,
+  };
+}
+
+// EIP-1193 provider that signs with a private key and forwards reads to the network's RPC URL
+function createLocalProvider(privateKey, initialChainId) {
+  const listeners = new Map();
+  let chainId = initialChainId;
+  let signer = null;
+
+  const connectTo = (targetChainId) => {
+    const network = getNetwork(targetChainId);
+    if (!network) {
+      throw providerError(4902, `Unrecognized chain ID ${targetChainId}`);
+    }
+    chainId = network.chainId;
+    signer = new Wallet(
+      privateKey,
+      new JsonRpcProvider(network.rpcUrl, chainId, { staticNetwork: true })
+    );
+  };
+  connectTo(initialChainId);
+
+  const emit = (event, ...args) => listeners.get(event)?.forEach((listener) => listener(...args));
+
+  const handle = async (method, params) => {
+    switch (method) {
+      case 'eth_requestAccounts':
+      case 'eth_accounts':
+        return [signer.address];
+      case 'eth_chainId':
+        return toHexChainId(chainId);
+      case 'wallet_switchEthereumChain': {
+        const target = parseChainId(params[0].chainId);
+        if (target !== chainId) {
+          connectTo(target);
+          emit('chainChanged', toHexChainId(chainId));
+        }
+        return null;
+      }
+      case 'wallet_watchAsset':
+        return true;
+      case 'personal_sign':
+        return signer.signMessage(getBytes(params[0]));
+      case 'eth_signTypedData_v4': {
+        const { domain, types, message } =
+          typeof params[1] === 'string' ? JSON.parse(params[1]) : params[1];
+        // ethers derives the domain type itself
+        const { EIP712Domain, ...messageTypes } = types;
+        return signer.signTypedData(domain, messageTypes, message);
+      }
+      case 'eth_sendTransaction': {
+        const tx = await signer.sendTransaction(toTransactionRequest(params[0]));
+        return tx.hash;
+      }
+      default:
+        return signer.provider.send(method, params);
+    }
+  };
+
+  return {
+    isLocalWallet: true,
+    request: async ({ method, params = [] }) => {
+      try {
+        return await handle(method, params);
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    },
+    on: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    removeListener: (event, listener) => {
+      listeners.get(event)?.delete(listener);
+    },
+  };
+}
+
+// Deterministic wallet for tests and local development: signs every request with a private key,
+// without prompts, against the RPC URLs of the network registry. This lets the whole claim flow
+// run headless against a Hardhat node. Never configure it with a key that holds real funds
+export function createLocalConnector({
+  privateKey,
+  chainId = getDefaultChainId(),
+  id = 'local',
+  name = 'Local Account',
+}) {
+  const provider = createLocalProvider(privateKey, chainId);
+
+  return {
+    id,
+    name,
+    icon: '',
+    type: 'local',
+    provider,
+    getProvider: async () => provider,
+    connect: () => provider.request({ method: 'eth_requestAccounts' }),
+    getAccounts: () => provider.request({ method: 'eth_accounts' }),
+    disconnect: async () => {},
+  };
+}
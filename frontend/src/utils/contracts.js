@@ -1,49 +1,135 @@
-import { BrowserProvider, Contract, ZeroAddress } from 'ethers';
-
-// Contract ABIs
-const TOKEN_ABI = [
-  'function balanceOf(address account) external view returns (uint256)',
-  'function approve(address spender, uint256 amount) external returns (bool)',
-  'function allowance(address owner, address spender) external view returns (uint256)',
-  'function name() external view returns (string)',
-  'function symbol() external view returns (string)',
-  'function decimals() external view returns (uint8)',
-  'function totalSupply() external view returns (uint256)',
-  'event Transfer(address indexed from, address indexed to, uint256 value)',
-];
+import {
+  BrowserProvider,
+  Contract,
+  Interface,
+  JsonRpcProvider,
+  ZeroAddress,
+  ZeroHash,
+  isHexString,
+} from 'ethers';
+import { getEthereumProvider } from './wallet';
+import {
+  ClaimApiUnavailableError,
+  FaucetError,
+  NotAllowlistedError,
+  RateLimitedError,
+  RelayerUnavailableError,
+  UserRejectedError,
+  fromRevert,
+  isUserRejection,
+} from './errors';
+import { getDefaultChainId, getNetwork } from '../config/networks';
+import { CLAIM_STATUS, FAUCET_ABI, TOKEN_ABI } from './abis';
+import { trackTransaction } from './transactions';
+
+export { CLAIM_STATUS };
+
+const faucetInterface = new Interface(FAUCET_ABI);
+
+// Claim status strings indexed by TokenFaucet.ClaimStatus value
+const CLAIM_STATUS_CODES = Object.values(CLAIM_STATUS);
+
+// Maximum block range per eth_getLogs request; public RPCs reject larger ranges
+const LOG_CHUNK_SIZE = 5000;
+
+// Allowlist proofs served by server.js (built with scripts/build-allowlist.js)
+const ALLOWLIST_URL = import.meta.env.VITE_ALLOWLIST_URL || '/api/allowlist';
+
+// Gasless claims: relayer endpoint and EIP-712 request type (must match TokenFaucet.CLAIM_TYPEHASH)
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || '/api/relay';
+const CLAIM_SIGNATURE_TTL = 10 * 60; // seconds a signed request stays valid
+const CLAIM_TYPES = {
+  Claim: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// JSON API and server-signed claims served by server.js
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+// Faucet roles managed from the admin console (DEFAULT_ADMIN_ROLE is handled by two-step transfer)
+const MANAGED_ROLES = ['PAUSER_ROLE', 'CONFIG_MANAGER_ROLE', 'DISTRIBUTOR_ROLE'];
 
-const FAUCET_ABI = [
-  'function requestTokens() external',
-  'function canClaim(address user) external view returns (bool)',
-  'function remainingAllowance(address user) external view returns (uint256)',
-  'function isPaused() external view returns (bool)',
-  'function lastClaimAt(address user) external view returns (uint256)',
-  'function totalClaimed(address user) external view returns (uint256)',
-  'function setPaused(bool _paused) external',
-  'function admin() external view returns (address)',
-  'function token() external view returns (address)',
-  'function FAUCET_AMOUNT() external view returns (uint256)',
-  'function COOLDOWN_TIME() external view returns (uint256)',
-  'function MAX_CLAIM_AMOUNT() external view returns (uint256)',
-  'event TokensClaimed(address indexed user, uint256 amount, uint256 timestamp)',
-  'event FaucetPaused(bool isPaused)',
+// Events emitted when an admin changes faucet parameters or pauses the faucet, or the ETH reserve
+// is funded or withdrawn. TokenConfigUpdated covers the primary token too; its legacy
+// per-parameter events are emitted alongside it, so listening to them would reload twice
+const CONFIG_EVENTS = [
+  'TokenAdded',
+  'TokenConfigUpdated',
+  'TokenRemoved',
+  'AllowlistRootUpdated',
+  'DenylistUpdated',
+  'EthDripConfigUpdated',
+  'EthReceived',
+  'EthWithdrawn',
+  'FaucetPaused',
 ];
 
 let provider = null;
+let walletProvider = null;
+// EIP-1193 provider of the selected wallet that walletProvider wraps
+let walletSource = null;
 let signer = null;
 let tokenContract = null;
 let faucetContract = null;
+let activeNetwork = null;
 
-// Initialize provider
-export async function initProvider() {
-  const rpcUrl = import.meta.env.VITE_RPC_URL;
-  if (!rpcUrl) {
-    throw new Error('VITE_RPC_URL environment variable not set');
+// Token name, symbol and decimals never change, so they are read once per token address
+const tokenMetadata = new Map();
+
+// Get the ethers provider of the wallet selected in wallet.js, rebuilt when another wallet is
+// selected, or null without a wallet
+function getWalletProvider() {
+  const source = getEthereumProvider();
+  if (source !== walletSource) {
+    walletSource = source;
+    walletProvider = source ? new BrowserProvider(source) : null;
+    signer = null;
   }
-  provider = new BrowserProvider(window.ethereum);
+  return walletProvider;
+}
+
+// Initialize providers for a network: reads go through the network's RPC URL and fall
+// back to the selected wallet; writes always go through the selected wallet
+export async function initProvider(chainId = getDefaultChainId()) {
+  const network = getNetwork(chainId);
+  if (!network) {
+    throw new Error(`Unsupported network (chain ID ${chainId})`);
+  }
+  // A wallet provider is bound to the network it first saw, so build a new one
+  walletSource = null;
+  const wallet = getWalletProvider();
+
+  if (network.rpcUrl) {
+    provider = new JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  } else if (wallet) {
+    provider = wallet;
+  } else {
+    throw new Error(`No wallet detected and no RPC URL configured for ${network.name}`);
+  }
+
+  // Contracts are bound to the provider, so rebuild them on the next access
+  activeNetwork = network;
+  tokenContract = null;
+  faucetContract = null;
   return provider;
 }
 
+// Get the network the contracts are currently bound to
+export function getActiveNetwork() {
+  if (!activeNetwork) {
+    throw new Error('Provider not initialized. Call initProvider first.');
+  }
+  return activeNetwork;
+}
+
+// Check whether only read access is available (no wallet)
+export function isReadOnly() {
+  return !getWalletProvider();
+}
+
 // Get provider
 export function getProvider() {
   if (!provider) {
@@ -54,20 +140,29 @@ export function getProvider() {
 
 // Get signer from wallet
 export async function getSigner() {
-  const provider = getProvider();
-  signer = await provider.getSigner();
+  const wallet = getWalletProvider();
+  if (!wallet) {
+    throw new Error('Wallet not available. Install MetaMask or another Web3 wallet to send transactions.');
+  }
+  signer = await wallet.getSigner();
   return signer;
 }
 
+// Get a contract address for the active network
+function getContractAddress(name) {
+  const network = getActiveNetwork();
+  const address = network.contracts[name];
+  if (!address) {
+    throw new Error(`No ${name} contract address configured for ${network.name}`);
+  }
+  return address;
+}
+
 // Get token contract instance
 export function getTokenContract() {
   if (!tokenContract) {
-    const tokenAddress = import.meta.env.VITE_TOKEN_ADDRESS;
-    if (!tokenAddress) {
-      throw new Error('VITE_TOKEN_ADDRESS environment variable not set');
-    }
     const provider = getProvider();
-    tokenContract = new Contract(tokenAddress, TOKEN_ABI, provider);
+    tokenContract = new Contract(getContractAddress('token'), TOKEN_ABI, provider);
   }
   return tokenContract;
 }
@@ -75,19 +170,14 @@ export function getTokenContract() {
 // Get token contract with signer for write operations
 export async function getTokenContractWithSigner() {
   const signer = await getSigner();
-  const tokenAddress = import.meta.env.VITE_TOKEN_ADDRESS;
-  return new Contract(tokenAddress, TOKEN_ABI, signer);
+  return new Contract(getContractAddress('token'), TOKEN_ABI, signer);
 }
 
 // Get faucet contract instance
 export function getFaucetContract() {
   if (!faucetContract) {
-    const faucetAddress = import.meta.env.VITE_FAUCET_ADDRESS;
-    if (!faucetAddress) {
-      throw new Error('VITE_FAUCET_ADDRESS environment variable not set');
-    }
     const provider = getProvider();
-    faucetContract = new Contract(faucetAddress, FAUCET_ABI, provider);
+    faucetContract = new Contract(getContractAddress('faucet'), FAUCET_ABI, provider);
   }
   return faucetContract;
 }
@@ -95,8 +185,62 @@ export function getFaucetContract() {
 // Get faucet contract with signer for write operations
 export async function getFaucetContractWithSigner() {
   const signer = await getSigner();
-  const faucetAddress = import.meta.env.VITE_FAUCET_ADDRESS;
-  return new Contract(faucetAddress, FAUCET_ABI, signer);
+  return new Contract(getContractAddress('faucet'), FAUCET_ABI, signer);
+}
+
+// Get name, symbol and decimals of a token, read once and cached
+export async function getTokenMetadata(tokenAddress) {
+  const key = `${getActiveNetwork().chainId}:${tokenAddress.toLowerCase()}`;
+  if (!tokenMetadata.has(key)) {
+    const contract = new Contract(tokenAddress, TOKEN_ABI, getProvider());
+    const metadata = Promise.all([contract.name(), contract.symbol(), contract.decimals()]).then(
+      ([name, symbol, decimals]) => ({ name, symbol, decimals: Number(decimals) })
+    );
+    // Drop failed lookups so they are retried
+    metadata.catch(() => tokenMetadata.delete(key));
+    tokenMetadata.set(key, metadata);
+  }
+  return tokenMetadata.get(key);
+}
+
+// Get every token the faucet serves with its metadata and claim parameters, primary token first
+export async function getFaucetTokens() {
+  try {
+    const contract = getFaucetContract();
+    const addresses = await contract.getTokens();
+    return await Promise.all(
+      addresses.map(async (address, index) => {
+        const [metadata, config] = await Promise.all([
+          getTokenMetadata(address),
+          contract.tokenConfigs(address),
+        ]);
+        return {
+          address,
+          ...metadata,
+          isPrimary: index === 0,
+          faucetAmount: config.faucetAmount.toString(),
+          cooldownTime: config.cooldownTime.toString(),
+          maxClaimAmount: config.maxClaimAmount.toString(),
+        };
+      })
+    );
+  } catch (error) {
+    console.error('Error getting faucet tokens:', error);
+    throw new Error(`Failed to get faucet tokens: ${error.message}`);
+  }
+}
+
+// Get an address's balance of any faucet token
+export async function getTokenBalance(tokenAddress, address) {
+  if (!address) return '0';
+  try {
+    const contract = new Contract(tokenAddress, TOKEN_ABI, getProvider());
+    const balance = await contract.balanceOf(address);
+    return balance.toString();
+  } catch (error) {
+    console.error('Error getting token balance:', error);
+    throw new Error(`Failed to get token balance: ${error.message}`);
+  }
 }
 
 // Get user's token balance
@@ -112,23 +256,300 @@ export async function getBalance(address) {
   }
 }
 
+// Raw revert data of a failed call. ethers puts it on the error; when the wallet rejects
+// eth_sendTransaction itself, it stays nested in the JSON-RPC error ethers could not coalesce
+function getRevertData(error) {
+  const rpcError = error.error || error.info?.error;
+  return (
+    [error.data, rpcError?.data, rpcError?.data?.data].find((data) => isHexString(data)) || null
+  );
+}
+
+// Convert an ethers error into a typed faucet error where the revert is known
+function toContractError(error, description) {
+  if (error instanceof FaucetError) return error;
+  if (isUserRejection(error)) return new UserRejectedError();
+
+  // ethers decodes custom errors listed in the ABI; fall back to decoding raw revert data
+  let revert = error.revert;
+  const revertData = revert ? null : getRevertData(error);
+  if (revertData) {
+    try {
+      revert = faucetInterface.parseError(revertData);
+    } catch {
+      revert = null;
+    }
+  }
+  const typed = revert ? fromRevert(revert) : null;
+  if (typed) return typed;
+
+  // Revert strings, e.g. from the token contract
+  if (error.reason) return new Error(error.reason);
+  if (error.data?.message) return new Error(error.data.message);
+  return new Error(`Failed to ${description}: ${error.message}`);
+}
+
+// Wait for a wallet transaction through the transaction tracker and return the mined hash,
+// which is the replacement's when the transaction was sped up in the wallet
+async function waitForTransaction(tx, description) {
+  const receipt = await trackTransaction(tx, { chainId: getActiveNetwork().chainId, description });
+  return receipt.hash;
+}
+
+// Fetch the allowlist proof for an address, or null when it is not on the allowlist
+async function fetchAllowlistProof(address) {
+  const response = await fetch(`${ALLOWLIST_URL}/${address}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Allowlist service responded with status ${response.status}`);
+  }
+  const { proof } = await response.json();
+  return proof;
+}
+
+// Proof to submit with a claim: empty when the allowlist is disabled
+async function getClaimProof(address) {
+  const root = await getFaucetContract().allowlistRoot();
+  if (root === ZeroHash) return [];
+
+  const proof = await fetchAllowlistProof(address);
+  if (!proof) throw new NotAllowlistedError(address);
+  return proof;
+}
+
+// Get the allowlist Merkle root (ZeroHash when gating is disabled)
+export async function getAllowlistRoot() {
+  try {
+    const contract = getFaucetContract();
+    return await contract.allowlistRoot();
+  } catch (error) {
+    console.error('Error getting allowlist root:', error);
+    throw new Error(`Failed to get allowlist root: ${error.message}`);
+  }
+}
+
+// Get allowlist/denylist gating status for an address
+export async function getAllowlistStatus(address) {
+  try {
+    const contract = getFaucetContract();
+    const [root, denylisted] = await Promise.all([
+      contract.allowlistRoot(),
+      contract.denylisted(address),
+    ]);
+    const allowlistEnabled = root !== ZeroHash;
+
+    let allowlisted = true;
+    if (allowlistEnabled) {
+      const proof = await fetchAllowlistProof(address);
+      // A proof from an outdated allowlist file fails on-chain verification
+      allowlisted = !!proof && (await contract.isAllowlisted(address, proof));
+    }
+    return { allowlistEnabled, allowlisted, denylisted };
+  } catch (error) {
+    console.error('Error getting allowlist status:', error);
+    throw new Error(`Failed to get allowlist status: ${error.message}`);
+  }
+}
+
 // Request tokens from faucet
 export async function requestTokens() {
   try {
     const contract = await getFaucetContractWithSigner();
-    const tx = await contract.requestTokens();
-    await tx.wait();
-    return tx.hash;
+    const proof = await getClaimProof(await contract.runner.getAddress());
+    const tx = proof.length
+      ? await contract.requestTokensWithProof(proof)
+      : await contract.requestTokens();
+    return await waitForTransaction(tx, 'request tokens');
   } catch (error) {
     console.error('Error requesting tokens:', error);
-    
-    // Parse revert reason if available
-    if (error.reason) {
-      throw new Error(error.reason);
-    } else if (error.data?.message) {
-      throw new Error(error.data.message);
+    throw toContractError(error, 'request tokens');
+  }
+}
+
+// Claim one of the faucet's tokens, with that token's amount, cooldown and lifetime limit
+export async function claimToken(tokenAddress) {
+  try {
+    const contract = await getFaucetContractWithSigner();
+    const proof = await getClaimProof(await contract.runner.getAddress());
+    const tx = proof.length
+      ? await contract.claimTokenWithProof(tokenAddress, proof)
+      : await contract.claimToken(tokenAddress);
+    return await waitForTransaction(tx, 'claim token');
+  } catch (error) {
+    console.error('Error claiming token:', error);
+    throw toContractError(error, 'claim token');
+  }
+}
+
+// Get the receipt of a claim transaction with the faucet events it emitted: every TokensClaimed
+// (one per claim) and the ETH drip sent with it, if any
+export async function getClaimReceipt(txHash) {
+  try {
+    const provider = getProvider();
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) throw new Error('Transaction not mined yet');
+
+    const faucetAddress = (await getFaucetContract().getAddress()).toLowerCase();
+    const claims = [];
+    let ethDripped = null;
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== faucetAddress) continue;
+      const event = faucetInterface.parseLog(log);
+      if (event?.name === 'TokensClaimed') {
+        claims.push({
+          user: event.args.user,
+          token: event.args.token.toLowerCase(),
+          amount: event.args.amount.toString(),
+          timestamp: Number(event.args.timestamp),
+        });
+      } else if (event?.name === 'EthDripped') {
+        ethDripped = event.args.amount.toString();
+      }
+    }
+
+    return {
+      transactionHash: receipt.hash,
+      status: receipt.status,
+      blockNumber: receipt.blockNumber,
+      from: receipt.from,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: receipt.gasPrice.toString(),
+      fee: receipt.fee.toString(),
+      claims,
+      ethDripped,
+    };
+  } catch (error) {
+    console.error('Error getting claim receipt:', error);
+    throw new Error(`Failed to get claim receipt: ${error.message}`);
+  }
+}
+
+// Check whether the gasless claim relayer is available
+export async function getRelayerStatus() {
+  try {
+    const response = await fetch(`${RELAYER_URL}/status`);
+    if (!response.ok) return { enabled: false };
+    return await response.json();
+  } catch (error) {
+    console.error('Error getting relayer status:', error);
+    return { enabled: false };
+  }
+}
+
+// Request tokens without gas: sign an EIP-712 claim and let the relayer submit it
+export async function requestTokensGasless() {
+  try {
+    const signer = await getSigner();
+    const user = await signer.getAddress();
+    const faucet = getFaucetContract();
+    const network = getActiveNetwork();
+
+    const [nonce, proof] = await Promise.all([faucet.nonces(user), getClaimProof(user)]);
+    const deadline = Math.floor(Date.now() / 1000) + CLAIM_SIGNATURE_TTL;
+    const domain = {
+      name: 'TokenFaucet',
+      version: '1',
+      chainId: network.chainId,
+      verifyingContract: await faucet.getAddress(),
+    };
+    const signature = await signer.signTypedData(domain, CLAIM_TYPES, { user, nonce, deadline });
+
+    const response = await fetch(`${RELAYER_URL}/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ user, deadline: deadline.toString(), signature, proof }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 503) throw new RelayerUnavailableError();
+    if (response.status === 429) throw new RateLimitedError(result.error, result.retryAfter);
+    if (!response.ok) {
+      // The relayer forwards decoded custom errors from its simulation
+      const typed = result.revert ? fromRevert(result.revert) : null;
+      throw typed || new Error(result.error || `Relayer responded with status ${response.status}`);
+    }
+
+    const receipt = await getProvider().waitForTransaction(result.txHash);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error('Relayed transaction failed');
+    }
+    return result.txHash;
+  } catch (error) {
+    console.error('Error requesting gasless tokens:', error);
+    throw toContractError(error, 'request tokens without gas');
+  }
+}
+
+// Check whether the server-signed claim endpoint is available
+export async function getClaimApiStatus() {
+  try {
+    const response = await fetch(`${API_URL}/status`);
+    if (!response.ok) return { enabled: false };
+    const status = await response.json();
+    return { enabled: !!status.claimApi?.enabled };
+  } catch (error) {
+    console.error('Error getting claim API status:', error);
+    return { enabled: false };
+  }
+}
+
+// Request tokens for any address through the server, which claims on its behalf.
+// Needs no wallet; the server rate limits requests per IP and per address.
+export async function requestTokensForAddress(address, tokenAddress) {
+  try {
+    const response = await fetch(`${API_URL}/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(tokenAddress ? { address, token: tokenAddress } : { address }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 503) throw new ClaimApiUnavailableError();
+    if (response.status === 429) throw new RateLimitedError(result.error, result.retryAfter);
+    if (!response.ok) {
+      // The server forwards decoded custom errors from its simulation
+      const typed = result.revert ? fromRevert(result.revert) : null;
+      throw typed || new Error(result.error || `Claim API responded with status ${response.status}`);
+    }
+
+    const receipt = await getProvider().waitForTransaction(result.txHash);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error('Claim transaction failed');
     }
-    throw new Error(`Failed to request tokens: ${error.message}`);
+    return result.txHash;
+  } catch (error) {
+    console.error('Error requesting tokens for address:', error);
+    throw toContractError(error, 'request tokens for address');
+  }
+}
+
+// Convert a claimStatus / tokenClaimStatus result
+function toClaimStatus(result) {
+  return {
+    status: CLAIM_STATUS_CODES[Number(result.status)],
+    nextClaimAt: Number(result.nextClaimAt),
+    remainingAllowance: result.allowance.toString(),
+    remainingSupply: result.supplyLeft.toString(),
+  };
+}
+
+// Get why an address can or cannot claim, with next eligible time, allowance and supply left
+export async function getClaimStatus(address) {
+  try {
+    const contract = getFaucetContract();
+    return toClaimStatus(await contract.claimStatus(address));
+  } catch (error) {
+    console.error('Error getting claim status:', error);
+    throw new Error(`Failed to get claim status: ${error.message}`);
+  }
+}
+
+// Get the claim status of an address for one of the faucet's tokens
+export async function getTokenClaimStatus(tokenAddress, address) {
+  try {
+    const contract = getFaucetContract();
+    return toClaimStatus(await contract.tokenClaimStatus(tokenAddress, address));
+  } catch (error) {
+    console.error('Error getting token claim status:', error);
+    throw new Error(`Failed to get token claim status: ${error.message}`);
   }
 }
 
@@ -199,9 +620,9 @@ export async function getFaucetConstants() {
   try {
     const contract = getFaucetContract();
     const [amount, cooldown, maxClaim] = await Promise.all([
-      contract.FAUCET_AMOUNT(),
-      contract.COOLDOWN_TIME(),
-      contract.MAX_CLAIM_AMOUNT(),
+      contract.faucetAmount(),
+      contract.cooldownTime(),
+      contract.maxClaimAmount(),
     ]);
     return {
       faucetAmount: amount.toString(),
@@ -214,14 +635,349 @@ export async function getFaucetConstants() {
   }
 }
 
-// Get contract addresses
+// Get global faucet status: pause state and supply left before MAX_SUPPLY
+export async function getFaucetStatus() {
+  try {
+    const contract = getFaucetContract();
+    const status = await contract.faucetStatus();
+    return {
+      paused: status.isPaused_,
+      exhausted: status.exhausted,
+      totalSupply: status.totalSupply.toString(),
+      maxSupply: status.maxSupply.toString(),
+      remainingSupply: status.supplyLeft.toString(),
+    };
+  } catch (error) {
+    console.error('Error getting faucet status:', error);
+    throw new Error(`Failed to get faucet status: ${error.message}`);
+  }
+}
+
+// Get the ETH drip settings and the faucet's ETH reserve, in wei
+export async function getEthDrip() {
+  try {
+    const contract = getFaucetContract();
+    const [amount, cooldown, budget, totalDripped, reserve] = await Promise.all([
+      contract.ethDripAmount(),
+      contract.ethDripCooldown(),
+      contract.ethDripBudget(),
+      contract.totalEthDripped(),
+      getProvider().getBalance(await contract.getAddress()),
+    ]);
+    return {
+      enabled: amount > 0n,
+      amount: amount.toString(),
+      cooldownTime: cooldown.toString(),
+      budget: budget.toString(),
+      totalDripped: totalDripped.toString(),
+      reserve: reserve.toString(),
+    };
+  } catch (error) {
+    console.error('Error getting ETH drip:', error);
+    throw new Error(`Failed to get ETH drip: ${error.message}`);
+  }
+}
+
+// Get whether an address's next claim includes the ETH drip
+export async function getEthDripStatus(address) {
+  try {
+    const contract = getFaucetContract();
+    const status = await contract.ethDripStatus(address);
+    return {
+      qualifies: status.qualifies,
+      amount: status.amount.toString(),
+      nextDripAt: Number(status.nextDripAt),
+      budget: status.budget.toString(),
+      reserve: status.reserve.toString(),
+    };
+  } catch (error) {
+    console.error('Error getting ETH drip status:', error);
+    throw new Error(`Failed to get ETH drip status: ${error.message}`);
+  }
+}
+
+// Get claim status of any address in one call
+export async function getAddressStatus(address) {
+  try {
+    const faucet = getFaucetContract();
+    const token = getTokenContract();
+    const [balance, claimStatus, lastClaim, total] = await Promise.all([
+      token.balanceOf(address),
+      faucet.claimStatus(address),
+      faucet.lastClaimAt(address),
+      faucet.totalClaimed(address),
+    ]);
+    const status = CLAIM_STATUS_CODES[Number(claimStatus.status)];
+    return {
+      balance: balance.toString(),
+      canClaim: status === CLAIM_STATUS.ELIGIBLE,
+      status,
+      remainingAllowance: claimStatus.allowance.toString(),
+      lastClaimAt: lastClaim.toString(),
+      totalClaimed: total.toString(),
+    };
+  } catch (error) {
+    console.error('Error getting address status:', error);
+    throw new Error(`Failed to get address status: ${error.message}`);
+  }
+}
+
+// Get the faucet default admin and any pending admin transfer
+export async function getAdmin() {
+  try {
+    const contract = getFaucetContract();
+    const [admin, [pendingAdmin, schedule]] = await Promise.all([
+      contract.defaultAdmin(),
+      contract.pendingDefaultAdmin(),
+    ]);
+    return {
+      admin,
+      pendingAdmin: pendingAdmin === ZeroAddress ? null : pendingAdmin,
+      schedule: Number(schedule),
+    };
+  } catch (error) {
+    console.error('Error getting faucet admin:', error);
+    throw new Error(`Failed to get faucet admin: ${error.message}`);
+  }
+}
+
+// Get the role identifiers used by the faucet, keyed by role name
+async function getRoleIds() {
+  const contract = getFaucetContract();
+  const names = ['DEFAULT_ADMIN_ROLE', ...MANAGED_ROLES];
+  const ids = await Promise.all(names.map((name) => contract[name]()));
+  return Object.fromEntries(names.map((name, i) => [name, ids[i]]));
+}
+
+// Get the faucet roles held by an address
+export async function getRoles(address) {
+  try {
+    const contract = getFaucetContract();
+    const roleIds = await getRoleIds();
+    const names = Object.keys(roleIds);
+    const held = await Promise.all(names.map((name) => contract.hasRole(roleIds[name], address)));
+    return {
+      isAdmin: held[names.indexOf('DEFAULT_ADMIN_ROLE')],
+      isPauser: held[names.indexOf('PAUSER_ROLE')],
+      isConfigManager: held[names.indexOf('CONFIG_MANAGER_ROLE')],
+    };
+  } catch (error) {
+    console.error('Error getting faucet roles:', error);
+    throw new Error(`Failed to get faucet roles: ${error.message}`);
+  }
+}
+
+// Get current holders of each managed role, replayed from RoleGranted/RoleRevoked events
+export async function getRoleHolders() {
+  try {
+    const contract = getFaucetContract();
+    const roleIds = await getRoleIds();
+    const latestBlock = await getProvider().getBlockNumber();
+    const fromBlock = getActiveNetwork().deployBlock;
+    const [granted, revoked] = await Promise.all([
+      queryEventsInChunks(contract, contract.filters.RoleGranted(), fromBlock, latestBlock),
+      queryEventsInChunks(contract, contract.filters.RoleRevoked(), fromBlock, latestBlock),
+    ]);
+    const events = [...granted, ...revoked].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+
+    const holders = Object.fromEntries(MANAGED_ROLES.map((name) => [name, new Set()]));
+    events.forEach((event) => {
+      const name = MANAGED_ROLES.find((roleName) => roleIds[roleName] === event.args.role);
+      if (!name) return;
+      if (event.fragment.name === 'RoleGranted') {
+        holders[name].add(event.args.account);
+      } else {
+        holders[name].delete(event.args.account);
+      }
+    });
+
+    return Object.fromEntries(
+      MANAGED_ROLES.map((name) => [name, [...holders[name]]])
+    );
+  } catch (error) {
+    console.error('Error getting role holders:', error);
+    throw new Error(`Failed to get role holders: ${error.message}`);
+  }
+}
+
+// Send an admin transaction to the faucet and wait for it to be mined
+async function sendAdminTransaction(method, args, description) {
+  try {
+    const contract = await getFaucetContractWithSigner();
+    const tx = await contract[method](...args);
+    return await waitForTransaction(tx, description);
+  } catch (error) {
+    console.error(`Error trying to ${description}:`, error);
+    throw toContractError(error, description);
+  }
+}
+
+// Set faucet pause state (PAUSER_ROLE only)
+export async function setPaused(paused) {
+  return sendAdminTransaction('setPaused', [paused], 'set pause state');
+}
+
+// Set tokens distributed per claim, in wei (CONFIG_MANAGER_ROLE only)
+export async function setFaucetAmount(amount) {
+  return sendAdminTransaction('setFaucetAmount', [amount], 'set faucet amount');
+}
+
+// Set cooldown between claims, in seconds (CONFIG_MANAGER_ROLE only)
+export async function setCooldownTime(seconds) {
+  return sendAdminTransaction('setCooldownTime', [seconds], 'set cooldown time');
+}
+
+// Set lifetime claim limit per address, in wei (CONFIG_MANAGER_ROLE only)
+export async function setMaxClaimAmount(amount) {
+  return sendAdminTransaction('setMaxClaimAmount', [amount], 'set max claim amount');
+}
+
+// Set the allowlist Merkle root, or ZeroHash to disable gating (CONFIG_MANAGER_ROLE only)
+export async function setAllowlistRoot(root) {
+  return sendAdminTransaction('setAllowlistRoot', [root], 'set allowlist root');
+}
+
+// Add or remove addresses from the denylist (CONFIG_MANAGER_ROLE only)
+export async function setDenylisted(accounts, denied) {
+  return sendAdminTransaction('setDenylisted', [accounts, denied], 'update denylist');
+}
+
+// Set the ETH drip amount, cooldown and budget, in wei / seconds (CONFIG_MANAGER_ROLE only)
+export async function setEthDrip(amount, cooldown, budget) {
+  return sendAdminTransaction('setEthDrip', [amount, cooldown, budget], 'set ETH drip');
+}
+
+// Withdraw ETH from the faucet reserve, in wei (default admin only)
+export async function withdrawEth(to, amount) {
+  return sendAdminTransaction('withdrawEth', [to, amount], 'withdraw ETH');
+}
+
+// Send ETH from the connected wallet to the faucet reserve, in wei
+export async function fundFaucet(amount) {
+  try {
+    const signer = await getSigner();
+    const tx = await signer.sendTransaction({ to: getContractAddress('faucet'), value: amount });
+    return await waitForTransaction(tx, 'fund faucet');
+  } catch (error) {
+    console.error('Error funding faucet:', error);
+    throw toContractError(error, 'fund faucet');
+  }
+}
+
+// Grant a managed role by name, e.g. 'PAUSER_ROLE' (default admin only)
+export async function grantRole(roleName, account) {
+  const roleIds = await getRoleIds();
+  return sendAdminTransaction('grantRole', [roleIds[roleName], account], 'grant role');
+}
+
+// Revoke a managed role by name (default admin only)
+export async function revokeRole(roleName, account) {
+  const roleIds = await getRoleIds();
+  return sendAdminTransaction('revokeRole', [roleIds[roleName], account], 'revoke role');
+}
+
+// Start a two-step default admin transfer (default admin only)
+export async function beginAdminTransfer(newAdmin) {
+  return sendAdminTransaction('beginDefaultAdminTransfer', [newAdmin], 'begin admin transfer');
+}
+
+// Cancel a pending default admin transfer (default admin only)
+export async function cancelAdminTransfer() {
+  return sendAdminTransaction('cancelDefaultAdminTransfer', [], 'cancel admin transfer');
+}
+
+// Accept a pending default admin transfer (pending admin only)
+export async function acceptAdminTransfer() {
+  return sendAdminTransaction('acceptDefaultAdminTransfer', [], 'accept admin transfer');
+}
+
+// Query contract events in fixed-size block ranges, calling onChunk after each range
+export async function queryEventsInChunks(contract, filter, fromBlock, toBlock, onChunk) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    const chunk = await contract.queryFilter(filter, start, end);
+    events.push(...chunk);
+    if (onChunk) await onChunk(chunk, end);
+  }
+  return events;
+}
+
+// Get pause history from FaucetPaused events, newest first
+export async function getPauseHistory() {
+  try {
+    const contract = getFaucetContract();
+    const latestBlock = await getProvider().getBlockNumber();
+    const events = await queryEventsInChunks(
+      contract,
+      contract.filters.FaucetPaused(),
+      getActiveNetwork().deployBlock,
+      latestBlock
+    );
+    const history = await Promise.all(
+      events.map(async (event) => {
+        const block = await event.getBlock();
+        return {
+          isPaused: event.args.isPaused,
+          blockNumber: event.blockNumber,
+          logIndex: event.index,
+          timestamp: block.timestamp.toString(),
+          transactionHash: event.transactionHash,
+        };
+      })
+    );
+    return history.reverse();
+  } catch (error) {
+    console.error('Error getting pause history:', error);
+    throw new Error(`Failed to get pause history: ${error.message}`);
+  }
+}
+
+// Get global token supply statistics
+export async function getFaucetStats() {
+  try {
+    const token = getTokenContract();
+    const [totalSupply, maxSupply] = await Promise.all([
+      token.totalSupply(),
+      token.MAX_SUPPLY(),
+    ]);
+    return {
+      totalMinted: totalSupply.toString(),
+      maxSupply: maxSupply.toString(),
+    };
+  } catch (error) {
+    console.error('Error getting faucet stats:', error);
+    throw new Error(`Failed to get faucet stats: ${error.message}`);
+  }
+}
+
+// Get contract addresses for the active network
 export function getContractAddresses() {
+  const network = activeNetwork || getNetwork(getDefaultChainId());
   return {
-    token: import.meta.env.VITE_TOKEN_ADDRESS || '',
-    faucet: import.meta.env.VITE_FAUCET_ADDRESS || '',
+    token: network?.contracts.token || '',
+    faucet: network?.contracts.faucet || '',
   };
 }
 
+// Call back with the block number whenever a new block is mined
+export function listenToBlocks(callback) {
+  try {
+    const provider = getProvider();
+    provider.on('block', callback);
+
+    // Return unsubscribe function
+    return () => {
+      provider.off('block', callback);
+    };
+  } catch (error) {
+    console.error('Error setting up block listener:', error);
+    return () => {};
+  }
+}
+
 // Listen to token transfer events
 export function listenToTokenTransfers(callback) {
   try {
@@ -253,9 +1009,10 @@ export function listenToFaucetClaims(callback) {
     const contract = getFaucetContract();
     const filter = contract.filters.TokensClaimed();
     
-    contract.on(filter, (user, amount, timestamp, event) => {
+    contract.on(filter, (user, token, amount, timestamp, event) => {
       callback({
         user,
+        token,
         amount: amount.toString(),
         timestamp: timestamp.toString(),
         transactionHash: event.transactionHash,
@@ -271,3 +1028,21 @@ export function listenToFaucetClaims(callback) {
     return () => {};
   }
 }
+
+// Listen to faucet parameter changes
+export function listenToFaucetConfigChanges(callback) {
+  try {
+    const contract = getFaucetContract();
+    const handler = () => callback();
+
+    CONFIG_EVENTS.forEach((eventName) => contract.on(eventName, handler));
+
+    // Return unsubscribe function
+    return () => {
+      CONFIG_EVENTS.forEach((eventName) => contract.off(eventName, handler));
+    };
+  } catch (error) {
+    console.error('Error setting up faucet config listener:', error);
+    return () => {};
+  }
+}
@@ -0,0 +1,212 @@
+// Typed errors for faucet interactions. Contract custom errors are decoded into these
+// classes, so callers check `instanceof` (or the stable `code`) instead of message text.
+// Names are set explicitly because minification renames classes.
+
+// Base class for every faucet error
+export class FaucetError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FaucetError';
+    this.code = code;
+  }
+}
+
+// Claims are paused (TokenFaucet.FaucetIsPaused)
+export class FaucetPausedError extends FaucetError {
+  constructor() {
+    super('Faucet is currently paused', 'FAUCET_PAUSED');
+    this.name = 'FaucetPausedError';
+  }
+}
+
+// Address is on the denylist (TokenFaucet.AddressDenylisted)
+export class DenylistedError extends FaucetError {
+  constructor(user) {
+    super('Address is denylisted', 'DENYLISTED');
+    this.name = 'DenylistedError';
+    this.user = user;
+  }
+}
+
+// Allowlist is enabled and the address has no valid proof (TokenFaucet.NotAllowlisted)
+export class NotAllowlistedError extends FaucetError {
+  constructor(user) {
+    super('Address not on allowlist', 'NOT_ALLOWLISTED');
+    this.name = 'NotAllowlistedError';
+    this.user = user;
+  }
+}
+
+// Cooldown since the last claim has not passed (TokenFaucet.CooldownActive)
+export class CooldownActiveError extends FaucetError {
+  constructor(nextClaimAt) {
+    super('Must wait for cooldown between claims', 'COOLDOWN_ACTIVE');
+    this.name = 'CooldownActiveError';
+    this.nextClaimAt = Number(nextClaimAt);
+  }
+}
+
+// Another claim would exceed the lifetime limit (TokenFaucet.LifetimeLimitReached)
+export class LifetimeLimitError extends FaucetError {
+  constructor(totalClaimed, maxClaimAmount) {
+    super('Lifetime claim limit reached', 'LIFETIME_LIMIT_REACHED');
+    this.name = 'LifetimeLimitError';
+    this.totalClaimed = totalClaimed.toString();
+    this.maxClaimAmount = maxClaimAmount.toString();
+  }
+}
+
+// Minting a claim would exceed the token's max supply (TokenFaucet.SupplyExhausted)
+export class SupplyExhaustedError extends FaucetError {
+  constructor(remainingSupply) {
+    super('Faucet supply exhausted', 'SUPPLY_EXHAUSTED');
+    this.name = 'SupplyExhaustedError';
+    this.remainingSupply = remainingSupply.toString();
+  }
+}
+
+// Claimed token is not served by the faucet (TokenFaucet.TokenNotRegistered)
+export class TokenNotRegisteredError extends FaucetError {
+  constructor(token) {
+    super('Token is not served by the faucet', 'TOKEN_NOT_REGISTERED');
+    this.name = 'TokenNotRegisteredError';
+    this.token = token;
+  }
+}
+
+// Signed claim request reached the chain after its deadline (TokenFaucet.SignatureExpired)
+export class SignatureExpiredError extends FaucetError {
+  constructor(deadline) {
+    super('Signature expired', 'SIGNATURE_EXPIRED');
+    this.name = 'SignatureExpiredError';
+    this.deadline = Number(deadline);
+  }
+}
+
+// Signed claim request was not signed by the user or was already used (TokenFaucet.InvalidSignature)
+export class InvalidSignatureError extends FaucetError {
+  constructor() {
+    super('Invalid signature', 'INVALID_SIGNATURE');
+    this.name = 'InvalidSignatureError';
+  }
+}
+
+// Caller lacks the role for an admin action (AccessControlUnauthorizedAccount)
+export class UnauthorizedError extends FaucetError {
+  constructor(account, role) {
+    super('Account is missing the required role', 'UNAUTHORIZED');
+    this.name = 'UnauthorizedError';
+    this.account = account;
+    this.role = role;
+  }
+}
+
+// Admin parameters were rejected by the contract
+export class InvalidParametersError extends FaucetError {
+  constructor(message) {
+    super(message, 'INVALID_PARAMETERS');
+    this.name = 'InvalidParametersError';
+  }
+}
+
+// User rejected the request in their wallet
+export class UserRejectedError extends FaucetError {
+  constructor() {
+    super('Transaction rejected by user', 'USER_REJECTED');
+    this.name = 'UserRejectedError';
+  }
+}
+
+// Gasless claim relayer is not configured on the server
+export class RelayerUnavailableError extends FaucetError {
+  constructor() {
+    super('Relayer not configured', 'RELAYER_UNAVAILABLE');
+    this.name = 'RelayerUnavailableError';
+  }
+}
+
+// Server-signed claim endpoint (/api/claim) is not configured on the server
+export class ClaimApiUnavailableError extends FaucetError {
+  constructor() {
+    super('Claim API not configured', 'CLAIM_API_UNAVAILABLE');
+    this.name = 'ClaimApiUnavailableError';
+  }
+}
+
+// Claim API rate limit hit for this IP or address; retryAfter is in seconds
+export class RateLimitedError extends FaucetError {
+  constructor(message, retryAfter) {
+    super(message, 'RATE_LIMITED');
+    this.name = 'RateLimitedError';
+    this.retryAfter = Number(retryAfter);
+  }
+}
+
+// A sent transaction was cancelled or replaced by a different one in the wallet. reason is
+// ethers' replacement reason; replacementHash is null when the replacement is unknown
+export class TransactionReplacedError extends FaucetError {
+  constructor(reason, replacementHash) {
+    super(`Transaction was ${reason === 'cancelled' ? 'cancelled' : 'replaced'}`, 'TRANSACTION_REPLACED');
+    this.name = 'TransactionReplacedError';
+    this.reason = reason;
+    this.replacementHash = replacementHash;
+  }
+}
+
+// A sent transaction disappeared from the node without being mined
+export class TransactionDroppedError extends FaucetError {
+  constructor(hash) {
+    super('Transaction was dropped before it was mined', 'TRANSACTION_DROPPED');
+    this.name = 'TransactionDroppedError';
+    this.hash = hash;
+  }
+}
+
+// Build a typed error from a decoded custom error ({ name, args }), or null when unknown
+export function fromRevert({ name, args = [] }) {
+  switch (name) {
+    case 'FaucetIsPaused':
+      return new FaucetPausedError();
+    case 'AddressDenylisted':
+      return new DenylistedError(args[0]);
+    case 'NotAllowlisted':
+      return new NotAllowlistedError(args[0]);
+    case 'CooldownActive':
+      return new CooldownActiveError(args[0]);
+    case 'LifetimeLimitReached':
+      return new LifetimeLimitError(args[0], args[1]);
+    case 'SupplyExhausted':
+      return new SupplyExhaustedError(args[0]);
+    case 'TokenNotRegistered':
+      return new TokenNotRegisteredError(args[0]);
+    case 'SignatureExpired':
+      return new SignatureExpiredError(args[0]);
+    case 'InvalidSignature':
+      return new InvalidSignatureError();
+    case 'AccessControlUnauthorizedAccount':
+      return new UnauthorizedError(args[0], args[1]);
+    case 'InvalidFaucetAmount':
+      return new InvalidParametersError('Faucet amount must be positive');
+    case 'InvalidClaimLimits':
+      return new InvalidParametersError('Faucet amount cannot exceed the lifetime limit');
+    case 'TokenAlreadyRegistered':
+      return new InvalidParametersError('Token is already served by the faucet');
+    case 'CannotRemovePrimaryToken':
+      return new InvalidParametersError('The primary token cannot be removed');
+    case 'InsufficientEthReserve':
+      return new InvalidParametersError('Withdrawal exceeds the faucet ETH reserve');
+    case 'EthTransferFailed':
+      return new InvalidParametersError('The recipient rejected the ETH transfer');
+    case 'AccessControlInvalidDefaultAdmin':
+      return new InvalidParametersError('Invalid default admin');
+    case 'AccessControlEnforcedDefaultAdminRules':
+      return new InvalidParametersError('The default admin role can only change hands by transfer');
+    default:
+      return null;
+  }
+}
+
+// Whether an ethers error means the user rejected the request in their wallet
+export function isUserRejection(error) {
+  return error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.info?.error?.code === 4001;
+}
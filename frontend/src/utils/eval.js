@@ -7,20 +7,41 @@ import {
   requestTokens,
   getBalance,
   canClaim,
+  getClaimStatus,
   getRemainingAllowance,
   getContractAddresses,
+  getFaucetTokens,
+  getProvider,
   initProvider,
 } from './contracts';
+import { FaucetError } from './errors';
+
+// Prefix an error with the failed method, keeping a typed faucet error's name, code and
+// details (e.g. nextClaimAt) so callers can branch on error.code instead of the message
+function wrapError(label, error) {
+  const wrapped = new Error(`${label} failed: ${error.message}`, { cause: error });
+  if (error instanceof FaucetError) {
+    Object.assign(wrapped, error);
+  }
+  return wrapped;
+}
 
 // Initialize the evaluation interface on window
 export async function setupEvalInterface() {
-  // Make sure provider is initialized
+  // Make sure provider is initialized, keeping the network the app already selected
   try {
-    await initProvider();
-  } catch (err) {
-    console.error('Failed to initialize provider:', err);
+    getProvider();
+  } catch {
+    try {
+      await initProvider();
+    } catch (err) {
+      console.error('Failed to initialize provider:', err);
+    }
   }
 
+  // Headless runs (e.g. the local wallet connector under Node) have no window to attach to
+  if (typeof window === 'undefined') return;
+
   window.__EVAL__ = {
     // Connect wallet and return address
     connectWallet: async () => {
@@ -34,7 +55,7 @@ export async function setupEvalInterface() {
         }
         return address;
       } catch (error) {
-        throw new Error(`Connect wallet failed: ${error.message}`);
+        throw wrapError('Connect wallet', error);
       }
     },
 
@@ -51,7 +72,7 @@ export async function setupEvalInterface() {
         }
         return txHash;
       } catch (error) {
-        throw new Error(`Request tokens failed: ${error.message}`);
+        throw wrapError('Request tokens', error);
       }
     },
 
@@ -64,7 +85,7 @@ export async function setupEvalInterface() {
         const balance = await getBalance(address);
         return balance;
       } catch (error) {
-        throw new Error(`Get balance failed: ${error.message}`);
+        throw wrapError('Get balance', error);
       }
     },
 
@@ -77,7 +98,19 @@ export async function setupEvalInterface() {
         const eligible = await canClaim(address);
         return eligible;
       } catch (error) {
-        throw new Error(`Can claim check failed: ${error.message}`);
+        throw wrapError('Can claim check', error);
+      }
+    },
+
+    // Get claim status for address: { status, nextClaimAt, remainingAllowance, remainingSupply }
+    getClaimStatus: async (address) => {
+      try {
+        if (!address) {
+          throw new Error('Address parameter required');
+        }
+        return await getClaimStatus(address);
+      } catch (error) {
+        throw wrapError('Get claim status', error);
       }
     },
 
@@ -90,7 +123,16 @@ export async function setupEvalInterface() {
         const allowance = await getRemainingAllowance(address);
         return allowance;
       } catch (error) {
-        throw new Error(`Get remaining allowance failed: ${error.message}`);
+        throw wrapError('Get remaining allowance', error);
+      }
+    },
+
+    // Get the tokens the faucet serves: [{ address, symbol, decimals, faucetAmount, ... }]
+    getFaucetTokens: async () => {
+      try {
+        return await getFaucetTokens();
+      } catch (error) {
+        throw wrapError('Get faucet tokens', error);
       }
     },
 
@@ -103,7 +145,7 @@ export async function setupEvalInterface() {
         }
         return addresses;
       } catch (error) {
-        throw new Error(`Get contract addresses failed: ${error.message}`);
+        throw wrapError('Get contract addresses', error);
       }
     },
   };
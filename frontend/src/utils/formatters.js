@@ -1,12 +1,71 @@
-// Utility to format large numbers
-export function formatTokenAmount(wei, decimals = 18, displayDecimals = 2) {
-  if (!wei || wei === '0') return '0';
-  
-  const weiStr = wei.toString();
-  const divisor = Math.pow(10, decimals);
-  const amount = parseFloat(weiStr) / divisor;
-  
-  return amount.toFixed(displayDecimals);
+// Decimal separator of a locale (undefined = the user's locale), e.g. "." or ","
+function getDecimalSeparator(locale) {
+  const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(({ type }) => type === 'decimal');
+  return part ? part.value : '.';
+}
+
+/**
+ * Formats a token amount given in base units (wei for 18 decimals) exactly, using BigInt arithmetic.
+ * @param {bigint|string|number} amount Amount in base units
+ * @param {number} decimals Token decimals
+ * @param {object} [options]
+ * @param {number} [options.maxDecimals] Most fraction digits shown (defaults to all of them)
+ * @param {number} [options.minDecimals] Fraction digits always shown, padded with zeros (default 0)
+ * @param {'trunc'|'halfExpand'} [options.rounding] Cut extra digits ('trunc', the default, never shows
+ *   more than the amount) or round half away from zero
+ * @param {string} [options.locale] Locale for digit grouping and the decimal separator (defaults to the user's)
+ * @param {boolean} [options.grouping] Group thousands (default true)
+ * @returns {string} e.g. "1,234.5"
+ */
+export function formatAmount(amount, decimals, options = {}) {
+  const {
+    maxDecimals = Number(decimals),
+    minDecimals = 0,
+    rounding = 'trunc',
+    locale,
+    grouping = true,
+  } = options;
+
+  const tokenDecimals = Number(decimals);
+  const value = BigInt(amount ?? 0);
+  const negative = value < 0n;
+  const absolute = negative ? -value : value;
+
+  // Drop the fraction digits that are not shown, rounding on the first dropped digit if asked
+  const shown = Math.min(maxDecimals, tokenDecimals);
+  const step = 10n ** BigInt(tokenDecimals - shown);
+  let units = absolute / step;
+  if (rounding === 'halfExpand' && (absolute % step) * 2n >= step) units += 1n;
+
+  const scale = 10n ** BigInt(shown);
+  const whole = units / scale;
+  const fraction = (shown > 0 ? (units % scale).toString().padStart(shown, '0') : '')
+    .replace(/0+$/, '')
+    .padEnd(minDecimals, '0');
+
+  const wholeText = new Intl.NumberFormat(locale, { useGrouping: grouping }).format(whole);
+  const sign = negative && units > 0n ? '-' : '';
+  return `${sign}${wholeText}${fraction ? `${getDecimalSeparator(locale)}${fraction}` : ''}`;
+}
+
+// Utility to format an amount with the token's symbol and decimals (e.g. "1,234.5 TEST")
+export function formatTokenAmount(amount, token, options) {
+  return `${formatAmount(amount, token.decimals, options)} ${token.symbol}`;
+}
+
+// Utility to format a balance with two decimal places, truncated (e.g. "12.34")
+export function formatBalance(amount, decimals) {
+  return formatAmount(amount, decimals, { minDecimals: 2, maxDecimals: 2 });
+}
+
+// Utility to format a claim amount without trailing zeros for labels (e.g. "100", "2.5")
+export function formatClaimAmount(amount, decimals) {
+  return formatAmount(amount, decimals);
+}
+
+// Utility to format an ETH amount with up to four decimals (e.g. "0.0125")
+export function formatEthAmount(amount) {
+  return formatAmount(amount, 18, { maxDecimals: 4 });
 }
 
 // Utility to format addresses
@@ -33,18 +92,49 @@ export function formatTimeRemaining(cooldownEndTime, currentTime = Math.floor(Da
     return `${days}d ${hours}h`;
   } else if (hours > 0) {
     return `${hours}h ${minutes}m`;
-  } else {
+  } else if (minutes > 0) {
     return `${minutes}m`;
+  } else {
+    // Under a minute "0m" would read as ready
+    return `${remaining}s`;
   }
 }
 
+// Utility to format a duration in seconds as readable text (e.g. "1 day 2 hours")
+export function formatDuration(seconds) {
+  // Whole seconds only: a fraction would otherwise leave no unit to show
+  const total = Math.floor(Number(seconds));
+  if (!total || total <= 0) return '0 seconds';
+
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1],
+  ];
+  const parts = [];
+  let remaining = total;
+  for (const [name, size] of units) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+      remaining -= count * size;
+    }
+  }
+
+  // Two most significant units are precise enough for display
+  return parts.slice(0, 2).join(' ');
+}
+
 // Utility to validate Ethereum address
 export function isValidAddress(address) {
   return /^0x[a-fA-F0-9]{40}$/.test(address);
 }
 
-// Utility to calculate percentage
+// Utility to calculate a whole percentage for progress bars, capped at 100
 export function calculatePercentage(current, total) {
-  if (total === 0) return 0;
-  return Math.round((BigInt(current) * BigInt(100)) / BigInt(total));
+  if (!total || BigInt(total) <= 0n) return 0;
+  const percentage = (BigInt(current ?? 0) * 100n) / BigInt(total);
+  if (percentage < 0n) return 0;
+  return percentage > 100n ? 100 : Number(percentage);
 }
@@ -0,0 +1,215 @@
+import { isError, makeError } from 'ethers';
+import { TransactionDroppedError, TransactionReplacedError } from './errors';
+
+// Wallet transactions are tracked from submission until they are mined, replaced or dropped.
+// Tracked transactions are kept in localStorage, so pending ones are picked up again after a reload.
+const STORAGE_KEY = 'token-faucet:transactions';
+const MAX_FINISHED = 20; // finished transactions kept for display
+const CHECK_INTERVAL = 15 * 1000; // ms between checks that a pending transaction is still known
+const DROP_TIMEOUT = 5 * 60 * 1000; // ms a transaction may be unknown to the node before it counts as dropped
+
+// Transaction states, in the order a transaction moves through them
+export const TX_STATUS = {
+  SUBMITTED: 'submitted', // the wallet returned a hash
+  PENDING: 'pending', // the node knows the transaction and it waits to be mined
+  CONFIRMED: 'confirmed', // mined successfully
+  FAILED: 'failed', // reverted, or dropped from the mempool
+  REPLACED: 'replaced', // another transaction with the same nonce was mined instead
+};
+
+const FINAL_STATUSES = [TX_STATUS.CONFIRMED, TX_STATUS.FAILED, TX_STATUS.REPLACED];
+
+let transactions = null;
+const listeners = new Set();
+// Hashes with a running watcher, so resuming never waits for a transaction twice
+const watching = new Set();
+
+// Read tracked transactions from localStorage, or start empty when it is unavailable
+function loadTransactions() {
+  if (transactions) return transactions;
+  transactions = [];
+  try {
+    if (typeof localStorage !== 'undefined') {
+      transactions = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    }
+  } catch (error) {
+    console.error('Failed to read tracked transactions:', error);
+  }
+  return transactions;
+}
+
+// Write tracked transactions to localStorage and notify listeners. Pending transactions are
+// always kept; finished ones only up to MAX_FINISHED
+function saveTransactions() {
+  let finished = 0;
+  transactions = transactions.filter(
+    (entry) => !isFinal(entry) || ++finished <= MAX_FINISHED
+  );
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+    }
+  } catch (error) {
+    console.error('Failed to store tracked transactions:', error);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function isFinal(entry) {
+  return FINAL_STATUSES.includes(entry.status);
+}
+
+// Move a tracked transaction to a new state and record the step in its history
+function updateTransaction(entry, status, details = {}) {
+  Object.assign(entry, details, { status });
+  entry.history.push({ status, at: Date.now() });
+  saveTransactions();
+}
+
+// Start tracking a transaction; newest transactions come first
+function addTransaction(details, status) {
+  const entry = { ...details, status, history: [{ status, at: Date.now() }] };
+  loadTransactions().unshift(entry);
+  saveTransactions();
+  return entry;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wait for a tracked transaction to be mined. Resolves to the receipt of the transaction, or of
+// its replacement when it was sped up in the wallet; throws when it reverts, is cancelled or
+// replaced by a different transaction, or is dropped
+async function watchTransaction(provider, entry, response = null) {
+  let tx = response;
+  let lastSeenAt = Date.now();
+
+  for (;;) {
+    const known = await provider.getTransaction(entry.hash);
+    if (known) {
+      lastSeenAt = Date.now();
+      // Resumed transactions scan blocks from startBlock to find a replacement
+      tx = tx || known.replaceableTransaction(entry.startBlock);
+      if (entry.status === TX_STATUS.SUBMITTED) updateTransaction(entry, TX_STATUS.PENDING);
+    } else if (!tx && (await provider.getTransactionCount(entry.from, 'latest')) > entry.nonce) {
+      // Gone from the node and its nonce is used, e.g. replaced while the page was closed
+      updateTransaction(entry, TX_STATUS.REPLACED, { reason: 'replaced' });
+      throw new TransactionReplacedError('replaced', null);
+    } else if (Date.now() - lastSeenAt > DROP_TIMEOUT) {
+      updateTransaction(entry, TX_STATUS.FAILED, { reason: 'dropped' });
+      throw new TransactionDroppedError(entry.hash);
+    }
+
+    if (!tx) {
+      await sleep(CHECK_INTERVAL);
+      continue;
+    }
+
+    try {
+      const receipt = await tx.wait(1, CHECK_INTERVAL);
+      updateTransaction(entry, TX_STATUS.CONFIRMED, { blockNumber: receipt.blockNumber });
+      return receipt;
+    } catch (error) {
+      // Still pending - check that the node has not dropped it
+      if (isError(error, 'TIMEOUT')) continue;
+
+      if (isError(error, 'TRANSACTION_REPLACED')) {
+        return handleReplacement(entry, error);
+      }
+      if (isError(error, 'CALL_EXCEPTION') && error.receipt) {
+        updateTransaction(entry, TX_STATUS.FAILED, { reason: 'reverted', blockNumber: error.receipt.blockNumber });
+      }
+      throw error;
+    }
+  }
+}
+
+// ethers reports a mined transaction with the same nonce as TRANSACTION_REPLACED. A sped-up
+// transaction ('repriced') makes the same call, so its replacement is tracked in its place
+function handleReplacement(entry, error) {
+  const { reason, replacement, receipt } = error;
+  updateTransaction(entry, TX_STATUS.REPLACED, { reason, replacedBy: replacement.hash });
+
+  if (error.cancelled) {
+    throw new TransactionReplacedError(reason, replacement.hash);
+  }
+
+  const succeeded = receipt.status === 1;
+  addTransaction(
+    {
+      hash: replacement.hash,
+      chainId: entry.chainId,
+      from: entry.from,
+      nonce: entry.nonce,
+      startBlock: entry.startBlock,
+      description: entry.description,
+      submittedAt: Date.now(),
+      replaces: entry.hash,
+      blockNumber: receipt.blockNumber,
+      reason: succeeded ? undefined : 'reverted',
+    },
+    succeeded ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED
+  );
+
+  if (!succeeded) {
+    throw makeError('transaction execution reverted', 'CALL_EXCEPTION', { receipt });
+  }
+  return receipt;
+}
+
+// Track a transaction sent from the wallet until it is mined. Resolves to the mined receipt,
+// which belongs to the replacement when the transaction was sped up
+export async function trackTransaction(tx, { chainId, description }) {
+  const startBlock = await tx.provider.getBlockNumber();
+  const entry = addTransaction(
+    {
+      hash: tx.hash,
+      chainId: Number(chainId),
+      from: tx.from,
+      nonce: tx.nonce,
+      startBlock,
+      description,
+      submittedAt: Date.now(),
+    },
+    TX_STATUS.SUBMITTED
+  );
+
+  watching.add(entry.hash);
+  try {
+    return await watchTransaction(tx.provider, entry, tx);
+  } finally {
+    watching.delete(entry.hash);
+  }
+}
+
+// Resume tracking the pending transactions of a network, e.g. after a page reload
+export function resumePendingTransactions(provider, chainId) {
+  loadTransactions()
+    .filter((entry) => entry.chainId === Number(chainId) && !isFinal(entry) && !watching.has(entry.hash))
+    .forEach((entry) => {
+      watching.add(entry.hash);
+      watchTransaction(provider, entry)
+        .catch((error) => console.error(`Tracked transaction ${entry.hash} did not confirm:`, error))
+        .finally(() => watching.delete(entry.hash));
+    });
+}
+
+// Tracked transactions of a network, newest first
+export function getTrackedTransactions(chainId) {
+  return loadTransactions().filter((entry) => entry.chainId === Number(chainId));
+}
+
+// Forget the finished transactions of a network
+export function clearFinishedTransactions(chainId) {
+  transactions = loadTransactions().filter(
+    (entry) => entry.chainId !== Number(chainId) || !isFinal(entry)
+  );
+  saveTransactions();
+}
+
+// Call back whenever a tracked transaction changes state. Returns an unsubscribe function
+export function listenToTransactions(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
@@ -1,32 +1,181 @@
-// Wallet connection utilities
+import { getNetwork, isSupportedChain, parseChainId, toHexChainId } from '../config/networks';
+import {
+  createInjectedConnector,
+  createLocalConnector,
+  createWalletConnectConnector,
+} from './connectors';
+
+// Wallet connection utilities. Every wallet is reached through a connector (see ./connectors.js)
+// exposing an EIP-1193 provider. Browser wallets are discovered with EIP-6963: each installed
+// extension announces its own provider, so users pick one instead of whichever wallet claimed
+// window.ethereum. A wallet that only injects window.ethereum is listed as "Browser Wallet".
+// Other connectors are registered with registerConnector(): WalletConnect when
+// VITE_WALLETCONNECT_PROJECT_ID is set, a local private-key wallet when
+// VITE_LOCAL_WALLET_PRIVATE_KEY is set, or any connector a test or script provides.
 let walletConnected = false;
 let connectedAddress = null;
+let selectedWallet = null;
+let listenedProvider = null;
+let discoveryStarted = false;
+let configuredConnectors = false;
+
+// Announced wallets keyed by rdns (reverse domain name, e.g. io.metamask)
+const announcedWallets = new Map();
+// Registered connectors keyed by id
+const registeredConnectors = new Map();
+
+// The chosen wallet's id is remembered so the next visit reconnects to it
+const WALLET_STORAGE_KEY = 'token-faucet:wallet';
+const INJECTED_WALLET_ID = 'injected';
+// How long a reconnect waits for the remembered wallet to announce itself, in ms
+const RECONNECT_TIMEOUT = 1000;
+
+// Start EIP-6963 discovery: listen for announcements and ask installed wallets to announce
+function startDiscovery() {
+  if (discoveryStarted || typeof window === 'undefined') return;
+  discoveryStarted = true;
+
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.rdns || !provider) return;
+    announcedWallets.set(
+      info.rdns,
+      createInjectedConnector({ id: info.rdns, name: info.name, icon: info.icon, provider })
+    );
+    notifyWalletsChanged();
+  });
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+function notifyWalletsChanged() {
+  dispatchWalletEvent('walletsDiscovered', { wallets: getWallets() });
+}
+
+// Register the connectors enabled by the environment
+function registerConfiguredConnectors() {
+  if (configuredConnectors) return;
+  configuredConnectors = true;
+
+  const env = import.meta.env;
+  if (env.VITE_WALLETCONNECT_PROJECT_ID && typeof window !== 'undefined') {
+    registerConnector(
+      createWalletConnectConnector({ projectId: env.VITE_WALLETCONNECT_PROJECT_ID })
+    );
+  }
+  if (env.VITE_LOCAL_WALLET_PRIVATE_KEY) {
+    registerConnector(createLocalConnector({ privateKey: env.VITE_LOCAL_WALLET_PRIVATE_KEY }));
+  }
+}
+
+// Add a connector to the wallet list, replacing one with the same id. Returns a function that
+// removes it again
+export function registerConnector(connector) {
+  registeredConnectors.set(connector.id, connector);
+  notifyWalletsChanged();
+
+  return () => {
+    if (registeredConnectors.get(connector.id) !== connector) return;
+    registeredConnectors.delete(connector.id);
+    if (selectedWallet === connector) selectedWallet = null;
+    notifyWalletsChanged();
+  };
+}
+
+// Get the available wallets as connectors ({ id, name, icon, type, provider, ... }): announced
+// browser wallets, window.ethereum when no announced wallet provides it, then registered ones
+export function getWallets() {
+  startDiscovery();
+  registerConfiguredConnectors();
+  const wallets = [...announcedWallets.values()];
+  const injected = typeof window !== 'undefined' ? window.ethereum : null;
+  if (injected && !wallets.some((wallet) => wallet.provider === injected)) {
+    wallets.push(
+      createInjectedConnector({
+        id: INJECTED_WALLET_ID,
+        name: 'Browser Wallet',
+        provider: injected,
+      })
+    );
+  }
+  return [...wallets, ...registeredConnectors.values()];
+}
+
+// Wallet used when none is chosen: the one behind window.ethereum, as before discovery existed
+function getDefaultWallet() {
+  const wallets = getWallets();
+  const injected = typeof window !== 'undefined' ? window.ethereum : null;
+  return wallets.find((wallet) => wallet.provider === injected) || wallets[0] || null;
+}
 
-// Check if wallet is available
+// Get the EIP-1193 provider of the selected wallet, or of the default wallet before one is chosen.
+// Null while the wallet's provider is not created yet (WalletConnect before connecting)
+export function getEthereumProvider() {
+  return (selectedWallet || getDefaultWallet())?.provider || null;
+}
+
+// Check if any wallet can be connected
 export function hasWallet() {
-  return typeof window !== 'undefined' && !!window.ethereum;
+  return getWallets().length > 0;
+}
+
+// Get the selected wallet, or null before one is chosen
+export function getSelectedWallet() {
+  return selectedWallet;
+}
+
+// Choose the wallet used for connecting, signing and network switches. The contracts module
+// builds its provider and signer from it on the next access
+export function selectWallet(walletId) {
+  const wallet = getWallets().find((candidate) => candidate.id === walletId);
+  if (!wallet) {
+    throw new Error(`Wallet ${walletId} not found`);
+  }
+  selectedWallet = wallet;
+  return wallet;
+}
+
+function getRememberedWalletId() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage.getItem(WALLET_STORAGE_KEY) : null;
+  } catch {
+    return null;
+  }
 }
 
-// Request wallet connection
-export async function connectWallet() {
-  if (!hasWallet()) {
+function rememberWallet(walletId) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    if (walletId) {
+      localStorage.setItem(WALLET_STORAGE_KEY, walletId);
+    } else {
+      localStorage.removeItem(WALLET_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to remember wallet:', error);
+  }
+}
+
+// Request wallet connection, from the given wallet or the selected (else default) one
+export async function connectWallet(walletId) {
+  const wallet = walletId ? selectWallet(walletId) : selectedWallet || getDefaultWallet();
+  if (!wallet) {
     throw new Error('MetaMask or Web3 wallet not detected');
   }
 
   try {
-    const accounts = await window.ethereum.request({
-      method: 'eth_requestAccounts',
-    });
+    const accounts = await wallet.connect();
 
     if (!accounts || accounts.length === 0) {
       throw new Error('No accounts returned from wallet');
     }
 
+    selectedWallet = wallet;
     connectedAddress = accounts[0];
     walletConnected = true;
+    rememberWallet(wallet.id);
 
     // Set up event listeners
-    setupWalletListeners();
+    setupWalletListeners(wallet.provider);
 
     return connectedAddress;
   } catch (error) {
@@ -36,10 +185,60 @@ export async function connectWallet() {
   }
 }
 
-// Disconnect wallet
+// Wait for a wallet to announce itself; extensions may inject after the page loads
+function waitForWallet(walletId) {
+  const find = () => getWallets().find((wallet) => wallet.id === walletId) || null;
+  const wallet = find();
+  if (wallet) return Promise.resolve(wallet);
+
+  return new Promise((resolve) => {
+    const handleDiscovered = () => {
+      const found = find();
+      if (found) finish(found);
+    };
+    const timer = setTimeout(() => finish(null), RECONNECT_TIMEOUT);
+    const finish = (result) => {
+      clearTimeout(timer);
+      window.removeEventListener('walletsDiscovered', handleDiscovered);
+      resolve(result);
+    };
+    window.addEventListener('walletsDiscovered', handleDiscovered);
+  });
+}
+
+// Reconnect the wallet chosen on a previous visit without a prompt: only accounts the site is
+// already authorized for (or a live WalletConnect session) are used. Resolves to the address, or null
+export async function reconnectWallet() {
+  const walletId = getRememberedWalletId();
+  if (!walletId || typeof window === 'undefined') return null;
+
+  const wallet = await waitForWallet(walletId);
+  if (!wallet) return null;
+
+  try {
+    const accounts = await wallet.getAccounts();
+    if (!accounts || accounts.length === 0) return null;
+
+    selectedWallet = wallet;
+    connectedAddress = accounts[0];
+    walletConnected = true;
+    setupWalletListeners(wallet.provider);
+    return connectedAddress;
+  } catch (error) {
+    console.error('Failed to reconnect wallet:', error);
+    return null;
+  }
+}
+
+// Disconnect wallet and forget it, so the next visit does not reconnect
 export function disconnectWallet() {
   walletConnected = false;
   connectedAddress = null;
+  rememberWallet(null);
+  removeWalletListeners();
+  selectedWallet?.disconnect().catch((error) => {
+    console.error('Failed to end wallet session:', error);
+  });
 }
 
 // Get connected address
@@ -52,99 +251,138 @@ export function isWalletConnected() {
   return walletConnected && connectedAddress !== null;
 }
 
-// Set up wallet event listeners
-function setupWalletListeners() {
-  if (!window.ethereum) return;
+// Wallet events are window events; without a window (headless runs) there is no one to tell
+function dispatchWalletEvent(name, detail) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(name, { detail }));
+}
 
-  // Listen for account changes
-  window.ethereum.on('accountsChanged', (accounts) => {
-    if (accounts.length === 0) {
-      // User disconnected
-      disconnectWallet();
-      window.dispatchEvent(new CustomEvent('walletDisconnected'));
-    } else {
-      // User switched account
-      connectedAddress = accounts[0];
-      window.dispatchEvent(
-        new CustomEvent('accountChanged', {
-          detail: { address: connectedAddress },
-        })
-      );
-    }
-  });
+function handleAccountsChanged(accounts) {
+  if (accounts.length === 0) {
+    // User disconnected
+    disconnectWallet();
+    dispatchWalletEvent('walletDisconnected');
+  } else {
+    // User switched account
+    connectedAddress = accounts[0];
+    dispatchWalletEvent('accountChanged', { address: connectedAddress });
+  }
+}
 
-  // Listen for chain changes
-  window.ethereum.on('chainChanged', () => {
-    window.dispatchEvent(new CustomEvent('chainChanged'));
-  });
+function handleChainChanged(chainId) {
+  dispatchWalletEvent('chainChanged', { chainId: parseChainId(chainId) });
+}
 
-  // Listen for disconnect
-  window.ethereum.on('disconnect', () => {
-    disconnectWallet();
-    window.dispatchEvent(new CustomEvent('walletDisconnected'));
-  });
+function handleDisconnect() {
+  disconnectWallet();
+  dispatchWalletEvent('walletDisconnected');
 }
 
-// Get current network chain ID
+// Set up wallet event listeners on the connected wallet, moving them off the previous one
+function setupWalletListeners(provider) {
+  if (listenedProvider === provider) return;
+  removeWalletListeners();
+
+  provider.on('accountsChanged', handleAccountsChanged);
+  provider.on('chainChanged', handleChainChanged);
+  provider.on('disconnect', handleDisconnect);
+  listenedProvider = provider;
+}
+
+function removeWalletListeners() {
+  if (!listenedProvider) return;
+  listenedProvider.removeListener('accountsChanged', handleAccountsChanged);
+  listenedProvider.removeListener('chainChanged', handleChainChanged);
+  listenedProvider.removeListener('disconnect', handleDisconnect);
+  listenedProvider = null;
+}
+
+// Get current network chain ID as a number
 export async function getCurrentChainId() {
-  if (!window.ethereum) {
+  const ethereum = getEthereumProvider();
+  if (!ethereum) {
     throw new Error('Wallet not available');
   }
 
   try {
-    const chainId = await window.ethereum.request({
+    const chainId = await ethereum.request({
       method: 'eth_chainId',
     });
-    return chainId;
+    return parseChainId(chainId);
   } catch (error) {
     throw new Error(`Failed to get chain ID: ${error.message}`);
   }
 }
 
-// Check if connected to Sepolia
-export async function isConnectedToSepolia() {
+// Check if the wallet is on a network where the faucet is deployed
+export async function isConnectedToSupportedNetwork() {
   const chainId = await getCurrentChainId();
-  // Sepolia chain ID is 0xaa36a7 (11155111 in decimal)
-  return chainId === '0xaa36a7' || chainId === 11155111;
+  return isSupportedChain(chainId);
 }
 
-// Request to switch to Sepolia
-export async function switchToSepolia() {
-  if (!window.ethereum) {
+// Request to switch the wallet to a network from the registry
+export async function switchNetwork(chainId) {
+  const ethereum = getEthereumProvider();
+  if (!ethereum) {
     throw new Error('Wallet not available');
   }
 
+  const network = getNetwork(chainId);
+  if (!network) {
+    throw new Error(`Unknown network (chain ID ${chainId})`);
+  }
+  const hexChainId = toHexChainId(network.chainId);
+
   try {
-    await window.ethereum.request({
+    await ethereum.request({
       method: 'wallet_switchEthereumChain',
-      params: [{ chainId: '0xaa36a7' }],
+      params: [{ chainId: hexChainId }],
     });
     return true;
   } catch (error) {
     if (error.code === 4902) {
       // Chain not added, try to add it
       try {
-        await window.ethereum.request({
+        await ethereum.request({
           method: 'wallet_addEthereumChain',
           params: [
             {
-              chainId: '0xaa36a7',
-              chainName: 'Sepolia',
-              rpcUrls: ['https://sepolia.infura.io/v3/'],
-              blockExplorerUrls: ['https://sepolia.etherscan.io'],
-              nativeCurrency: {
-                name: 'Sepolia ETH',
-                symbol: 'SEP',
-                decimals: 18,
-              },
+              chainId: hexChainId,
+              chainName: network.name,
+              rpcUrls: [network.rpcUrl],
+              blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+              nativeCurrency: network.nativeCurrency,
             },
           ],
         });
         return true;
       } catch (addError) {
-        throw new Error(`Failed to add Sepolia network: ${addError.message}`);
+        throw new Error(`Failed to add ${network.name} network: ${addError.message}`);
       }
     }
     throw new Error(`Failed to switch network: ${error.message}`);
   }
 }
+
+// Ask the wallet to track an ERC-20 token (EIP-747), so its balance shows up in the wallet.
+// Resolves to false when the user declines.
+export async function watchAsset({ address, symbol, decimals }) {
+  const ethereum = getEthereumProvider();
+  if (!ethereum) {
+    throw new Error('Wallet not available');
+  }
+
+  try {
+    const added = await ethereum.request({
+      method: 'wallet_watchAsset',
+      params: {
+        type: 'ERC20',
+        options: { address, symbol, decimals: Number(decimals) },
+      },
+    });
+    return added !== false;
+  } catch (error) {
+    if (error.code === 4001) return false;
+    throw new Error(`Failed to add ${symbol} to wallet: ${error.message}`);
+  }
+}
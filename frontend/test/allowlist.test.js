@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { mkdtemp, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createAllowlistLoader, createAllowlistRouter } from '../allowlist.js';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const ROOT = '0x' + '01'.repeat(32);
+const NEW_ROOT = '0x' + '02'.repeat(32);
+const PROOF = ['0x' + 'aa'.repeat(32), '0x' + 'bb'.repeat(32)];
+
+let dir;
+let filePath;
+
+// Write the allowlist file as scripts/build-allowlist.js does, with a given modification time
+async function writeAllowlist(allowlist, mtime = new Date('2026-01-01T00:00:00Z')) {
+  await writeFile(filePath, JSON.stringify(allowlist));
+  await utimes(filePath, mtime, mtime);
+}
+
+function createApp() {
+  const app = express();
+  app.use('/api/allowlist', createAllowlistRouter({ filePath }));
+  return app;
+}
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'allowlist-'));
+  filePath = join(dir, 'allowlist.json');
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('allowlist', () => {
+  describe('Router', () => {
+    it('Should serve the proof of a listed address', async () => {
+      await writeAllowlist({ root: ROOT, proofs: { [ALICE]: PROOF } });
+
+      const response = await request(createApp()).get(`/api/allowlist/${ALICE.toLowerCase()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ root: ROOT, proof: PROOF });
+    });
+
+    it('Should answer 404 with the root for an address not on the allowlist', async () => {
+      await writeAllowlist({ root: ROOT, proofs: { [ALICE]: PROOF } });
+
+      const response = await request(createApp()).get(`/api/allowlist/${BOB}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ root: ROOT, error: 'Address not on allowlist' });
+    });
+
+    it('Should answer 404 when no allowlist was built', async () => {
+      const response = await request(createApp()).get(`/api/allowlist/${ALICE}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Allowlist not configured' });
+    });
+
+    it('Should answer 500 when the allowlist file is corrupt', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      await writeFile(filePath, '{ not json');
+
+      const response = await request(createApp()).get(`/api/allowlist/${ALICE}`);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to load allowlist' });
+    });
+
+    it('Should reject malformed addresses', async () => {
+      const response = await request(createApp()).get('/api/allowlist/0x1234');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid address' });
+    });
+  });
+
+  describe('Loader', () => {
+    it('Should reuse the parsed file while it is unchanged', async () => {
+      await writeAllowlist({ root: ROOT, proofs: {} });
+      const load = createAllowlistLoader(filePath);
+
+      const first = await load();
+
+      expect(await load()).toBe(first);
+    });
+
+    it('Should reload the file when it changes on disk', async () => {
+      await writeAllowlist({ root: ROOT, proofs: {} });
+      const load = createAllowlistLoader(filePath);
+      await load();
+
+      await writeAllowlist({ root: NEW_ROOT, proofs: { [BOB]: PROOF } }, new Date('2026-01-02T00:00:00Z'));
+
+      expect(await load()).toEqual({ root: NEW_ROOT, proofs: { [BOB]: PROOF } });
+    });
+  });
+});
@@ -0,0 +1,501 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ZeroHash } from 'ethers';
+import { createClaimLimiter, createFileStore } from '../rateLimitStore.js';
+
+const FAUCET = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OTHER_TOKEN = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const HASH = '0x' + '11'.repeat(32);
+const PROOF = ['0x' + 'aa'.repeat(32)];
+const NOW = Date.UTC(2026, 0, 1);
+const TTL = 15000;
+const LIMITS = { ipLimit: 5, ipWindowMs: 60 * 60 * 1000, addressLimit: 1, addressWindowMs: 24 * 60 * 60 * 1000 };
+
+const provider = {
+  getBalance: vi.fn(),
+  getBlockNumber: vi.fn(),
+};
+
+const token = {
+  name: vi.fn(async () => 'Test Token'),
+  symbol: vi.fn(async () => 'TEST'),
+  decimals: vi.fn(async () => 18n),
+};
+
+const claimOnBehalf = Object.assign(vi.fn(), { staticCall: vi.fn() });
+
+const faucet = {
+  token: vi.fn(),
+  getTokens: vi.fn(),
+  tokenConfigs: vi.fn(),
+  tokenRemainingSupply: vi.fn(),
+  faucetStatus: vi.fn(),
+  ethDripAmount: vi.fn(),
+  ethDripCooldown: vi.fn(),
+  ethDripBudget: vi.fn(),
+  totalEthDripped: vi.fn(),
+  tokenClaimStatus: vi.fn(),
+  claimRecords: vi.fn(),
+  ethDripStatus: vi.fn(),
+  denylisted: vi.fn(),
+  allowlistRoot: vi.fn(),
+  isAllowlisted: vi.fn(),
+  filters: { TokensClaimed: () => 'TokensClaimed' },
+  queryFilter: vi.fn(),
+  claimOnBehalf,
+};
+
+vi.mock('ethers', async (importOriginal) => ({
+  ...(await importOriginal()),
+  JsonRpcProvider: vi.fn(() => provider),
+  Wallet: vi.fn(() => ({})),
+  NonceManager: vi.fn(() => ({})),
+  Contract: vi.fn((address) => (address === FAUCET ? faucet : token)),
+}));
+
+// Defaults for every contract read: one registered token, nothing claimed, no ETH drip
+function resetContracts() {
+  provider.getBalance.mockResolvedValue(0n);
+  provider.getBlockNumber.mockResolvedValue(100);
+  faucet.token.mockResolvedValue(TOKEN);
+  faucet.getTokens.mockResolvedValue([TOKEN]);
+  faucet.tokenConfigs.mockResolvedValue({
+    faucetAmount: 100n,
+    cooldownTime: 3600n,
+    maxClaimAmount: 300n,
+    registered: true,
+  });
+  faucet.tokenRemainingSupply.mockResolvedValue(1000n);
+  faucet.faucetStatus.mockResolvedValue({
+    isPaused_: false,
+    exhausted: false,
+    totalSupply: 500n,
+    maxSupply: 1500n,
+    supplyLeft: 1000n,
+  });
+  faucet.ethDripAmount.mockResolvedValue(0n);
+  faucet.ethDripCooldown.mockResolvedValue(0n);
+  faucet.ethDripBudget.mockResolvedValue(0n);
+  faucet.totalEthDripped.mockResolvedValue(0n);
+  faucet.tokenClaimStatus.mockResolvedValue({ status: 0n, nextClaimAt: 0n, allowance: 300n, supplyLeft: 1000n });
+  faucet.claimRecords.mockResolvedValue({ lastClaimAt: 0n, totalClaimed: 0n });
+  faucet.ethDripStatus.mockResolvedValue({ qualifies: false, amount: 0n, nextDripAt: 0n });
+  faucet.denylisted.mockResolvedValue(false);
+  faucet.allowlistRoot.mockResolvedValue(ZeroHash);
+  faucet.isAllowlisted.mockResolvedValue(true);
+  faucet.queryFilter.mockResolvedValue([]);
+  claimOnBehalf.mockResolvedValue({ hash: HASH });
+  claimOnBehalf.staticCall.mockResolvedValue(undefined);
+}
+
+// Error ethers throws when a simulated call reverts with a decoded custom error
+function revertError(name, args = []) {
+  return Object.assign(new Error('execution reverted'), { revert: { name, args } });
+}
+
+// TokensClaimed event as returned by queryFilter
+function claimEvent(user, blockNumber) {
+  return {
+    args: { user, token: TOKEN, amount: 100n, timestamp: BigInt(blockNumber * 12) },
+    blockNumber,
+    transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+  };
+}
+
+// A promise settled from the test, to hold an RPC call open
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+let dir;
+let store;
+let createApiRouter;
+
+// App serving the API router, configured like server.js unless overridden
+function createApp(options = {}) {
+  const app = express();
+  app.use(
+    '/api',
+    createApiRouter({
+      rpcUrl: 'http://127.0.0.1:8545',
+      faucetAddress: FAUCET,
+      privateKey: '0x' + '01'.repeat(32),
+      deployBlock: 10,
+      cacheTtlMs: TTL,
+      limiter: createClaimLimiter(store, LIMITS),
+      ...options,
+    })
+  );
+  return app;
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  resetContracts();
+  dir = await mkdtemp(join(tmpdir(), 'api-'));
+  store = createFileStore(join(dir, 'rate-limits.json'));
+  ({ createApiRouter } = await import('../api.js'));
+});
+
+afterEach(async () => {
+  await store.flush();
+  await rm(dir, { recursive: true, force: true });
+  vi.useRealTimers();
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+});
+
+describe('api', () => {
+  describe('Configuration', () => {
+    it('Should answer 503 without an RPC URL or faucet', async () => {
+      const app = createApp({ rpcUrl: undefined });
+
+      const response = await request(app).get('/api/status');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ error: 'API not configured' });
+    });
+
+    it('Should serve reads but not claims without a distributor key', async () => {
+      const app = createApp({ privateKey: undefined });
+
+      expect((await request(app).get('/api/status')).body.claimApi).toEqual({ enabled: false });
+      const response = await request(app).post('/api/claim').send({ address: ALICE });
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ error: 'Claim API not configured' });
+    });
+  });
+
+  describe('GET /status', () => {
+    it('Should report the faucet, its tokens and the ETH drip', async () => {
+      faucet.ethDripAmount.mockResolvedValue(10n ** 16n);
+      provider.getBalance.mockResolvedValue(10n ** 18n);
+
+      const response = await request(createApp()).get('/api/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        faucet: FAUCET,
+        paused: false,
+        exhausted: false,
+        totalSupply: '500',
+        maxSupply: '1500',
+        remainingSupply: '1000',
+        tokens: [
+          {
+            address: TOKEN,
+            name: 'Test Token',
+            symbol: 'TEST',
+            decimals: 18,
+            isPrimary: true,
+            faucetAmount: '100',
+            cooldownTime: 3600,
+            maxClaimAmount: '300',
+            remainingSupply: '1000',
+          },
+        ],
+        ethDrip: {
+          enabled: true,
+          amount: '10000000000000000',
+          cooldownTime: 0,
+          budget: '0',
+          totalDripped: '0',
+          reserve: '1000000000000000000',
+        },
+        claimApi: { enabled: true },
+      });
+    });
+
+    it('Should serve cached reads until the TTL expires', async () => {
+      const app = createApp();
+
+      await request(app).get('/api/status');
+      vi.setSystemTime(NOW + TTL - 1);
+      await request(app).get('/api/status');
+      expect(faucet.faucetStatus).toHaveBeenCalledTimes(1);
+
+      vi.setSystemTime(NOW + TTL + 1);
+      faucet.faucetStatus.mockResolvedValue({
+        isPaused_: true,
+        exhausted: false,
+        totalSupply: 500n,
+        maxSupply: 1500n,
+        supplyLeft: 1000n,
+      });
+      const response = await request(app).get('/api/status');
+
+      expect(faucet.faucetStatus).toHaveBeenCalledTimes(2);
+      expect(response.body.paused).toBe(true);
+    });
+
+    it('Should share one RPC read between concurrent requests', async () => {
+      const pending = deferred();
+      faucet.faucetStatus.mockReturnValue(pending.promise);
+      const app = createApp();
+
+      const responses = Promise.all([request(app).get('/api/status'), request(app).get('/api/status')]);
+      await vi.waitFor(() => expect(faucet.faucetStatus).toHaveBeenCalled());
+      pending.resolve({ isPaused_: false, exhausted: false, totalSupply: 0n, maxSupply: 1n, supplyLeft: 1n });
+
+      expect((await responses).map((response) => response.status)).toEqual([200, 200]);
+      expect(faucet.faucetStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should not cache a failed read', async () => {
+      faucet.faucetStatus.mockRejectedValueOnce(new Error('RPC down'));
+      const app = createApp();
+
+      const failed = await request(app).get('/api/status');
+      const retried = await request(app).get('/api/status');
+
+      expect(failed.status).toBe(502);
+      expect(failed.body).toEqual({ error: 'Failed to load faucet status' });
+      expect(retried.status).toBe(200);
+    });
+  });
+
+  describe('GET /eligibility/:address', () => {
+    it('Should report the claim status of an address for the primary token', async () => {
+      faucet.tokenClaimStatus.mockResolvedValue({
+        status: 3n,
+        nextClaimAt: 1_700_003_600n,
+        allowance: 200n,
+        supplyLeft: 1000n,
+      });
+      faucet.claimRecords.mockResolvedValue({ lastClaimAt: 1_700_000_000n, totalClaimed: 100n });
+
+      const response = await request(createApp()).get(`/api/eligibility/${ALICE.toLowerCase()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        address: ALICE,
+        token: TOKEN,
+        status: 'cooldown-active',
+        eligible: false,
+        nextClaimAt: 1_700_003_600,
+        remainingAllowance: '200',
+        lastClaimAt: 1_700_000_000,
+        totalClaimed: '100',
+        denylisted: false,
+        allowlist: { required: false, listed: false },
+      });
+      expect(faucet.tokenClaimStatus).toHaveBeenCalledWith(TOKEN, ALICE);
+    });
+
+    it('Should check the requested token', async () => {
+      const response = await request(createApp()).get(`/api/eligibility/${ALICE}?token=${OTHER_TOKEN}`);
+
+      expect(response.body).toMatchObject({ token: OTHER_TOKEN, status: 'eligible', eligible: true });
+      expect(faucet.tokenClaimStatus).toHaveBeenCalledWith(OTHER_TOKEN, ALICE);
+    });
+
+    it('Should need an allowlist proof while the allowlist is enabled', async () => {
+      faucet.allowlistRoot.mockResolvedValue('0x' + '01'.repeat(32));
+      const app = createApp({ loadAllowlist: async () => ({ proofs: { [BOB]: PROOF } }) });
+
+      const alice = await request(app).get(`/api/eligibility/${ALICE}`);
+      const bob = await request(app).get(`/api/eligibility/${BOB}`);
+
+      expect(alice.body).toMatchObject({ eligible: false, allowlist: { required: true, listed: false } });
+      expect(bob.body).toMatchObject({ eligible: true, allowlist: { required: true, listed: true } });
+      expect(faucet.isAllowlisted).toHaveBeenCalledWith(BOB, PROOF);
+    });
+
+    it('Should not count a proof built for an earlier allowlist root', async () => {
+      faucet.allowlistRoot.mockResolvedValue('0x' + '02'.repeat(32));
+      faucet.isAllowlisted.mockResolvedValue(false);
+      const app = createApp({ loadAllowlist: async () => ({ proofs: { [BOB]: PROOF } }) });
+
+      const response = await request(app).get(`/api/eligibility/${BOB}`);
+
+      expect(response.body).toMatchObject({ eligible: false, allowlist: { required: true, listed: false } });
+    });
+
+    it('Should reject malformed addresses', async () => {
+      const app = createApp();
+
+      expect((await request(app).get('/api/eligibility/0x1234')).body).toEqual({ error: 'Invalid address' });
+      const response = await request(app).get(`/api/eligibility/${ALICE}?token=nope`);
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid token address' });
+    });
+
+    it('Should answer 404 for a token the faucet does not serve', async () => {
+      faucet.tokenClaimStatus.mockRejectedValue(revertError('TokenNotRegistered', [OTHER_TOKEN]));
+
+      const response = await request(createApp()).get(`/api/eligibility/${ALICE}?token=${OTHER_TOKEN}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Token is not served by the faucet' });
+    });
+  });
+
+  describe('GET /claims', () => {
+    const events = Array.from({ length: 30 }, (_, i) => claimEvent(i % 2 ? BOB : ALICE, 11 + i));
+
+    beforeEach(() => {
+      faucet.queryFilter.mockResolvedValue(events);
+    });
+
+    it('Should return the latest 20 claims, newest first', async () => {
+      const response = await request(createApp()).get('/api/claims');
+
+      expect(response.status).toBe(200);
+      expect(response.body.claims).toHaveLength(20);
+      expect(response.body.claims[0]).toEqual({
+        user: BOB,
+        token: TOKEN,
+        amount: '100',
+        timestamp: 40 * 12,
+        blockNumber: 40,
+        txHash: events[29].transactionHash,
+      });
+      expect(response.body.claims[19].blockNumber).toBe(21);
+      expect(faucet.queryFilter).toHaveBeenCalledWith('TokensClaimed', 10, 100);
+    });
+
+    it('Should take a limit, capped at 100', async () => {
+      const app = createApp();
+
+      expect((await request(app).get('/api/claims?limit=5')).body.claims).toHaveLength(5);
+      expect((await request(app).get('/api/claims?limit=500')).body.claims).toHaveLength(30);
+      expect((await request(app).get('/api/claims?limit=nope')).body.claims).toHaveLength(20);
+    });
+
+    it('Should filter by address', async () => {
+      const response = await request(createApp()).get(`/api/claims?limit=100&address=${ALICE.toLowerCase()}`);
+
+      expect(response.body.claims).toHaveLength(15);
+      expect(response.body.claims.every((claim) => claim.user === ALICE)).toBe(true);
+      const invalid = await request(createApp()).get('/api/claims?address=0x1234');
+      expect(invalid.status).toBe(400);
+    });
+
+    it('Should only scan blocks past the last sync', async () => {
+      const app = createApp();
+      await request(app).get('/api/claims');
+
+      vi.setSystemTime(NOW + TTL + 1);
+      provider.getBlockNumber.mockResolvedValue(120);
+      faucet.queryFilter.mockResolvedValue([claimEvent(ALICE, 110)]);
+      const response = await request(app).get('/api/claims?limit=1');
+
+      expect(faucet.queryFilter).toHaveBeenLastCalledWith('TokensClaimed', 101, 120);
+      expect(response.body.claims[0].blockNumber).toBe(110);
+    });
+  });
+
+  describe('POST /claim', () => {
+    it('Should claim for the address and return the transaction hash', async () => {
+      const app = createApp({ loadAllowlist: async () => ({ proofs: { [ALICE]: PROOF } }) });
+
+      const response = await request(app).post('/api/claim').send({ address: ALICE.toLowerCase() });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ txHash: HASH });
+      expect(claimOnBehalf.staticCall).toHaveBeenCalledWith(TOKEN, ALICE, PROOF);
+      expect(claimOnBehalf).toHaveBeenCalledWith(TOKEN, ALICE, PROOF);
+    });
+
+    it('Should reject malformed addresses', async () => {
+      const app = createApp();
+
+      expect((await request(app).post('/api/claim').send({})).body).toEqual({ error: 'Invalid address' });
+      const response = await request(app).post('/api/claim').send({ address: ALICE, token: 'nope' });
+      expect(response.body).toEqual({ error: 'Invalid token address' });
+    });
+
+    it('Should refresh the eligibility of an address after its claim', async () => {
+      const app = createApp();
+      await request(app).get(`/api/eligibility/${ALICE}`);
+
+      await request(app).post('/api/claim').send({ address: ALICE });
+      await request(app).get(`/api/eligibility/${ALICE}`);
+
+      expect(faucet.tokenClaimStatus).toHaveBeenCalledTimes(2);
+    });
+
+    it('Should answer 429 with Retry-After once the address has claimed', async () => {
+      const app = createApp();
+      await request(app).post('/api/claim').send({ address: ALICE });
+
+      const response = await request(app).post('/api/claim').send({ address: ALICE });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe(String(24 * 60 * 60));
+      expect(response.body).toEqual({ error: 'Too many claims for this address', retryAfter: 24 * 60 * 60 });
+    });
+
+    it('Should answer 429 with Retry-After once the IP has used its attempts', async () => {
+      const app = createApp();
+      const addresses = Array.from({ length: LIMITS.ipLimit }, (_, i) => `0x${String(i + 1).padStart(40, '0')}`);
+      for (const address of addresses) {
+        await request(app).post('/api/claim').send({ address });
+      }
+
+      const response = await request(app).post('/api/claim').send({ address: BOB });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe(String(60 * 60));
+      expect(response.body.error).toBe('Too many claims from this IP');
+    });
+
+    it('Should report a simulated revert and give the address its claim back', async () => {
+      claimOnBehalf.staticCall.mockRejectedValueOnce(revertError('CooldownActive', [1_700_003_600n]));
+      const app = createApp();
+
+      const reverted = await request(app).post('/api/claim').send({ address: ALICE });
+      const retried = await request(app).post('/api/claim').send({ address: ALICE });
+
+      expect(reverted.status).toBe(400);
+      expect(reverted.body).toEqual({
+        error: 'CooldownActive',
+        revert: { name: 'CooldownActive', args: ['1700003600'] },
+      });
+      expect(retried.status).toBe(200);
+      expect(claimOnBehalf).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should count a claim that failed after it was sent', async () => {
+      claimOnBehalf.mockRejectedValueOnce(new Error('nonce too low'));
+      const app = createApp();
+
+      await request(app).post('/api/claim').send({ address: ALICE });
+      const retried = await request(app).post('/api/claim').send({ address: ALICE });
+
+      expect(retried.status).toBe(429);
+    });
+
+    it('Should send only one transaction for parallel claims of one address', async () => {
+      const simulation = deferred();
+      claimOnBehalf.staticCall.mockReturnValue(simulation.promise);
+      const app = createApp();
+
+      const responses = Promise.all(
+        Array.from({ length: 5 }, () => request(app).post('/api/claim').send({ address: ALICE }))
+      );
+      await vi.waitFor(() => expect(claimOnBehalf.staticCall).toHaveBeenCalled());
+      simulation.resolve();
+      const statuses = (await responses).map((response) => response.status);
+
+      expect(statuses.filter((status) => status === 200)).toHaveLength(1);
+      expect(statuses.filter((status) => status === 409)).toHaveLength(4);
+      expect(claimOnBehalf.staticCall).toHaveBeenCalledTimes(1);
+      expect(claimOnBehalf).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FAUCET = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+// TokensClaimed logs on the mocked chain, and its head
+let logs;
+let head;
+
+vi.mock('../src/utils/contracts', () => ({
+  getActiveNetwork: () => ({ chainId: 1337, deployBlock: 5, contracts: { faucet: FAUCET } }),
+  getFaucetContract: () => ({ filters: { TokensClaimed: () => ({}) } }),
+  getProvider: () => ({ getBlockNumber: async () => head }),
+  // One chunk per query, like a range below the chunk size
+  queryEventsInChunks: vi.fn(async (contract, filter, fromBlock, toBlock, onChunk) => {
+    const events = logs.filter(
+      (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    );
+    await onChunk(events, toBlock);
+    return events;
+  }),
+}));
+
+// TokensClaimed log of a user in a block
+function claimLog(user, blockNumber, amount = 100n) {
+  return {
+    args: { user, token: TOKEN, amount, timestamp: BigInt(blockNumber * 12) },
+    blockNumber,
+    index: 0,
+    transactionHash: '0x' + blockNumber.toString(16).padStart(64, '0'),
+  };
+}
+
+let claimHistory;
+let contracts;
+
+beforeEach(async () => {
+  logs = [];
+  head = 5;
+  vi.resetModules();
+  contracts = await import('../src/utils/contracts');
+  claimHistory = await import('../src/utils/claimHistory');
+  contracts.queryEventsInChunks.mockClear();
+});
+
+describe('claimHistory', () => {
+  describe('Sync', () => {
+    it('Should scan from the deployment block on the first sync', async () => {
+      logs = [claimLog(ALICE, 8), claimLog(BOB, 9)];
+      head = 10;
+
+      const recent = await claimHistory.getRecentClaims();
+
+      expect(recent.map((claim) => claim.blockNumber)).toEqual([9, 8]);
+      expect(contracts.queryEventsInChunks).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.anything(),
+        5,
+        10,
+        expect.any(Function)
+      );
+    });
+
+    it('Should rescan only the last blocks on later syncs', async () => {
+      head = 100;
+      await claimHistory.syncClaims();
+      head = 110;
+
+      await claimHistory.syncClaims();
+
+      expect(contracts.queryEventsInChunks).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.anything(),
+        89,
+        110,
+        expect.any(Function)
+      );
+    });
+
+    it('Should not list a claim twice when its block is rescanned', async () => {
+      logs = [claimLog(ALICE, 20)];
+      head = 20;
+      await claimHistory.syncClaims();
+      head = 21;
+
+      const history = await claimHistory.getClaimHistory(ALICE);
+
+      expect(history.total).toBe(1);
+    });
+
+    it('Should drop cached claims a reorg removed', async () => {
+      logs = [claimLog(ALICE, 18), claimLog(BOB, 20)];
+      head = 20;
+      await claimHistory.syncClaims();
+
+      // Block 20 is replaced, with Bob's claim landing a block later for another amount
+      logs = [claimLog(ALICE, 18), claimLog(BOB, 21, 50n)];
+      head = 21;
+      const recent = await claimHistory.getRecentClaims();
+
+      expect(recent.map((claim) => [claim.user, claim.blockNumber, claim.amount])).toEqual([
+        [BOB.toLowerCase(), 21, '50'],
+        [ALICE.toLowerCase(), 18, '100'],
+      ]);
+      expect(await claimHistory.getClaimStats()).toEqual({ totalClaims: 2, uniqueClaimers: 2 });
+    });
+  });
+});
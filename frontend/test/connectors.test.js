@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  TypedDataEncoder,
+  Wallet,
+  hexlify,
+  toUtf8Bytes,
+  verifyMessage,
+  verifyTypedData,
+} from 'ethers';
+
+// Hardhat account #1
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ADDRESS = new Wallet(PRIVATE_KEY).address;
+const LOCALHOST = 1337;
+const SEPOLIA = 11155111;
+
+const walletConnectProvider = {
+  enable: vi.fn(async () => [ADDRESS]),
+  disconnect: vi.fn(async () => {}),
+  session: null,
+  accounts: [],
+};
+
+vi.mock('@walletconnect/ethereum-provider', () => ({
+  EthereumProvider: { init: vi.fn(async () => walletConnectProvider) },
+}));
+
+let connectors;
+
+beforeEach(async () => {
+  vi.resetModules();
+  connectors = await import('../src/utils/connectors');
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('connectors', () => {
+  describe('Local connector', () => {
+    const createProvider = () =>
+      connectors.createLocalConnector({ privateKey: PRIVATE_KEY, chainId: LOCALHOST }).provider;
+
+    it('Should expose the key account without a prompt', async () => {
+      const connector = connectors.createLocalConnector({
+        privateKey: PRIVATE_KEY,
+        chainId: LOCALHOST,
+      });
+
+      await expect(connector.connect()).resolves.toEqual([ADDRESS]);
+      await expect(connector.getAccounts()).resolves.toEqual([ADDRESS]);
+      expect(connector.type).toBe('local');
+    });
+
+    it('Should report the configured chain', async () => {
+      await expect(createProvider().request({ method: 'eth_chainId' })).resolves.toBe('0x539');
+    });
+
+    it('Should switch to a network from the registry and announce it', async () => {
+      const provider = createProvider();
+      const chainChanged = vi.fn();
+      provider.on('chainChanged', chainChanged);
+
+      await provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: '0xaa36a7' }],
+      });
+
+      await expect(provider.request({ method: 'eth_chainId' })).resolves.toBe('0xaa36a7');
+      expect(chainChanged).toHaveBeenCalledWith('0xaa36a7');
+    });
+
+    it('Should reject a network missing from the registry with code 4902', async () => {
+      const provider = createProvider();
+
+      await expect(
+        provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x1' }] })
+      ).rejects.toMatchObject({ code: 4902 });
+    });
+
+    it('Should stop announcing to removed listeners', async () => {
+      const provider = createProvider();
+      const chainChanged = vi.fn();
+      provider.on('chainChanged', chainChanged);
+      provider.removeListener('chainChanged', chainChanged);
+
+      await provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: '0xaa36a7' }],
+      });
+      expect(chainChanged).not.toHaveBeenCalled();
+    });
+
+    it('Should sign personal messages with the key', async () => {
+      const signature = await createProvider().request({
+        method: 'personal_sign',
+        params: [hexlify(toUtf8Bytes('hello faucet')), ADDRESS.toLowerCase()],
+      });
+
+      expect(verifyMessage('hello faucet', signature)).toBe(ADDRESS);
+    });
+
+    it('Should sign EIP-712 typed data sent as eth_signTypedData_v4', async () => {
+      const domain = {
+        name: 'TokenFaucet',
+        version: '1',
+        chainId: LOCALHOST,
+        verifyingContract: ADDRESS,
+      };
+      const types = {
+        Claim: [
+          { name: 'user', type: 'address' },
+          { name: 'nonce', type: 'uint256' },
+        ],
+      };
+      const message = { user: ADDRESS, nonce: 7 };
+      const payload = JSON.stringify(TypedDataEncoder.getPayload(domain, types, message));
+
+      const signature = await createProvider().request({
+        method: 'eth_signTypedData_v4',
+        params: [ADDRESS.toLowerCase(), payload],
+      });
+
+      expect(verifyTypedData(domain, types, message, signature)).toBe(ADDRESS);
+    });
+  });
+
+  describe('WalletConnect connector', () => {
+    beforeEach(() => {
+      vi.stubGlobal('window', { location: { origin: 'http://localhost:3000' } });
+      walletConnectProvider.session = null;
+      walletConnectProvider.accounts = [];
+    });
+
+    it('Should only load the SDK when the provider is first needed', async () => {
+      const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+      EthereumProvider.init.mockClear();
+      const connector = connectors.createWalletConnectConnector({
+        projectId: 'test-project',
+        networks: [{ chainId: SEPOLIA, rpcUrl: 'https://rpc.sepolia.org' }],
+      });
+      expect(connector.provider).toBeNull();
+      expect(EthereumProvider.init).not.toHaveBeenCalled();
+
+      await connector.getProvider();
+      await connector.getProvider();
+
+      expect(EthereumProvider.init).toHaveBeenCalledTimes(1);
+      expect(EthereumProvider.init).toHaveBeenCalledWith(
+        expect.objectContaining({
+          projectId: 'test-project',
+          optionalChains: [SEPOLIA],
+          rpcMap: { [SEPOLIA]: 'https://rpc.sepolia.org' },
+          showQrModal: true,
+        })
+      );
+      expect(connector.provider).toBe(walletConnectProvider);
+    });
+
+    it('Should pair on connect and only reuse a live session silently', async () => {
+      const connector = connectors.createWalletConnectConnector({ projectId: 'test-project' });
+
+      await expect(connector.getAccounts()).resolves.toEqual([]);
+      await expect(connector.connect()).resolves.toEqual([ADDRESS]);
+      expect(walletConnectProvider.enable).toHaveBeenCalled();
+
+      walletConnectProvider.session = { topic: 'abc' };
+      walletConnectProvider.accounts = [ADDRESS];
+      await expect(connector.getAccounts()).resolves.toEqual([ADDRESS]);
+    });
+
+    it('Should end a live session on disconnect', async () => {
+      const connector = connectors.createWalletConnectConnector({ projectId: 'test-project' });
+      await connector.connect();
+      walletConnectProvider.disconnect.mockClear();
+
+      await connector.disconnect();
+      expect(walletConnectProvider.disconnect).not.toHaveBeenCalled();
+
+      walletConnectProvider.session = { topic: 'abc' };
+      await connector.disconnect();
+      expect(walletConnectProvider.disconnect).toHaveBeenCalledTimes(1);
+    });
+  });
+});
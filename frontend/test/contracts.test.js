@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Interface, ZeroHash, makeError } from 'ethers';
+import { FAUCET_ABI } from '../src/utils/abis';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const FAUCET = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const HASH = '0x' + '11'.repeat(32);
+const PROOF = ['0x' + 'aa'.repeat(32)];
+
+const faucetInterface = new Interface(FAUCET_ABI);
+
+// Faucet contract the mocked ethers Contract hands out, whatever address and runner it is given
+const faucet = {
+  runner: { getAddress: vi.fn(async () => ALICE) },
+  allowlistRoot: vi.fn(async () => ZeroHash),
+  requestTokens: vi.fn(async () => ({ hash: HASH })),
+  requestTokensWithProof: vi.fn(async () => ({ hash: HASH })),
+};
+
+vi.mock('ethers', async (importOriginal) => ({
+  ...(await importOriginal()),
+  BrowserProvider: vi.fn(() => ({ getSigner: vi.fn(async () => ({})) })),
+  JsonRpcProvider: vi.fn(() => ({})),
+  Contract: vi.fn(() => faucet),
+}));
+
+vi.mock('../src/config/networks', () => ({
+  getDefaultChainId: () => 1337,
+  getNetwork: (chainId) => ({
+    chainId,
+    name: 'Localhost',
+    rpcUrl: 'http://127.0.0.1:8545',
+    contracts: { token: '0x5FbDB2315678afecb367f032d93F642f64180aa3', faucet: FAUCET },
+  }),
+}));
+
+vi.mock('../src/utils/wallet', () => ({ getEthereumProvider: vi.fn(() => ({})) }));
+vi.mock('../src/utils/transactions', () => ({
+  trackTransaction: vi.fn(async (tx) => ({ hash: tx.hash })),
+}));
+
+// Error ethers throws when a call reverts with a custom error from the ABI, already decoded
+function decodedRevert(name, args) {
+  return makeError('execution reverted', 'CALL_EXCEPTION', {
+    revert: { name, signature: `${name}()`, args },
+    data: faucetInterface.encodeErrorResult(name, args),
+  });
+}
+
+// Error ethers throws when it has the revert data but could not decode it
+function rawRevert(data) {
+  return makeError('execution reverted (unknown custom error)', 'CALL_EXCEPTION', {
+    revert: null,
+    data,
+  });
+}
+
+// Error ethers throws when the wallet rejects eth_sendTransaction with a JSON-RPC error, e.g.
+// when a repeated claim skips gas estimation: the revert data stays in the wallet's error
+function walletRevert(data) {
+  return makeError('could not coalesce error', 'UNKNOWN_ERROR', {
+    error: { code: -32603, message: 'Internal JSON-RPC error.', data: { message: 'reverted', data } },
+  });
+}
+
+let contracts;
+let transactions;
+
+beforeEach(async () => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.resetModules();
+  contracts = await import('../src/utils/contracts');
+  transactions = await import('../src/utils/transactions');
+  await contracts.initProvider();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  // Also puts back the faucet's default implementations
+  vi.restoreAllMocks();
+});
+
+describe('contracts', () => {
+  describe('requestTokens', () => {
+    it('Should claim and return the mined transaction hash', async () => {
+      await expect(contracts.requestTokens()).resolves.toBe(HASH);
+
+      expect(faucet.requestTokens).toHaveBeenCalledTimes(1);
+      expect(faucet.requestTokensWithProof).not.toHaveBeenCalled();
+      expect(transactions.trackTransaction).toHaveBeenCalledWith(
+        { hash: HASH },
+        { chainId: 1337, description: 'request tokens' }
+      );
+    });
+
+    it('Should claim with the allowlist proof when the allowlist is enabled', async () => {
+      faucet.allowlistRoot.mockImplementation(async () => '0x' + '01'.repeat(32));
+      const fetch = vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ proof: PROOF }) }));
+      vi.stubGlobal('fetch', fetch);
+
+      await expect(contracts.requestTokens()).resolves.toBe(HASH);
+
+      expect(fetch).toHaveBeenCalledWith(`/api/allowlist/${ALICE}`);
+      expect(faucet.requestTokensWithProof).toHaveBeenCalledWith(PROOF);
+      expect(faucet.requestTokens).not.toHaveBeenCalled();
+    });
+
+    it('Should fail with a typed error when the address is not on the allowlist', async () => {
+      faucet.allowlistRoot.mockImplementation(async () => '0x' + '01'.repeat(32));
+      vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 404 })));
+
+      await expect(contracts.requestTokens()).rejects.toMatchObject({
+        name: 'NotAllowlistedError',
+        code: 'NOT_ALLOWLISTED',
+        user: ALICE,
+      });
+      expect(faucet.requestTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Revert reasons', () => {
+    // Make the claim transaction fail with the given error
+    function failClaim(error) {
+      faucet.requestTokens.mockImplementation(async () => {
+        throw error;
+      });
+      return contracts.requestTokens();
+    }
+
+    it('Should convert a custom error decoded by ethers', async () => {
+      await expect(failClaim(decodedRevert('CooldownActive', [1_700_000_000n]))).rejects.toMatchObject({
+        name: 'CooldownActiveError',
+        code: 'COOLDOWN_ACTIVE',
+        nextClaimAt: 1_700_000_000,
+      });
+    });
+
+    it('Should decode raw revert data on the error', async () => {
+      const data = faucetInterface.encodeErrorResult('LifetimeLimitReached', [300n, 300n]);
+
+      await expect(failClaim(rawRevert(data))).rejects.toMatchObject({
+        name: 'LifetimeLimitError',
+        code: 'LIFETIME_LIMIT_REACHED',
+        totalClaimed: '300',
+        maxClaimAmount: '300',
+      });
+    });
+
+    it('Should decode revert data nested in the JSON-RPC error of the wallet', async () => {
+      const data = faucetInterface.encodeErrorResult('FaucetIsPaused', []);
+
+      await expect(failClaim(walletRevert(data))).rejects.toMatchObject({
+        name: 'FaucetPausedError',
+        code: 'FAUCET_PAUSED',
+      });
+    });
+
+    it('Should decode revert data on the JSON-RPC error ethers keeps in its info', async () => {
+      const data = faucetInterface.encodeErrorResult('AddressDenylisted', [ALICE]);
+      const error = makeError('could not coalesce error', 'UNKNOWN_ERROR', {
+        info: { error: { code: 3, message: 'execution reverted', data } },
+      });
+
+      await expect(failClaim(error)).rejects.toMatchObject({ code: 'DENYLISTED', user: ALICE });
+    });
+
+    it('Should fall back to the revert string', async () => {
+      const error = makeError('execution reverted: "ERC20: cap exceeded"', 'CALL_EXCEPTION', {
+        reason: 'ERC20: cap exceeded',
+        revert: { name: 'Error', signature: 'Error(string)', args: ['ERC20: cap exceeded'] },
+      });
+
+      const claim = failClaim(error);
+
+      await expect(claim).rejects.toThrow('ERC20: cap exceeded');
+      await expect(claim).rejects.not.toHaveProperty('code');
+    });
+
+    it('Should not mistake unknown or empty revert data for a faucet error', async () => {
+      await expect(failClaim(rawRevert('0xdeadbeef'))).rejects.toThrow(
+        'Failed to request tokens: execution reverted (unknown custom error)'
+      );
+      await expect(failClaim(rawRevert('0x'))).rejects.toThrow('Failed to request tokens:');
+    });
+
+    it('Should use the message of a JSON-RPC error without revert data', async () => {
+      const error = Object.assign(new Error('Internal JSON-RPC error.'), {
+        data: { message: 'insufficient funds for gas' },
+      });
+
+      await expect(failClaim(error)).rejects.toThrow(/^insufficient funds for gas$/);
+    });
+
+    it('Should report a rejection in the wallet as a typed error', async () => {
+      const rejected = makeError('user rejected action', 'ACTION_REJECTED', { action: 'sendTransaction' });
+      const nested = makeError('could not coalesce error', 'UNKNOWN_ERROR', {
+        error: { code: 4001, message: 'User denied transaction signature.' },
+        info: { error: { code: 4001 } },
+      });
+
+      await expect(failClaim(rejected)).rejects.toMatchObject({ code: 'USER_REJECTED' });
+      await expect(failClaim(nested)).rejects.toMatchObject({ code: 'USER_REJECTED' });
+    });
+
+    it('Should prefix other failures with the action', async () => {
+      await expect(failClaim(new Error('network timeout'))).rejects.toThrow(
+        'Failed to request tokens: network timeout'
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HASH = '0x' + '11'.repeat(32);
+
+vi.mock('../src/utils/wallet', () => ({
+  connectWallet: vi.fn(async () => ALICE),
+  hasWallet: vi.fn(() => true),
+  getConnectedAddress: vi.fn(() => ALICE),
+}));
+
+vi.mock('../src/utils/contracts', () => ({
+  requestTokens: vi.fn(async () => HASH),
+  getBalance: vi.fn(async () => '100'),
+  canClaim: vi.fn(async () => true),
+  getClaimStatus: vi.fn(async () => ({ status: 'ELIGIBLE' })),
+  getRemainingAllowance: vi.fn(async () => '900'),
+  getContractAddresses: vi.fn(() => ({ token: '0x1', faucet: '0x2' })),
+  getFaucetTokens: vi.fn(async () => []),
+  getProvider: vi.fn(() => ({})),
+  initProvider: vi.fn(async () => ({})),
+}));
+
+let api;
+let contracts;
+let wallet;
+let errors;
+
+beforeEach(async () => {
+  vi.stubGlobal('window', {});
+  vi.resetModules();
+  contracts = await import('../src/utils/contracts');
+  wallet = await import('../src/utils/wallet');
+  // The same module instance as eval.js, so its instanceof checks see these classes
+  errors = await import('../src/utils/errors');
+  const { setupEvalInterface } = await import('../src/utils/eval');
+  await setupEvalInterface();
+  api = window.__EVAL__;
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('eval', () => {
+  describe('Setup', () => {
+    it('Should reuse the provider the app already initialized', () => {
+      expect(contracts.initProvider).not.toHaveBeenCalled();
+    });
+
+    it('Should initialize the provider when there is none yet', async () => {
+      contracts.getProvider.mockImplementation(() => {
+        throw new Error('Provider not initialized. Call initProvider first.');
+      });
+      const { setupEvalInterface } = await import('../src/utils/eval');
+
+      await setupEvalInterface();
+
+      expect(contracts.initProvider).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should not attach the interface without a window', async () => {
+      vi.stubGlobal('window', undefined);
+      const { setupEvalInterface } = await import('../src/utils/eval');
+
+      await expect(setupEvalInterface()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Results', () => {
+    it('Should return what the wrapped calls return', async () => {
+      await expect(api.connectWallet()).resolves.toBe(ALICE);
+      await expect(api.requestTokens()).resolves.toBe(HASH);
+      await expect(api.getBalance(ALICE)).resolves.toBe('100');
+      await expect(api.getRemainingAllowance(ALICE)).resolves.toBe('900');
+      expect(api.getContractAddresses()).toEqual({ token: '0x1', faucet: '0x2' });
+    });
+  });
+
+  describe('Error wrapping', () => {
+    it('Should prefix errors with the failed method and keep the original as the cause', async () => {
+      const error = new Error('Failed to get balance: network timeout');
+      contracts.getBalance.mockImplementation(async () => {
+        throw error;
+      });
+
+      const wrapped = await api.getBalance(ALICE).catch((err) => err);
+
+      expect(wrapped.message).toBe('Get balance failed: Failed to get balance: network timeout');
+      expect(wrapped.cause).toBe(error);
+      expect(wrapped.code).toBeUndefined();
+    });
+
+    it('Should keep the name, code and details of a typed faucet error', async () => {
+      contracts.requestTokens.mockImplementation(async () => {
+        throw new errors.CooldownActiveError(1_700_000_000n);
+      });
+
+      const wrapped = await api.requestTokens().catch((err) => err);
+
+      expect(wrapped.message).toBe('Request tokens failed: Must wait for cooldown between claims');
+      expect(wrapped).toMatchObject({
+        name: 'CooldownActiveError',
+        code: 'COOLDOWN_ACTIVE',
+        nextClaimAt: 1_700_000_000,
+      });
+      expect(wrapped.cause).toBeInstanceOf(errors.CooldownActiveError);
+    });
+
+    it('Should keep the details of every typed error', async () => {
+      contracts.requestTokens.mockImplementation(async () => {
+        throw new errors.LifetimeLimitError(300n, 300n);
+      });
+      await expect(api.requestTokens()).rejects.toMatchObject({
+        code: 'LIFETIME_LIMIT_REACHED',
+        totalClaimed: '300',
+        maxClaimAmount: '300',
+      });
+
+      contracts.requestTokens.mockImplementation(async () => {
+        throw new errors.FaucetPausedError();
+      });
+      await expect(api.requestTokens()).rejects.toMatchObject({ code: 'FAUCET_PAUSED' });
+    });
+
+    it('Should not send a claim without a connected wallet', async () => {
+      wallet.getConnectedAddress.mockReturnValue(null);
+
+      await expect(api.requestTokens()).rejects.toThrow('Request tokens failed: Wallet not connected');
+      expect(contracts.requestTokens).not.toHaveBeenCalled();
+    });
+
+    it('Should fail when no wallet is available', async () => {
+      wallet.hasWallet.mockReturnValue(false);
+
+      await expect(api.connectWallet()).rejects.toThrow('Connect wallet failed: Wallet not available');
+      expect(wallet.connectWallet).not.toHaveBeenCalled();
+    });
+
+    it('Should require an address for address lookups', async () => {
+      await expect(api.getBalance()).rejects.toThrow('Get balance failed: Address parameter required');
+      await expect(api.canClaim('')).rejects.toThrow('Can claim check failed: Address parameter required');
+      await expect(api.getClaimStatus()).rejects.toThrow(
+        'Get claim status failed: Address parameter required'
+      );
+    });
+
+    it('Should wrap errors of synchronous methods', () => {
+      contracts.getContractAddresses.mockReturnValue({ token: '0x1', faucet: null });
+
+      expect(() => api.getContractAddresses()).toThrow(
+        'Get contract addresses failed: Contract addresses not configured'
+      );
+    });
+  });
+});
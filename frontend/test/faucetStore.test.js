@@ -0,0 +1,334 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const SEPOLIA = 11155111;
+const HOLESKY = 17000;
+
+vi.mock('../src/config/networks', () => ({
+  getDefaultChainId: () => 11155111,
+  getNetwork: (chainId) => ({ chainId, name: `Chain ${chainId}` }),
+  isSupportedChain: (chainId) => [11155111, 17000].includes(chainId),
+}));
+
+vi.mock('../src/utils/contracts', () => ({
+  initProvider: vi.fn(async () => ({})),
+  getBalance: vi.fn(async () => '100'),
+  getClaimStatus: vi.fn(async () => ({ status: 'ELIGIBLE', remainingAllowance: '900', nextClaimAt: 0 })),
+  getFaucetConstants: vi.fn(async () => ({ faucetAmount: '100' })),
+  getFaucetTokens: vi.fn(async () => [{ address: '0x1', symbol: 'TEST', decimals: 18, isPrimary: true }]),
+  getFaucetStatus: vi.fn(async () => ({ paused: false, exhausted: false })),
+  getEthDrip: vi.fn(async () => ({ enabled: false })),
+  getEthDripStatus: vi.fn(async () => ({ qualifies: false })),
+  getAllowlistStatus: vi.fn(async () => ({ allowlistEnabled: false, allowlisted: true, denylisted: false })),
+  requestTokens: vi.fn(async () => '0xclaim'),
+  requestTokensGasless: vi.fn(async () => '0xrelayed'),
+  listenToBlocks: vi.fn(() => () => {}),
+  listenToFaucetClaims: vi.fn(() => () => {}),
+  listenToFaucetConfigChanges: vi.fn(() => () => {}),
+}));
+
+vi.mock('../src/utils/wallet', () => ({
+  connectWallet: vi.fn(async () => ALICE),
+  disconnectWallet: vi.fn(),
+  getCurrentChainId: vi.fn(async () => 11155111),
+  getEthereumProvider: vi.fn(() => ({})),
+  hasWallet: vi.fn(() => true),
+  reconnectWallet: vi.fn(async () => null),
+  switchNetwork: vi.fn(async () => true),
+}));
+
+vi.mock('../src/utils/eval', () => ({ setupEvalInterface: vi.fn(async () => {}) }));
+vi.mock('../src/utils/transactions', () => ({ resumePendingTransactions: vi.fn() }));
+
+let store;
+let contracts;
+let wallet;
+let stop;
+
+// Resolve once every pending promise callback has run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// A promise settled from the test, to hold an RPC call open
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+// Start the store and wait for the first load
+async function start() {
+  stop = store.startFaucetStore();
+  await settle();
+}
+
+// Connect ALICE and wait for her account to load
+async function connectAlice() {
+  await store.connect();
+  await settle();
+}
+
+beforeEach(async () => {
+  vi.stubGlobal('window', new EventTarget());
+  vi.resetModules();
+  store = await import('../src/store/faucetStore');
+  contracts = await import('../src/utils/contracts');
+  wallet = await import('../src/utils/wallet');
+  vi.restoreAllMocks();
+});
+
+afterEach(() => {
+  stop?.();
+  stop = null;
+  vi.unstubAllGlobals();
+});
+
+describe('faucetStore', () => {
+  describe('Startup', () => {
+    it('Should bind to the wallet network and load faucet data once', async () => {
+      wallet.getCurrentChainId.mockResolvedValue(HOLESKY);
+      await start();
+
+      const { network, faucet } = store.getState();
+      expect(network).toMatchObject({ chainId: HOLESKY, walletChainId: HOLESKY, ready: true });
+      expect(contracts.initProvider).toHaveBeenCalledTimes(1);
+      expect(contracts.initProvider).toHaveBeenCalledWith(HOLESKY);
+      expect(faucet.constants).toEqual({ faucetAmount: '100' });
+      expect(faucet.status).toEqual({ paused: false, exhausted: false });
+      expect(contracts.getFaucetStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should not ask a wallet without a provider yet for its network', async () => {
+      wallet.getEthereumProvider.mockReturnValue(null);
+      await start();
+
+      expect(wallet.getCurrentChainId).not.toHaveBeenCalled();
+      expect(store.getState().network).toMatchObject({ chainId: SEPOLIA, walletChainId: null, ready: true });
+    });
+
+    it('Should fall back to the default network when the wallet is elsewhere', async () => {
+      wallet.getCurrentChainId.mockResolvedValue(1);
+      await start();
+
+      expect(store.getState().network).toMatchObject({ chainId: SEPOLIA, walletChainId: 1, ready: true });
+    });
+
+    it('Should restore the account of a silently reconnected wallet', async () => {
+      wallet.reconnectWallet.mockResolvedValue(BOB);
+      await start();
+
+      expect(store.getState().account).toMatchObject({ address: BOB, balance: '100', loading: false });
+      expect(contracts.getAllowlistStatus).toHaveBeenCalledWith(BOB);
+      expect(wallet.connectWallet).not.toHaveBeenCalled();
+    });
+
+    it('Should stop listening to blocks and contract events when stopped', async () => {
+      const unsubscribe = vi.fn();
+      contracts.listenToBlocks.mockReturnValue(unsubscribe);
+      await start();
+
+      stop();
+      stop = null;
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Refreshing', () => {
+    it('Should reload faucet and account data on every new block', async () => {
+      await start();
+      await connectAlice();
+      const onBlock = contracts.listenToBlocks.mock.calls[0][0];
+      contracts.getBalance.mockResolvedValue('200');
+
+      onBlock(101);
+      await settle();
+
+      expect(store.getState().account.balance).toBe('200');
+      expect(contracts.getFaucetStatus).toHaveBeenCalledTimes(2);
+      // Allowlist status is not reloaded per block
+      expect(contracts.getAllowlistStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should reload the claim status on the block right after a claim', async () => {
+      await start();
+      await connectAlice();
+      contracts.getClaimStatus.mockResolvedValue({ status: 'COOLDOWN', nextClaimAt: 3600 });
+      await store.claim();
+      await settle();
+      expect(store.getState().account.claimStatus.status).toBe('COOLDOWN');
+      const onBlock = contracts.listenToBlocks.mock.calls[0][0];
+      contracts.getClaimStatus.mockResolvedValue({ status: 'ELIGIBLE', nextClaimAt: 0 });
+
+      // e.g. the one block a local node mines when its clock is moved past the cooldown
+      onBlock(102);
+      await settle();
+
+      expect(store.getState().account.claimStatus.status).toBe('ELIGIBLE');
+    });
+
+    it('Should fold refreshes requested during a load into one re-run', async () => {
+      await start();
+      const pending = deferred();
+      contracts.getFaucetStatus.mockClear();
+      contracts.getFaucetStatus.mockReturnValueOnce(pending.promise);
+
+      const first = store.refreshFaucet();
+      store.refreshFaucet();
+      store.refreshFaucet();
+      store.refreshFaucet();
+      pending.resolve({ paused: true, exhausted: false });
+      await first;
+
+      expect(contracts.getFaucetStatus).toHaveBeenCalledTimes(2);
+    });
+
+    it('Should reload parameters and allowlist status when the admin changes the config', async () => {
+      await start();
+      await connectAlice();
+      const onConfigChange = contracts.listenToFaucetConfigChanges.mock.calls[0][0];
+      contracts.getFaucetConstants.mockResolvedValue({ faucetAmount: '50' });
+
+      onConfigChange();
+      await settle();
+
+      expect(store.getState().faucet.constants).toEqual({ faucetAmount: '50' });
+      expect(contracts.getAllowlistStatus).toHaveBeenCalledTimes(2);
+    });
+
+    it('Should bump the claims version and reload faucet and account data on claim events', async () => {
+      await start();
+      await connectAlice();
+      const onClaim = contracts.listenToFaucetClaims.mock.calls[0][0];
+      contracts.getBalance.mockResolvedValue('200');
+
+      onClaim({ user: BOB });
+      expect(store.getState().claimsVersion).toBe(1);
+      await settle();
+
+      expect(store.getState().account.balance).toBe('200');
+      expect(contracts.getFaucetStatus).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Wallet events', () => {
+    it('Should load the new account when the wallet switches accounts', async () => {
+      await start();
+      await connectAlice();
+
+      window.dispatchEvent(new CustomEvent('accountChanged', { detail: { address: BOB } }));
+      await settle();
+
+      expect(store.getState().account).toMatchObject({ address: BOB, loading: false });
+      expect(contracts.getBalance).toHaveBeenLastCalledWith(BOB);
+    });
+
+    it('Should drop results for an account the wallet switched away from', async () => {
+      await start();
+      const pending = deferred();
+      contracts.getBalance.mockReturnValueOnce(pending.promise).mockResolvedValue('7');
+      const connecting = store.connect();
+      await settle();
+
+      window.dispatchEvent(new CustomEvent('accountChanged', { detail: { address: BOB } }));
+      await settle();
+      pending.resolve('999');
+      await connecting;
+      await settle();
+
+      expect(store.getState().account).toMatchObject({ address: BOB, balance: '7' });
+    });
+
+    it('Should clear the account when the wallet disconnects', async () => {
+      await start();
+      await connectAlice();
+      await store.claim();
+
+      window.dispatchEvent(new CustomEvent('walletDisconnected'));
+
+      expect(store.getState().account.address).toBeNull();
+      expect(store.getState().claim.txHash).toBeNull();
+    });
+
+    it('Should rebind to a supported network the wallet switches to', async () => {
+      const unsubscribe = vi.fn();
+      contracts.listenToBlocks.mockReturnValue(unsubscribe);
+      await start();
+      await connectAlice();
+
+      window.dispatchEvent(new CustomEvent('chainChanged', { detail: { chainId: HOLESKY } }));
+      await settle();
+
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+      expect(contracts.initProvider).toHaveBeenLastCalledWith(HOLESKY);
+      expect(store.getState().network).toMatchObject({ chainId: HOLESKY, ready: true });
+      expect(store.getState().account).toMatchObject({ address: ALICE, balance: '100', loading: false });
+    });
+
+    it('Should stay on the network when the wallet moves to an unsupported one', async () => {
+      await start();
+      await connectAlice();
+
+      window.dispatchEvent(new CustomEvent('chainChanged', { detail: { chainId: 1 } }));
+      await settle();
+
+      expect(store.getState().network).toMatchObject({ chainId: SEPOLIA, walletChainId: 1 });
+      expect(contracts.initProvider).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Actions', () => {
+    it('Should connect the wallet picked by the user', async () => {
+      await start();
+
+      await store.connect('io.rabby');
+
+      expect(wallet.connectWallet).toHaveBeenCalledWith('io.rabby');
+    });
+
+    it('Should switch the wallet to the selected network once connected', async () => {
+      await start();
+      wallet.getCurrentChainId.mockResolvedValueOnce(1);
+
+      await connectAlice();
+
+      expect(wallet.connectWallet.mock.invocationCallOrder[0]).toBeLessThan(
+        wallet.switchNetwork.mock.invocationCallOrder[0]
+      );
+      expect(wallet.switchNetwork).toHaveBeenCalledWith(SEPOLIA);
+      expect(store.getState().account).toMatchObject({ address: ALICE, balance: '100', loading: false });
+    });
+
+    it('Should only change the read network when no wallet is connected', async () => {
+      await start();
+
+      await store.selectNetwork(HOLESKY);
+
+      expect(wallet.switchNetwork).not.toHaveBeenCalled();
+      expect(store.getState().network.chainId).toBe(HOLESKY);
+    });
+
+    it('Should record a claim and reload the account', async () => {
+      await start();
+      await connectAlice();
+      contracts.getBalance.mockResolvedValue('200');
+
+      await expect(store.claim({ gasless: true })).resolves.toBe('0xrelayed');
+      await settle();
+
+      expect(store.getState().claim).toEqual({ pending: false, txHash: '0xrelayed' });
+      expect(store.getState().claimsVersion).toBe(1);
+      expect(store.getState().account.balance).toBe('200');
+    });
+
+    it('Should leave the claim state idle when a claim fails', async () => {
+      await start();
+      await connectAlice();
+      contracts.requestTokens.mockRejectedValueOnce(new Error('rejected'));
+
+      await expect(store.claim()).rejects.toThrow('rejected');
+      expect(store.getState().claim).toEqual({ pending: false, txHash: null });
+    });
+  });
+});
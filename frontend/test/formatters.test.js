@@ -0,0 +1,283 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculatePercentage,
+  formatAddress,
+  formatAmount,
+  formatBalance,
+  formatClaimAmount,
+  formatDuration,
+  formatEthAmount,
+  formatTimeRemaining,
+  formatTokenAmount,
+  isValidAddress,
+} from '../src/utils/formatters';
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const TEST = { symbol: 'TEST', decimals: 18 };
+const USDC = { symbol: 'tUSDC', decimals: 6 };
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const NOW = 1_700_000_000;
+
+describe('formatAmount', () => {
+  describe('Precision', () => {
+    it('Should format zero and empty amounts as 0', () => {
+      expect(formatAmount(0n, 18)).toBe('0');
+      expect(formatAmount('0', 18)).toBe('0');
+      expect(formatAmount(undefined, 18)).toBe('0');
+      expect(formatAmount(null, 6)).toBe('0');
+    });
+
+    it('Should keep every digit of the smallest unit', () => {
+      expect(formatAmount(1n, 18)).toBe('0.000000000000000001');
+      expect(formatAmount(1n, 6)).toBe('0.000001');
+    });
+
+    it('Should format the largest uint256 without losing precision', () => {
+      expect(formatAmount(MAX_UINT256, 18, { locale: 'en-US' })).toBe(
+        '115,792,089,237,316,195,423,570,985,008,687,907,853,269,984,665,640,564,039,457.584007913129639935'
+      );
+      expect(formatAmount(MAX_UINT256, 0, { grouping: false })).toBe(MAX_UINT256.toString());
+    });
+
+    it('Should keep digits a float would lose', () => {
+      // 2^53 + 1 whole tokens: parseFloat would print 9007199254740992
+      const amount = (2n ** 53n + 1n) * 10n ** 18n + 1n;
+      expect(formatAmount(amount, 18, { grouping: false })).toBe('9007199254740993.000000000000000001');
+    });
+
+    it('Should accept bigint, decimal string and integer number amounts', () => {
+      expect(formatAmount(1500000n, 6)).toBe('1.5');
+      expect(formatAmount('1500000', 6)).toBe('1.5');
+      expect(formatAmount(1500000, 6)).toBe('1.5');
+    });
+
+    it('Should accept decimals read as a bigint', () => {
+      expect(formatAmount(1500000n, 6n)).toBe('1.5');
+    });
+
+    it('Should format tokens without decimals', () => {
+      expect(formatAmount(42n, 0)).toBe('42');
+      expect(formatAmount(42n, 0, { minDecimals: 2 })).toBe('42.00');
+    });
+
+    it('Should drop trailing zeros down to minDecimals', () => {
+      expect(formatAmount(10n ** 18n * 100n, 18)).toBe('100');
+      expect(formatAmount(25n * 10n ** 17n, 18)).toBe('2.5');
+      expect(formatAmount(25n * 10n ** 17n, 18, { minDecimals: 3 })).toBe('2.500');
+    });
+  });
+
+  describe('Rounding', () => {
+    it('Should truncate extra digits by default', () => {
+      expect(formatAmount(1999999n, 6, { maxDecimals: 2 })).toBe('1.99');
+      expect(formatAmount(1n, 18, { maxDecimals: 2 })).toBe('0');
+    });
+
+    it('Should round half away from zero with halfExpand', () => {
+      expect(formatAmount(1994999n, 6, { maxDecimals: 2, rounding: 'halfExpand' })).toBe('1.99');
+      expect(formatAmount(1995000n, 6, { maxDecimals: 2, rounding: 'halfExpand' })).toBe('2');
+      expect(formatAmount(-1995000n, 6, { maxDecimals: 2, rounding: 'halfExpand' })).toBe('-2');
+    });
+
+    it('Should carry rounding into the whole part and its grouping', () => {
+      const amount = 999999n * 10n ** 18n + 999n * 10n ** 15n;
+      expect(formatAmount(amount, 18, { maxDecimals: 2, rounding: 'halfExpand', locale: 'en-US' })).toBe(
+        '1,000,000'
+      );
+      expect(
+        formatAmount(amount, 18, { maxDecimals: 2, minDecimals: 2, rounding: 'halfExpand', locale: 'en-US' })
+      ).toBe('1,000,000.00');
+    });
+
+    it('Should show every digit when maxDecimals exceeds the token decimals', () => {
+      expect(formatAmount(1234567n, 6, { maxDecimals: 10 })).toBe('1.234567');
+    });
+
+    it('Should hide whole units with maxDecimals 0', () => {
+      expect(formatAmount(10n ** 24n - 1n, 18, { maxDecimals: 0, locale: 'en-US' })).toBe('999,999');
+    });
+  });
+
+  describe('Sign', () => {
+    it('Should format negative amounts', () => {
+      expect(formatAmount(-15n * 10n ** 17n, 18)).toBe('-1.5');
+      expect(formatAmount(-(10n ** 21n), 18, { locale: 'en-US' })).toBe('-1,000');
+    });
+
+    it('Should not print a sign for negative amounts that truncate to zero', () => {
+      expect(formatAmount(-1n, 18, { maxDecimals: 2 })).toBe('0');
+    });
+  });
+
+  describe('Locale', () => {
+    const amount = 1234567n * 10n ** 18n + 89n * 10n ** 16n;
+
+    it('Should group thousands and use the locale decimal separator', () => {
+      expect(formatAmount(amount, 18, { locale: 'en-US' })).toBe('1,234,567.89');
+      expect(formatAmount(amount, 18, { locale: 'de-DE' })).toBe('1.234.567,89');
+      expect(formatAmount(amount, 18, { locale: 'en-IN' })).toBe('12,34,567.89');
+    });
+
+    it('Should leave out grouping when disabled', () => {
+      expect(formatAmount(amount, 18, { locale: 'de-DE', grouping: false })).toBe('1234567,89');
+    });
+  });
+});
+
+describe('Amount helpers', () => {
+  it('Should append the token symbol', () => {
+    expect(formatTokenAmount(10n ** 21n, TEST, { locale: 'en-US' })).toBe('1,000 TEST');
+    expect(formatTokenAmount(50000000n, USDC)).toBe('50 tUSDC');
+    expect(formatTokenAmount(1234567n, USDC, { maxDecimals: 2 })).toBe('1.23 tUSDC');
+  });
+
+  it('Should format balances with exactly two truncated decimals', () => {
+    expect(formatBalance(0n, 18)).toBe('0.00');
+    expect(formatBalance(1n, 18)).toBe('0.00');
+    expect(formatBalance(12345678n, 6)).toBe('12.34');
+    expect(formatBalance(10n ** 20n, 18)).toBe('100.00');
+  });
+
+  it('Should format claim amounts in full', () => {
+    expect(formatClaimAmount(10n ** 20n, 18)).toBe('100');
+    expect(formatClaimAmount(2500000n, 6)).toBe('2.5');
+  });
+
+  it('Should format ETH with up to four decimals', () => {
+    expect(formatEthAmount(10n ** 16n)).toBe('0.01');
+    expect(formatEthAmount(123456789n * 10n ** 10n)).toBe('1.2345');
+    expect(formatEthAmount(1n)).toBe('0');
+  });
+});
+
+describe('formatAddress', () => {
+  it('Should shorten an address to its first six and last four characters', () => {
+    expect(formatAddress(ALICE)).toBe('0x7099...79C8');
+  });
+
+  it('Should format a missing address as empty text', () => {
+    expect(formatAddress(undefined)).toBe('');
+    expect(formatAddress(null)).toBe('');
+    expect(formatAddress('')).toBe('');
+  });
+});
+
+describe('formatTimeRemaining', () => {
+  it('Should be ready once the cooldown has ended', () => {
+    expect(formatTimeRemaining(NOW, NOW)).toBe('Ready');
+    expect(formatTimeRemaining(NOW - 1, NOW)).toBe('Ready');
+    expect(formatTimeRemaining(0, NOW)).toBe('Ready');
+  });
+
+  it('Should show the two largest units', () => {
+    expect(formatTimeRemaining(NOW + 2 * 86400 + 5 * 3600 + 59, NOW)).toBe('2d 5h');
+    expect(formatTimeRemaining(NOW + 3600 + 30 * 60, NOW)).toBe('1h 30m');
+    expect(formatTimeRemaining(NOW + 86400, NOW)).toBe('1d 0h');
+    expect(formatTimeRemaining(NOW + 59 * 60 + 59, NOW)).toBe('59m');
+  });
+
+  it('Should show seconds in the last minute', () => {
+    expect(formatTimeRemaining(NOW + 59, NOW)).toBe('59s');
+    expect(formatTimeRemaining(NOW + 1, NOW)).toBe('1s');
+  });
+
+  it('Should accept end times read as a bigint or string', () => {
+    expect(formatTimeRemaining(BigInt(NOW + 3600), NOW)).toBe('1h 0m');
+    expect(formatTimeRemaining(String(NOW + 120), NOW)).toBe('2m');
+  });
+
+  it('Should ignore the fraction of the current time', () => {
+    expect(formatTimeRemaining(NOW + 60, NOW + 0.9)).toBe('1m');
+  });
+});
+
+describe('formatDuration', () => {
+  it('Should format zero, negative and missing durations as 0 seconds', () => {
+    expect(formatDuration(0)).toBe('0 seconds');
+    expect(formatDuration(-60)).toBe('0 seconds');
+    expect(formatDuration(undefined)).toBe('0 seconds');
+    expect(formatDuration('not a number')).toBe('0 seconds');
+  });
+
+  it('Should use singular and plural unit names', () => {
+    expect(formatDuration(1)).toBe('1 second');
+    expect(formatDuration(60)).toBe('1 minute');
+    expect(formatDuration(7200)).toBe('2 hours');
+    expect(formatDuration(86400)).toBe('1 day');
+  });
+
+  it('Should keep the two most significant units', () => {
+    expect(formatDuration(86400 + 2 * 3600 + 3 * 60 + 4)).toBe('1 day 2 hours');
+    expect(formatDuration(90)).toBe('1 minute 30 seconds');
+  });
+
+  it('Should skip empty units between the ones shown', () => {
+    expect(formatDuration(86400 + 5)).toBe('1 day 5 seconds');
+  });
+
+  it('Should drop fractions of a second', () => {
+    expect(formatDuration(0.5)).toBe('0 seconds');
+    expect(formatDuration(90.7)).toBe('1 minute 30 seconds');
+  });
+
+  it('Should accept durations read as a bigint or string', () => {
+    expect(formatDuration(3600n)).toBe('1 hour');
+    expect(formatDuration('120')).toBe('2 minutes');
+  });
+});
+
+describe('isValidAddress', () => {
+  it('Should accept checksummed, lowercase and uppercase addresses', () => {
+    expect(isValidAddress(ALICE)).toBe(true);
+    expect(isValidAddress(ALICE.toLowerCase())).toBe(true);
+    expect(isValidAddress(`0x${ALICE.slice(2).toUpperCase()}`)).toBe(true);
+  });
+
+  it('Should reject malformed addresses', () => {
+    expect(isValidAddress(ALICE.slice(0, -1))).toBe(false);
+    expect(isValidAddress(`${ALICE}0`)).toBe(false);
+    expect(isValidAddress(ALICE.slice(2))).toBe(false);
+    expect(isValidAddress(`0x${'g'.repeat(40)}`)).toBe(false);
+    expect(isValidAddress(` ${ALICE}`)).toBe(false);
+  });
+
+  it('Should reject missing addresses', () => {
+    expect(isValidAddress('')).toBe(false);
+    expect(isValidAddress(undefined)).toBe(false);
+    expect(isValidAddress(null)).toBe(false);
+  });
+});
+
+describe('calculatePercentage', () => {
+  const MAX_SUPPLY = 10n ** 24n;
+
+  it('Should return a whole percentage, truncated', () => {
+    expect(calculatePercentage(MAX_SUPPLY / 4n, MAX_SUPPLY)).toBe(25);
+    expect(calculatePercentage(MAX_SUPPLY - 1n, MAX_SUPPLY)).toBe(99);
+    expect(calculatePercentage(0n, MAX_SUPPLY)).toBe(0);
+  });
+
+  it('Should keep precision for amounts beyond a float', () => {
+    expect(calculatePercentage(MAX_UINT256 / 2n, MAX_UINT256)).toBe(49);
+  });
+
+  it('Should accept amounts read as decimal strings', () => {
+    expect(calculatePercentage('500', '1000')).toBe(50);
+  });
+
+  it('Should return 0 without a total', () => {
+    expect(calculatePercentage(100n, 0n)).toBe(0);
+    expect(calculatePercentage(100n, '0')).toBe(0);
+    expect(calculatePercentage(100n, 0)).toBe(0);
+    expect(calculatePercentage(100n, undefined)).toBe(0);
+  });
+
+  it('Should treat a missing current amount as 0', () => {
+    expect(calculatePercentage(undefined, MAX_SUPPLY)).toBe(0);
+  });
+
+  it('Should cap the percentage between 0 and 100', () => {
+    expect(calculatePercentage(MAX_SUPPLY * 2n, MAX_SUPPLY)).toBe(100);
+    expect(calculatePercentage(-1n * MAX_SUPPLY, MAX_SUPPLY)).toBe(0);
+  });
+});
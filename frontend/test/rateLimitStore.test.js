@@ -0,0 +1,237 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createClaimLimiter, createFileStore } from '../rateLimitStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 1);
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const LIMITS = { ipLimit: 3, ipWindowMs: HOUR, addressLimit: 1, addressWindowMs: DAY };
+
+let dir;
+let filePath;
+let stores;
+
+// Store on the test's file, flushed before the file is removed
+function openStore() {
+  const store = createFileStore(filePath);
+  stores.push(store);
+  return store;
+}
+
+// Contents of the store file once every write has landed
+async function stored(store) {
+  await store.flush();
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  dir = await mkdtemp(join(tmpdir(), 'rate-limits-'));
+  filePath = join(dir, 'data', 'rate-limits.json');
+  stores = [];
+});
+
+afterEach(async () => {
+  await Promise.all(stores.map((store) => store.flush()));
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('rateLimitStore', () => {
+  describe('File store', () => {
+    it('Should allow hits up to the limit and say when the oldest one expires', async () => {
+      const store = openStore();
+      await store.load();
+
+      expect(store.tryHit('ip:a', 2, HOUR)).toMatchObject({ allowed: true, remaining: 1, hitAt: NOW });
+      vi.setSystemTime(NOW + 1000);
+      expect(store.tryHit('ip:a', 2, HOUR)).toMatchObject({ allowed: true, remaining: 0 });
+      vi.setSystemTime(NOW + 2000);
+
+      expect(store.tryHit('ip:a', 2, HOUR)).toEqual({
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: HOUR - 2000,
+      });
+      expect(await stored(store)).toEqual({ 'ip:a': [NOW, NOW + 1000] });
+    });
+
+    it('Should free a slot once the oldest hit slides out of the window', async () => {
+      const store = openStore();
+      await store.load();
+      store.tryHit('ip:a', 2, HOUR);
+      vi.setSystemTime(NOW + HOUR / 2);
+      store.tryHit('ip:a', 2, HOUR);
+
+      vi.setSystemTime(NOW + HOUR);
+      expect(store.tryHit('ip:a', 2, HOUR).allowed).toBe(true);
+      expect(store.tryHit('ip:a', 2, HOUR).allowed).toBe(false);
+      expect(await stored(store)).toEqual({ 'ip:a': [NOW + HOUR / 2, NOW + HOUR] });
+    });
+
+    it('Should count keys separately', async () => {
+      const store = openStore();
+      await store.load();
+
+      expect(store.tryHit('address:a', 1, DAY).allowed).toBe(true);
+      expect(store.tryHit('address:b', 1, DAY).allowed).toBe(true);
+      expect(store.tryHit('address:a', 1, DAY).allowed).toBe(false);
+    });
+
+    it('Should refuse hits before the file is loaded', () => {
+      const store = openStore();
+
+      expect(() => store.tryHit('ip:a', 1, HOUR)).toThrow('Rate limit store not loaded');
+    });
+
+    it('Should refund a hit', async () => {
+      const store = openStore();
+      await store.load();
+      const first = store.tryHit('address:a', 1, DAY);
+
+      store.refund('address:a', first.hitAt);
+
+      expect(store.tryHit('address:a', 1, DAY).allowed).toBe(true);
+      store.refund('address:a', NOW - 1);
+      expect(await stored(store)).toEqual({ 'address:a': [NOW] });
+    });
+
+    it('Should sweep keys without recent hits from the file', async () => {
+      const store = openStore();
+      await store.load();
+      store.tryHit('ip:a', 5, HOUR);
+      vi.setSystemTime(NOW + 2 * HOUR);
+      store.tryHit('ip:b', 5, HOUR);
+
+      store.sweep(HOUR);
+      store.tryHit('ip:b', 5, HOUR);
+
+      expect(await stored(store)).toEqual({ 'ip:b': [NOW + 2 * HOUR, NOW + 2 * HOUR] });
+    });
+
+    it('Should keep limits across restarts', async () => {
+      const first = openStore();
+      await first.load();
+      first.tryHit('address:a', 1, DAY);
+      await first.flush();
+
+      const second = openStore();
+      await second.load();
+
+      expect(second.tryHit('address:a', 1, DAY).allowed).toBe(false);
+    });
+
+    it('Should serialize writes so the file ends with the latest hits', async () => {
+      const store = openStore();
+      await store.load();
+
+      for (let i = 0; i < 50; i++) {
+        vi.setSystemTime(NOW + i);
+        store.tryHit('ip:a', 100, HOUR);
+      }
+
+      expect((await stored(store))['ip:a']).toHaveLength(50);
+      expect(await readdir(join(dir, 'data'))).toEqual(['rate-limits.json']);
+    });
+
+    it('Should start empty when the file is unreadable', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      await writeFile(join(dir, 'corrupt.json'), '{ not json');
+      filePath = join(dir, 'corrupt.json');
+      const store = openStore();
+
+      await store.load();
+
+      expect(store.tryHit('ip:a', 1, HOUR).allowed).toBe(true);
+      expect(console.error).toHaveBeenCalledWith(
+        'Failed to read rate limit store, starting empty:',
+        expect.any(String)
+      );
+    });
+  });
+
+  describe('Claim limiter', () => {
+    let store;
+    let limiter;
+
+    beforeEach(() => {
+      store = openStore();
+      limiter = createClaimLimiter(store, LIMITS);
+    });
+
+    it('Should let only one of several parallel claims for an address through', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => limiter.reserve('1.1.1.1', ALICE))
+      );
+
+      expect(results.filter((result) => result.allowed)).toHaveLength(1);
+      expect(results.filter((result) => result.status === 409)).toHaveLength(4);
+      expect(await stored(store)).toEqual({ 'ip:1.1.1.1': [NOW], [`address:${ALICE}`]: [NOW] });
+    });
+
+    it('Should hold parallel claims from one IP to its limit', async () => {
+      const addresses = Array.from({ length: 5 }, (_, i) => `0x${String(i + 1).padStart(40, '0')}`);
+
+      const results = await Promise.all(addresses.map((address) => limiter.reserve('1.1.1.1', address)));
+
+      expect(results.filter((result) => result.allowed)).toHaveLength(LIMITS.ipLimit);
+      expect(results.find((result) => !result.allowed)).toEqual({
+        allowed: false,
+        status: 429,
+        error: 'Too many claims from this IP',
+        retryAfter: HOUR / 1000,
+      });
+    });
+
+    it('Should turn away a claimed address without counting it against the IP', async () => {
+      (await limiter.reserve('1.1.1.1', ALICE)).release();
+
+      const blocked = await limiter.reserve('2.2.2.2', ALICE);
+
+      expect(blocked).toEqual({
+        allowed: false,
+        status: 429,
+        error: 'Too many claims for this address',
+        retryAfter: DAY / 1000,
+      });
+      expect((await stored(store))['ip:2.2.2.2']).toBeUndefined();
+    });
+
+    it('Should give the address its claim back on refund', async () => {
+      const reservation = await limiter.reserve('1.1.1.1', ALICE);
+      reservation.refund();
+      reservation.release();
+
+      expect((await limiter.reserve('1.1.1.1', ALICE)).allowed).toBe(true);
+      expect((await stored(store))['ip:1.1.1.1']).toHaveLength(2);
+    });
+
+    it('Should lock an address until its claim is released', async () => {
+      const reservation = await limiter.reserve('1.1.1.1', ALICE);
+      reservation.refund();
+
+      expect((await limiter.reserve('2.2.2.2', ALICE)).status).toBe(409);
+      reservation.release();
+      expect((await limiter.reserve('2.2.2.2', ALICE)).allowed).toBe(true);
+      expect((await limiter.reserve('2.2.2.2', BOB)).allowed).toBe(true);
+    });
+
+    it('Should keep address hits older than the IP window', async () => {
+      (await limiter.reserve('1.1.1.1', ALICE)).release();
+      await store.flush();
+      vi.setSystemTime(NOW + 2 * HOUR);
+
+      // A restarted server sees the IP window first
+      const restarted = createClaimLimiter(openStore(), LIMITS);
+      await restarted.reserve('3.3.3.3', BOB);
+
+      expect((await restarted.reserve('3.3.3.3', ALICE)).error).toBe('Too many claims for this address');
+    });
+  });
+});
@@ -0,0 +1,227 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createClaimLimiter, createFileStore } from '../rateLimitStore.js';
+
+const FAUCET = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const RELAYER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HASH = '0x' + '11'.repeat(32);
+const SIGNATURE = '0x' + 'ab'.repeat(65);
+const DEADLINE = '1767225600';
+const LIMITS = { ipLimit: 5, ipWindowMs: 60 * 60 * 1000, addressLimit: 1, addressWindowMs: 24 * 60 * 60 * 1000 };
+
+const claimFor = Object.assign(vi.fn(), { staticCall: vi.fn() });
+
+vi.mock('ethers', async (importOriginal) => ({
+  ...(await importOriginal()),
+  JsonRpcProvider: vi.fn(() => ({})),
+  Wallet: vi.fn(() => ({ address: RELAYER })),
+  NonceManager: vi.fn(() => ({})),
+  Contract: vi.fn(() => ({ claimFor })),
+}));
+
+// Signed claim request body for a user
+function claim(user = ALICE) {
+  return { user, deadline: DEADLINE, signature: SIGNATURE, proof: [] };
+}
+
+// Address of the n-th fresh key an attacker could sign with
+function freshUser(n) {
+  return `0x${String(n + 1).padStart(40, '0')}`;
+}
+
+// A promise settled from the test, to hold an RPC call open
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+let dir;
+let store;
+let createRelayerRouter;
+
+// App serving the relayer router, configured like server.js unless overridden
+function createApp(options = {}) {
+  const app = express();
+  app.use(
+    '/api/relay',
+    createRelayerRouter({
+      rpcUrl: 'http://127.0.0.1:8545',
+      privateKey: '0x' + '01'.repeat(32),
+      faucetAddress: FAUCET,
+      limiter: createClaimLimiter(store, LIMITS),
+      ...options,
+    })
+  );
+  return app;
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  claimFor.mockResolvedValue({ hash: HASH });
+  claimFor.staticCall.mockResolvedValue(undefined);
+  dir = await mkdtemp(join(tmpdir(), 'relayer-'));
+  store = createFileStore(join(dir, 'rate-limits.json'));
+  ({ createRelayerRouter } = await import('../relayer.js'));
+});
+
+afterEach(async () => {
+  await store.flush();
+  await rm(dir, { recursive: true, force: true });
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+});
+
+describe('relayer', () => {
+  describe('GET /status', () => {
+    it('Should report the relayer and faucet when configured', async () => {
+      const response = await request(createApp()).get('/api/relay/status');
+
+      expect(response.body).toEqual({ enabled: true, relayer: RELAYER, faucet: FAUCET });
+    });
+
+    it('Should stay disabled without a key or a claim limiter', async () => {
+      const withoutKey = await request(createApp({ privateKey: undefined })).get('/api/relay/status');
+      const withoutLimiter = createApp({ limiter: undefined });
+
+      expect(withoutKey.body).toEqual({ enabled: false, relayer: null, faucet: null });
+      expect((await request(withoutLimiter).get('/api/relay/status')).body.enabled).toBe(false);
+      const response = await request(withoutLimiter).post('/api/relay/claim').send(claim());
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('POST /claim', () => {
+    it('Should relay a signed claim and return the transaction hash', async () => {
+      const response = await request(createApp()).post('/api/relay/claim').send(claim());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ txHash: HASH });
+      expect(claimFor.staticCall).toHaveBeenCalledWith(ALICE, DEADLINE, SIGNATURE, []);
+      expect(claimFor).toHaveBeenCalledWith(ALICE, DEADLINE, SIGNATURE, []);
+    });
+
+    it('Should reject malformed requests', async () => {
+      const app = createApp();
+      const send = (body) => request(app).post('/api/relay/claim').send({ ...claim(), ...body });
+
+      expect((await send({ user: '0x1234' })).body).toEqual({ error: 'Invalid user address' });
+      expect((await send({ deadline: '-1' })).body).toEqual({ error: 'Invalid deadline' });
+      expect((await send({ signature: 'nope' })).body).toEqual({ error: 'Invalid signature' });
+      expect((await send({ proof: ['0x1234'] })).body).toEqual({ error: 'Invalid allowlist proof' });
+      expect(claimFor.staticCall).not.toHaveBeenCalled();
+    });
+
+    it('Should report a simulated revert and give the user the relay back', async () => {
+      claimFor.staticCall.mockRejectedValueOnce(
+        Object.assign(new Error('execution reverted'), { revert: { name: 'InvalidSignature', args: [] } })
+      );
+      const app = createApp();
+
+      const reverted = await request(app).post('/api/relay/claim').send(claim());
+      const retried = await request(app).post('/api/relay/claim').send(claim());
+
+      expect(reverted.status).toBe(400);
+      expect(reverted.body).toEqual({ error: 'InvalidSignature', revert: { name: 'InvalidSignature', args: [] } });
+      expect(retried.status).toBe(200);
+    });
+  });
+
+  describe('Limits', () => {
+    it('Should rate limit relays per user', async () => {
+      const app = createApp();
+      await request(app).post('/api/relay/claim').send(claim());
+
+      const response = await request(app).post('/api/relay/claim').send(claim());
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe(String(24 * 60 * 60));
+      expect(response.body.error).toBe('Too many claims for this address');
+    });
+
+    it('Should rate limit fresh keys per IP', async () => {
+      const app = createApp();
+      for (let i = 0; i < LIMITS.ipLimit; i++) {
+        await request(app).post('/api/relay/claim').send(claim(freshUser(i)));
+      }
+
+      const response = await request(app).post('/api/relay/claim').send(claim(freshUser(LIMITS.ipLimit)));
+
+      expect(response.status).toBe(429);
+      expect(response.body.error).toBe('Too many claims from this IP');
+      expect(claimFor).toHaveBeenCalledTimes(LIMITS.ipLimit);
+    });
+
+    it('Should share its limits with the other claim endpoints', async () => {
+      const limiter = createClaimLimiter(store, LIMITS);
+      (await limiter.reserve('203.0.113.7', ALICE)).release();
+
+      const response = await request(createApp({ limiter })).post('/api/relay/claim').send(claim());
+
+      expect(response.status).toBe(429);
+    });
+
+    it('Should cap the relays in flight', async () => {
+      const simulation = deferred();
+      claimFor.staticCall.mockReturnValue(simulation.promise);
+      const app = createApp({ maxPending: 2 });
+
+      // then() sends the requests right away
+      const held = [0, 1].map((i) =>
+        request(app).post('/api/relay/claim').send(claim(freshUser(i))).then((response) => response)
+      );
+      await vi.waitFor(() => expect(claimFor.staticCall).toHaveBeenCalledTimes(2));
+      const busy = await request(app).post('/api/relay/claim').send(claim(freshUser(2)));
+      simulation.resolve();
+
+      expect(busy.status).toBe(429);
+      expect(busy.headers['retry-after']).toBe('5');
+      expect(busy.body).toEqual({ error: 'Relayer is busy', retryAfter: 5 });
+      expect((await Promise.all(held)).map((response) => response.status)).toEqual([200, 200]);
+      expect((await request(app).post('/api/relay/claim').send(claim(freshUser(3)))).status).toBe(200);
+    });
+
+    it('Should count relays against the cap while their reservation is pending', async () => {
+      const reservations = deferred();
+      const limiter = { reserve: vi.fn(() => reservations.promise) };
+      const app = createApp({ limiter, maxPending: 2 });
+
+      const responses = Promise.all(
+        [0, 1, 2].map((i) => request(app).post('/api/relay/claim').send(claim(freshUser(i))))
+      );
+      await vi.waitFor(() => expect(limiter.reserve).toHaveBeenCalledTimes(2));
+      // Let the third request reach the cap check before the reservations resolve
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      reservations.resolve({ allowed: true, refund: vi.fn(), release: vi.fn() });
+      const statuses = (await responses).map((response) => response.status).sort();
+
+      expect(statuses).toEqual([200, 200, 429]);
+      expect(limiter.reserve).toHaveBeenCalledTimes(2);
+      expect(claimFor).toHaveBeenCalledTimes(2);
+    });
+
+    it('Should send only one relay for parallel claims of one user', async () => {
+      const simulation = deferred();
+      claimFor.staticCall.mockReturnValue(simulation.promise);
+      const app = createApp();
+
+      const responses = Promise.all(
+        Array.from({ length: 3 }, () => request(app).post('/api/relay/claim').send(claim()))
+      );
+      await vi.waitFor(() => expect(claimFor.staticCall).toHaveBeenCalled());
+      simulation.resolve();
+      const statuses = (await responses).map((response) => response.status).sort();
+
+      expect(statuses).toEqual([200, 409, 409]);
+      expect(claimFor).toHaveBeenCalledTimes(1);
+    });
+  });
+});
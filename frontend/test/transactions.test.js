@@ -0,0 +1,229 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { makeError } from 'ethers';
+
+const CHAIN_ID = 31337;
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HASH = '0x' + '11'.repeat(32);
+const REPLACEMENT_HASH = '0x' + '22'.repeat(32);
+const STORAGE_KEY = 'token-faucet:transactions';
+
+// In-memory localStorage, so persistence can be checked and seeded
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+function mockProvider({ known = true, nonce = 3 } = {}) {
+  return {
+    getBlockNumber: vi.fn(async () => 100),
+    getTransaction: vi.fn(async () => (known ? { hash: HASH } : null)),
+    getTransactionCount: vi.fn(async () => nonce),
+  };
+}
+
+function mockTx(provider, wait) {
+  return { hash: HASH, from: USER, nonce: 3, provider, wait: vi.fn(wait) };
+}
+
+function replacedError({ cancelled, reason, status = 1 }) {
+  return makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+    cancelled,
+    reason,
+    hash: REPLACEMENT_HASH,
+    replacement: { hash: REPLACEMENT_HASH },
+    receipt: { hash: REPLACEMENT_HASH, status, blockNumber: 101 },
+  });
+}
+
+function statuses(entry) {
+  return entry.history.map((step) => step.status);
+}
+
+function stored() {
+  return JSON.parse(localStorage.getItem(STORAGE_KEY));
+}
+
+let tracker;
+let errors;
+
+beforeEach(async () => {
+  vi.stubGlobal('localStorage', createStorage());
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  // Tracked transactions are loaded once per module instance
+  vi.resetModules();
+  tracker = await import('../src/utils/transactions');
+  errors = await import('../src/utils/errors');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('trackTransaction', () => {
+  it('Should move a mined transaction through submitted, pending and confirmed', async () => {
+    const receipt = { hash: HASH, status: 1, blockNumber: 101 };
+    const tx = mockTx(mockProvider(), async () => receipt);
+
+    await expect(tracker.trackTransaction(tx, { chainId: CHAIN_ID, description: 'request tokens' })).resolves.toBe(receipt);
+
+    const [entry] = tracker.getTrackedTransactions(CHAIN_ID);
+    expect(entry).toMatchObject({ hash: HASH, from: USER, nonce: 3, startBlock: 100, status: 'confirmed', blockNumber: 101 });
+    expect(statuses(entry)).toEqual(['submitted', 'pending', 'confirmed']);
+    expect(stored()[0].status).toBe('confirmed');
+  });
+
+  it('Should mark a reverted transaction as failed and rethrow', async () => {
+    const reverted = makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+      receipt: { hash: HASH, status: 0, blockNumber: 101 },
+    });
+    const tx = mockTx(mockProvider(), async () => {
+      throw reverted;
+    });
+
+    await expect(tracker.trackTransaction(tx, { chainId: CHAIN_ID, description: 'claim token' })).rejects.toBe(reverted);
+    expect(tracker.getTrackedTransactions(CHAIN_ID)[0]).toMatchObject({ status: 'failed', reason: 'reverted' });
+  });
+
+  it('Should resolve to the replacement receipt when the transaction is sped up', async () => {
+    const tx = mockTx(mockProvider(), async () => {
+      throw replacedError({ cancelled: false, reason: 'repriced' });
+    });
+
+    const receipt = await tracker.trackTransaction(tx, { chainId: CHAIN_ID, description: 'request tokens' });
+    expect(receipt.hash).toBe(REPLACEMENT_HASH);
+
+    const [replacement, original] = tracker.getTrackedTransactions(CHAIN_ID);
+    expect(original).toMatchObject({ status: 'replaced', reason: 'repriced', replacedBy: REPLACEMENT_HASH });
+    expect(statuses(original)).toEqual(['submitted', 'pending', 'replaced']);
+    expect(replacement).toMatchObject({
+      hash: REPLACEMENT_HASH,
+      replaces: HASH,
+      status: 'confirmed',
+      description: 'request tokens',
+    });
+  });
+
+  it('Should reject with TransactionReplacedError when the transaction is cancelled', async () => {
+    const tx = mockTx(mockProvider(), async () => {
+      throw replacedError({ cancelled: true, reason: 'cancelled' });
+    });
+
+    const error = await tracker
+      .trackTransaction(tx, { chainId: CHAIN_ID, description: 'request tokens' })
+      .catch((err) => err);
+    expect(error).toBeInstanceOf(errors.TransactionReplacedError);
+    expect(error).toMatchObject({ code: 'TRANSACTION_REPLACED', reason: 'cancelled', replacementHash: REPLACEMENT_HASH });
+    expect(tracker.getTrackedTransactions(CHAIN_ID)).toHaveLength(1);
+  });
+
+  it('Should keep waiting while the transaction stays pending', async () => {
+    const receipt = { hash: HASH, status: 1, blockNumber: 101 };
+    const provider = mockProvider();
+    let calls = 0;
+    const tx = mockTx(provider, async () => {
+      if (++calls === 1) throw makeError('wait for transaction timeout', 'TIMEOUT');
+      return receipt;
+    });
+
+    await expect(tracker.trackTransaction(tx, { chainId: CHAIN_ID, description: 'fund faucet' })).resolves.toBe(receipt);
+    expect(tx.wait).toHaveBeenCalledTimes(2);
+    expect(provider.getTransaction).toHaveBeenCalledTimes(2);
+    expect(statuses(tracker.getTrackedTransactions(CHAIN_ID)[0])).toEqual(['submitted', 'pending', 'confirmed']);
+  });
+
+  it('Should reject with TransactionDroppedError when the node forgets the transaction', async () => {
+    vi.useFakeTimers();
+    const tx = mockTx(mockProvider({ known: false }), (confirms, timeout) =>
+      new Promise((resolve, reject) =>
+        setTimeout(() => reject(makeError('wait for transaction timeout', 'TIMEOUT')), timeout)
+      )
+    );
+
+    const result = tracker
+      .trackTransaction(tx, { chainId: CHAIN_ID, description: 'request tokens' })
+      .catch((err) => err);
+    await vi.advanceTimersByTimeAsync(6 * 60 * 1000);
+
+    expect(await result).toBeInstanceOf(errors.TransactionDroppedError);
+    const [entry] = tracker.getTrackedTransactions(CHAIN_ID);
+    expect(entry).toMatchObject({ status: 'failed', reason: 'dropped' });
+    expect(statuses(entry)).toEqual(['submitted', 'failed']);
+  });
+
+  it('Should notify listeners of every state change', async () => {
+    const listener = vi.fn();
+    const unsubscribe = tracker.listenToTransactions(listener);
+    const tx = mockTx(mockProvider(), async () => ({ hash: HASH, status: 1, blockNumber: 101 }));
+
+    await tracker.trackTransaction(tx, { chainId: CHAIN_ID, description: 'request tokens' });
+    expect(listener).toHaveBeenCalledTimes(3);
+
+    unsubscribe();
+    tracker.clearFinishedTransactions(CHAIN_ID);
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(tracker.getTrackedTransactions(CHAIN_ID)).toEqual([]);
+  });
+});
+
+describe('resumePendingTransactions', () => {
+  // Reload the tracker with a pending transaction left in localStorage
+  async function seedPending(overrides = {}) {
+    const entry = {
+      hash: HASH,
+      chainId: CHAIN_ID,
+      from: USER,
+      nonce: 3,
+      startBlock: 95,
+      description: 'request tokens',
+      submittedAt: Date.now(),
+      status: 'pending',
+      history: [{ status: 'submitted', at: Date.now() }, { status: 'pending', at: Date.now() }],
+      ...overrides,
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([entry]));
+    vi.resetModules();
+    tracker = await import('../src/utils/transactions');
+  }
+
+  it('Should confirm a pending transaction left over from a previous page load', async () => {
+    await seedPending();
+    const replaceable = { wait: vi.fn(async () => ({ hash: HASH, status: 1, blockNumber: 101 })) };
+    const known = { hash: HASH, replaceableTransaction: vi.fn(() => replaceable) };
+    const provider = { ...mockProvider(), getTransaction: vi.fn(async () => known) };
+
+    tracker.resumePendingTransactions(provider, CHAIN_ID);
+    // Resuming twice must not start a second watcher
+    tracker.resumePendingTransactions(provider, CHAIN_ID);
+
+    await vi.waitFor(() => expect(tracker.getTrackedTransactions(CHAIN_ID)[0].status).toBe('confirmed'));
+    expect(known.replaceableTransaction).toHaveBeenCalledWith(95);
+    expect(replaceable.wait).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should mark a vanished transaction whose nonce was used as replaced', async () => {
+    await seedPending();
+    const provider = mockProvider({ known: false, nonce: 4 });
+
+    tracker.resumePendingTransactions(provider, CHAIN_ID);
+
+    await vi.waitFor(() =>
+      expect(tracker.getTrackedTransactions(CHAIN_ID)[0]).toMatchObject({ status: 'replaced', reason: 'replaced' })
+    );
+    expect(provider.getTransactionCount).toHaveBeenCalledWith(USER, 'latest');
+  });
+
+  it('Should leave pending transactions of other networks alone', async () => {
+    await seedPending({ chainId: 11155111 });
+    const provider = mockProvider();
+
+    tracker.resumePendingTransactions(provider, CHAIN_ID);
+    expect(provider.getTransaction).not.toHaveBeenCalled();
+    expect(tracker.getTrackedTransactions(11155111)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,278 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const STORAGE_KEY = 'token-faucet:wallet';
+const METAMASK = { uuid: 'c3d0-1', name: 'MetaMask', icon: 'data:image/svg+xml;base64,AA==', rdns: 'io.metamask' };
+const RABBY = { uuid: 'c3d0-2', name: 'Rabby', icon: 'data:image/svg+xml;base64,AA==', rdns: 'io.rabby' };
+
+// EIP-1193 provider returning fixed accounts; eth_accounts is empty until the site is authorized
+function mockProvider({ accounts = [ALICE], authorized = false } = {}) {
+  return {
+    request: vi.fn(async ({ method }) => {
+      if (method === 'eth_requestAccounts') return accounts;
+      if (method === 'eth_accounts') return authorized ? accounts : [];
+      if (method === 'eth_chainId') return '0xaa36a7';
+      return null;
+    }),
+    on: vi.fn(),
+    removeListener: vi.fn(),
+  };
+}
+
+// Install a wallet extension: it answers every EIP-6963 discovery request
+function installWallet(info, provider) {
+  const announce = () =>
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: Object.freeze({ info, provider }) }));
+  window.addEventListener('eip6963:requestProvider', announce);
+  return announce;
+}
+
+// Connector reaching a wallet through something other than the page (e.g. WalletConnect): its
+// provider only exists once getProvider() has run
+function mockConnector({ id = 'remote', accounts = [BOB], session = false } = {}) {
+  const provider = mockProvider({ accounts, authorized: session });
+  const connector = {
+    id,
+    name: 'Remote Wallet',
+    icon: '',
+    type: 'walletconnect',
+    provider: null,
+    getProvider: vi.fn(async () => {
+      connector.provider = provider;
+      return provider;
+    }),
+    connect: vi.fn(async () => (await connector.getProvider()).request({ method: 'eth_requestAccounts' })),
+    getAccounts: vi.fn(async () => (await connector.getProvider()).request({ method: 'eth_accounts' })),
+    disconnect: vi.fn(async () => {}),
+  };
+  return connector;
+}
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+let wallet;
+
+beforeEach(async () => {
+  vi.stubGlobal('window', new EventTarget());
+  vi.stubGlobal('localStorage', createStorage());
+  vi.resetModules();
+  wallet = await import('../src/utils/wallet');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('wallet', () => {
+  describe('Discovery', () => {
+    it('Should list every wallet that announces itself', () => {
+      installWallet(METAMASK, mockProvider());
+      installWallet(RABBY, mockProvider());
+
+      expect(wallet.getWallets().map(({ id, name }) => ({ id, name }))).toEqual([
+        { id: 'io.metamask', name: 'MetaMask' },
+        { id: 'io.rabby', name: 'Rabby' },
+      ]);
+      expect(wallet.hasWallet()).toBe(true);
+    });
+
+    it('Should list window.ethereum only when no announced wallet provides it', () => {
+      const metamask = mockProvider();
+      installWallet(METAMASK, metamask);
+      window.ethereum = metamask;
+      expect(wallet.getWallets()).toHaveLength(1);
+
+      window.ethereum = mockProvider();
+      expect(wallet.getWallets().map((entry) => entry.id)).toEqual(['io.metamask', 'injected']);
+    });
+
+    it('Should pick up wallets announced after discovery started', () => {
+      const announce = installWallet(RABBY, mockProvider());
+      window.removeEventListener('eip6963:requestProvider', announce);
+      expect(wallet.hasWallet()).toBe(false);
+
+      const discovered = vi.fn();
+      window.addEventListener('walletsDiscovered', discovered);
+      announce();
+
+      expect(wallet.getWallets().map((entry) => entry.id)).toEqual(['io.rabby']);
+      expect(discovered).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Connectors', () => {
+    it('Should list registered connectors after the browser wallets', () => {
+      installWallet(METAMASK, mockProvider());
+      expect(wallet.getWallets()).toHaveLength(1);
+      const discovered = vi.fn();
+      window.addEventListener('walletsDiscovered', discovered);
+
+      wallet.registerConnector(mockConnector());
+
+      expect(wallet.getWallets().map((entry) => entry.id)).toEqual(['io.metamask', 'remote']);
+      expect(discovered).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should remove a connector through the returned function', () => {
+      const unregister = wallet.registerConnector(mockConnector());
+      expect(wallet.hasWallet()).toBe(true);
+
+      unregister();
+      expect(wallet.hasWallet()).toBe(false);
+    });
+
+    it('Should count a connector as a wallet before its provider exists', () => {
+      wallet.registerConnector(mockConnector());
+
+      expect(wallet.hasWallet()).toBe(true);
+      expect(wallet.getEthereumProvider()).toBeNull();
+    });
+
+    it('Should connect through the connector and use its provider afterwards', async () => {
+      const connector = mockConnector();
+      wallet.registerConnector(connector);
+
+      await expect(wallet.connectWallet('remote')).resolves.toBe(BOB);
+      expect(connector.connect).toHaveBeenCalledTimes(1);
+      expect(wallet.getEthereumProvider()).toBe(connector.provider);
+      expect(connector.provider.on).toHaveBeenCalledWith('chainChanged', expect.any(Function));
+    });
+
+    it('Should end the connector session on disconnect', async () => {
+      const connector = mockConnector();
+      wallet.registerConnector(connector);
+      await wallet.connectWallet('remote');
+
+      wallet.disconnectWallet();
+      expect(connector.disconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should reconnect a remembered connector with a live session', async () => {
+      const connector = mockConnector({ session: true });
+      wallet.registerConnector(connector);
+      localStorage.setItem(STORAGE_KEY, 'remote');
+
+      await expect(wallet.reconnectWallet()).resolves.toBe(BOB);
+      expect(connector.getAccounts).toHaveBeenCalledTimes(1);
+      expect(connector.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Connecting', () => {
+    it('Should connect the chosen wallet and use it for later requests', async () => {
+      const metamask = mockProvider();
+      const rabby = mockProvider({ accounts: [BOB] });
+      installWallet(METAMASK, metamask);
+      installWallet(RABBY, rabby);
+      window.ethereum = metamask;
+
+      await expect(wallet.connectWallet('io.rabby')).resolves.toBe(BOB);
+      expect(wallet.getEthereumProvider()).toBe(rabby);
+      expect(wallet.getSelectedWallet().id).toBe('io.rabby');
+
+      await wallet.getCurrentChainId();
+      expect(rabby.request).toHaveBeenCalledWith({ method: 'eth_chainId' });
+      expect(metamask.request).not.toHaveBeenCalled();
+    });
+
+    it('Should default to the wallet behind window.ethereum', async () => {
+      const rabby = mockProvider({ accounts: [BOB] });
+      installWallet(METAMASK, mockProvider());
+      installWallet(RABBY, rabby);
+      window.ethereum = rabby;
+
+      await expect(wallet.connectWallet()).resolves.toBe(BOB);
+      expect(wallet.getSelectedWallet().id).toBe('io.rabby');
+    });
+
+    it('Should remember the chosen wallet and forget it on disconnect', async () => {
+      installWallet(METAMASK, mockProvider());
+
+      await wallet.connectWallet('io.metamask');
+      expect(localStorage.getItem(STORAGE_KEY)).toBe('io.metamask');
+
+      wallet.disconnectWallet();
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+      expect(wallet.isWalletConnected()).toBe(false);
+    });
+
+    it('Should reject an unknown wallet', async () => {
+      await expect(wallet.connectWallet('io.unknown')).rejects.toThrow('Wallet io.unknown not found');
+    });
+
+    it('Should move event listeners to the newly connected wallet', async () => {
+      const metamask = mockProvider();
+      const rabby = mockProvider({ accounts: [BOB] });
+      installWallet(METAMASK, metamask);
+      installWallet(RABBY, rabby);
+
+      await wallet.connectWallet('io.metamask');
+      await wallet.connectWallet('io.metamask');
+      expect(metamask.on).toHaveBeenCalledTimes(3);
+
+      await wallet.connectWallet('io.rabby');
+      expect(metamask.removeListener).toHaveBeenCalledTimes(3);
+      expect(rabby.on).toHaveBeenCalledWith('accountsChanged', expect.any(Function));
+    });
+  });
+
+  describe('Reconnecting', () => {
+    it('Should silently reconnect the remembered wallet through eth_accounts', async () => {
+      const rabby = mockProvider({ accounts: [BOB], authorized: true });
+      installWallet(METAMASK, mockProvider());
+      installWallet(RABBY, rabby);
+      localStorage.setItem(STORAGE_KEY, 'io.rabby');
+
+      await expect(wallet.reconnectWallet()).resolves.toBe(BOB);
+      expect(rabby.request).toHaveBeenCalledWith({ method: 'eth_accounts' });
+      expect(rabby.request).not.toHaveBeenCalledWith({ method: 'eth_requestAccounts' });
+      expect(wallet.getConnectedAddress()).toBe(BOB);
+      expect(wallet.getEthereumProvider()).toBe(rabby);
+    });
+
+    it('Should stay disconnected when the site is no longer authorized', async () => {
+      installWallet(METAMASK, mockProvider({ authorized: false }));
+      localStorage.setItem(STORAGE_KEY, 'io.metamask');
+
+      await expect(wallet.reconnectWallet()).resolves.toBeNull();
+      expect(wallet.isWalletConnected()).toBe(false);
+    });
+
+    it('Should not reconnect without a remembered wallet', async () => {
+      const metamask = mockProvider({ authorized: true });
+      installWallet(METAMASK, metamask);
+
+      await expect(wallet.reconnectWallet()).resolves.toBeNull();
+      expect(metamask.request).not.toHaveBeenCalled();
+    });
+
+    it('Should wait for a remembered wallet that announces itself late', async () => {
+      localStorage.setItem(STORAGE_KEY, 'io.metamask');
+      const reconnecting = wallet.reconnectWallet();
+
+      const announce = installWallet(METAMASK, mockProvider({ authorized: true }));
+      announce();
+
+      await expect(reconnecting).resolves.toBe(ALICE);
+    });
+
+    it('Should give up when the remembered wallet is no longer installed', async () => {
+      vi.useFakeTimers();
+      localStorage.setItem(STORAGE_KEY, 'io.metamask');
+
+      const reconnecting = wallet.reconnectWallet();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await expect(reconnecting).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+// End-to-end suite (npm run test:e2e): starts a Hardhat node, deploys, serves the built app with
+// server.js and drives it in headless Chrome. The unit tests (npm test) do not include it
+export default defineConfig({
+  test: {
+    include: ['e2e/**/*.e2e.js'],
+    globalSetup: ['e2e/globalSetup.js'],
+    // One browser and one node: run the files one after another
+    fileParallelism: false,
+    testTimeout: 120_000,
+    hookTimeout: 300_000,
+  },
+});
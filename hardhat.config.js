@@ -3,15 +3,20 @@ require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+require("./tasks/faucet");
 
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "";
+const HOLESKY_RPC_URL = process.env.HOLESKY_RPC_URL || "";
+const BASE_SEPOLIA_RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || "";
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.24",
     settings: {
+      // OpenZeppelin 5 utilities rely on Cancun opcodes (mcopy)
+      evmVersion: "cancun",
       optimizer: {
         enabled: true,
         runs: 200,
@@ -24,6 +29,21 @@ module.exports = {
       accounts: [PRIVATE_KEY],
       chainId: 11155111,
     },
+    holesky: {
+      url: HOLESKY_RPC_URL,
+      accounts: [PRIVATE_KEY],
+      chainId: 17000,
+    },
+    baseSepolia: {
+      url: BASE_SEPOLIA_RPC_URL,
+      accounts: [PRIVATE_KEY],
+      chainId: 84532,
+    },
+    // Local node started with `npx hardhat node`
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 1337,
+    },
     hardhat: {
       chainId: 1337,
     },
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+// Builds the faucet allowlist Merkle tree from a CSV of addresses.
+//
+// Usage: node scripts/build-allowlist.js <addresses.csv> [output.json]
+//
+// The CSV needs one address per line in the first column; a header row, blank lines and
+// lines starting with # are skipped. The output holds the root to publish with
+// TokenFaucet.setAllowlistRoot and a proof per address, and is served by frontend/server.js.
+const DEFAULT_OUTPUT = path.join(__dirname, "../frontend/allowlist/allowlist.json");
+
+// Read and validate addresses from the CSV, dropping duplicates
+function readAddresses(csvPath) {
+  const lines = fs.readFileSync(csvPath, "utf8").split(/\r?\n/);
+  const addresses = new Set();
+
+  lines.forEach((line, index) => {
+    const value = line.split(",")[0].trim();
+    if (!value || value.startsWith("#")) return;
+    // Skip a header row
+    if (index === 0 && !value.startsWith("0x")) return;
+
+    try {
+      addresses.add(getAddress(value));
+    } catch (error) {
+      throw new Error(`Invalid address on line ${index + 1}: ${value}`);
+    }
+  });
+
+  return [...addresses];
+}
+
+function main() {
+  const [csvPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+  if (!csvPath) {
+    console.error("Usage: node scripts/build-allowlist.js <addresses.csv> [output.json]");
+    process.exit(1);
+  }
+
+  const addresses = readAddresses(csvPath);
+  if (addresses.length === 0) {
+    console.error("❌ No addresses found in", csvPath);
+    process.exit(1);
+  }
+  console.log(`📋 Read ${addresses.length} unique addresses from ${csvPath}`);
+
+  // Leaves are encoded as ["address"] to match TokenFaucet's double-hashed leaf
+  const tree = StandardMerkleTree.of(
+    addresses.map((address) => [address]),
+    ["address"]
+  );
+
+  const proofs = {};
+  for (const [i, [address]] of tree.entries()) {
+    proofs[address] = tree.getProof(i);
+  }
+
+  const allowlist = {
+    root: tree.root,
+    count: addresses.length,
+    generatedAt: new Date().toISOString(),
+    proofs,
+  };
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(allowlist, null, 2));
+
+  console.log(`🌳 Merkle root: ${tree.root}`);
+  console.log(`📝 Allowlist with proofs saved to: ${outputPath}`);
+  console.log("\nPublish the root with TokenFaucet.setAllowlistRoot (config manager) to enable gating.");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Failed to build allowlist:", error.message);
+  process.exit(1);
+}
@@ -1,6 +1,117 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getFaucetConfig } = require("./faucet.config");
+const { getManifestPath, readManifest, writeManifest, writeFrontendEnv } = require("./deployments");
+
+// Resumable deployment. Each step is recorded in deployments/<network>.json when it completes and
+// skipped on later runs, so an interrupted or partly failed deployment picks up where it stopped.
+// Steps whose on-chain state already matches (minter set, role granted, ...) complete without
+// sending a transaction. Set FRESH_DEPLOY=true to ignore the manifest and deploy new contracts.
+
+// Networks without a block explorer to verify on
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+// Confirmations to wait for on a deployment before verifying it, so the explorer has indexed it
+const VERIFY_CONFIRMATIONS = 5;
+
+// Steps left pending in this run (e.g. missing permissions, failed verification)
+const pendingSteps = [];
+
+// The in-process hardhat network is gone when the script exits, so nothing is saved for it
+function saveManifest(manifest) {
+  if (hre.network.name !== "hardhat") writeManifest(manifest);
+}
+
+/**
+ * Runs a deployment step unless the manifest records it as done.
+ * @param {object} manifest Deployment manifest, saved after the step completes
+ * @param {string} name Step name
+ * @param {function(): Promise<object|null>} action Returns the data to record, or null to leave
+ *   the step pending so the next run retries it
+ * @returns {Promise<object|null>} The step record
+ */
+async function runStep(manifest, name, action) {
+  if (manifest.steps[name]) {
+    console.log(`⏭️  ${name}: already done`);
+    return manifest.steps[name];
+  }
+
+  const result = await action();
+  if (result === null) {
+    pendingSteps.push(name);
+    return null;
+  }
+  manifest.steps[name] = { ...result, completedAt: new Date().toISOString() };
+  saveManifest(manifest);
+  return manifest.steps[name];
+}
+
+// Deploy a contract and describe it for the manifest
+async function deployContract(contractName, args) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const receipt = await contract.deploymentTransaction().wait();
+  return {
+    address: await contract.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArguments: args.map((arg) => arg.toString()),
+  };
+}
+
+// First block with code at an address, found by binary search (needs an archive node)
+async function findDeployBlock(address) {
+  try {
+    let low = 0;
+    let high = await hre.ethers.provider.getBlockNumber();
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if ((await hre.ethers.provider.getCode(address, mid)) === "0x") {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  } catch (error) {
+    console.log(`⚠️  Could not find the deployment block of ${address}; event scans will start at block 0`);
+    return 0;
+  }
+}
+
+// Load the manifest to resume from, or start a new one
+async function loadManifest(chainId, deployer) {
+  const fresh = { network: hre.network.name, chainId: chainId.toString(), deployer: deployer.address, steps: {} };
+  if (process.env.FRESH_DEPLOY === "true" || hre.network.name === "hardhat") return fresh;
+
+  const manifest = readManifest(hre.network.name);
+  if (!manifest) return fresh;
+  if (!manifest.steps) {
+    console.log("ℹ️  Ignoring deployment.json from an earlier deploy; set EXISTING_FAUCET_ADDRESS to reuse it");
+    return fresh;
+  }
+  if (manifest.chainId !== chainId.toString()) {
+    throw new Error(
+      `${getManifestPath(hre.network.name)} was written for chain ${manifest.chainId}, not ${chainId}; ` +
+        "set FRESH_DEPLOY=true to deploy again"
+    );
+  }
+
+  // A restarted local node loses its contracts
+  const recorded = manifest.steps.faucet?.address || manifest.steps.token?.address;
+  if (recorded && (await hre.ethers.provider.getCode(recorded)) === "0x") {
+    if (hre.network.name === "localhost") {
+      console.log("♻️  Contracts from the last local deployment are gone (node restarted); starting fresh");
+      return fresh;
+    }
+    throw new Error(
+      `No contract at ${recorded} recorded in ${getManifestPath(hre.network.name)}; ` +
+        "set FRESH_DEPLOY=true to deploy again"
+    );
+  }
+
+  console.log(`📂 Resuming from ${getManifestPath(hre.network.name)}`);
+  return manifest;
+}
 
 async function main() {
   console.log("🚀 Starting deployment...");
@@ -17,90 +128,294 @@ async function main() {
     process.exit(1);
   }
 
-  // Deploy Token contract
-  console.log("\n📦 Deploying Token contract...");
-  const TokenFactory = await hre.ethers.getContractFactory("Token");
-  
-  // Initially deploy with zero address, then update
-  let token = await TokenFactory.deploy(hre.ethers.ZeroAddress);
-  await token.waitForDeployment();
-  const tokenAddress = await token.getAddress();
-  console.log(`✅ Token deployed to: ${tokenAddress}`);
-
-  // Deploy TokenFaucet contract
-  console.log("\n💧 Deploying TokenFaucet contract...");
-  const FaucetFactory = await hre.ethers.getContractFactory("TokenFaucet");
-  const faucet = await FaucetFactory.deploy(tokenAddress);
-  await faucet.waitForDeployment();
-  const faucetAddress = await faucet.getAddress();
-  console.log(`✅ TokenFaucet deployed to: ${faucetAddress}`);
-
-  // Set minter in Token contract
-  console.log("\n🔐 Setting minter in Token contract...");
-  const setMinterTx = await token.setMinter(faucetAddress);
-  await setMinterTx.wait();
-  console.log(`✅ Minter set to faucet: ${faucetAddress}`);
-
-  // Verify contracts
-  console.log("\n🔍 Verifying contracts on Etherscan...");
-  
-  // Wait a bit before verification
-  console.log("⏳ Waiting 30 seconds before verification...");
-  await new Promise(resolve => setTimeout(resolve, 30000));
+  // Resolve faucet parameters for this network
+  const faucetConfig = getFaucetConfig(hre.network.name);
+  console.log("\n⚙️  Faucet parameters:");
+  console.log(`   Amount per claim: ${hre.ethers.formatEther(faucetConfig.faucetAmount)} tokens`);
+  console.log(`   Cooldown: ${faucetConfig.cooldownTime} seconds`);
+  console.log(`   Lifetime limit: ${hre.ethers.formatEther(faucetConfig.maxClaimAmount)} tokens`);
+  for (const extra of faucetConfig.extraTokens) {
+    console.log(
+      `   ${extra.symbol}: ${hre.ethers.formatUnits(extra.faucetAmount, extra.decimals)} per claim, ` +
+        `${extra.cooldownTime} seconds cooldown, ` +
+        `${hre.ethers.formatUnits(extra.maxClaimAmount, extra.decimals)} lifetime limit`
+    );
+  }
+  const { ethDrip, existing } = faucetConfig;
+  if (ethDrip.amount > 0n) {
+    console.log(
+      `   ETH drip: ${hre.ethers.formatEther(ethDrip.amount)} ETH per claim, ` +
+        `${ethDrip.cooldownTime} seconds cooldown, ${hre.ethers.formatEther(ethDrip.budget)} ETH budget`
+    );
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = await loadManifest(chainId, deployer);
 
-  try {
-    console.log(`📄 Verifying Token at ${tokenAddress}...`);
-    await hre.run("verify:verify", {
-      address: tokenAddress,
-      constructorArguments: [hre.ethers.ZeroAddress],
+  // Token: an existing faucet implies its token
+  const tokenStep = await runStep(manifest, "token", async () => {
+    let address = existing.token;
+    if (existing.faucet) {
+      const faucetToken = await (await hre.ethers.getContractAt("TokenFaucet", existing.faucet)).token();
+      if (address && address !== faucetToken) {
+        throw new Error(`Existing faucet ${existing.faucet} serves ${faucetToken}, not ${address}`);
+      }
+      address = faucetToken;
+    }
+    if (address) {
+      console.log(`\n🔗 Using existing Token at ${address}`);
+      return { address, existing: true };
+    }
+
+    // Deploy with deployer as minter, then hand over to the faucet
+    console.log("\n📦 Deploying Token contract...");
+    const deployed = await deployContract("Token", [deployer.address]);
+    console.log(`✅ Token deployed to: ${deployed.address}`);
+    return deployed;
+  });
+  const tokenAddress = tokenStep.address;
+
+  const faucetStep = await runStep(manifest, "faucet", async () => {
+    if (existing.faucet) {
+      console.log(`\n🔗 Using existing TokenFaucet at ${existing.faucet}`);
+      return { address: existing.faucet, existing: true, blockNumber: await findDeployBlock(existing.faucet) };
+    }
+
+    console.log("\n💧 Deploying TokenFaucet contract...");
+    const deployed = await deployContract("TokenFaucet", [
+      tokenAddress,
+      faucetConfig.faucetAmount,
+      faucetConfig.cooldownTime,
+      faucetConfig.maxClaimAmount,
+    ]);
+    console.log(`✅ TokenFaucet deployed to: ${deployed.address}`);
+    return deployed;
+  });
+  const faucetAddress = faucetStep.address;
+  const faucet = await hre.ethers.getContractAt("TokenFaucet", faucetAddress);
+
+  manifest.tokenAddress = tokenAddress;
+  manifest.faucetAddress = faucetAddress;
+  // First block with faucet events, where log scans start
+  manifest.deployBlock = faucetStep.blockNumber;
+  saveManifest(manifest);
+
+  // Whether the deployer holds a faucet role; steps needing a missing role stay pending
+  const requireRole = async (roleName, stepName) => {
+    const role = await faucet[roleName]();
+    if (await faucet.hasRole(role, deployer.address)) return true;
+    console.log(`⚠️  ${stepName}: ${deployer.address} lacks ${roleName}; a holder must finish this step`);
+    return false;
+  };
+
+  // Hand minting of a token to the faucet
+  const setMinter = async (address, symbol) => {
+    const token = await hre.ethers.getContractAt("Token", address);
+    if ((await token.minter()) === faucetAddress) {
+      console.log(`✅ Faucet is already the ${symbol} minter`);
+      return {};
+    }
+    if ((await token.owner()) !== deployer.address) {
+      console.log(`⚠️  ${deployer.address} does not own ${symbol}; its owner must run faucet:set-minter`);
+      return null;
+    }
+    const tx = await token.setMinter(faucetAddress);
+    await tx.wait();
+    console.log(`✅ ${symbol} minter set to faucet: ${faucetAddress}`);
+    return { txHash: tx.hash };
+  };
+
+  await runStep(manifest, "minter", () => {
+    console.log("\n🔐 Setting minter in Token contract...");
+    return setMinter(tokenAddress, "Token");
+  });
+
+  // Deploy and register the extra tokens served next to the primary token
+  for (const extra of faucetConfig.extraTokens) {
+    const extraStep = await runStep(manifest, `token:${extra.symbol}`, async () => {
+      console.log(`\n🪙 Deploying ${extra.symbol} (${extra.decimals} decimals)...`);
+      const args = [extra.name, extra.symbol, extra.decimals, extra.maxSupply, deployer.address];
+      const deployed = await deployContract("FaucetToken", args);
+      console.log(`✅ ${extra.symbol} deployed to: ${deployed.address}`);
+      return deployed;
+    });
+    extra.address = extraStep.address;
+
+    await runStep(manifest, `minter:${extra.symbol}`, () => setMinter(extra.address, extra.symbol));
+    await runStep(manifest, `register:${extra.symbol}`, async () => {
+      if ((await faucet.tokenConfigs(extra.address)).registered) {
+        console.log(`✅ ${extra.symbol} is already registered with the faucet`);
+        return {};
+      }
+      if (!(await requireRole("CONFIG_MANAGER_ROLE", `register:${extra.symbol}`))) return null;
+      const tx = await faucet.addToken(extra.address, extra.faucetAmount, extra.cooldownTime, extra.maxClaimAmount);
+      await tx.wait();
+      console.log(`✅ ${extra.symbol} registered with the faucet`);
+      return { txHash: tx.hash };
     });
-    console.log("✅ Token verified");
-  } catch (error) {
-    console.log("⚠️  Token verification pending or already verified");
   }
 
-  try {
-    console.log(`📄 Verifying TokenFaucet at ${faucetAddress}...`);
-    await hre.run("verify:verify", {
-      address: faucetAddress,
-      constructorArguments: [tokenAddress],
+  // Fund the ETH reserve and configure the drip
+  if (ethDrip.fund > 0n) {
+    await runStep(manifest, "ethFund", async () => {
+      console.log(`\n⛽ Funding faucet with ${hre.ethers.formatEther(ethDrip.fund)} ETH...`);
+      const tx = await deployer.sendTransaction({ to: faucetAddress, value: ethDrip.fund });
+      await tx.wait();
+      console.log("✅ Faucet funded");
+      return { txHash: tx.hash, amount: ethDrip.fund.toString() };
     });
-    console.log("✅ TokenFaucet verified");
-  } catch (error) {
-    console.log("⚠️  TokenFaucet verification pending or already verified");
-  }
-
-  // Save deployment info
-  const deploymentInfo = {
-    network: hre.network.name,
-    deployer: deployer.address,
-    tokenAddress,
-    faucetAddress,
-    deploymentTime: new Date().toISOString(),
-    faucetAmount: "100000000000000000000", // 100 tokens in wei
-    cooldownTime: "86400", // 24 hours in seconds
-    maxClaimAmount: "1000000000000000000000", // 1000 tokens in wei
-  };
+  }
+  if (ethDrip.amount > 0n) {
+    await runStep(manifest, "ethDrip", async () => {
+      if (!(await requireRole("CONFIG_MANAGER_ROLE", "ethDrip"))) return null;
+      const tx = await faucet.setEthDrip(ethDrip.amount, ethDrip.cooldownTime, ethDrip.budget);
+      await tx.wait();
+      console.log("✅ ETH drip configured");
+      return { txHash: tx.hash };
+    });
+  }
+
+  // Assign faucet roles, one step per account so roles added to the config later are granted on a re-run
+  console.log("\n👥 Assigning faucet roles...");
+  const roleAssignments = [
+    ["PAUSER_ROLE", faucetConfig.pausers],
+    ["CONFIG_MANAGER_ROLE", faucetConfig.configManagers],
+    ["DISTRIBUTOR_ROLE", faucetConfig.distributors],
+  ];
+  for (const [roleName, accounts] of roleAssignments) {
+    for (const account of accounts) {
+      await runStep(manifest, `role:${roleName}:${account}`, async () => {
+        const role = await faucet[roleName]();
+        if (await faucet.hasRole(role, account)) {
+          console.log(`✅ ${account} already holds ${roleName}`);
+          return {};
+        }
+        if ((await faucet.defaultAdmin()) !== deployer.address) {
+          console.log(`⚠️  ${deployer.address} is not the default admin; it cannot grant ${roleName} to ${account}`);
+          return null;
+        }
+        const grantTx = await faucet.grantRole(role, account);
+        await grantTx.wait();
+        console.log(`✅ Granted ${roleName} to ${account}`);
+        return { txHash: grantTx.hash };
+      });
+    }
+  }
+
+  // Hand the default admin role to its final holder (it must call acceptDefaultAdminTransfer)
+  if (faucetConfig.admin && faucetConfig.admin !== deployer.address) {
+    await runStep(manifest, "adminTransfer", async () => {
+      const [currentAdmin, pending] = await Promise.all([faucet.defaultAdmin(), faucet.pendingDefaultAdmin()]);
+      if (currentAdmin === faucetConfig.admin || pending.newAdmin === faucetConfig.admin) {
+        console.log(`✅ Default admin transfer to ${faucetConfig.admin} already started`);
+        return {};
+      }
+      if (currentAdmin !== deployer.address) {
+        console.log(`⚠️  adminTransfer: ${deployer.address} is not the default admin`);
+        return null;
+      }
+      const transferTx = await faucet.beginDefaultAdminTransfer(faucetConfig.admin);
+      await transferTx.wait();
+      console.log(`⏳ Default admin transfer to ${faucetConfig.admin} started; it must be accepted`);
+      return { txHash: transferTx.hash };
+    });
+  }
+
+  // Verify the contracts deployed here (existing ones are assumed verified)
+  const deployedContracts = [
+    ["Token", manifest.steps.token],
+    ["TokenFaucet", manifest.steps.faucet],
+    ...faucetConfig.extraTokens.map((extra) => [extra.symbol, manifest.steps[`token:${extra.symbol}`]]),
+  ].filter(([, step]) => step && !step.existing);
+
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    console.log("\n🔍 Skipping Etherscan verification on a local network");
+  } else if (!hre.config.etherscan.apiKey) {
+    console.log("\n🔍 Skipping Etherscan verification: ETHERSCAN_API_KEY is not set");
+  } else {
+    console.log("\n🔍 Verifying contracts on Etherscan...");
+    for (const [label, step] of deployedContracts) {
+      await runStep(manifest, `verify:${label}`, async () => {
+        console.log(`📄 Verifying ${label} at ${step.address}...`);
+        // The explorer only accepts a contract once it has indexed the deployment
+        await hre.ethers.provider.waitForTransaction(step.txHash, VERIFY_CONFIRMATIONS);
+        try {
+          await hre.run("verify:verify", {
+            address: step.address,
+            constructorArguments: step.constructorArguments,
+          });
+          console.log(`✅ ${label} verified`);
+          return {};
+        } catch (error) {
+          if (/already verified/i.test(error.message)) {
+            console.log(`✅ ${label} already verified`);
+            return {};
+          }
+          console.log(`⚠️  ${label} verification failed, retried on the next run: ${error.message}`);
+          return null;
+        }
+      });
+    }
+  }
 
-  const deploymentPath = path.join(__dirname, "../deployment.json");
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log(`\n📋 Deployment info saved to: ${deploymentPath}`);
+  // Record the deployed configuration next to the steps
+  Object.assign(manifest, {
+    faucetAmount: faucetConfig.faucetAmount.toString(),
+    cooldownTime: faucetConfig.cooldownTime.toString(),
+    maxClaimAmount: faucetConfig.maxClaimAmount.toString(),
+    extraTokens: faucetConfig.extraTokens.map((extra) => ({
+      symbol: extra.symbol,
+      decimals: extra.decimals,
+      address: extra.address,
+      faucetAmount: extra.faucetAmount.toString(),
+      cooldownTime: extra.cooldownTime.toString(),
+      maxClaimAmount: extra.maxClaimAmount.toString(),
+    })),
+    ethDrip: {
+      amount: ethDrip.amount.toString(),
+      cooldownTime: ethDrip.cooldownTime.toString(),
+      budget: ethDrip.budget.toString(),
+      funded: ethDrip.fund.toString(),
+    },
+    roles: {
+      defaultAdmin: await faucet.defaultAdmin(),
+      pendingDefaultAdmin: faucetConfig.admin && faucetConfig.admin !== deployer.address ? faucetConfig.admin : null,
+      pausers: [deployer.address, ...faucetConfig.pausers],
+      configManagers: [deployer.address, ...faucetConfig.configManagers],
+      distributors: faucetConfig.distributors,
+    },
+  });
 
-  // Save for frontend use
-  const envContent = `VITE_RPC_URL=https://sepolia.infura.io/v3/YOUR_INFURA_KEY
-VITE_TOKEN_ADDRESS=${tokenAddress}
-VITE_FAUCET_ADDRESS=${faucetAddress}
-`;
+  if (hre.network.name === "hardhat") {
+    console.log("\nℹ️  The in-process hardhat network is discarded on exit; no manifest or frontend env written");
+  } else {
+    saveManifest(manifest);
+    console.log(`\n📋 Deployment manifest saved to: ${getManifestPath(hre.network.name)}`);
 
-  const envPath = path.join(__dirname, "../.env.local");
-  fs.writeFileSync(envPath, envContent);
-  console.log(`📝 Environment file saved to: ${envPath}`);
+    // Frontend env with this network's RPC endpoint, chain and contracts
+    const envPath = writeFrontendEnv({
+      network: hre.network.name,
+      chainId,
+      rpcUrl: process.env.FRONTEND_RPC_URL || hre.network.config.url,
+      tokenAddress,
+      faucetAddress,
+      deployBlock: manifest.deployBlock,
+    });
+    console.log(`📝 Frontend environment saved to: ${envPath}`);
+  }
 
-  console.log("\n✨ Deployment completed successfully!");
+  console.log(
+    pendingSteps.length
+      ? `\n⚠️  Deployment incomplete; pending steps: ${pendingSteps.join(", ")}. Re-run to retry them.`
+      : "\n✨ Deployment completed successfully!"
+  );
   console.log("\n📊 Deployment Summary:");
-  console.log(`   Network: ${hre.network.name}`);
+  console.log(`   Network: ${hre.network.name} (chainId ${chainId})`);
   console.log(`   Token: ${tokenAddress}`);
-  console.log(`   Faucet: ${faucetAddress}`);
+  console.log(`   Faucet: ${faucetAddress} (block ${manifest.deployBlock})`);
+  for (const extra of faucetConfig.extraTokens) {
+    console.log(`   ${extra.symbol}: ${extra.address}`);
+  }
   console.log(`   Deployer: ${deployer.address}`);
 }
 
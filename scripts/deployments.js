@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per-network deployment manifests: deployments/<network>.json.
+// A manifest holds the deployed addresses (tokenAddress, faucetAddress, deployBlock, extraTokens,
+// roles) plus a log of completed deployment steps, so scripts/deploy.js can resume or skip them.
+// DEPLOYMENTS_DIR and FRONTEND_ENV_PATH move them elsewhere, so a throwaway deploy (the frontend's
+// end-to-end tests) leaves the developer's own files alone.
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "../deployments");
+// Single-file deployment written by earlier versions of deploy.js
+const LEGACY_DEPLOYMENT = path.join(__dirname, "../deployment.json");
+const FRONTEND_ENV = process.env.FRONTEND_ENV_PATH || path.join(__dirname, "../frontend/.env.local");
+
+/**
+ * Path of a network's deployment manifest.
+ * @param {string} networkName Hardhat network name
+ * @returns {string}
+ */
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Reads a network's deployment manifest, falling back to deployment.json when it was written
+ * for the same network.
+ * @param {string} networkName Hardhat network name
+ * @returns {object|null} The manifest, or null when the network has no deployment
+ */
+function readManifest(networkName) {
+  for (const filePath of [getManifestPath(networkName), LEGACY_DEPLOYMENT]) {
+    if (!fs.existsSync(filePath)) continue;
+    const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (manifest.network === networkName) return manifest;
+  }
+  return null;
+}
+
+/**
+ * Writes a deployment manifest to deployments/<network>.json.
+ * @param {object} manifest Manifest with a network field
+ * @returns {string} Path written
+ */
+function writeManifest(manifest) {
+  const filePath = getManifestPath(manifest.network);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2));
+  return filePath;
+}
+
+/**
+ * Writes a network's contract addresses to frontend/.env.local as per-chain VITE_* variables
+ * (see frontend/src/config/networks.js). Each network gets its own marked block, replaced on
+ * every deploy; other lines in the file are kept. VITE_DEFAULT_CHAIN_ID is only added when the
+ * file does not set it yet.
+ * @param {{network: string, chainId: string|number, rpcUrl: string, tokenAddress: string,
+ *   faucetAddress: string, deployBlock: number}} deployment
+ * @returns {string} Path written
+ */
+function writeFrontendEnv({ network, chainId, rpcUrl, tokenAddress, faucetAddress, deployBlock }) {
+  const begin = `# >>> deploy.js ${network}`;
+  const end = `# <<< deploy.js ${network}`;
+  const block = [
+    `${begin} (chainId ${chainId})`,
+    `VITE_RPC_URL_${chainId}=${rpcUrl}`,
+    `VITE_TOKEN_ADDRESS_${chainId}=${tokenAddress}`,
+    `VITE_FAUCET_ADDRESS_${chainId}=${faucetAddress}`,
+    `VITE_DEPLOY_BLOCK_${chainId}=${deployBlock}`,
+    end,
+  ];
+
+  const existing = fs.existsSync(FRONTEND_ENV) ? fs.readFileSync(FRONTEND_ENV, "utf8").split("\n") : [];
+  const start = existing.findIndex((line) => line.startsWith(begin));
+  const stop = existing.indexOf(end);
+  const lines =
+    start !== -1 && stop > start
+      ? [...existing.slice(0, start), ...block, ...existing.slice(stop + 1)]
+      : [...existing.filter((line, index) => line || index < existing.length - 1), ...block];
+
+  if (!lines.some((line) => line.startsWith("VITE_DEFAULT_CHAIN_ID="))) {
+    lines.unshift(`VITE_DEFAULT_CHAIN_ID=${chainId}`);
+  }
+  fs.writeFileSync(FRONTEND_ENV, `${lines.join("\n").trimEnd()}\n`);
+  return FRONTEND_ENV;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  writeFrontendEnv,
+};
@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  Contract,
+  JsonRpcProvider,
+  Wallet,
+  ZeroHash,
+  getAddress,
+  isAddress,
+  isHexString,
+} = require("ethers");
+const { readManifest } = require("./deployments");
+
+// Command-line faucet client for scripts and CI.
+//
+// Usage: node scripts/faucet-cli.js <command> [args] [options]
+//
+//   status                 Faucet state, supply, tokens and ETH drip
+//   claim                  Claim tokens for the FAUCET_PRIVATE_KEY account
+//   check <address>        Whether an address can claim, and why not
+//   history <address>      Claims made by an address
+//   pause | unpause        Pause or resume claims (needs PAUSER_ROLE)
+//
+// Contract addresses come from the network's deployment manifest (deployments/<network>.json)
+// and the ABIs from the frontend (frontend/src/utils/abis.js). Output is a table, or JSON with
+// --json. The exit code tells scripts why a claim or check failed; see EXIT_CODES.
+const DEFAULT_NETWORK = "localhost";
+const DEFAULT_ALLOWLIST = path.join(__dirname, "../frontend/allowlist/allowlist.json");
+
+// Exit codes per faucet revert reason
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  FaucetIsPaused: 10,
+  AddressDenylisted: 11,
+  NotAllowlisted: 12,
+  CooldownActive: 13,
+  LifetimeLimitReached: 14,
+  SupplyExhausted: 15,
+  TokenNotRegistered: 16,
+  AccessControlUnauthorizedAccount: 17,
+  REVERTED: 18,
+};
+
+// RPC URL environment variable per network, as in hardhat.config.js
+const NETWORK_RPC_ENV = {
+  sepolia: "SEPOLIA_RPC_URL",
+  holesky: "HOLESKY_RPC_URL",
+  baseSepolia: "BASE_SEPOLIA_RPC_URL",
+};
+const LOCAL_RPC_URL = "http://127.0.0.1:8545";
+
+// Maximum block range per eth_getLogs request; public RPCs reject larger ranges
+const LOG_CHUNK_SIZE = 5000;
+
+const USAGE = `Usage: node scripts/faucet-cli.js <command> [args] [options]
+
+Commands:
+  status                 Faucet state, supply, tokens and ETH drip
+  claim                  Claim tokens for the FAUCET_PRIVATE_KEY account
+  check <address>        Whether an address can claim, and why not
+  history <address>      Claims made by an address
+  pause | unpause        Pause or resume claims (needs PAUSER_ROLE)
+
+Options:
+  --json                 Print JSON instead of tables
+  --token <address>      Token for claim/check (defaults to the primary token)
+  --network <name>       Deployed network (defaults to FAUCET_NETWORK or localhost)
+  --deployment <path>    Deployment manifest (defaults to deployments/<network>.json)
+  --rpc <url>            RPC endpoint (defaults to FAUCET_RPC_URL or the network's RPC variable)
+  --allowlist <path>     Allowlist proofs (defaults to frontend/allowlist/allowlist.json)
+  --from-block <number>  First block scanned by history (defaults to the deployment block)
+
+Exit codes:
+  0 ok, 1 error, 2 usage, 10 paused, 11 denylisted, 12 not allowlisted, 13 cooldown active,
+  14 lifetime limit reached, 15 supply exhausted, 16 token not registered, 17 missing role,
+  18 other revert`;
+
+// Error carrying the exit code the CLI should end with
+class CliError extends Error {
+  constructor(message, exitCode, revert) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+    this.revert = revert;
+  }
+}
+
+// Exit code for a claim status from tokenClaimStatus
+const STATUS_EXIT_CODES = {
+  eligible: EXIT_CODES.OK,
+  paused: EXIT_CODES.FaucetIsPaused,
+  denylisted: EXIT_CODES.AddressDenylisted,
+  "cooldown-active": EXIT_CODES.CooldownActive,
+  "lifetime-limit-reached": EXIT_CODES.LifetimeLimitReached,
+  "supply-exhausted": EXIT_CODES.SupplyExhausted,
+};
+
+// Convert an ethers error to a CliError, mapping decoded custom errors to exit codes
+function toCliError(error, faucetInterface) {
+  if (error instanceof CliError) return error;
+
+  // ethers decodes custom errors listed in the ABI; fall back to decoding raw revert data
+  // (reverts during gas estimation arrive undecoded)
+  let decoded = error.revert;
+  if (!decoded && faucetInterface && isHexString(error.data)) {
+    try {
+      decoded = faucetInterface.parseError(error.data);
+    } catch {
+      decoded = null;
+    }
+  }
+  if (decoded) {
+    const revert = { name: decoded.name, args: decoded.args.map((arg) => arg.toString()) };
+    const exitCode = EXIT_CODES[revert.name] || EXIT_CODES.REVERTED;
+    return new CliError(`Transaction reverted: ${revert.name}`, exitCode, revert);
+  }
+  if (error.code === "CALL_EXCEPTION") {
+    return new CliError(`Transaction reverted: ${error.reason || error.shortMessage}`, EXIT_CODES.REVERTED);
+  }
+  return new CliError(error.shortMessage || error.message, EXIT_CODES.ERROR);
+}
+
+function readDeployment(options) {
+  if (options.deployment) {
+    if (!fs.existsSync(options.deployment)) {
+      throw new CliError(`Deployment file not found: ${options.deployment}`, EXIT_CODES.USAGE);
+    }
+    return JSON.parse(fs.readFileSync(options.deployment, "utf8"));
+  }
+
+  const networkName = options.network || process.env.FAUCET_NETWORK || DEFAULT_NETWORK;
+  const deployment = readManifest(networkName);
+  if (!deployment) {
+    throw new CliError(
+      `No deployment found for network "${networkName}" (run a deploy script first)`,
+      EXIT_CODES.USAGE
+    );
+  }
+  return deployment;
+}
+
+function resolveRpcUrl(options, deployment) {
+  if (options.rpc) return options.rpc;
+  if (process.env.FAUCET_RPC_URL) return process.env.FAUCET_RPC_URL;
+  const envName = NETWORK_RPC_ENV[deployment.network];
+  if (envName && process.env[envName]) return process.env[envName];
+  if (deployment.network === "localhost") return LOCAL_RPC_URL;
+  throw new CliError(
+    `No RPC URL for network "${deployment.network}"; set FAUCET_RPC_URL or pass --rpc`,
+    EXIT_CODES.USAGE
+  );
+}
+
+// Allowlist proof for an address, or [] when the file or address is missing
+function readProof(filePath, address) {
+  if (!fs.existsSync(filePath)) return [];
+  const allowlist = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return allowlist.proofs[address] || [];
+}
+
+function parseAddressArg(value, label) {
+  if (!value || !isAddress(value)) {
+    throw new CliError(`Missing or invalid ${label}`, EXIT_CODES.USAGE);
+  }
+  return getAddress(value);
+}
+
+// Print rows as aligned columns, with an optional header row
+function printTable(headers, rows) {
+  const all = headers ? [headers, ...rows] : rows;
+  const widths = all[0].map((_, column) => Math.max(...all.map((row) => String(row[column]).length)));
+  const format = (row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd();
+
+  if (headers) {
+    console.log(format(headers));
+    console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  }
+  rows.forEach((row) => console.log(format(row)));
+}
+
+async function createContext(options, { needsSigner = false } = {}) {
+  const [{ FAUCET_ABI, TOKEN_ABI, CLAIM_STATUS }, formatters] = await Promise.all([
+    import("../frontend/src/utils/abis.js"),
+    import("../frontend/src/utils/formatters.js"),
+  ]);
+
+  const deployment = readDeployment(options);
+  const provider = new JsonRpcProvider(resolveRpcUrl(options, deployment));
+
+  let runner = provider;
+  if (needsSigner) {
+    const privateKey = process.env.FAUCET_PRIVATE_KEY || process.env.PRIVATE_KEY;
+    if (!privateKey) {
+      throw new CliError("Set FAUCET_PRIVATE_KEY to the account that sends the transaction", EXIT_CODES.USAGE);
+    }
+    runner = new Wallet(privateKey, provider);
+  }
+
+  const faucet = new Contract(deployment.faucetAddress, FAUCET_ABI, runner);
+  const getToken = (address) => new Contract(address, TOKEN_ABI, provider);
+
+  const getTokenInfo = async (address) => {
+    const token = getToken(address);
+    const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+    return { address, name, symbol, decimals: Number(decimals) };
+  };
+
+  return {
+    deployment,
+    provider,
+    runner,
+    faucet,
+    getToken,
+    getTokenInfo,
+    claimStatusCodes: Object.values(CLAIM_STATUS),
+    formatters,
+  };
+}
+
+async function status(ctx, options) {
+  const { faucet, provider, deployment, getTokenInfo, formatters } = ctx;
+  const [faucetStatus, primary, tokenAddresses, dripAmount, dripCooldown, dripBudget, dripped, reserve] =
+    await Promise.all([
+      faucet.faucetStatus(),
+      faucet.token(),
+      faucet.getTokens(),
+      faucet.ethDripAmount(),
+      faucet.ethDripCooldown(),
+      faucet.ethDripBudget(),
+      faucet.totalEthDripped(),
+      provider.getBalance(deployment.faucetAddress),
+    ]);
+
+  const tokens = await Promise.all(
+    tokenAddresses.map(async (address) => {
+      const [info, config] = await Promise.all([getTokenInfo(address), faucet.tokenConfigs(address)]);
+      return {
+        ...info,
+        isPrimary: address === primary,
+        faucetAmount: config.faucetAmount.toString(),
+        cooldownTime: Number(config.cooldownTime),
+        maxClaimAmount: config.maxClaimAmount.toString(),
+      };
+    })
+  );
+  const primaryToken = tokens.find((token) => token.isPrimary);
+
+  const result = {
+    network: deployment.network,
+    faucet: deployment.faucetAddress,
+    paused: faucetStatus.isPaused_,
+    exhausted: faucetStatus.exhausted,
+    totalSupply: faucetStatus.totalSupply.toString(),
+    maxSupply: faucetStatus.maxSupply.toString(),
+    remainingSupply: faucetStatus.supplyLeft.toString(),
+    tokens,
+    ethDrip: {
+      amount: dripAmount.toString(),
+      cooldownTime: Number(dripCooldown),
+      budget: dripBudget.toString(),
+      totalDripped: dripped.toString(),
+      reserve: reserve.toString(),
+    },
+  };
+  if (options.json) return result;
+
+  const { formatClaimAmount, formatDuration, formatTokenAmount: amount } = formatters;
+  printTable(null, [
+    ["Network", result.network],
+    ["Faucet", result.faucet],
+    ["Paused", result.paused ? "yes" : "no"],
+    [
+      "Supply",
+      `${amount(result.totalSupply, primaryToken)} minted of ${amount(result.maxSupply, primaryToken)}` +
+        (result.exhausted ? " (exhausted)" : ""),
+    ],
+    [
+      "ETH drip",
+      dripAmount > 0n
+        ? `${formatClaimAmount(dripAmount, 18)} ETH every ${formatDuration(dripCooldown)}, ` +
+          `${formatClaimAmount(dripBudget, 18)} ETH budget left, ${formatClaimAmount(reserve, 18)} ETH reserve`
+        : "disabled",
+    ],
+  ]);
+  console.log("");
+  printTable(
+    ["Token", "Address", "Per claim", "Cooldown", "Lifetime limit"],
+    tokens.map((token) => [
+      token.isPrimary ? `${token.symbol} (primary)` : token.symbol,
+      token.address,
+      amount(token.faucetAmount, token),
+      formatDuration(token.cooldownTime),
+      amount(token.maxClaimAmount, token),
+    ])
+  );
+  return result;
+}
+
+async function check(ctx, options, [addressArg]) {
+  const { faucet, getToken, getTokenInfo, claimStatusCodes, formatters } = ctx;
+  const address = parseAddressArg(addressArg, "address");
+  const tokenAddress = options.token ? parseAddressArg(options.token, "--token") : await faucet.token();
+
+  const [info, claimStatus, record, balance, root] = await Promise.all([
+    getTokenInfo(tokenAddress),
+    faucet.tokenClaimStatus(tokenAddress, address),
+    faucet.claimRecords(tokenAddress, address),
+    getToken(tokenAddress).balanceOf(address),
+    faucet.allowlistRoot(),
+  ]);
+  const proof = readProof(options.allowlist || DEFAULT_ALLOWLIST, address);
+  const allowlisted = root === ZeroHash || (proof.length > 0 && (await faucet.isAllowlisted(address, proof)));
+  const statusCode = claimStatusCodes[Number(claimStatus.status)];
+
+  const result = {
+    address,
+    token: info,
+    status: statusCode,
+    allowlisted,
+    canClaim: statusCode === "eligible" && allowlisted,
+    nextClaimAt: Number(claimStatus.nextClaimAt),
+    remainingAllowance: claimStatus.allowance.toString(),
+    lastClaimAt: Number(record.lastClaimAt),
+    totalClaimed: record.totalClaimed.toString(),
+    balance: balance.toString(),
+  };
+  // Not being on the allowlist only matters once every other check passes
+  result.exitCode =
+    statusCode === "eligible" && !allowlisted ? EXIT_CODES.NotAllowlisted : STATUS_EXIT_CODES[statusCode];
+
+  if (!options.json) {
+    const { formatTokenAmount, formatTimeRemaining } = formatters;
+    const amount = (value) => formatTokenAmount(value, info);
+    printTable(null, [
+      ["Address", address],
+      ["Token", `${info.symbol} (${info.address})`],
+      ["Status", result.canClaim ? "can claim" : allowlisted ? statusCode : "not allowlisted"],
+      ["Balance", amount(result.balance)],
+      ["Total claimed", amount(result.totalClaimed)],
+      ["Remaining allowance", amount(result.remainingAllowance)],
+      [
+        "Next claim",
+        statusCode === "cooldown-active"
+          ? `in ${formatTimeRemaining(result.nextClaimAt)}`
+          : result.canClaim
+            ? "now"
+            : "-",
+      ],
+    ]);
+  }
+  return result;
+}
+
+async function history(ctx, options, [addressArg]) {
+  const { faucet, provider, deployment, getTokenInfo, formatters } = ctx;
+  const address = parseAddressArg(addressArg, "address");
+  const fromBlock = Number(options["from-block"] ?? deployment.deployBlock ?? 0);
+  const toBlock = await provider.getBlockNumber();
+
+  const events = [];
+  const filter = faucet.filters.TokensClaimed(address);
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    events.push(...(await faucet.queryFilter(filter, start, end)));
+  }
+
+  // Token metadata, looked up once per token
+  const tokens = new Map();
+  for (const event of events) {
+    if (!tokens.has(event.args.token)) tokens.set(event.args.token, await getTokenInfo(event.args.token));
+  }
+
+  const claims = events.map((event) => ({
+    token: tokens.get(event.args.token).symbol,
+    tokenAddress: event.args.token,
+    amount: event.args.amount.toString(),
+    timestamp: Number(event.args.timestamp),
+    blockNumber: event.blockNumber,
+    txHash: event.transactionHash,
+  }));
+  const result = { address, fromBlock, toBlock, claims };
+
+  if (!options.json) {
+    if (claims.length === 0) {
+      console.log(`No claims by ${address} since block ${fromBlock}`);
+    } else {
+      printTable(
+        ["Time", "Amount", "Block", "Transaction"],
+        claims.map((claim) => [
+          new Date(claim.timestamp * 1000).toISOString(),
+          formatters.formatTokenAmount(claim.amount, tokens.get(claim.tokenAddress)),
+          claim.blockNumber,
+          claim.txHash,
+        ])
+      );
+    }
+  }
+  return result;
+}
+
+async function claim(ctx, options) {
+  const { faucet, runner, getTokenInfo, formatters } = ctx;
+  const user = await runner.getAddress();
+  const primary = await faucet.token();
+  const tokenAddress = options.token ? parseAddressArg(options.token, "--token") : primary;
+  const proof = readProof(options.allowlist || DEFAULT_ALLOWLIST, user);
+
+  let tx;
+  if (tokenAddress === primary) {
+    tx = proof.length ? await faucet.requestTokensWithProof(proof) : await faucet.requestTokens();
+  } else {
+    tx = proof.length
+      ? await faucet.claimTokenWithProof(tokenAddress, proof)
+      : await faucet.claimToken(tokenAddress);
+  }
+  const receipt = await tx.wait();
+
+  const claimed = receipt.logs
+    .map((log) => faucet.interface.parseLog(log))
+    .find((event) => event?.name === "TokensClaimed");
+  const info = await getTokenInfo(tokenAddress);
+  const result = {
+    user,
+    token: info,
+    amount: claimed ? claimed.args.amount.toString() : null,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+  };
+
+  if (!options.json) {
+    printTable(null, [
+      ["Claimed", formatters.formatTokenAmount(result.amount ?? 0n, info)],
+      ["Account", user],
+      ["Transaction", result.txHash],
+      ["Block", result.blockNumber],
+      ["Gas used", result.gasUsed],
+    ]);
+  }
+  return result;
+}
+
+async function setPaused(ctx, options, paused) {
+  const { faucet } = ctx;
+  const tx = await faucet.setPaused(paused);
+  const receipt = await tx.wait();
+  const result = { paused, txHash: tx.hash, blockNumber: receipt.blockNumber };
+  if (!options.json) {
+    console.log(`${paused ? "⏸️  Faucet paused" : "▶️  Faucet resumed"} in ${tx.hash}`);
+  }
+  return result;
+}
+
+const COMMANDS = {
+  status: { run: status },
+  check: { run: check },
+  history: { run: history },
+  claim: { run: claim, needsSigner: true },
+  pause: { run: (ctx, options) => setPaused(ctx, options, true), needsSigner: true },
+  unpause: { run: (ctx, options) => setPaused(ctx, options, false), needsSigner: true },
+};
+
+async function main() {
+  let options = {};
+  let ctx = null;
+  try {
+    const { values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean" },
+        token: { type: "string" },
+        network: { type: "string" },
+        deployment: { type: "string" },
+        rpc: { type: "string" },
+        allowlist: { type: "string" },
+        "from-block": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+    options = values;
+
+    const [commandName, ...args] = positionals;
+    if (options.help || !commandName) {
+      console.log(USAGE);
+      return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) {
+      throw new CliError(`Unknown command: ${commandName}\n\n${USAGE}`, EXIT_CODES.USAGE);
+    }
+
+    ctx = await createContext(options, { needsSigner: command.needsSigner });
+    const result = await command.run(ctx, options, args);
+    if (options.json) {
+      const { exitCode, ...output } = result;
+      console.log(JSON.stringify(output, null, 2));
+    }
+    return result.exitCode ?? EXIT_CODES.OK;
+  } catch (error) {
+    const cliError = error.code?.startsWith("ERR_PARSE_ARGS")
+      ? new CliError(error.message, EXIT_CODES.USAGE)
+      : toCliError(error, ctx?.faucet.interface);
+    if (options.json) {
+      const { message, revert, exitCode } = cliError;
+      console.log(JSON.stringify({ error: message, revert, exitCode }, null, 2));
+    } else {
+      console.error(`❌ ${cliError.message}`);
+    }
+    return cliError.exitCode;
+  }
+}
+
+main().then((exitCode) => process.exit(exitCode));
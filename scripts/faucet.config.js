@@ -0,0 +1,149 @@
+const { getAddress, parseEther, parseUnits } = require("ethers");
+
+// Faucet parameters used at deployment time.
+// Token amounts are whole tokens (18 decimals), cooldowns are in seconds.
+// Role lists hold addresses granted PAUSER_ROLE / CONFIG_MANAGER_ROLE in addition to the deployer,
+// and DISTRIBUTOR_ROLE (e.g. the API server's claim key, which the deployer does not get);
+// admin, when set, is offered the default admin role through a two-step transfer.
+// extraTokens are deployed as FaucetToken contracts and registered next to the primary token;
+// their amounts are whole tokens in the token's own decimals.
+// ethDrip sends ETH with claims (amounts in ETH, amount "0" disables it); fund is sent to the faucet
+// at deployment to hold the reserve the drip pays from.
+// existing holds addresses of contracts already on the network, which deploy.js uses instead of
+// deploying new ones (an existing faucet implies its token).
+const defaults = {
+  faucetAmount: "100",
+  cooldownTime: 24 * 60 * 60,
+  maxClaimAmount: "1000",
+  pausers: [],
+  configManagers: [],
+  distributors: [],
+  admin: "",
+  extraTokens: [
+    {
+      name: "Test USD Coin",
+      symbol: "tUSDC",
+      decimals: 6,
+      maxSupply: "1000000",
+      faucetAmount: "100",
+      cooldownTime: 24 * 60 * 60,
+      maxClaimAmount: "1000",
+    },
+  ],
+  ethDrip: {
+    amount: "0",
+    cooldownTime: 7 * 24 * 60 * 60,
+    budget: "0",
+    fund: "0",
+  },
+  existing: {
+    token: "",
+    faucet: "",
+  },
+};
+
+// Per-network overrides, keyed by Hardhat network name
+const networks = {
+  localhost: {
+    cooldownTime: 5 * 60,
+    ethDrip: {
+      amount: "0.01",
+      cooldownTime: 24 * 60 * 60,
+      budget: "1",
+      fund: "1",
+    },
+  },
+};
+
+/**
+ * Resolves faucet parameters for a network.
+ * Environment variables FAUCET_AMOUNT, COOLDOWN_TIME, MAX_CLAIM_AMOUNT, PAUSER_ADDRESSES,
+ * CONFIG_MANAGER_ADDRESSES, DISTRIBUTOR_ADDRESSES (comma-separated), ADMIN_ADDRESS, ETH_DRIP_AMOUNT, ETH_DRIP_COOLDOWN,
+ * ETH_DRIP_BUDGET, ETH_FUND_AMOUNT, EXISTING_TOKEN_ADDRESS and EXISTING_FAUCET_ADDRESS take precedence
+ * over the values above.
+ * @param {string} networkName Hardhat network name
+ * @returns {{faucetAmount: bigint, cooldownTime: bigint, maxClaimAmount: bigint,
+ *   pausers: string[], configManagers: string[], distributors: string[], admin: string, extraTokens: object[],
+ *   ethDrip: {amount: bigint, cooldownTime: bigint, budget: bigint, fund: bigint},
+ *   existing: {token: string, faucet: string}}}
+ */
+function getFaucetConfig(networkName) {
+  const config = { ...defaults, ...networks[networkName] };
+
+  const faucetAmount = parseUnits(String(process.env.FAUCET_AMOUNT || config.faucetAmount), 18);
+  const cooldownTime = BigInt(process.env.COOLDOWN_TIME || config.cooldownTime);
+  const maxClaimAmount = parseUnits(
+    String(process.env.MAX_CLAIM_AMOUNT || config.maxClaimAmount),
+    18
+  );
+
+  if (faucetAmount === 0n) {
+    throw new Error("Faucet amount must be positive");
+  }
+  if (maxClaimAmount < faucetAmount) {
+    throw new Error("Max claim amount must be at least the faucet amount");
+  }
+
+  const pausers = parseAddressList(process.env.PAUSER_ADDRESSES, config.pausers);
+  const configManagers = parseAddressList(
+    process.env.CONFIG_MANAGER_ADDRESSES,
+    config.configManagers
+  );
+  const distributors = parseAddressList(process.env.DISTRIBUTOR_ADDRESSES, config.distributors);
+  const admin = process.env.ADMIN_ADDRESS || config.admin;
+  const existingToken = process.env.EXISTING_TOKEN_ADDRESS || config.existing.token;
+  const existingFaucet = process.env.EXISTING_FAUCET_ADDRESS || config.existing.faucet;
+
+  return {
+    faucetAmount,
+    cooldownTime,
+    maxClaimAmount,
+    pausers,
+    configManagers,
+    distributors,
+    admin: admin ? getAddress(admin) : "",
+    extraTokens: config.extraTokens.map(parseExtraToken),
+    ethDrip: {
+      amount: parseEther(String(process.env.ETH_DRIP_AMOUNT || config.ethDrip.amount)),
+      cooldownTime: BigInt(process.env.ETH_DRIP_COOLDOWN || config.ethDrip.cooldownTime),
+      budget: parseEther(String(process.env.ETH_DRIP_BUDGET || config.ethDrip.budget)),
+      fund: parseEther(String(process.env.ETH_FUND_AMOUNT || config.ethDrip.fund)),
+    },
+    existing: {
+      token: existingToken ? getAddress(existingToken) : "",
+      faucet: existingFaucet ? getAddress(existingFaucet) : "",
+    },
+  };
+}
+
+// Convert an extra token's whole-token amounts into its smallest unit
+function parseExtraToken(tokenConfig) {
+  const { name, symbol, decimals } = tokenConfig;
+  const faucetAmount = parseUnits(String(tokenConfig.faucetAmount), decimals);
+  const maxClaimAmount = parseUnits(String(tokenConfig.maxClaimAmount), decimals);
+
+  if (faucetAmount === 0n || maxClaimAmount < faucetAmount) {
+    throw new Error(`Invalid claim limits for ${symbol}`);
+  }
+
+  return {
+    name,
+    symbol,
+    decimals,
+    maxSupply: parseUnits(String(tokenConfig.maxSupply), decimals),
+    faucetAmount,
+    cooldownTime: BigInt(tokenConfig.cooldownTime),
+    maxClaimAmount,
+  };
+}
+
+// Parse a comma-separated address list, falling back to configured defaults
+function parseAddressList(value, fallback) {
+  const list = value !== undefined ? value.split(",") : fallback;
+  return list
+    .map((address) => address.trim())
+    .filter(Boolean)
+    .map((address) => getAddress(address));
+}
+
+module.exports = { getFaucetConfig };
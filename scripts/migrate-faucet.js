@@ -0,0 +1,370 @@
+const hre = require("hardhat");
+const { getFaucetConfig } = require("./faucet.config");
+const { getManifestPath, readManifest, writeManifest, writeFrontendEnv } = require("./deployments");
+
+// Replaces the network's deployed faucet with a new TokenFaucet (e.g. after a bug fix) without losing
+// claim history. Tokens, claim parameters, gating, the ETH drip and roles are copied from the old faucet,
+// every token's minter is switched to the new faucet - which freezes the old faucet's records - and then
+// every claimer's cooldowns and lifetime totals are imported. The new faucet stays paused until the import
+// is finished. Progress is recorded under `migration` in deployments/<network>.json, so an interrupted
+// migration resumes where it stopped when the script is run again. Steps that need another account
+// (pausing the old faucet, moving its ETH reserve) are listed under `migration.pendingSteps`, and the
+// record is kept until a later run completes them.
+
+// Maximum block range per eth_getLogs request; public RPCs reject larger ranges
+const LOG_CHUNK_SIZE = 5000;
+// Addresses per importClaimRecords transaction
+const IMPORT_BATCH_SIZE = 200;
+// Roles copied to the new faucet (the default admin stays with the deployer, see adminTransfer)
+const COPIED_ROLES = ["PAUSER_ROLE", "CONFIG_MANAGER_ROLE", "DISTRIBUTOR_ROLE"];
+
+// Steps left pending in this run (e.g. missing permissions)
+const pendingSteps = [];
+
+/**
+ * Runs a migration step unless the manifest records it as done.
+ * @param {object} manifest Deployment manifest with a migration in progress, saved after the step completes
+ * @param {string} name Step name
+ * @param {function(): Promise<object|null>} action Returns the data to record, or null to leave
+ *   the step pending so the next run retries it
+ * @returns {Promise<object|null>} The step record
+ */
+async function runStep(manifest, name, action) {
+  const { steps } = manifest.migration;
+  if (steps[name]) {
+    console.log(`⏭️  ${name}: already done`);
+    return steps[name];
+  }
+
+  const result = await action();
+  if (result === null) {
+    pendingSteps.push(name);
+    return null;
+  }
+  steps[name] = { ...result, completedAt: new Date().toISOString() };
+  writeManifest(manifest);
+  return steps[name];
+}
+
+// Query events in block-range chunks, from a block to the latest block
+async function queryEventsInChunks(contract, filter, fromBlock) {
+  const toBlock = await hre.ethers.provider.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+// Claim parameters of every token the old faucet serves, primary token first. Faucets deployed
+// before multi-token support only serve the primary token, with the network's configured parameters.
+async function readTokenConfigs(oldFaucet) {
+  try {
+    const addresses = await oldFaucet.getTokens();
+    return Promise.all(
+      addresses.map(async (address) => {
+        const config = await oldFaucet.tokenConfigs(address);
+        return {
+          address,
+          faucetAmount: config.faucetAmount,
+          cooldownTime: config.cooldownTime,
+          maxClaimAmount: config.maxClaimAmount,
+        };
+      })
+    );
+  } catch (error) {
+    const config = getFaucetConfig(hre.network.name);
+    console.log("ℹ️  The old faucet serves a single token; using the configured claim parameters");
+    return [
+      {
+        address: await oldFaucet.token(),
+        faucetAmount: config.faucetAmount,
+        cooldownTime: config.cooldownTime,
+        maxClaimAmount: config.maxClaimAmount,
+      },
+    ];
+  }
+}
+
+// Current holders of a role, replayed from the faucet's grant and revoke events
+async function readRoleHolders(oldFaucet, roleName, fromBlock) {
+  const role = await oldFaucet[roleName]();
+  const [granted, revoked] = await Promise.all([
+    queryEventsInChunks(oldFaucet, oldFaucet.filters.RoleGranted(role), fromBlock),
+    queryEventsInChunks(oldFaucet, oldFaucet.filters.RoleRevoked(role), fromBlock),
+  ]);
+  const holders = new Set();
+  [...granted, ...revoked]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    .forEach((event) => {
+      if (event.fragment.name === "RoleGranted") {
+        holders.add(event.args.account);
+      } else {
+        holders.delete(event.args.account);
+      }
+    });
+  return [...holders];
+}
+
+// Addresses that ever received a mint of a token, the candidates for claim record imports
+async function readClaimers(tokenAddress, fromBlock) {
+  const token = await hre.ethers.getContractAt("Token", tokenAddress);
+  const mints = await queryEventsInChunks(token, token.filters.Transfer(hre.ethers.ZeroAddress), fromBlock);
+  return [...new Set(mints.map((event) => event.args.to))];
+}
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const manifest = readManifest(hre.network.name);
+  if (!manifest?.faucetAddress) {
+    throw new Error(`No deployment found for network "${hre.network.name}"; run scripts/deploy.js first`);
+  }
+  if (manifest.chainId && manifest.chainId !== chainId.toString()) {
+    throw new Error(`${getManifestPath(hre.network.name)} was written for chain ${manifest.chainId}, not ${chainId}`);
+  }
+
+  if (manifest.migration) {
+    console.log(`📂 Resuming the migration from ${manifest.migration.from}`);
+  } else {
+    manifest.migration = {
+      from: manifest.faucetAddress,
+      fromDeployBlock: manifest.deployBlock ?? 0,
+      startedAt: new Date().toISOString(),
+      steps: {},
+    };
+  }
+  const { migration } = manifest;
+  const oldFaucet = await hre.ethers.getContractAt("TokenFaucet", migration.from);
+  const fromBlock = migration.fromDeployBlock;
+
+  console.log("🚚 Migrating faucet...");
+  console.log(`   Network: ${hre.network.name} (chainId ${chainId})`);
+  console.log(`   Old faucet: ${migration.from}`);
+  console.log(`   Account: ${deployer.address}`);
+
+  const tokenConfigs = await readTokenConfigs(oldFaucet);
+  const [primary, ...extraTokens] = tokenConfigs;
+
+  // The old faucet's pause state is restored on the new faucet when the migration finishes
+  const snapshot = await runStep(manifest, "snapshot", async () => ({ paused: await oldFaucet.isPaused() }));
+
+  const faucetStep = await runStep(manifest, "faucet", async () => {
+    console.log("\n💧 Deploying the new TokenFaucet...");
+    const args = [primary.address, primary.faucetAmount, primary.cooldownTime, primary.maxClaimAmount];
+    const factory = await hre.ethers.getContractFactory("TokenFaucet");
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    console.log(`✅ TokenFaucet deployed to: ${receipt.contractAddress}`);
+    return {
+      address: receipt.contractAddress,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArguments: args.map((arg) => arg.toString()),
+    };
+  });
+  const faucetAddress = faucetStep.address;
+  const faucet = await hre.ethers.getContractAt("TokenFaucet", faucetAddress);
+
+  // Nobody claims from the new faucet before their claim record is imported
+  await runStep(manifest, "pause", async () => {
+    if (!(await faucet.isPaused())) await (await faucet.setPaused(true)).wait();
+    console.log("⏸️  New faucet paused for the migration");
+    return {};
+  });
+
+  console.log("\n⚙️  Copying settings...");
+  for (const extra of extraTokens) {
+    await runStep(manifest, `register:${extra.address}`, async () => {
+      if (!(await faucet.tokenConfigs(extra.address)).registered) {
+        await (await faucet.addToken(extra.address, extra.faucetAmount, extra.cooldownTime, extra.maxClaimAmount)).wait();
+      }
+      console.log(`✅ Registered ${extra.address}`);
+      return {};
+    });
+  }
+
+  await runStep(manifest, "gating", async () => {
+    const root = await oldFaucet.allowlistRoot();
+    if (root !== hre.ethers.ZeroHash) await (await faucet.setAllowlistRoot(root)).wait();
+
+    // Replay the denylist; the last update of each address wins
+    const denylist = new Map();
+    const updates = await queryEventsInChunks(oldFaucet, oldFaucet.filters.DenylistUpdated(), fromBlock);
+    updates
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .forEach((event) => denylist.set(event.args.account, event.args.denied));
+    const denied = [...denylist].filter(([, isDenied]) => isDenied).map(([account]) => account);
+    if (denied.length) await (await faucet.setDenylisted(denied, true)).wait();
+
+    console.log(`✅ Allowlist root ${root === hre.ethers.ZeroHash ? "disabled" : root}, ${denied.length} denylisted`);
+    return { allowlistRoot: root, denylisted: denied.length };
+  });
+
+  await runStep(manifest, "ethDrip", async () => {
+    const [amount, cooldown, budget] = await Promise.all([
+      oldFaucet.ethDripAmount(),
+      oldFaucet.ethDripCooldown(),
+      oldFaucet.ethDripBudget(),
+    ]);
+    if (amount > 0n) await (await faucet.setEthDrip(amount, cooldown, budget)).wait();
+    console.log(amount > 0n ? `✅ ETH drip of ${hre.ethers.formatEther(amount)} ETH copied` : "✅ ETH drip disabled");
+    return { amount: amount.toString(), cooldownTime: cooldown.toString(), budget: budget.toString() };
+  });
+
+  for (const roleName of COPIED_ROLES) {
+    const role = await faucet[roleName]();
+    for (const account of await readRoleHolders(oldFaucet, roleName, fromBlock)) {
+      await runStep(manifest, `role:${roleName}:${account}`, async () => {
+        if (!(await faucet.hasRole(role, account))) await (await faucet.grantRole(role, account)).wait();
+        console.log(`✅ Granted ${roleName} to ${account}`);
+        return {};
+      });
+    }
+  }
+
+  // Switch minting to the new faucet; the old faucet can no longer mint, so its records stop changing
+  console.log("\n🔐 Switching token minters...");
+  for (const { address } of tokenConfigs) {
+    await runStep(manifest, `minter:${address}`, async () => {
+      const token = await hre.ethers.getContractAt("Token", address);
+      const symbol = await token.symbol();
+      if ((await token.minter()) === faucetAddress) {
+        console.log(`✅ New faucet is already the ${symbol} minter`);
+        return {};
+      }
+      if ((await token.owner()) !== deployer.address) {
+        console.log(
+          `⚠️  ${deployer.address} does not own ${symbol}; its owner must run ` +
+            `faucet:set-minter --token ${address} --minter ${faucetAddress}`
+        );
+        return null;
+      }
+      const tx = await token.setMinter(faucetAddress);
+      await tx.wait();
+      console.log(`✅ ${symbol} minter set to the new faucet`);
+      return { txHash: tx.hash };
+    });
+  }
+  if (pendingSteps.length) {
+    throw new Error(
+      `Claim records are imported once every token mints through the new faucet; pending: ${pendingSteps.join(", ")}`
+    );
+  }
+
+  console.log("\n📥 Importing claim records...");
+  for (const { address } of tokenConfigs) {
+    await runStep(manifest, `import:${address}`, async () => {
+      const claimers = await readClaimers(address, fromBlock);
+      // Skip addresses a previous run already imported
+      const imported = await Promise.all(claimers.map((user) => faucet.claimRecordImported(address, user)));
+      const remaining = claimers.filter((_, index) => !imported[index]);
+      for (let start = 0; start < remaining.length; start += IMPORT_BATCH_SIZE) {
+        const batch = remaining.slice(start, start + IMPORT_BATCH_SIZE);
+        await (await faucet.importClaimRecords(migration.from, address, batch)).wait();
+        console.log(`   ${Math.min(start + IMPORT_BATCH_SIZE, remaining.length)}/${remaining.length}`);
+      }
+      console.log(`✅ ${claimers.length} claim record${claimers.length === 1 ? "" : "s"} of ${address} imported`);
+      return { claimers: claimers.length };
+    });
+  }
+
+  // Clients still pointed at the old faucet get FaucetIsPaused instead of a failed mint
+  await runStep(manifest, "pauseOld", async () => {
+    if (await oldFaucet.isPaused()) return {};
+    if (!(await oldFaucet.hasRole(await oldFaucet.PAUSER_ROLE(), deployer.address))) {
+      console.log(`⚠️  ${deployer.address} lacks PAUSER_ROLE on the old faucet; a pauser should pause it`);
+      return null;
+    }
+    await (await oldFaucet.setPaused(true)).wait();
+    console.log("⏸️  Old faucet paused");
+    return {};
+  });
+
+  // Move the ETH drip reserve (needs the old faucet's default admin)
+  await runStep(manifest, "ethReserve", async () => {
+    const reserve = await hre.ethers.provider.getBalance(migration.from);
+    if (reserve === 0n) return { amount: "0" };
+    if ((await oldFaucet.defaultAdmin()) !== deployer.address) {
+      console.log(
+        `⚠️  ${deployer.address} is not the old faucet's default admin; it must call ` +
+          `withdrawEth(${faucetAddress}, ${reserve}) to move the ETH reserve`
+      );
+      return null;
+    }
+    const tx = await oldFaucet.withdrawEth(faucetAddress, reserve);
+    await tx.wait();
+    console.log(`✅ Moved ${hre.ethers.formatEther(reserve)} ETH to the new faucet`);
+    return { txHash: tx.hash, amount: reserve.toString() };
+  });
+
+  await runStep(manifest, "finish", async () => {
+    await (await faucet.finishMigration()).wait();
+    if (!snapshot.paused) await (await faucet.setPaused(false)).wait();
+    console.log(`\n✅ Migration finished; new faucet ${snapshot.paused ? "stays paused like the old one" : "resumed"}`);
+    return {};
+  });
+
+  // Hand the default admin role back to the old faucet's admin (it must call acceptDefaultAdminTransfer)
+  const oldAdmin = await oldFaucet.defaultAdmin();
+  if (oldAdmin !== deployer.address) {
+    await runStep(manifest, "adminTransfer", async () => {
+      await (await faucet.beginDefaultAdminTransfer(oldAdmin)).wait();
+      console.log(`⏳ Default admin transfer to ${oldAdmin} started; it must be accepted`);
+      return {};
+    });
+  }
+
+  // The new faucet becomes the network's deployment; deploy.js verifies it on its next run
+  await runStep(manifest, "switch", async () => {
+    manifest.previousFaucets = [
+      ...(manifest.previousFaucets || []),
+      { address: migration.from, deployBlock: fromBlock, replacedAt: new Date().toISOString() },
+    ];
+    manifest.faucetAddress = faucetAddress;
+    manifest.deployBlock = faucetStep.blockNumber;
+    if (manifest.steps) {
+      manifest.steps.faucet = faucetStep;
+      delete manifest.steps["verify:TokenFaucet"];
+    }
+
+    const envPath = writeFrontendEnv({
+      network: hre.network.name,
+      chainId,
+      rpcUrl: process.env.FRONTEND_RPC_URL || hre.network.config.url,
+      tokenAddress: manifest.tokenAddress,
+      faucetAddress,
+      deployBlock: manifest.deployBlock,
+    });
+    console.log(`📝 Frontend environment saved to: ${envPath}`);
+    return {};
+  });
+
+  // The migration record stays until every step is done, so the next run only retries the pending ones
+  if (pendingSteps.length) {
+    migration.pendingSteps = pendingSteps;
+  } else {
+    delete manifest.migration;
+  }
+  writeManifest(manifest);
+  console.log(`\n📋 Deployment manifest updated: ${getManifestPath(hre.network.name)}`);
+
+  console.log(
+    pendingSteps.length
+      ? `\n⚠️  Migration finished with pending steps: ${pendingSteps.join(", ")}\n` +
+          "   Run the script again once they can complete"
+      : "\n✨ Faucet migrated successfully!"
+  );
+  console.log(`   Old faucet: ${migration.from}`);
+  console.log(`   New faucet: ${faucetAddress} (block ${manifest.deployBlock})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  });
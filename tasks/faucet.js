@@ -0,0 +1,268 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/deployments");
+
+// Hardhat tasks for running the faucet: `npx hardhat faucet:<task> --network <name>`.
+// Addresses come from the network's deployment manifest (deployments/<network>.json).
+const PLUGIN_NAME = "faucet";
+
+// ClaimStatus names, in TokenFaucet.ClaimStatus order
+const CLAIM_STATUS_LABELS = [
+  "eligible",
+  "paused",
+  "denylisted",
+  "cooldown active",
+  "lifetime limit reached",
+  "supply exhausted",
+];
+
+// Roles listed by faucet:status (DEFAULT_ADMIN_ROLE is printed from defaultAdmin())
+const MANAGED_ROLES = ["PAUSER_ROLE", "CONFIG_MANAGER_ROLE", "DISTRIBUTOR_ROLE"];
+
+// Maximum block range per eth_getLogs request; public RPCs reject larger ranges
+const LOG_CHUNK_SIZE = 5000;
+
+// Deployment manifest of the selected network
+function loadDeployment(hre) {
+  const deployment = readManifest(hre.network.name);
+  if (deployment) return deployment;
+  throw new HardhatPluginError(
+    PLUGIN_NAME,
+    `No deployment found for network "${hre.network.name}"; deploy first or pass --network`
+  );
+}
+
+// Checksummed address from a task argument
+function parseAddress(hre, value, label) {
+  if (!hre.ethers.isAddress(value)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid ${label}: ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+async function getFaucet(hre, deployment) {
+  return hre.ethers.getContractAt("TokenFaucet", deployment.faucetAddress);
+}
+
+// Name, symbol and decimals of a faucet token
+async function getTokenInfo(hre, address) {
+  const token = await hre.ethers.getContractAt("FaucetToken", address);
+  const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+  return { address, name, symbol, decimals: Number(decimals) };
+}
+
+// Token amount with its symbol, without a trailing ".0"
+function formatAmount(hre, amount, token) {
+  const formatted = hre.ethers.formatUnits(amount, token.decimals).replace(/\.0$/, "");
+  return `${formatted} ${token.symbol}`;
+}
+
+// Query events in block-range chunks, from the deployment block to the latest block
+async function queryEventsInChunks(hre, contract, filter, fromBlock) {
+  const toBlock = await hre.ethers.provider.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+function formatTime(timestamp) {
+  return Number(timestamp) === 0 ? "never" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+task("faucet:status", "Prints the faucet state, supply, tokens, ETH drip and role holders").setAction(
+  async (_, hre) => {
+    const deployment = loadDeployment(hre);
+    const faucet = await getFaucet(hre, deployment);
+
+    const [status, primary, tokenAddresses, dripAmount, dripCooldown, dripBudget, reserve] = await Promise.all([
+      faucet.faucetStatus(),
+      faucet.token(),
+      faucet.getTokens(),
+      faucet.ethDripAmount(),
+      faucet.ethDripCooldown(),
+      faucet.ethDripBudget(),
+      hre.ethers.provider.getBalance(deployment.faucetAddress),
+    ]);
+    const primaryToken = await getTokenInfo(hre, primary);
+
+    console.log(`💧 Faucet ${deployment.faucetAddress} on ${hre.network.name}`);
+    console.log(`   Paused: ${status.isPaused_ ? "yes" : "no"}`);
+    console.log(
+      `   Supply: ${formatAmount(hre, status.totalSupply, primaryToken)} minted of ` +
+        `${formatAmount(hre, status.maxSupply, primaryToken)}${status.exhausted ? " (exhausted)" : ""}`
+    );
+    console.log(
+      dripAmount > 0n
+        ? `   ETH drip: ${hre.ethers.formatEther(dripAmount)} ETH every ${dripCooldown} seconds, ` +
+            `${hre.ethers.formatEther(dripBudget)} ETH budget left, ${hre.ethers.formatEther(reserve)} ETH reserve`
+        : `   ETH drip: disabled (${hre.ethers.formatEther(reserve)} ETH reserve)`
+    );
+
+    console.log("\n🪙 Tokens:");
+    for (const address of tokenAddresses) {
+      const [info, config, remaining] = await Promise.all([
+        getTokenInfo(hre, address),
+        faucet.tokenConfigs(address),
+        faucet.tokenRemainingSupply(address),
+      ]);
+      console.log(`   ${info.symbol}${address === primary ? " (primary)" : ""} ${address}`);
+      console.log(
+        `      ${formatAmount(hre, config.faucetAmount, info)} every ${config.cooldownTime} seconds, ` +
+          `up to ${formatAmount(hre, config.maxClaimAmount, info)}; ${formatAmount(hre, remaining, info)} left`
+      );
+    }
+
+    console.log("\n👥 Roles:");
+    const [defaultAdmin, pending] = await Promise.all([faucet.defaultAdmin(), faucet.pendingDefaultAdmin()]);
+    console.log(`   DEFAULT_ADMIN_ROLE: ${defaultAdmin}`);
+    if (pending.newAdmin !== hre.ethers.ZeroAddress) {
+      console.log(`   Pending admin: ${pending.newAdmin} (from ${formatTime(pending.schedule)})`);
+    }
+
+    // Replay grants and revocations to find the current holders of each role
+    const fromBlock = deployment.deployBlock ?? 0;
+    const [roleIds, granted, revoked] = await Promise.all([
+      Promise.all(MANAGED_ROLES.map((name) => faucet[name]())),
+      queryEventsInChunks(hre, faucet, faucet.filters.RoleGranted(), fromBlock),
+      queryEventsInChunks(hre, faucet, faucet.filters.RoleRevoked(), fromBlock),
+    ]);
+    const holders = roleIds.map(() => new Set());
+    [...granted, ...revoked]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .forEach((event) => {
+        const index = roleIds.indexOf(event.args.role);
+        if (index === -1) return;
+        if (event.fragment.name === "RoleGranted") {
+          holders[index].add(event.args.account);
+        } else {
+          holders[index].delete(event.args.account);
+        }
+      });
+    MANAGED_ROLES.forEach((name, index) => {
+      const accounts = [...holders[index]];
+      console.log(`   ${name}: ${accounts.length ? accounts.join(", ") : "(none)"}`);
+    });
+  }
+);
+
+task("faucet:pause", "Pauses claims (needs PAUSER_ROLE)").setAction(async (_, hre) => {
+  const faucet = await getFaucet(hre, loadDeployment(hre));
+  if (await faucet.isPaused()) {
+    console.log("⏸️  Faucet is already paused");
+    return;
+  }
+  const tx = await faucet.setPaused(true);
+  await tx.wait();
+  console.log(`⏸️  Faucet paused in ${tx.hash}`);
+});
+
+task("faucet:unpause", "Resumes claims (needs PAUSER_ROLE)").setAction(async (_, hre) => {
+  const faucet = await getFaucet(hre, loadDeployment(hre));
+  if (!(await faucet.isPaused())) {
+    console.log("▶️  Faucet is not paused");
+    return;
+  }
+  const tx = await faucet.setPaused(false);
+  await tx.wait();
+  console.log(`▶️  Faucet resumed in ${tx.hash}`);
+});
+
+task("faucet:set-minter", "Sets a token's minter (needs the token owner's key)")
+  .addOptionalParam("minter", "New minter (defaults to the deployed faucet)")
+  .addOptionalParam("token", "Token address (defaults to the deployed primary token)")
+  .setAction(async ({ minter, token: tokenAddress }, hre) => {
+    const deployment = loadDeployment(hre);
+    const newMinter = parseAddress(hre, minter || deployment.faucetAddress, "minter");
+    const token = await hre.ethers.getContractAt(
+      "Token",
+      parseAddress(hre, tokenAddress || deployment.tokenAddress, "token")
+    );
+
+    const current = await token.minter();
+    if (current === newMinter) {
+      console.log(`🔐 Minter of ${await token.symbol()} is already ${newMinter}`);
+      return;
+    }
+    const tx = await token.setMinter(newMinter);
+    await tx.wait();
+    console.log(`🔐 Minter of ${await token.symbol()} changed from ${current} to ${newMinter} in ${tx.hash}`);
+  });
+
+task("faucet:user", "Prints an address's balances, claims and eligibility for every faucet token")
+  .addPositionalParam("address", "Address to inspect")
+  .setAction(async ({ address }, hre) => {
+    const user = parseAddress(hre, address, "address");
+    const deployment = loadDeployment(hre);
+    const faucet = await getFaucet(hre, deployment);
+    const [tokenAddresses, denylisted, drip] = await Promise.all([
+      faucet.getTokens(),
+      faucet.denylisted(user),
+      faucet.ethDripStatus(user),
+    ]);
+
+    console.log(`👤 ${user} on ${hre.network.name}${denylisted ? " (denylisted)" : ""}`);
+    for (const tokenAddress of tokenAddresses) {
+      const token = await hre.ethers.getContractAt("FaucetToken", tokenAddress);
+      const [info, balance, record, status] = await Promise.all([
+        getTokenInfo(hre, tokenAddress),
+        token.balanceOf(user),
+        faucet.claimRecords(tokenAddress, user),
+        faucet.tokenClaimStatus(tokenAddress, user),
+      ]);
+      console.log(`\n   ${info.symbol} ${tokenAddress}`);
+      console.log(`      Balance: ${formatAmount(hre, balance, info)}`);
+      console.log(`      Claimed: ${formatAmount(hre, record.totalClaimed, info)}, last ${formatTime(record.lastClaimAt)}`);
+      console.log(`      Remaining allowance: ${formatAmount(hre, status.allowance, info)}`);
+      console.log(`      Status: ${CLAIM_STATUS_LABELS[Number(status.status)]}`);
+      if (CLAIM_STATUS_LABELS[Number(status.status)] === "cooldown active") {
+        console.log(`      Next claim: ${formatTime(status.nextClaimAt)}`);
+      }
+    }
+
+    if (drip.amount > 0n) {
+      console.log(
+        `\n   ETH drip: ${drip.qualifies ? "included with the next claim" : "not available"}` +
+          (Number(drip.nextDripAt) > 0 ? `, next from ${formatTime(drip.nextDripAt)}` : "")
+      );
+    }
+  });
+
+task("faucet:top-claimers", "Ranks addresses by the total they claimed of a token")
+  .addOptionalParam("token", "Token address (defaults to the deployed primary token)")
+  .addOptionalParam("limit", "Number of addresses to print", 10, types.int)
+  .addOptionalParam("fromBlock", "First block scanned (defaults to the deployment block)", undefined, types.int)
+  .setAction(async ({ token: tokenAddress, limit, fromBlock }, hre) => {
+    const deployment = loadDeployment(hre);
+    const faucet = await getFaucet(hre, deployment);
+    const info = await getTokenInfo(hre, parseAddress(hre, tokenAddress || deployment.tokenAddress, "token"));
+
+    const startBlock = fromBlock ?? deployment.deployBlock ?? 0;
+    const filter = faucet.filters.TokensClaimed(undefined, info.address);
+    const events = await queryEventsInChunks(hre, faucet, filter, startBlock);
+
+    // Total and claim count per user
+    const totals = new Map();
+    for (const event of events) {
+      const entry = totals.get(event.args.user) || { total: 0n, claims: 0 };
+      entry.total += event.args.amount;
+      entry.claims += 1;
+      totals.set(event.args.user, entry);
+    }
+
+    const ranked = [...totals.entries()]
+      .sort(([, a], [, b]) => (a.total === b.total ? 0 : a.total > b.total ? -1 : 1))
+      .slice(0, limit);
+    if (ranked.length === 0) {
+      console.log(`No ${info.symbol} claims since block ${startBlock}`);
+      return;
+    }
+
+    const addresses = `${totals.size} address${totals.size === 1 ? "" : "es"}`;
+    console.log(`🏆 Top ${info.symbol} claimers since block ${startBlock} (${addresses}):`);
+    ranked.forEach(([user, { total, claims }], index) => {
+      console.log(`   ${index + 1}. ${user}  ${formatAmount(hre, total, info)} in ${claims} claim${claims === 1 ? "" : "s"}`);
+    });
+  });